@@ -0,0 +1,224 @@
+/**
+ * POP-SORTE Admin Dashboard - Development Admin Server
+ *
+ * Local stand-in for the production admin API (worker/index.mjs). It serves
+ * the repository as static files and answers /admin/* with the same code the
+ * worker runs (worker/admin-api.js), so the dashboard can be exercised end to
+ * end: logins, overrides, payouts, result entries, resolutions and the audit
+ * log. See worker/admin-api.js for the routes.
+ *
+ * - Users are read from dev/users.json (not in git; create them with
+ *   --add-user, which prints a random password once)
+ * - Server state is kept in dev/state.json (not in git; delete it to start over)
+ *
+ * Usage:
+ *   node dev/admin-server.js [--port 8080]        then open http://localhost:8080/
+ *   node dev/admin-server.js --add-user <name> <role>
+ *   node dev/admin-server.js --hash <password>    print a hash (for ADMIN_USERS)
+ *
+ * Environment: AUTH_SECRET - token signing key (random on every start if unset,
+ * which logs everybody out on restart)
+ *
+ * Node.js built-ins only; never deploy this file.
+ */
+
+'use strict';
+
+const http = require('http');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const AdminApi = require('../worker/admin-api.js');
+const AdminPermissions = require('../js/permissions.js');
+
+// ============================================
+// Constants
+// ============================================
+
+const ROOT = path.resolve(__dirname, '..');
+const USERS_FILE = path.join(__dirname, 'users.json');
+const STATE_FILE = path.join(__dirname, 'state.json');
+
+/**
+ * Largest request body read (the API rejects anything above 1 MB)
+ */
+const MAX_BODY = 1024 * 1024 + 1;
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.csv': 'text/csv; charset=utf-8',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.svg': 'image/svg+xml',
+    '.ico': 'image/x-icon',
+    '.mp3': 'audio/mpeg',
+    '.mp4': 'video/mp4'
+};
+
+// ============================================
+// Users & State
+// ============================================
+
+/**
+ * Load dev users (re-read on every request so edits apply without restart)
+ * @returns {Object[]} [{ username, role, passwordHash }]
+ */
+function loadUsers() {
+    return fs.existsSync(USERS_FILE) ? JSON.parse(fs.readFileSync(USERS_FILE, 'utf8')) : [];
+}
+
+/**
+ * Add or replace a dev user with a random password
+ * @param {string} username - Username
+ * @param {string} role - AdminPermissions role
+ * @returns {Promise<string>} The generated password
+ */
+async function addUser(username, role) {
+    if (!username || !Object.values(AdminPermissions.Role).includes(role)) {
+        throw new Error(`Usage: --add-user <name> <${Object.values(AdminPermissions.Role).join('|')}>`);
+    }
+    const password = crypto.randomBytes(12).toString('base64url');
+    const users = loadUsers().filter(u => u.username !== username);
+    users.push({ username, role, passwordHash: await AdminApi.hashPassword(password) });
+    fs.writeFileSync(USERS_FILE, `${JSON.stringify(users, null, 2)}\n`);
+    return password;
+}
+
+/**
+ * JSON-file storage for the admin API
+ * @returns {Object} Storage
+ */
+function createFileStore() {
+    const data = fs.existsSync(STATE_FILE) ? JSON.parse(fs.readFileSync(STATE_FILE, 'utf8')) : {};
+    return AdminApi.createMemoryStore(data, snapshot => {
+        fs.writeFileSync(STATE_FILE, JSON.stringify(snapshot));
+    });
+}
+
+// ============================================
+// HTTP
+// ============================================
+
+/**
+ * Convert a Node request to a Fetch API Request
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<Request>} Request
+ */
+function toRequest(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        req.on('data', chunk => {
+            size += chunk.length;
+            // Keep one byte past the limit so the API answers 413
+            if (size <= MAX_BODY) chunks.push(chunk);
+        });
+        req.on('error', reject);
+        req.on('end', () => {
+            const hasBody = req.method !== 'GET' && req.method !== 'HEAD';
+            resolve(new Request(new URL(req.url, `http://${req.headers.host || 'localhost'}`), {
+                method: req.method,
+                headers: req.headers,
+                body: hasBody ? Buffer.concat(chunks).subarray(0, MAX_BODY) : undefined
+            }));
+        });
+    });
+}
+
+/**
+ * Write a Fetch API Response to a Node response
+ * @param {Response} response - Response
+ * @param {http.ServerResponse} res - Node response
+ */
+async function sendResponse(response, res) {
+    res.writeHead(response.status, Object.fromEntries(response.headers));
+    res.end(Buffer.from(await response.arrayBuffer()));
+}
+
+/**
+ * Serve a static file from the repository
+ */
+function serveStatic(req, res, pathname) {
+    const file = path.join(ROOT, decodeURIComponent(pathname === '/' ? '/index.html' : pathname));
+    if (!file.startsWith(ROOT + path.sep) || file.startsWith(path.join(ROOT, 'dev') + path.sep)) {
+        res.writeHead(403);
+        res.end();
+        return;
+    }
+
+    fs.readFile(file, (error, data) => {
+        if (error) {
+            res.writeHead(404);
+            res.end('Not found');
+            return;
+        }
+        res.writeHead(200, { 'Content-Type': CONTENT_TYPES[path.extname(file).toLowerCase()] || 'application/octet-stream' });
+        res.end(data);
+    });
+}
+
+/**
+ * Start the server
+ * @param {number} port - Port to listen on
+ * @returns {http.Server} Server
+ */
+function start(port) {
+    const api = AdminApi.createAdminApi({
+        store: createFileStore(),
+        secret: process.env.AUTH_SECRET || crypto.randomBytes(32).toString('hex'),
+        loadUsers: async () => loadUsers()
+    });
+
+    const server = http.createServer((req, res) => {
+        const { pathname } = new URL(req.url, 'http://localhost');
+        if (!pathname.startsWith('/admin/')) {
+            serveStatic(req, res, pathname);
+            return;
+        }
+
+        toRequest(req)
+            .then(request => api.handle(request, { ip: req.socket.remoteAddress }))
+            .then(response => response ? sendResponse(response, res) : serveStatic(req, res, pathname))
+            .catch(error => {
+                console.error('Admin API error:', error);
+                res.writeHead(500);
+                res.end();
+            });
+    });
+
+    server.listen(port, () => {
+        console.log(`POP-SORTE dev server on http://localhost:${port}/ (admin API at /admin)`);
+        if (loadUsers().length === 0) {
+            console.log('No users yet: node dev/admin-server.js --add-user <name> <role>');
+        }
+    });
+    return server;
+}
+
+// ============================================
+// Entry Point
+// ============================================
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const hashIndex = args.indexOf('--hash');
+    const addIndex = args.indexOf('--add-user');
+    if (hashIndex !== -1) {
+        AdminApi.hashPassword(args[hashIndex + 1] || '').then(hash => console.log(hash));
+    } else if (addIndex !== -1) {
+        const [username, role] = args.slice(addIndex + 1);
+        addUser(username, role)
+            .then(password => console.log(`${username} (${role}) password: ${password}`))
+            .catch(error => {
+                console.error(error.message);
+                process.exitCode = 1;
+            });
+    } else {
+        const portIndex = args.indexOf('--port');
+        start(portIndex !== -1 ? parseInt(args[portIndex + 1], 10) : 8080);
+    }
+}
+
+module.exports = { start, addUser };
@@ -403,9 +403,7 @@ function setupEntriesListeners() {
     document.getElementById('applyFiltersBtn')?.addEventListener('click', applyEntriesFiltersAndDisplay);
     document.getElementById('clearFiltersBtn')?.addEventListener('click', () => { ['filterGameId','filterWhatsApp','filterContest','filterDrawDate','filterValidity','filterCutoff'].forEach(id=>document.getElementById(id).value=''); applyEntriesFiltersAndDisplay(); });
     document.getElementById('exportBtn')?.addEventListener('click', () => {
-        let csv = 'Validity,Registration Date/Time,Platform,Game ID,WhatsApp,Chosen Numbers,Draw Date,Contest,Ticket #,Bound Recharge ID,Recharge Time,Recharge Amount,Invalid Reason,Cutoff Flag\n';
-        entriesState.filteredEntries.forEach(e => csv += `"${e.validity}","${e.registrationDateTime}","${e.platform}","${e.gameId}","${e.whatsapp}","${e.chosenNumbers.join(', ')}","${e.drawDate}","${e.contest}","${e.ticketNumber}","${e.boundRechargeId||''}","${e.boundRechargeTime||''}","${e.boundRechargeAmount||''}","${e.invalidReasonCode||''}","${e.cutoffFlag?'YES':'NO'}"\n`);
-        downloadCSV(csv, `entries_export_${new Date().toISOString()}`);
+        ExportService.download(ExportService.build({ name: `entries_export_${new Date().toISOString()}`, rows: entriesState.filteredEntries, columns: ENTRY_EXPORT_COLUMNS, unmasked: true }));
     });
     document.getElementById('prevPageBtn')?.addEventListener('click', () => { if(entriesState.currentPage>1){ entriesState.currentPage--; displayEntries(); } });
     document.getElementById('nextPageBtn')?.addEventListener('click', () => { if(entriesState.currentPage < Math.ceil(entriesState.filteredEntries.length/entriesState.perPage)){ entriesState.currentPage++; displayEntries(); } });
@@ -498,9 +496,7 @@ function setupWinnersListeners() {
     document.getElementById('validateBtn')?.addEventListener('click', validateAndDisplayWinners);
     document.getElementById('exportWinnersBtn')?.addEventListener('click', () => {
         if(winnersState.filteredWinners.length===0){alert('No winners to export');return;}
-        let csv = 'Prize Tier,Matches,Registration Date/Time,Game ID,WhatsApp,Chosen Numbers,Winning Numbers,Matched Numbers,Draw Date,Contest,Ticket #\n';
-        winnersState.filteredWinners.forEach(w => { const v=w.validation; csv+=`"${v.prizeTier.tier}","${v.matches}","${w.registrationDateTime}","${w.gameId}","${w.whatsapp}","${w.chosenNumbers.join(', ')}","${v.winningNumbers.join(', ')}","${v.matchedNumbers.join(', ')}","${w.drawDate}","${w.contest}","${w.ticketNumber}"\n`; });
-        downloadCSV(csv, `winners_export_${new Date().toISOString()}`);
+        ExportService.download(ExportService.build({ name: `winners_export_${new Date().toISOString()}`, rows: winnersState.filteredWinners, columns: WINNER_EXPORT_COLUMNS, unmasked: true }));
     });
     document.getElementById('winnersClearFiltersBtn')?.addEventListener('click', () => { ['winnersFilterContest','winnersFilterDrawDate','filterPrizeTier','winnersFilterWhatsApp'].forEach(id=>document.getElementById(id).value=''); applyWinnersFilters(); });
     ['winnersFilterContest','winnersFilterDrawDate','filterPrizeTier'].forEach(id=>document.getElementById(id)?.addEventListener('change',applyWinnersFilters));
@@ -544,7 +540,21 @@ function hideError() { const el = document.getElementById('errorMessage'); if(el
 function showError(m) { const el = document.getElementById('errorMessage'); if(el){ el.textContent = m; el.style.display = 'block'; } }
 function updateLastUpdateTime() { const el = document.getElementById('lastUpdate'); if(el && dataFetcher.lastFetchTime) el.textContent = dataFetcher.lastFetchTime.toLocaleString('pt-BR'); }
 function setAccountBanner() { const el = document.getElementById('accountBanner'); if(!el || typeof getSession !== 'function') return; const s = getSession(); el.textContent = s && s.account ? `Logged in as: ${s.account}` : 'Logged in as: (session missing)'; }
-function downloadCSV(c, f) { const b = new Blob([c],{type:'text/csv'}), u = window.URL.createObjectURL(b), a = document.createElement('a'); a.href = u; a.download = f+'.csv'; a.click(); }
+// Export columns (ExportService, shared with the main dashboard); exports stay unmasked like the tables until this page has roles
+const ENTRY_EXPORT_COLUMNS = [
+    { key: 'validity', label: 'Validity' }, { key: 'registrationDateTime', label: 'Registration Date/Time' }, { key: 'platform', label: 'Platform' },
+    { key: 'gameId', label: 'Game ID' }, { key: 'whatsapp', label: 'WhatsApp', pii: true }, { key: 'chosenNumbers', label: 'Chosen Numbers' },
+    { key: 'drawDate', label: 'Draw Date' }, { key: 'contest', label: 'Contest' }, { key: 'ticketNumber', label: 'Ticket #' },
+    { key: 'boundRechargeId', label: 'Bound Recharge ID' }, { key: 'boundRechargeTime', label: 'Recharge Time' }, { key: 'boundRechargeAmount', label: 'Recharge Amount' },
+    { key: 'invalidReasonCode', label: 'Invalid Reason' }, { key: 'cutoffFlag', label: 'Cutoff Flag', value: e => e.cutoffFlag ? 'YES' : 'NO' }
+];
+const WINNER_EXPORT_COLUMNS = [
+    { key: 'prizeTier', label: 'Prize Tier', value: w => w.validation.prizeTier.tier }, { key: 'matches', label: 'Matches', value: w => w.validation.matches },
+    { key: 'registrationDateTime', label: 'Registration Date/Time' }, { key: 'gameId', label: 'Game ID' }, { key: 'whatsapp', label: 'WhatsApp', pii: true },
+    { key: 'chosenNumbers', label: 'Chosen Numbers' }, { key: 'winningNumbers', label: 'Winning Numbers', value: w => w.validation.winningNumbers },
+    { key: 'matchedNumbers', label: 'Matched Numbers', value: w => w.validation.matchedNumbers }, { key: 'drawDate', label: 'Draw Date' },
+    { key: 'contest', label: 'Contest' }, { key: 'ticketNumber', label: 'Ticket #' }
+];
 
 function setupAutoRefresh() {
     setInterval(async () => {
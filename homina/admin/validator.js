@@ -39,7 +39,18 @@ class LotteryValidator {
         return { count: matches, matchedNumbers };
     }
 
-    getPrizeTier(matchCount) {
+    // Which match counts win comes from the shared prize rules (js/prize-rules.js):
+    // 2 matches is only a consolation prize when the rule in force says so
+    getPrizeRule(entry) {
+        if (typeof PrizeRules === 'undefined') return null;
+        return PrizeRules.getRule((entry.platform || 'DEFAULT').toUpperCase(), entry.drawDate);
+    }
+
+    getPrizeTier(matchCount, rule = null) {
+        const wins = rule ? PrizeRules.isWinningCount(rule, matchCount) : matchCount >= 3;
+        if (!wins) {
+            return { tier: 'NO PRIZE', color: 'gray', priority: 5, badge: '' };
+        }
         switch(matchCount) {
             case 5: return { tier: 'GRAND PRIZE', color: 'gold', priority: 1, badge: 'badge-gold' };
             case 4: return { tier: '2nd PRIZE', color: 'silver', priority: 2, badge: 'badge-silver' };
@@ -88,7 +99,7 @@ class LotteryValidator {
         }
 
         const matchResult = this.matchNumbers(entry.chosenNumbers, result.winningNumbers);
-        const prizeTier = this.getPrizeTier(matchResult.count);
+        const prizeTier = this.getPrizeTier(matchResult.count, this.getPrizeRule(entry));
 
         return {
             validated: true,
@@ -102,7 +113,7 @@ class LotteryValidator {
     getWinningLevel(entries) {
         let highest = 0;
         entries.forEach(e => {
-            if (e.validation && e.validation.validated) {
+            if (e.validation && e.validation.validated && e.validation.prizeTier.tier !== 'NO PRIZE') {
                 highest = Math.max(highest, e.validation.matches);
             }
         });
@@ -129,7 +140,9 @@ class LotteryValidator {
             const winningLevel = this.getWinningLevel(group);
             if (winningLevel === 0) return;
             const levelWinners = group.filter(e => e.validation.validated && e.validation.matches === winningLevel);
-            const prizePerWinner = levelWinners.length > 0 ? 1000 / levelWinners.length : 0;
+            const rule = this.getPrizeRule(levelWinners[0]);
+            const pool = rule && rule.pool !== 'platform' ? rule.pool : 1000;
+            const prizePerWinner = levelWinners.length > 0 ? pool / levelWinners.length : 0;
             levelWinners.forEach(w => {
                 winners.push({ ...w, prize: prizePerWinner, winningLevel });
             });
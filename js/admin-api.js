@@ -0,0 +1,123 @@
+/**
+ * POP-SORTE Admin Dashboard - Admin API Client
+ *
+ * This module provides:
+ * - Authenticated JSON requests to the admin API (worker/admin-api.js),
+ *   which keeps the records every admin must share: status overrides,
+ *   the payout ledger, result entries, discrepancy resolutions and the
+ *   audit log
+ * - A session-expired logout when the server rejects the token
+ *
+ * The API lives next to the auth endpoint: {endpoint without /auth}/...
+ * (AdminAuth.getEndpoint()).
+ *
+ * Dependencies: admin-core.js (AdminCore), auth.js (AdminAuth)
+ */
+
+// ============================================
+// Admin API Client
+// ============================================
+window.AdminApi = (function() {
+    'use strict';
+
+    // ============================================
+    // Constants
+    // ============================================
+
+    /**
+     * Request timeout in milliseconds (15 seconds)
+     */
+    const REQUEST_TIMEOUT = 15 * 1000;
+
+    // ============================================
+    // Requests
+    // ============================================
+
+    /**
+     * Base URL of the admin API
+     * @returns {string} URL without trailing slash
+     */
+    function getBaseUrl() {
+        return AdminAuth.getEndpoint().replace(/\/auth\/?$/, '');
+    }
+
+    /**
+     * Whether requests can be made (a session exists)
+     * @returns {boolean} True if signed in
+     */
+    function isAvailable() {
+        return !!AdminCore.getSession()?.token;
+    }
+
+    /**
+     * Call the admin API
+     * @param {string} method - GET, POST, PUT or DELETE
+     * @param {string} path - Path below the base URL (e.g. /overrides)
+     * @param {Object} [body] - JSON body
+     * @returns {Promise<Object>} Response JSON ({} for 204)
+     * @throws {Error} With a user-facing message and a status property (0 = network)
+     */
+    async function request(method, path, body) {
+        const token = AdminCore.getSession()?.token;
+        if (!token) {
+            const error = new Error('Not signed in');
+            error.status = 401;
+            throw error;
+        }
+
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), REQUEST_TIMEOUT);
+        let response;
+        try {
+            response = await fetch(`${getBaseUrl()}${path}`, {
+                method,
+                headers: {
+                    Authorization: `Bearer ${token}`,
+                    ...(body ? { 'Content-Type': 'application/json' } : {})
+                },
+                body: body ? JSON.stringify(body) : undefined,
+                cache: 'no-store',
+                signal: controller.signal
+            });
+        } catch (e) {
+            const error = new Error(e.name === 'AbortError'
+                ? 'Admin server timed out - please try again'
+                : 'Admin server unreachable - please try again');
+            error.status = 0;
+            throw error;
+        } finally {
+            clearTimeout(timeoutId);
+        }
+
+        const text = await response.text();
+        let data = {};
+        try {
+            data = text ? JSON.parse(text) : {};
+        } catch (e) {
+            // Non-JSON error page - status is enough
+        }
+
+        if (response.status === 401) {
+            AdminAuth.handleLogout({ notifyServer: false, message: 'Session expired - please sign in again' });
+        }
+        if (!response.ok) {
+            const error = new Error(data.error || `Admin server error (HTTP ${response.status})`);
+            error.status = response.status;
+            throw error;
+        }
+        return data;
+    }
+
+    // ============================================
+    // Public API
+    // ============================================
+    return {
+        request,
+        isAvailable,
+        getBaseUrl,
+        get: path => request('GET', path),
+        post: (path, body = {}) => request('POST', path, body),
+        put: (path, body = {}) => request('PUT', path, body),
+        delete: path => request('DELETE', path)
+    };
+})();
@@ -3,12 +3,18 @@
  * 
  * This module provides:
  * - Scroll-based navigation for unified single-page layout
- * - Session management with 12-hour TTL
+ * - Session management (signed tokens issued by the auth server, see auth.js)
+ * - Role checks for the signed-in user (see permissions.js)
  * - Shared utility functions (BRT timezone, CSV parsing)
  * - Auto-refresh mechanism (3 minutes)
  * - Event bus for inter-module communication
  * - Toast notification system
  * - Platform switching (ALL, POPN1, POPLUZ)
+ * - Prize pools per platform, kept by the admin API (/prize-pools); the
+ *   copy in localStorage is a cache, replaced at sign-in and on every refresh
+ * 
+ * Dependencies: permissions.js (AdminPermissions),
+ *               admin-api.js (AdminApi, loaded after this module; not in the compute worker)
  */
 
 // ============================================
@@ -21,9 +27,8 @@ window.AdminCore = (function() {
     // Constants
     // ============================================
     const SESSION_KEY = 'popsorte_admin_session';
-    const SESSION_TTL = 12 * 60 * 60 * 1000; // 12 hours in milliseconds
     const REFRESH_INTERVAL = 180 * 1000; // 3 minutes
-    const VALID_SECTIONS = ['dashboard', 'entries', 'results', 'winners'];
+    const VALID_SECTIONS = ['dashboard', 'entries', 'results', 'picks', 'winners', 'payouts', 'review', 'audit'];
     const DEFAULT_SECTION = 'dashboard';
     
     /**
@@ -35,7 +40,8 @@ window.AdminCore = (function() {
     
     /**
      * Platform-specific prize pools (R$)
-     * Can be configured per platform
+     * Defaults - changed per platform with setPlatformPrize (finance/superadmin);
+     * the admin API keeps the same defaults
      */
     const PLATFORM_PRIZES = {
         'POPN1': 1000,
@@ -43,6 +49,11 @@ window.AdminCore = (function() {
         'DEFAULT': 1000
     };
 
+    /**
+     * localStorage key for the cached prize pools
+     */
+    const PRIZES_KEY = 'popsorte_platform_prizes';
+
     // ============================================
     // State
     // ============================================
@@ -51,6 +62,7 @@ window.AdminCore = (function() {
     let refreshTimer = null;
     let isRefreshing = false;
     let isPageLoading = false;
+    let prizeOverrides = loadPrizeOverrides();
     const eventListeners = {};
 
     // ============================================
@@ -279,6 +291,21 @@ window.AdminCore = (function() {
         return '***' + digits.slice(-4);
     }
 
+    // ============================================
+    // HTML Escaping
+    // ============================================
+    
+    /**
+     * Escape free text typed by admins before putting it in HTML
+     * @param {*} value - Text
+     * @returns {string} HTML-safe text (also safe inside quoted attributes)
+     */
+    function escapeHtml(value) {
+        return String(value ?? '').replace(/[&<>"']/g, ch => ({
+            '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+        })[ch]);
+    }
+
     // ============================================
     // Number Ball Color Utility
     // ============================================
@@ -442,7 +469,9 @@ window.AdminCore = (function() {
     
     /**
      * Get current session from sessionStorage
-     * @returns {Object|null} Session object or null if expired/invalid
+     * Sessions hold the signed token issued by the auth server (see auth.js);
+     * the server re-verifies it, this only checks presence and expiry.
+     * @returns {Object|null} { username, role, token, createdAt, expiresAt } or null if expired/invalid
      */
     function getSession() {
         try {
@@ -452,8 +481,8 @@ window.AdminCore = (function() {
             const session = JSON.parse(sessionData);
             const now = Date.now();
 
-            // Check if session has expired
-            if (session.expiresAt && now > session.expiresAt) {
+            // Unsigned sessions from older builds are not accepted
+            if (!session.token || !session.expiresAt || now > session.expiresAt) {
                 clearSession();
                 return null;
             }
@@ -466,15 +495,17 @@ window.AdminCore = (function() {
     }
 
     /**
-     * Create a new session
-     * @param {string} username - Authenticated username
+     * Create a new session from an auth server grant
+     * @param {Object} grant - { username, role, token, expiresAt } from the login endpoint
      * @returns {Object} Created session object
      */
-    function createSession(username) {
+    function createSession({ username, role, token, expiresAt }) {
         const session = {
             username,
+            role: AdminPermissions.normalizeRole(role),
+            token,
             createdAt: Date.now(),
-            expiresAt: Date.now() + SESSION_TTL
+            expiresAt
         };
         sessionStorage.setItem(SESSION_KEY, JSON.stringify(session));
         return session;
@@ -495,6 +526,38 @@ window.AdminCore = (function() {
         return getSession() !== null;
     }
 
+    // ============================================
+    // Permissions (see permissions.js)
+    // ============================================
+
+    /**
+     * Check if the signed-in user may perform an action
+     * @param {string} permission - AdminPermissions.Permission value
+     * @returns {boolean} True if granted (false when signed out)
+     */
+    function can(permission) {
+        const session = getSession();
+        return !!session && AdminPermissions.can(session.role, permission);
+    }
+
+    /**
+     * Hide or disable elements the current role may not use
+     * Elements declare data-permission="<permission>"; add
+     * data-permission-mode="disable" to disable instead of hide.
+     * @param {HTMLElement|Document} root - Container to scan
+     */
+    function applyPermissions(root = document) {
+        root.querySelectorAll('[data-permission]').forEach(el => {
+            const allowed = can(el.dataset.permission);
+            if (el.dataset.permissionMode === 'disable') {
+                el.disabled = !allowed;
+                el.title = allowed ? (el.dataset.title || '') : 'Not available for your role';
+            } else {
+                el.classList.toggle('permission-hidden', !allowed);
+            }
+        });
+    }
+
     // ============================================
     // Platform Management
     // ============================================
@@ -535,7 +598,84 @@ window.AdminCore = (function() {
      * @returns {number} Prize pool amount in R$
      */
     function getPlatformPrize(platform) {
-        return PLATFORM_PRIZES[platform] || PLATFORM_PRIZES.DEFAULT;
+        return getPlatformPrizes()[platform] || getPlatformPrizes().DEFAULT;
+    }
+
+    /**
+     * Get the prize pool table (defaults plus changes)
+     * @returns {Object} Platform code -> R$
+     */
+    function getPlatformPrizes() {
+        return { ...PLATFORM_PRIZES, ...prizeOverrides };
+    }
+
+    /**
+     * Read cached prize pools from localStorage
+     * @returns {Object} Platform code -> R$
+     */
+    function loadPrizeOverrides() {
+        try {
+            return JSON.parse(localStorage.getItem(PRIZES_KEY) || '{}') || {};
+        } catch (e) {
+            return {};
+        }
+    }
+
+    /**
+     * Cache the server's prize pools
+     * @param {Object} pools - Platform code -> R$
+     * @returns {boolean} True if any pool changed
+     */
+    function cachePlatformPrizes(pools) {
+        const changed = JSON.stringify(pools) !== JSON.stringify(getPlatformPrizes());
+        prizeOverrides = { ...pools };
+        try {
+            localStorage.setItem(PRIZES_KEY, JSON.stringify(prizeOverrides));
+        } catch (e) {
+            console.warn('Could not persist prize pools:', e);
+        }
+        return changed;
+    }
+
+    /**
+     * Reload the prize pools from the admin API
+     * @returns {Promise<void>}
+     */
+    async function refreshPlatformPrizes() {
+        const { pools } = await AdminApi.get('/prize-pools');
+        if (cachePlatformPrizes(pools)) {
+            emit('prizePoolChange', { platform: null, amount: null, previous: null });
+        }
+    }
+
+    /**
+     * Change a platform's prize pool (requires prize.change permission)
+     * The admin API checks the permission again and records the change.
+     * @param {string} platform - Platform code (or DEFAULT)
+     * @param {number} amount - Prize pool in R$
+     * @returns {Promise<void>}
+     */
+    async function setPlatformPrize(platform, amount) {
+        if (!can(AdminPermissions.Permission.CHANGE_PRIZE_POOL)) {
+            throw new Error('Your role cannot change prize pools');
+        }
+        const value = Number(amount);
+        if (!PLATFORM_PRIZES[platform] || !isFinite(value) || value <= 0) {
+            throw new Error(`Invalid prize pool for ${platform}: ${amount}`);
+        }
+
+        const previous = getPlatformPrize(platform);
+        const { pools } = await AdminApi.put(`/prize-pools/${encodeURIComponent(platform)}`, { amount: value });
+        cachePlatformPrizes(pools);
+        emit('prizePoolChange', { platform, amount: pools[platform], previous });
+    }
+
+    /**
+     * Adopt a prize pool table without persisting it (compute worker sync)
+     * @param {Object} prizes - Result of getPlatformPrizes
+     */
+    function usePlatformPrizes(prizes) {
+        prizeOverrides = { ...prizes };
     }
 
     /**
@@ -630,7 +770,7 @@ window.AdminCore = (function() {
         const sections = VALID_SECTIONS.map(name => ({
             name,
             el: document.getElementById(`section-${name}`)
-        })).filter(s => s.el);
+        })).filter(s => s.el && !s.el.classList.contains('permission-hidden'));
 
         if (sections.length === 0) return;
 
@@ -687,9 +827,9 @@ window.AdminCore = (function() {
         // Initial detection
         setTimeout(handleScrollDetection, 200);
 
-        // Handle hash on load - clean up invalid hashes
+        // Handle hash on load - clean up invalid hashes (player profile links are opened by UnifiedPage)
         const hash = window.location.hash.slice(1).replace('section-', '');
-        if (hash) {
+        if (hash && !hash.startsWith('player-')) {
             if (VALID_SECTIONS.includes(hash)) {
                 setTimeout(() => scrollToSection(hash), 100);
             } else {
@@ -719,8 +859,9 @@ window.AdminCore = (function() {
 
     /**
      * Trigger data refresh
+     * @param {Object} options - { manual: true when the admin clicked refresh }
      */
-    async function refreshData() {
+    async function refreshData({ manual = false } = {}) {
         // Skip refresh if page is loading or already refreshing
         if (isRefreshing || isPageLoading) {
             console.log('Skipping auto-refresh - page is loading or already refreshing');
@@ -735,7 +876,7 @@ window.AdminCore = (function() {
         }
 
         try {
-            emit('refresh');
+            emit('refresh', { manual });
             updateLastRefreshDisplay();
         } catch (error) {
             console.error('Refresh error:', error);
@@ -754,7 +895,7 @@ window.AdminCore = (function() {
      */
     function startAutoRefresh() {
         stopAutoRefresh();
-        refreshTimer = setInterval(refreshData, REFRESH_INTERVAL);
+        refreshTimer = setInterval(() => refreshData(), REFRESH_INTERVAL);
     }
 
     /**
@@ -790,6 +931,11 @@ window.AdminCore = (function() {
         if (userNameEl && session) {
             userNameEl.textContent = session.username;
         }
+        const roleEl = document.getElementById('currentUserRole');
+        if (roleEl && session) {
+            roleEl.textContent = AdminPermissions.getRoleLabel(session.role);
+        }
+        applyPermissions();
 
         // Initialize navigation and platform switcher when app is shown
         // This ensures they're initialized both on refresh (when already logged in)
@@ -883,7 +1029,7 @@ window.AdminCore = (function() {
         // Refresh button
         const refreshBtn = document.getElementById('refreshBtn');
         if (refreshBtn) {
-            refreshBtn.addEventListener('click', refreshData);
+            refreshBtn.addEventListener('click', () => refreshData({ manual: true }));
         }
 
         // Modal close buttons
@@ -907,8 +1053,17 @@ window.AdminCore = (function() {
         window.addEventListener('offline', () => setConnectionStatus(false));
         setConnectionStatus(navigator.onLine);
 
+        // Prize pools follow the server (other admins may change them)
+        const syncPrizes = () => {
+            if (typeof AdminApi === 'undefined' || !AdminApi.isAvailable()) return;
+            refreshPlatformPrizes().catch(error => console.warn('Could not load prize pools:', error.message));
+        };
+        on('login', syncPrizes);
+        on('refresh', syncPrizes);
+
         // Check authentication
         if (isAuthenticated()) {
+            syncPrizes();
             showApp(); // This now initializes scroll nav and platform switcher
             startAutoRefresh();
             updateLastRefreshDisplay();
@@ -919,8 +1074,11 @@ window.AdminCore = (function() {
         console.log('AdminCore: Initialized');
     }
 
-    // Initialize when DOM is ready
-    if (document.readyState === 'loading') {
+    // Initialize when DOM is ready (skipped inside the compute worker,
+    // which only uses the date utilities)
+    if (typeof document === 'undefined') {
+        // Web Worker - no UI
+    } else if (document.readyState === 'loading') {
         document.addEventListener('DOMContentLoaded', init);
     } else {
         init();
@@ -940,6 +1098,8 @@ window.AdminCore = (function() {
         createSession,
         clearSession,
         isAuthenticated,
+        can,
+        applyPermissions,
         
         // Navigation
         scrollToSection,
@@ -949,6 +1109,10 @@ window.AdminCore = (function() {
         getCurrentPlatform,
         setCurrentPlatform,
         getPlatformPrize,
+        getPlatformPrizes,
+        setPlatformPrize,
+        refreshPlatformPrizes,
+        usePlatformPrizes,
         
         // UI
         showApp,
@@ -976,6 +1140,7 @@ window.AdminCore = (function() {
         parseCSVLine,
         detectDelimiter,
         maskWhatsApp,
+        escapeHtml,
         getBallColorClass,
         
         // Performance utilities
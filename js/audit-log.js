@@ -0,0 +1,497 @@
+/**
+ * POP-SORTE Admin Dashboard - Audit Log Module
+ *
+ * Record of admin actions for compliance reviews: logins and logouts,
+ * exports, ticket detail views, player profile views, status overrides,
+ * prize pool changes, jackpot publications, payout status changes, results entered in the
+ * dashboard, official result checks, resolved result discrepancies, risk
+ * flag reviews, platform switches and manual refreshes.
+ *
+ * The log is kept by the admin API (POST/GET /audit), not by the browser.
+ * Each entry keeps the user, role, time and a SHA-256 hash of its payload,
+ * and every hash covers the previous entry's hash. The server assigns the
+ * sequence number, takes the user and role from the session token and
+ * records logins, logouts and every change it makes itself.
+ *
+ * This browser holds:
+ * - an outbox (localStorage, popsorte_audit_outbox) of actions not yet
+ *   accepted by the server, sent again on the next record, login or refresh
+ * - for roles that may view the log, a cached copy in the IndexedDB "audit"
+ *   store (in memory only when IndexedDB is unavailable) for the table.
+ *   verify() and exportJSON() download the server's chain in full rather
+ *   than trusting the cache.
+ *
+ * Recorded automatically from events: riskReviewChange, platformChange and
+ * manual refresh. Other actions call AuditLog.record()
+ * where they happen (unified-page.js).
+ *
+ * Dependencies: admin-core.js (AdminCore), permissions.js (AdminPermissions),
+ *               admin-api.js (AdminApi), data-db.js (DataDB)
+ */
+
+// ============================================
+// Audit Log Module
+// ============================================
+window.AuditLog = (function() {
+    'use strict';
+
+    // ============================================
+    // Constants
+    // ============================================
+
+    /**
+     * Recorded actions
+     */
+    const Action = {
+        LOGIN: 'auth.login',
+        LOGIN_FAILED: 'auth.login_failed',
+        LOGOUT: 'auth.logout',
+        EXPORT_ENTRIES: 'export.entries',
+        EXPORT_WINNERS: 'export.winners',
+        EXPORT_TRACE: 'export.trace',
+        EXPORT_AUDIT: 'export.audit',
+        EXPORT_ANALYTICS: 'export.analytics',
+        EXPORT_REPORT: 'export.report',
+        TICKET_VIEW: 'ticket.view',
+        PLAYER_VIEW: 'player.view',
+        STATUS_OVERRIDE: 'ticket.override',
+        STATUS_OVERRIDE_CLEARED: 'ticket.override_cleared',
+        PRIZE_POOL_CHANGE: 'prize.change',
+        JACKPOT_PUBLISHED: 'jackpot.published',
+        PAYOUT_STATUS_CHANGE: 'payout.status',
+        RESULT_SUBMITTED: 'result.submitted',
+        RESULT_CONFIRMED: 'result.confirmed',
+        RESULT_DISCARDED: 'result.discarded',
+        RESULT_DISCREPANCY_RESOLVED: 'result.resolved',
+        RESULT_VERIFIED: 'result.verified',
+        RISK_REVIEWED: 'risk.review',
+        PLATFORM_CHANGE: 'platform.change',
+        MANUAL_REFRESH: 'data.refresh'
+    };
+
+    /**
+     * Display labels per action
+     */
+    const ACTION_LABELS = {
+        [Action.LOGIN]: 'Login',
+        [Action.LOGIN_FAILED]: 'Failed login',
+        [Action.LOGOUT]: 'Logout',
+        [Action.EXPORT_ENTRIES]: 'Entries export',
+        [Action.EXPORT_WINNERS]: 'Winners export',
+        [Action.EXPORT_TRACE]: 'Decision trace export',
+        [Action.EXPORT_AUDIT]: 'Audit log export',
+        [Action.EXPORT_ANALYTICS]: 'Analytics table export',
+        [Action.EXPORT_REPORT]: 'Report generated',
+        [Action.TICKET_VIEW]: 'Ticket details viewed',
+        [Action.PLAYER_VIEW]: 'Player profile viewed',
+        [Action.STATUS_OVERRIDE]: 'Status override',
+        [Action.STATUS_OVERRIDE_CLEARED]: 'Status override removed',
+        [Action.PRIZE_POOL_CHANGE]: 'Prize pool change',
+        [Action.JACKPOT_PUBLISHED]: 'Jackpot published',
+        [Action.PAYOUT_STATUS_CHANGE]: 'Payout status change',
+        [Action.RESULT_SUBMITTED]: 'Result entered',
+        [Action.RESULT_CONFIRMED]: 'Result confirmed',
+        [Action.RESULT_DISCARDED]: 'Result entry discarded',
+        [Action.RESULT_DISCREPANCY_RESOLVED]: 'Result discrepancy resolved',
+        [Action.RESULT_VERIFIED]: 'Results checked against official source',
+        [Action.RISK_REVIEWED]: 'Risk flags reviewed',
+        [Action.PLATFORM_CHANGE]: 'Platform switch',
+        [Action.MANUAL_REFRESH]: 'Manual refresh'
+    };
+
+    /**
+     * prevHash of the first entry
+     */
+    const GENESIS_HASH = '0'.repeat(64);
+
+    /**
+     * localStorage key of actions waiting for the server
+     */
+    const OUTBOX_KEY = 'popsorte_audit_outbox';
+
+    /**
+     * Most actions kept waiting (oldest dropped first)
+     */
+    const OUTBOX_LIMIT = 500;
+
+    /**
+     * Actions the server records itself and refuses from the dashboard
+     */
+    const SERVER_ACTIONS = new Set([
+        Action.LOGIN, Action.LOGIN_FAILED, Action.LOGOUT,
+        Action.PRIZE_POOL_CHANGE, Action.JACKPOT_PUBLISHED,
+        Action.STATUS_OVERRIDE, Action.STATUS_OVERRIDE_CLEARED,
+        Action.PAYOUT_STATUS_CHANGE,
+        Action.RESULT_SUBMITTED, Action.RESULT_CONFIRMED, Action.RESULT_DISCARDED,
+        Action.RESULT_DISCREPANCY_RESOLVED, Action.RESULT_VERIFIED
+    ]);
+
+    // ============================================
+    // State
+    // ============================================
+    let entries = [];
+    let persistent = false;
+    let outbox = loadOutbox();
+    let sendQueue = Promise.resolve();
+    const ready = load();
+
+    // ============================================
+    // Hashing
+    // ============================================
+
+    /**
+     * Serialize a value with sorted object keys (stable hash input)
+     * @param {*} value - JSON-safe value
+     * @returns {string} Canonical JSON
+     */
+    function canonicalJSON(value) {
+        if (Array.isArray(value)) {
+            return `[${value.map(canonicalJSON).join(',')}]`;
+        }
+        if (value && typeof value === 'object') {
+            return `{${Object.keys(value).sort().map(k => `${JSON.stringify(k)}:${canonicalJSON(value[k])}`).join(',')}}`;
+        }
+        return JSON.stringify(value === undefined ? null : value);
+    }
+
+    /**
+     * SHA-256 of a string
+     * @param {string} text - Input
+     * @returns {Promise<string>} Lowercase hex digest
+     */
+    async function sha256(text) {
+        const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+        return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+    }
+
+    /**
+     * Hash input of an entry (everything except the hash itself, as worker/admin-api.js)
+     * @param {Object} entry - Audit entry
+     * @returns {string} Chain input
+     */
+    function chainInput(entry) {
+        return [entry.prevHash, entry.seq, entry.action, entry.user, entry.role, entry.timestamp, entry.recordedAt, entry.payloadHash].join('|');
+    }
+
+    /**
+     * Recompute every hash of a chain
+     * @param {Object[]} chain - Entries in seq order, starting at seq 1
+     * @returns {Promise<Object>} { ok, checked, brokenAt: seq of the first bad entry or null }
+     */
+    async function checkChain(chain) {
+        let prevHash = GENESIS_HASH;
+        for (let i = 0; i < chain.length; i++) {
+            const entry = chain[i];
+            const payloadHash = await sha256(canonicalJSON(entry.payload));
+            const valid = entry.seq === i + 1 &&
+                entry.prevHash === prevHash &&
+                entry.payloadHash === payloadHash &&
+                entry.hash === await sha256(chainInput(entry));
+            if (!valid) {
+                return { ok: false, checked: chain.length, brokenAt: entry.seq };
+            }
+            prevHash = entry.hash;
+        }
+        return { ok: true, checked: chain.length, brokenAt: null };
+    }
+
+    // ============================================
+    // Cache
+    // ============================================
+
+    /**
+     * Load the cached copy
+     * @returns {Promise<void>}
+     */
+    async function load() {
+        if (typeof DataDB === 'undefined' || !DataDB.isSupported()) return;
+        try {
+            entries = await DataDB.getAll(DataDB.Stores.AUDIT);
+            persistent = true;
+        } catch (e) {
+            console.warn('AuditLog: IndexedDB unavailable, caching the log in memory', e);
+            return;
+        }
+
+        // Written by the browser-only log, whose numbering clashes with the server's
+        if (entries.some(e => !e.recordedAt)) {
+            await replaceCache([]);
+        }
+    }
+
+    /**
+     * Replace the cached copy
+     * @param {Object[]} chain - Server entries in seq order
+     * @returns {Promise<void>}
+     */
+    async function replaceCache(chain) {
+        entries = chain;
+        if (persistent) {
+            await DataDB.replaceAll(DataDB.Stores.AUDIT, chain)
+                .catch(error => console.warn('AuditLog: Could not cache the log', error));
+        }
+        AdminCore.emit('auditRecorded', null);
+    }
+
+    /**
+     * Add server entries to the end of the cached copy
+     * @param {Object[]} list - Server entries in seq order
+     * @returns {boolean} False if they do not continue the cached chain
+     */
+    function extendCache(list) {
+        const last = entries[entries.length - 1];
+        const fresh = list.filter(e => !last || e.seq > last.seq);
+        if (fresh.length === 0) return true;
+        if (fresh[0].seq !== (last ? last.seq : 0) + 1 || fresh[0].prevHash !== (last ? last.hash : GENESIS_HASH)) {
+            return false;
+        }
+
+        entries = entries.concat(fresh);
+        if (persistent) {
+            DataDB.applyChanges(DataDB.Stores.AUDIT, { put: fresh })
+                .catch(error => console.warn('AuditLog: Could not cache the log', error));
+        }
+        AdminCore.emit('auditRecorded', fresh[fresh.length - 1]);
+        return true;
+    }
+
+    /**
+     * Download server entries
+     * @param {number} after - Last seq already known (0 for the whole chain)
+     * @returns {Promise<Object[]>} Entries in seq order
+     */
+    async function fetchAfter(after) {
+        const chain = [];
+        for (;;) {
+            const page = await AdminApi.get(`/audit?after=${after}`);
+            chain.push(...(page.entries || []));
+            if (!page.more || chain.length === 0) return chain;
+            after = chain[chain.length - 1].seq;
+        }
+    }
+
+    /**
+     * Fetch entries the cached copy does not have yet
+     * Starts over when the cache does not continue into the server's chain.
+     * @returns {Promise<boolean>} True if the cache changed
+     */
+    async function refresh() {
+        await ready;
+        if (!AdminCore.can(AdminPermissions.Permission.VIEW_AUDIT_LOG)) return false;
+
+        const last = entries[entries.length - 1];
+        const fresh = await fetchAfter(last ? last.seq : 0);
+        if (extendCache(fresh)) return fresh.length > 0;
+
+        await replaceCache(await fetchAfter(0));
+        return true;
+    }
+
+    // ============================================
+    // Recording
+    // ============================================
+
+    /**
+     * Read the outbox
+     * @returns {Object[]} Waiting actions { action, payload, timestamp, user }
+     */
+    function loadOutbox() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(OUTBOX_KEY) || '[]');
+            return Array.isArray(stored) ? stored : [];
+        } catch (e) {
+            return [];
+        }
+    }
+
+    /**
+     * Write the outbox
+     */
+    function saveOutbox() {
+        try {
+            localStorage.setItem(OUTBOX_KEY, JSON.stringify(outbox));
+        } catch (e) {
+            console.warn('AuditLog: Could not save the outbox', e);
+        }
+    }
+
+    /**
+     * Send the signed-in user's waiting actions, oldest first
+     * Stops at the first one the server cannot take now (offline, session
+     * expired, server error) and drops those it refuses outright.
+     * @returns {Promise<Set<Object>>} Actions the server accepted
+     */
+    async function flush() {
+        const sent = new Set();
+        const session = AdminCore.getSession();
+        if (!session || !AdminApi.isAvailable()) return sent;
+
+        for (const item of outbox.filter(i => i.user === session.username)) {
+            try {
+                const entry = await AdminApi.post('/audit', { action: item.action, payload: item.payload, timestamp: item.timestamp });
+                sent.add(item);
+                if (AdminCore.can(AdminPermissions.Permission.VIEW_AUDIT_LOG) && !extendCache([entry])) {
+                    await refresh().catch(error => console.warn('AuditLog: Could not load the log', error.message));
+                }
+            } catch (error) {
+                if (error.status === 0 || error.status === 401 || error.status === 429 || error.status >= 500) break;
+                console.error(`AuditLog: Server refused ${item.action}`, error.message);
+            }
+            outbox = outbox.filter(i => i !== item);
+            saveOutbox();
+        }
+        return sent;
+    }
+
+    /**
+     * Queue a flush behind the ones already running
+     * @returns {Promise<Set<Object>>} Actions the server accepted
+     */
+    function queueFlush() {
+        const pending = sendQueue.then(flush);
+        sendQueue = pending.catch(error => {
+            console.error('AuditLog: Could not send actions', error);
+            return new Set();
+        });
+        return sendQueue;
+    }
+
+    /**
+     * Record an admin action
+     * User and time are taken now; the action waits in the outbox until the
+     * server accepts it. Actions the server records itself are ignored.
+     * @param {string} action - Action value
+     * @param {Object} payload - JSON-safe details (never full contact data)
+     * @returns {Promise<boolean>} True once the server has recorded it
+     */
+    function record(action, payload = {}) {
+        const session = AdminCore.getSession();
+        if (SERVER_ACTIONS.has(action)) return Promise.resolve(false);
+        if (!session) {
+            console.warn(`AuditLog: Not signed in, ${action} not recorded`);
+            return Promise.resolve(false);
+        }
+
+        const item = { action, payload, timestamp: Date.now(), user: session.username };
+        outbox.push(item);
+        if (outbox.length > OUTBOX_LIMIT) {
+            console.warn(`AuditLog: Outbox full, dropping ${outbox.length - OUTBOX_LIMIT} oldest actions`);
+            outbox = outbox.slice(-OUTBOX_LIMIT);
+        }
+        saveOutbox();
+
+        return queueFlush().then(sent => sent.has(item));
+    }
+
+    // ============================================
+    // Reading
+    // ============================================
+
+    /**
+     * Search the cached copy, newest first
+     * @param {Object} filters - { search: text in user/action/payload, action, user, from, to (ms) }
+     * @returns {Object[]} Matching entries
+     */
+    function query({ search = '', action = '', user = '', from = null, to = null } = {}) {
+        const term = search.trim().toLowerCase();
+        return entries.filter(e => {
+            if (action && e.action !== action) return false;
+            if (user && e.user !== user) return false;
+            if (from && e.timestamp < from) return false;
+            if (to && e.timestamp > to) return false;
+            if (!term) return true;
+            return [e.user, e.action, ACTION_LABELS[e.action], JSON.stringify(e.payload)]
+                .some(text => String(text || '').toLowerCase().includes(term));
+        }).reverse();
+    }
+
+    /**
+     * Download the server's chain, check every hash and cache it
+     * @returns {Promise<Object>} { ok, checked, brokenAt: seq of the first bad entry or null }
+     */
+    async function verify() {
+        await ready;
+        await queueFlush();
+
+        const chain = await fetchAfter(0);
+        const result = await checkChain(chain);
+        await replaceCache(chain);
+        return result;
+    }
+
+    /**
+     * Download entries as JSON for a compliance review (recorded itself)
+     * @param {Object} filters - Same as query(); {} exports everything
+     * @returns {Promise<number>} Number of exported entries
+     */
+    async function exportJSON(filters = {}) {
+        if (!AdminCore.can(AdminPermissions.Permission.VIEW_AUDIT_LOG)) {
+            throw new Error('Your role cannot export the audit log');
+        }
+
+        const verification = await verify();
+        const selected = query(filters).reverse();
+        const doc = {
+            exportedAt: new Date().toISOString(),
+            exportedBy: AdminCore.getSession()?.username || 'anonymous',
+            filters,
+            verification,
+            hashAlgorithm: 'SHA-256',
+            entries: selected
+        };
+
+        const blob = new Blob([JSON.stringify(doc, null, 2)], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `audit_log_${AdminCore.getBrazilDateString(new Date())}.json`;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+
+        record(Action.EXPORT_AUDIT, { count: selected.length, filters });
+        return selected.length;
+    }
+
+    // ============================================
+    // Event Capture
+    // ============================================
+    AdminCore.on('riskReviewChange', ({ gameId, review }) => {
+        record(Action.RISK_REVIEWED, { gameId, decision: review.decision, score: review.score, flags: review.flags, note: review.note });
+    });
+
+    AdminCore.on('platformChange', ({ platform }) => {
+        record(Action.PLATFORM_CHANGE, { platform });
+    });
+
+    AdminCore.on('refresh', (options) => {
+        if (options && options.manual) record(Action.MANUAL_REFRESH, {});
+    });
+
+    // ============================================
+    // Server Sync
+    // ============================================
+    const sync = () => {
+        if (!AdminApi.isAvailable()) return;
+        queueFlush();
+        refresh().catch(error => console.warn('AuditLog: Could not load the log', error.message));
+    };
+    AdminCore.on('login', sync);
+    AdminCore.on('refresh', sync);
+    sync();
+
+    // ============================================
+    // Public API
+    // ============================================
+    return {
+        record,
+        query,
+        refresh,
+        verify,
+        exportJSON,
+        whenReady: () => ready,
+        getActionLabel: action => ACTION_LABELS[action] || action,
+
+        // Constants
+        Action,
+        ACTION_LABELS
+    };
+})();
@@ -3,11 +3,25 @@
  * 
  * This module handles:
  * - Login form submission and validation
- * - Credential verification against Google Sheets
- * - Session creation and management
- * - Logout functionality
+ * - Credential verification by the auth server (never in the browser)
+ * - Session creation and management (signed, expiring tokens)
+ * - Logout functionality (token invalidated server-side)
  * 
- * Dependencies: admin-core.js (AdminCore)
+ * Auth server contract (the /auth routes of the admin API, worker/admin-api.js;
+ * production: popsorte-admin worker, development: dev/admin-server.js, which
+ * serves the dashboard on http://localhost:8080/):
+ *   POST {endpoint}/login    { username, password } -> { username, role, token, expiresAt }
+ *                            401 bad credentials, 429 { retryAfter } rate limited
+ *   GET  {endpoint}/session  Bearer token -> 200 { username, role, expiresAt }, 401 expired/revoked
+ *   POST {endpoint}/logout   Bearer token -> 204 token revoked
+ * Passwords are stored hashed on the server; tokens are signed there.
+ * 
+ * The endpoint can be overridden through localStorage (key: popsorte_auth_endpoint)
+ * or AdminAuth.setEndpoint().
+ * 
+ * Logins, failed logins and logouts are written to the audit log by the server.
+ *
+ * Dependencies: admin-core.js (AdminCore), permissions.js (AdminPermissions)
  */
 
 // ============================================
@@ -19,68 +33,103 @@ window.AdminAuth = (function() {
     // ============================================
     // Constants
     // ============================================
-    
+
     /**
-     * Google Sheet URL for admin credentials
-     * Sheet contains: username, password columns
+     * localStorage key holding an endpoint override
      */
-    const AUTH_SHEET_URL = 'https://docs.google.com/spreadsheets/d/1PK0qI9PRWaleD6jpn-aQToJ2Mn7PRW0wWfCwd2o0QPE/export?format=csv';
+    const ENDPOINT_KEY = 'popsorte_auth_endpoint';
+
+    /**
+     * Production auth endpoint
+     */
+    const DEFAULT_ENDPOINT = 'https://popsorte-admin.danilla-vargas1923.workers.dev/admin/auth';
+
+    /**
+     * Endpoint of the local dev server (dev/admin-server.js)
+     */
+    const DEV_ENDPOINT = '/admin/auth';
+
+    /**
+     * Request timeout in milliseconds (15 seconds)
+     */
+    const REQUEST_TIMEOUT = 15 * 1000;
 
     // ============================================
     // State
     // ============================================
-    let credentials = null;
     let isLoading = false;
 
     // ============================================
-    // Credential Loading
+    // Auth Server
     // ============================================
-    
+
     /**
-     * Fetch credentials from Google Sheet
-     * @returns {Promise<Object[]>} Array of credential objects {username, password}
+     * Get the auth endpoint
+     * @returns {string} Endpoint URL (override, dev server on localhost, else production)
      */
-    async function fetchCredentials() {
+    function getEndpoint() {
         try {
-            const url = `${AUTH_SHEET_URL}&t=${Date.now()}`;
-            const response = await fetch(url, {
-                cache: 'no-store',
-                redirect: 'follow'
-            });
+            const override = localStorage.getItem(ENDPOINT_KEY);
+            if (override) return override;
+        } catch (e) {
+            // Ignore - storage unavailable
+        }
+        return ['localhost', '127.0.0.1'].includes(location.hostname) ? DEV_ENDPOINT : DEFAULT_ENDPOINT;
+    }
 
-            if (!response.ok) {
-                throw new Error(`HTTP ${response.status}`);
+    /**
+     * Override the auth endpoint
+     * @param {string|null} url - Endpoint URL, or null to restore the default
+     */
+    function setEndpoint(url) {
+        try {
+            if (url) {
+                localStorage.setItem(ENDPOINT_KEY, url);
+            } else {
+                localStorage.removeItem(ENDPOINT_KEY);
             }
+        } catch (e) {
+            console.warn('AdminAuth: Could not persist endpoint', e);
+        }
+    }
 
-            const csvText = await response.text();
-            
-            // Check if we got HTML instead of CSV
-            if (csvText.trim().startsWith('<!DOCTYPE') || csvText.trim().startsWith('<html')) {
-                throw new Error('Sheet not publicly accessible');
-            }
+    /**
+     * Call the auth server
+     * @param {string} path - /login, /session or /logout
+     * @param {Object} options - { method, body, token }
+     * @returns {Promise<Object>} { status, data }
+     */
+    async function request(path, { method = 'GET', body = null, token = null } = {}) {
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), REQUEST_TIMEOUT);
 
-            const lines = csvText.split(/\r?\n/).filter(Boolean);
-            if (lines.length <= 1) {
-                throw new Error('No credentials found');
-            }
+        const headers = {};
+        if (body) headers['Content-Type'] = 'application/json';
+        if (token) headers.Authorization = `Bearer ${token}`;
 
-            const delimiter = AdminCore.detectDelimiter(lines[0]);
-            const creds = [];
-
-            for (let i = 1; i < lines.length; i++) {
-                const row = AdminCore.parseCSVLine(lines[i], delimiter);
-                if (row.length >= 2 && row[0] && row[1]) {
-                    creds.push({
-                        username: row[0].trim(),
-                        password: row[1].trim()
-                    });
-                }
+        try {
+            const response = await fetch(`${getEndpoint()}${path}`, {
+                method,
+                headers,
+                body: body ? JSON.stringify(body) : undefined,
+                cache: 'no-store',
+                signal: controller.signal
+            });
+            const text = await response.text();
+            let data = {};
+            try {
+                data = text ? JSON.parse(text) : {};
+            } catch (e) {
+                // Non-JSON error page - status is enough
             }
-
-            return creds;
+            return { status: response.status, data };
         } catch (error) {
-            console.error('Error fetching credentials:', error);
+            if (error.name === 'AbortError') {
+                throw new Error('Auth server timed out - please try again');
+            }
             throw error;
+        } finally {
+            clearTimeout(timeoutId);
         }
     }
 
@@ -89,24 +138,61 @@ window.AdminAuth = (function() {
     // ============================================
     
     /**
-     * Validate username and password against credentials
-     * @param {string} username - Username to validate
-     * @param {string} password - Password to validate
-     * @returns {Promise<boolean>} True if valid
+     * Verify credentials with the auth server and start a session
+     * @param {string} username - Username
+     * @param {string} password - Password
+     * @returns {Promise<Object>} { ok, error } - error is a user-facing message
      */
-    async function validateCredentials(username, password) {
-        // Fetch fresh credentials if not cached
-        if (!credentials) {
-            credentials = await fetchCredentials();
+    async function login(username, password) {
+        const { status, data } = await request('/login', {
+            method: 'POST',
+            body: { username: username.trim(), password }
+        });
+
+        if (status === 200 && data.token) {
+            AdminCore.createSession({
+                username: data.username || username.trim(),
+                role: data.role,
+                token: data.token,
+                expiresAt: data.expiresAt
+            });
+            return { ok: true };
+        }
+        if (status === 429) {
+            const minutes = Math.max(1, Math.ceil((data.retryAfter || 60) / 60));
+            return { ok: false, error: `Too many failed attempts. Try again in ${minutes} min.` };
         }
+        if (status === 401) {
+            return { ok: false, error: 'Invalid username or password' };
+        }
+        throw new Error(`Auth server error (HTTP ${status})`);
+    }
 
-        const normalizedUsername = username.trim().toLowerCase();
-        const normalizedPassword = password.trim();
+    /**
+     * Ask the auth server whether the current token is still valid
+     * Network failures keep the session (the server is checked again later).
+     * @returns {Promise<boolean>} False if the server rejected the token
+     */
+    async function verifySession() {
+        const session = AdminCore.getSession();
+        if (!session) return false;
 
-        return credentials.some(cred => 
-            cred.username.toLowerCase() === normalizedUsername &&
-            cred.password === normalizedPassword
-        );
+        try {
+            const { status, data } = await request('/session', { token: session.token });
+            if (status === 401) {
+                handleLogout({ notifyServer: false, message: 'Session expired - please sign in again' });
+                return false;
+            }
+            // Role changed on the server - apply it without a new login
+            if (status === 200 && data.role && AdminPermissions.normalizeRole(data.role) !== session.role) {
+                AdminCore.createSession({ ...session, role: data.role });
+                AdminCore.applyPermissions();
+                AdminCore.emit('roleChange', { role: AdminCore.getSession().role });
+            }
+        } catch (error) {
+            console.warn('AdminAuth: Could not verify session', error);
+        }
+        return true;
     }
 
     // ============================================
@@ -131,7 +217,7 @@ window.AdminAuth = (function() {
         const btnLoading = submitBtn.querySelector('.btn-loading');
 
         const username = usernameInput.value.trim();
-        const password = passwordInput.value.trim();
+        const password = passwordInput.value;
 
         // Basic validation
         if (!username || !password) {
@@ -147,12 +233,9 @@ window.AdminAuth = (function() {
         hideError(errorEl);
 
         try {
-            const isValid = await validateCredentials(username, password);
+            const result = await login(username, password);
 
-            if (isValid) {
-                // Create session
-                AdminCore.createSession(username);
-                
+            if (result.ok) {
                 // Clear form
                 form.reset();
                 
@@ -167,7 +250,7 @@ window.AdminAuth = (function() {
                 
                 AdminCore.showToast(`Welcome, ${username}!`, 'success');
             } else {
-                showError(errorEl, 'Invalid username or password');
+                showError(errorEl, result.error);
                 passwordInput.value = '';
                 passwordInput.focus();
             }
@@ -210,24 +293,31 @@ window.AdminAuth = (function() {
     
     /**
      * Handle logout
+     * @param {Object} options - { notifyServer: revoke the token (default true), message: toast text }
      */
-    function handleLogout() {
+    function handleLogout({ notifyServer = true, message = 'Session ended' } = {}) {
+        const token = AdminCore.getSession()?.token;
+
         // Clear session
         AdminCore.clearSession();
         
         // Stop auto-refresh
         AdminCore.stopAutoRefresh();
         
-        // Clear cached credentials
-        credentials = null;
-        
         // Show login
         AdminCore.showLogin();
         
         // Emit logout event
         AdminCore.emit('logout');
         
-        AdminCore.showToast('Session ended', 'default');
+        AdminCore.showToast(message, 'default');
+
+        // Invalidate the token server-side (best effort - it expires anyway)
+        if (notifyServer && token) {
+            request('/logout', { method: 'POST', token }).catch(error => {
+                console.warn('AdminAuth: Could not revoke token', error);
+            });
+        }
     }
 
     // ============================================
@@ -236,15 +326,18 @@ window.AdminAuth = (function() {
     
     /**
      * Check session validity and redirect if expired
+     * Revocation (logout elsewhere) is picked up by the server check.
+     * @returns {boolean} True if a local session exists
      */
     function checkSession() {
         const session = AdminCore.getSession();
         
         if (!session) {
-            handleLogout();
+            handleLogout({ notifyServer: false });
             return false;
         }
         
+        verifySession();
         return true;
     }
 
@@ -265,7 +358,12 @@ window.AdminAuth = (function() {
         // Logout button handler
         const logoutBtn = document.getElementById('logoutBtn');
         if (logoutBtn) {
-            logoutBtn.addEventListener('click', handleLogout);
+            logoutBtn.addEventListener('click', () => handleLogout());
+        }
+
+        // A restored session may have been revoked while the page was closed
+        if (AdminCore.getSession()) {
+            verifySession();
         }
 
         // Check session periodically (every minute)
@@ -290,10 +388,12 @@ window.AdminAuth = (function() {
     // Public API
     // ============================================
     return {
-        validateCredentials,
+        login,
+        verifySession,
         handleLogout,
         checkSession,
-        refreshCredentials: () => { credentials = null; }
+        getEndpoint,
+        setEndpoint
     };
 })();
 
@@ -4,6 +4,9 @@
  * This module provides Chart.js configurations and helpers for:
  * - Last 7 Days statistics chart
  * - Ticket creators comparison chart
+ * - Accumulated prize (jackpot rollover) chart
+ * - Conversion funnel, time to ticket, daily cohorts and retention curves
+ * - Static rendering of any chart to a PNG image (reports)
  * - Reusable chart utilities
  * 
  * Dependencies: Chart.js (loaded via CDN), admin-core.js (AdminCore)
@@ -20,6 +23,11 @@ window.AdminCharts = (function() {
     // ============================================
     const chartInstances = {};
 
+    /**
+     * Set while renderToImage runs: charts are drawn once, off the registry
+     */
+    let staticRender = false;
+
     // ============================================
     // Color Palette (Dark Theme)
     // ============================================
@@ -131,6 +139,14 @@ window.AdminCharts = (function() {
      * @returns {Chart} Chart instance
      */
     function createChart(chartId, canvas, config) {
+        // Static render: a throwaway chart at a fixed size, no animation
+        if (staticRender) {
+            return new Chart(canvas.getContext('2d'), {
+                ...config,
+                options: { ...config.options, responsive: false, maintainAspectRatio: false, animation: false, devicePixelRatio: 2 }
+            });
+        }
+
         // Try to update existing chart instead of recreating
         if (chartInstances[chartId]) {
             const existingChart = chartInstances[chartId];
@@ -489,6 +505,307 @@ window.AdminCharts = (function() {
         return createChart('dailyTickets', canvas, config);
     }
 
+    // ============================================
+    // Accumulated Prize Line Chart
+    // ============================================
+    
+    /**
+     * Create accumulated prize (jackpot) line chart, one line per platform
+     * @param {HTMLCanvasElement} canvas - Canvas element
+     * @param {Object} historyByPlatform - { [platform]: WinnerCalculator.getJackpotHistory() }
+     * @returns {Chart} Chart instance
+     */
+    function createJackpotChart(canvas, historyByPlatform) {
+        const platformColors = [colors.warning, colors.primary, colors.success, colors.info];
+        const platforms = Object.keys(historyByPlatform);
+
+        // Platforms draw on their own calendars - align the lines by draw date (DD/MM/YYYY -> YYYY-MM-DD)
+        const toDateKey = date => String(date || '').split(' ')[0].split('/').reverse().join('-');
+        const dates = [...new Set(platforms.flatMap(p => historyByPlatform[p].map(h => toDateKey(h.drawDate))))].sort();
+        const byDate = {};
+        platforms.forEach(p => {
+            byDate[p] = new Map(historyByPlatform[p].map(h => [toDateKey(h.drawDate), h]));
+        });
+
+        const config = {
+            type: 'line',
+            data: {
+                labels: dates.map(date => date.split('-').reverse().slice(0, 2).join('/')),
+                datasets: platforms.map((platform, i) => ({
+                    label: platform,
+                    data: dates.map(date => byDate[platform].get(date)?.jackpot ?? null),
+                    borderColor: platformColors[i % platformColors.length],
+                    backgroundColor: 'transparent',
+                    fill: false,
+                    stepped: true,
+                    spanGaps: true,
+                    pointRadius: 3,
+                    pointHoverRadius: 6,
+                    borderWidth: 2
+                }))
+            },
+            options: {
+                ...defaultOptions,
+                interaction: {
+                    intersect: false,
+                    mode: 'index'
+                },
+                plugins: {
+                    ...defaultOptions.plugins,
+                    tooltip: {
+                        ...defaultOptions.plugins.tooltip,
+                        callbacks: {
+                            label: function(context) {
+                                const entry = byDate[context.dataset.label].get(dates[context.dataIndex]);
+                                if (!entry) return '';
+                                const rolled = entry.carryIn > 0 ? ` (R$ ${entry.carryIn.toFixed(2)} rolled over)` : '';
+                                return `${context.dataset.label} #${entry.contest}: R$ ${entry.jackpot.toFixed(2)}${rolled}`;
+                            }
+                        }
+                    }
+                }
+            }
+        };
+        
+        return createChart('jackpot', canvas, config);
+    }
+
+    // ============================================
+    // Conversion Funnel Chart
+    // ============================================
+    
+    /**
+     * Create recharge-to-win funnel chart (horizontal bars)
+     * @param {HTMLCanvasElement} canvas - Canvas element
+     * @param {Object[]} funnel - FunnelAnalytics.getFunnel() rows
+     * @returns {Chart} Chart instance
+     */
+    function createFunnelChart(canvas, funnel) {
+        const stageColors = [colors.info, colors.primary, colors.success, colors.warning];
+        
+        const config = {
+            type: 'bar',
+            data: {
+                labels: funnel.map(row => row.label),
+                datasets: [{
+                    label: 'Players',
+                    data: funnel.map(row => row.players),
+                    backgroundColor: funnel.map((_, i) => stageColors[i % stageColors.length]),
+                    borderRadius: 4
+                }]
+            },
+            options: {
+                ...defaultOptions,
+                indexAxis: 'y',
+                plugins: {
+                    ...defaultOptions.plugins,
+                    legend: {
+                        display: false
+                    },
+                    tooltip: {
+                        ...defaultOptions.plugins.tooltip,
+                        callbacks: {
+                            label: function(context) {
+                                const row = funnel[context.dataIndex];
+                                return `${row.players.toLocaleString()} players - ${row.fromPrevious}% of previous, ${row.fromStart}% of rechargers`;
+                            }
+                        }
+                    }
+                }
+            }
+        };
+        
+        return createChart('funnel', canvas, config);
+    }
+
+    // ============================================
+    // Time to Ticket Chart
+    // ============================================
+    
+    /**
+     * Create time-to-first-ticket distribution chart
+     * @param {HTMLCanvasElement} canvas - Canvas element
+     * @param {Object} distribution - FunnelAnalytics.getTimeToTicket() result
+     * @returns {Chart} Chart instance
+     */
+    function createTimeToTicketChart(canvas, distribution) {
+        const config = {
+            type: 'bar',
+            data: {
+                labels: distribution.buckets.map(b => b.label),
+                datasets: [{
+                    label: 'Players',
+                    data: distribution.buckets.map(b => b.players),
+                    backgroundColor: colors.primary,
+                    borderRadius: 4
+                }]
+            },
+            options: {
+                ...defaultOptions,
+                plugins: {
+                    ...defaultOptions.plugins,
+                    legend: {
+                        display: false
+                    },
+                    tooltip: {
+                        ...defaultOptions.plugins.tooltip,
+                        callbacks: {
+                            label: function(context) {
+                                const bucket = distribution.buckets[context.dataIndex];
+                                return `${bucket.players.toLocaleString()} players (${bucket.share}%)`;
+                            }
+                        }
+                    }
+                }
+            }
+        };
+        
+        return createChart('timeToTicket', canvas, config);
+    }
+
+    // ============================================
+    // Daily Cohorts Chart
+    // ============================================
+    
+    /**
+     * Create daily cohorts chart: cohort size bars and conversion rate line
+     * @param {HTMLCanvasElement} canvas - Canvas element
+     * @param {Object[]} cohorts - FunnelAnalytics.getDailyCohorts() rows (newest first)
+     * @returns {Chart} Chart instance
+     */
+    function createCohortChart(canvas, cohorts) {
+        const data = [...cohorts].reverse();
+        
+        const config = {
+            type: 'bar',
+            data: {
+                labels: data.map(c => c.date.split('-').reverse().slice(0, 2).join('/')),
+                datasets: [
+                    {
+                        type: 'bar',
+                        label: 'New rechargers',
+                        data: data.map(c => c.players),
+                        backgroundColor: colors.infoLight,
+                        borderColor: colors.info,
+                        borderWidth: 1,
+                        borderRadius: 4,
+                        yAxisID: 'y'
+                    },
+                    {
+                        type: 'bar',
+                        label: 'Converted',
+                        data: data.map(c => c.converted),
+                        backgroundColor: colors.success,
+                        borderRadius: 4,
+                        yAxisID: 'y'
+                    },
+                    {
+                        type: 'line',
+                        label: 'Conversion %',
+                        data: data.map(c => c.conversionRate),
+                        borderColor: colors.warning,
+                        backgroundColor: 'transparent',
+                        pointRadius: 3,
+                        borderWidth: 2,
+                        tension: 0.3,
+                        yAxisID: 'y1'
+                    }
+                ]
+            },
+            options: {
+                ...defaultOptions,
+                interaction: {
+                    intersect: false,
+                    mode: 'index'
+                },
+                scales: {
+                    ...defaultOptions.scales,
+                    y1: {
+                        position: 'right',
+                        min: 0,
+                        max: 100,
+                        grid: {
+                            drawOnChartArea: false
+                        },
+                        ticks: {
+                            color: '#64748b',
+                            callback: value => `${value}%`
+                        }
+                    }
+                }
+            }
+        };
+        
+        return createChart('cohorts', canvas, config);
+    }
+
+    // ============================================
+    // Retention Curves Chart
+    // ============================================
+    
+    /**
+     * Create weekly retention curves, one line per platform
+     * @param {HTMLCanvasElement} canvas - Canvas element
+     * @param {Object} retentionByPlatform - { [platform]: FunnelAnalytics.getRetention() }
+     * @returns {Chart} Chart instance
+     */
+    function createRetentionChart(canvas, retentionByPlatform) {
+        const platformColors = [colors.warning, colors.primary, colors.success, colors.info];
+        const platforms = Object.keys(retentionByPlatform);
+        const weeks = Math.max(0, ...platforms.map(p => retentionByPlatform[p].curve.length));
+        
+        const config = {
+            type: 'line',
+            data: {
+                labels: Array.from({ length: weeks }, (_, w) => `Week ${w}`),
+                datasets: platforms.map((platform, i) => ({
+                    label: platform,
+                    data: retentionByPlatform[platform].curve.map(point => point.retained),
+                    borderColor: platformColors[i % platformColors.length],
+                    backgroundColor: 'transparent',
+                    fill: false,
+                    pointRadius: 3,
+                    pointHoverRadius: 6,
+                    borderWidth: 2,
+                    tension: 0.3
+                }))
+            },
+            options: {
+                ...defaultOptions,
+                interaction: {
+                    intersect: false,
+                    mode: 'index'
+                },
+                scales: {
+                    ...defaultOptions.scales,
+                    y: {
+                        ...defaultOptions.scales.y,
+                        min: 0,
+                        max: 100,
+                        ticks: {
+                            ...defaultOptions.scales.y.ticks,
+                            callback: value => `${value}%`
+                        }
+                    }
+                },
+                plugins: {
+                    ...defaultOptions.plugins,
+                    tooltip: {
+                        ...defaultOptions.plugins.tooltip,
+                        callbacks: {
+                            label: function(context) {
+                                const point = retentionByPlatform[context.dataset.label].curve[context.dataIndex];
+                                return point ? `${context.dataset.label}: ${point.retained}% of ${point.players.toLocaleString()} players` : '';
+                            }
+                        }
+                    }
+                }
+            }
+        };
+        
+        return createChart('retention', canvas, config);
+    }
+
     // ============================================
     // Participation Rate Chart
     // ============================================
@@ -565,6 +882,30 @@ window.AdminCharts = (function() {
         Object.keys(chartInstances).forEach(destroyChart);
     }
 
+    /**
+     * Render a chart off-screen and return it as an image
+     * @param {Function} draw - (canvas) => Chart, e.g. canvas => createFunnelChart(canvas, funnel)
+     * @param {Object} size - { width, height } in CSS pixels
+     * @returns {string} PNG data URL
+     */
+    function renderToImage(draw, { width = 800, height = 300 } = {}) {
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+
+        staticRender = true;
+        let chart;
+        try {
+            chart = draw(canvas);
+        } finally {
+            staticRender = false;
+        }
+
+        const image = chart.toBase64Image('image/png');
+        chart.destroy();
+        return image;
+    }
+
     // ============================================
     // Public API
     // ============================================
@@ -575,6 +916,11 @@ window.AdminCharts = (function() {
         createTicketCreators7DayChart,
         createWinnersTierChart,
         createDailyTicketsChart,
+        createJackpotChart,
+        createFunnelChart,
+        createTimeToTicketChart,
+        createCohortChart,
+        createRetentionChart,
         createParticipationGauge,
         
         // Utilities
@@ -583,6 +929,7 @@ window.AdminCharts = (function() {
         destroyAllCharts,
         updateChartData,
         getChart,
+        renderToImage,
         
         // Constants
         colors,
@@ -0,0 +1,226 @@
+/**
+ * POP-SORTE Admin Dashboard - Compute Client Module
+ *
+ * Main-thread side of the compute worker (compute-worker.js).
+ * - Posts matching and winner jobs to a dedicated Web Worker
+ * - Reports progress through AdminCore.updateLoadingProgress and the
+ *   'computeProgress' event (header indicator)
+ * - Cancels running jobs when the platform switcher changes
+ * - Falls back to the main thread when workers are unavailable
+ *   (file:// pages, old browsers, worker start-up errors)
+ *
+ * Cancelled jobs reject with an Error whose `cancelled` flag is true;
+ * callers should ignore those quietly.
+ *
+ * Dependencies: admin-core.js (AdminCore), draw-calendar.js (DrawCalendar),
+ *               prize-rules.js (PrizeRules), matching-engine.js (MatchingEngine), winner-calculator.js (WinnerCalculator),
+ *               status-overrides.js (StatusOverrides)
+ */
+
+// ============================================
+// Compute Client Module
+// ============================================
+window.ComputeClient = (function() {
+    'use strict';
+
+    // ============================================
+    // Constants
+    // ============================================
+
+    /**
+     * Worker script (relative to index.html)
+     */
+    const WORKER_URL = 'js/compute-worker.js';
+
+    /**
+     * Progress labels per job type
+     */
+    const JOB_LABELS = {
+        match: 'Validating tickets',
+        winners: 'Calculating winners'
+    };
+
+    // ============================================
+    // State
+    // ============================================
+    let worker = null;
+    let workerFailed = false;
+    let nextJobId = 1;
+    const pending = new Map(); // id -> { type, resolve, reject }
+
+    // ============================================
+    // Worker Lifecycle
+    // ============================================
+
+    /**
+     * Check if jobs can run in a worker
+     * @returns {boolean} True if Web Workers are usable
+     */
+    function isSupported() {
+        return typeof Worker !== 'undefined' && location.protocol !== 'file:' && !workerFailed;
+    }
+
+    /**
+     * Get the worker, starting it if needed
+     * @returns {Worker} Worker instance
+     */
+    function getWorker() {
+        if (worker) return worker;
+
+        worker = new Worker(WORKER_URL);
+        worker.onmessage = handleMessage;
+        worker.onerror = (event) => {
+            // Script failed to load/parse - stop using workers for this session
+            console.error('ComputeClient: Worker error, falling back to main thread', event.message);
+            event.preventDefault();
+            workerFailed = true;
+            terminate(new Error(`Compute worker failed: ${event.message || 'unknown error'}`));
+        };
+        return worker;
+    }
+
+    /**
+     * Stop the worker and reject every pending job
+     * @param {Error} error - Rejection for pending jobs
+     */
+    function terminate(error) {
+        if (worker) {
+            worker.terminate();
+            worker = null;
+        }
+        pending.forEach(job => job.reject(error));
+        pending.clear();
+        AdminCore.emit('computeProgress', { active: false });
+    }
+
+    /**
+     * Cancel all running jobs (the worker is restarted on the next job)
+     * @param {string} reason - Why the jobs were cancelled
+     * @returns {number} Number of jobs cancelled
+     */
+    function cancelAll(reason = 'Cancelled') {
+        const count = pending.size;
+        if (count === 0) return 0;
+
+        const error = new Error(reason);
+        error.cancelled = true;
+        terminate(error);
+        console.log(`ComputeClient: Cancelled ${count} job(s) - ${reason}`);
+        return count;
+    }
+
+    /**
+     * Handle a message from the worker
+     * @param {MessageEvent} event - Worker message
+     */
+    function handleMessage(event) {
+        const { id, type } = event.data;
+        const job = pending.get(id);
+        if (!job) return;
+
+        if (type === 'progress') {
+            reportProgress(job.type, event.data.percent);
+            return;
+        }
+
+        pending.delete(id);
+        if (pending.size === 0) {
+            AdminCore.emit('computeProgress', { active: false });
+        }
+
+        if (type === 'done') {
+            job.resolve(event.data.result);
+        } else {
+            job.reject(new Error(event.data.message || 'Compute job failed'));
+        }
+    }
+
+    /**
+     * Publish job progress
+     * @param {string} type - Job type
+     * @param {number} percent - 0-100
+     */
+    function reportProgress(type, percent) {
+        const text = `${JOB_LABELS[type] || 'Working'}... ${percent}%`;
+        AdminCore.updateLoadingProgress(percent, text);
+        AdminCore.emit('computeProgress', { active: true, type, percent, text });
+    }
+
+    /**
+     * Post a job to the worker
+     * @param {string} type - 'match' or 'winners'
+     * @param {Object} payload - Job data (structured-cloned)
+     * @returns {Promise<Object>} Job result
+     */
+    function runJob(type, payload) {
+        const id = nextJobId++;
+        return new Promise((resolve, reject) => {
+            pending.set(id, { type, resolve, reject });
+            reportProgress(type, 0);
+            getWorker().postMessage({ id, type, calendar: DrawCalendar.getTable(), rules: PrizeRules.getTable(), prizes: AdminCore.getPlatformPrizes(), overrides: StatusOverrides.getAll(), payload });
+        });
+    }
+
+    // ============================================
+    // Jobs
+    // ============================================
+
+    /**
+     * Bind tickets to recharges (MatchingEngine.matchTickets off the main thread)
+     * @param {Object[]} entries - All entries
+     * @param {Object[]} recharges - All recharges
+     * @returns {Promise<Object>} Same shape as MatchingEngine.matchTickets
+     */
+    async function matchTickets(entries, recharges) {
+        if (!isSupported()) {
+            return MatchingEngine.matchTickets(entries, recharges, {
+                onProgress: (done, total) => reportProgress('match', Math.round((done / total) * 100))
+            });
+        }
+
+        try {
+            const serialized = await runJob('match', { entries, recharges });
+            // Re-attach outcomes to this thread's ticket objects
+            return MatchingEngine.adoptRun(entries, serialized);
+        } catch (error) {
+            if (error.cancelled || !workerFailed) throw error;
+            return matchTickets(entries, recharges);
+        }
+    }
+
+    /**
+     * Calculate winners (WinnerCalculator.computeAllWinners off the main thread)
+     * @param {Object[]} entries - Entries already scoped to the platform
+     * @param {Object[]} results - All results
+     * @param {string} platform - Platform code
+     * @returns {Promise<Object>} Winners calculation
+     */
+    async function computeWinners(entries, results, platform) {
+        if (!isSupported()) {
+            return WinnerCalculator.computeAllWinners(entries, results, platform, {
+                onProgress: (done, total) => reportProgress('winners', Math.round((done / total) * 100))
+            });
+        }
+
+        try {
+            return await runJob('winners', { entries, results, platform });
+        } catch (error) {
+            if (error.cancelled || !workerFailed) throw error;
+            return computeWinners(entries, results, platform);
+        }
+    }
+
+    // A platform switch makes running winner jobs stale
+    AdminCore.on('platformChange', () => cancelAll('Platform changed'));
+
+    // ============================================
+    // Public API
+    // ============================================
+    return {
+        matchTickets,
+        computeWinners,
+        cancelAll,
+        isSupported,
+        isBusy: () => pending.size > 0
+    };
+})();
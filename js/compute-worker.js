@@ -0,0 +1,88 @@
+/**
+ * POP-SORTE Admin Dashboard - Compute Worker
+ *
+ * Dedicated Web Worker that runs the heavy computations off the main thread:
+ * - match:   MatchingEngine.matchTickets (ticket-to-recharge binding)
+ * - winners: WinnerCalculator.computeAllWinners
+ *
+ * It loads the same modules as the page, so results are identical to a
+ * main-thread run. Started and cancelled by compute-client.js.
+ *
+ * Messages in:  { id, type: 'match'|'winners', calendar, rules, prizes, overrides, payload }
+ * Messages out: { id, type: 'progress', percent }
+ *               { id, type: 'done', result }
+ *               { id, type: 'error', message }
+ *
+ * Dependencies: admin-core.js, draw-calendar.js, prize-rules.js, data-fetcher.js,
+ *               recharge-validator.js, matching-engine.js, status-overrides.js,
+ *               winner-calculator.js
+ */
+
+// Modules register themselves on window
+self.window = self;
+
+importScripts(
+    'admin-core.js',
+    'draw-calendar.js',
+    'prize-rules.js',
+    'data-fetcher.js',
+    'recharge-validator.js',
+    'matching-engine.js',
+    'status-overrides.js',
+    'winner-calculator.js'
+);
+
+// ============================================
+// Job Handlers
+// ============================================
+const handlers = {
+    /**
+     * Bind tickets to recharges
+     * @param {Object} payload - { entries, recharges }
+     * @param {Function} onProgress - Progress callback
+     * @returns {Promise<Object>} Serialized run (see MatchingEngine.serializeRun)
+     */
+    async match(payload, onProgress) {
+        const run = await MatchingEngine.matchTickets(payload.entries, payload.recharges, { onProgress });
+        return MatchingEngine.serializeRun(run);
+    },
+
+    /**
+     * Calculate winners for every contest
+     * @param {Object} payload - { entries (platform-scoped), results, platform }
+     * @param {Function} onProgress - Progress callback
+     * @returns {Promise<Object>} Winners calculation
+     */
+    async winners(payload, onProgress) {
+        return WinnerCalculator.computeAllWinners(payload.entries, payload.results, payload.platform, { onProgress });
+    }
+};
+
+self.onmessage = async (event) => {
+    const { id, type, calendar, rules, prizes, overrides, payload } = event.data;
+    const handler = handlers[type];
+
+    if (!handler) {
+        self.postMessage({ id, type: 'error', message: `Unknown job type: ${type}` });
+        return;
+    }
+
+    try {
+        // Cutoffs and windows must follow the page's current holiday table
+        if (calendar) DrawCalendar.setTable(calendar);
+        // Winners and prizes must follow the page's prize rules
+        if (rules) PrizeRules.setTable(rules);
+        // Prize splits must follow the page's edited prize pools
+        if (prizes) AdminCore.usePlatformPrizes(prizes);
+        // Winner validity must follow the page's manual status overrides
+        if (overrides) StatusOverrides.useOverrides(overrides);
+
+        const onProgress = (done, total) => {
+            self.postMessage({ id, type: 'progress', percent: Math.round((done / total) * 100) });
+        };
+        const result = await handler(payload, onProgress);
+        self.postMessage({ id, type: 'done', result });
+    } catch (error) {
+        self.postMessage({ id, type: 'error', message: error.message });
+    }
+};
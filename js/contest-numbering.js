@@ -0,0 +1,260 @@
+/**
+ * POP-SORTE - Contest Numbering Module
+ *
+ * Maps draw dates to contest (concurso) numbers and back by walking the
+ * DrawCalendar: every draw day adds one contest, no-draw days add none.
+ *
+ * Anchors:
+ * - The configured anchor (default #6903 on 2025-12-15, overridable and
+ *   persisted under localStorage key popsorte_contest_anchor)
+ * - Official results (ResultsFetcher rows) registered with reanchorFromResults.
+ *   The official numbering occasionally skips a number (e.g. #6917), so a
+ *   date is always counted from the closest anchor on or before it; the
+ *   latest official result therefore governs every future date.
+ *
+ * Dependencies: draw-calendar.js (DrawCalendar)
+ */
+
+// ============================================
+// Contest Numbering Module
+// ============================================
+window.ContestNumbering = (function() {
+    'use strict';
+
+    // ============================================
+    // Constants
+    // ============================================
+
+    /**
+     * Built-in anchor (contest 6903 was drawn on Monday 2025-12-15)
+     */
+    const DEFAULT_ANCHOR = { contest: 6903, date: '2025-12-15' };
+
+    /**
+     * localStorage key for a configured anchor
+     */
+    const STORAGE_KEY = 'popsorte_contest_anchor';
+
+    /**
+     * Farthest reverse lookup from an anchor (about ten years of draws)
+     */
+    const MAX_CONTEST_DISTANCE = 3200;
+
+    // ============================================
+    // State
+    // ============================================
+    let baseAnchor = loadStoredAnchor() || { ...DEFAULT_ANCHOR, source: 'default' };
+    let officialAnchors = [];
+    let anchors = [baseAnchor];
+    const checkCache = new Map(); // "contest|date" -> checkEntry result
+
+    // ============================================
+    // Anchor Management
+    // ============================================
+
+    /**
+     * Read the configured anchor from localStorage
+     * @returns {Object|null} Anchor or null
+     */
+    function loadStoredAnchor() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null');
+            const anchor = stored && toAnchor(stored.contest, stored.date, 'config');
+            return anchor || null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * Build a validated anchor
+     * @param {string|number} contest - Contest number
+     * @param {Date|string} date - Draw date
+     * @param {string} source - Where the anchor came from
+     * @returns {Object|null} { contest, date, source } or null if unusable
+     */
+    function toAnchor(contest, date, source) {
+        const number = parseInt(String(contest).replace('#', ''), 10);
+        const dateKey = DrawCalendar.toDateKey(date);
+        if (isNaN(number) || !dateKey) return null;
+        return { contest: number, date: dateKey, source };
+    }
+
+    /**
+     * Rebuild the sorted anchor list (date ascending)
+     */
+    function rebuildAnchors() {
+        const byDate = new Map();
+        [baseAnchor, ...officialAnchors].forEach(a => byDate.set(a.date, a)); // official wins on same date
+        anchors = [...byDate.values()].sort((a, b) => a.date.localeCompare(b.date));
+        checkCache.clear();
+    }
+
+    /**
+     * Set the configured anchor
+     * @param {string|number} contest - Contest number
+     * @param {Date|string} date - Draw date of that contest
+     * @param {Object} options - { persist: boolean }
+     * @returns {Object} Active base anchor
+     */
+    function setAnchor(contest, date, { persist = true } = {}) {
+        const anchor = toAnchor(contest, date, 'config');
+        if (!anchor) {
+            throw new Error(`Invalid contest anchor: #${contest} on ${date}`);
+        }
+        baseAnchor = anchor;
+        if (persist) {
+            try {
+                localStorage.setItem(STORAGE_KEY, JSON.stringify({ contest: anchor.contest, date: anchor.date }));
+            } catch (e) {
+                console.warn('ContestNumbering: Could not persist anchor', e);
+            }
+        }
+        rebuildAnchors();
+        return baseAnchor;
+    }
+
+    /**
+     * Restore the built-in anchor
+     */
+    function resetAnchor() {
+        try {
+            localStorage.removeItem(STORAGE_KEY);
+        } catch (e) {
+            // Ignore - storage unavailable
+        }
+        baseAnchor = { ...DEFAULT_ANCHOR, source: 'default' };
+        rebuildAnchors();
+    }
+
+    /**
+     * Re-anchor from official results
+     * Rows without 5 numbers, without a date or dated on a no-draw day are ignored.
+     * @param {Object[]} results - Result objects ({ contest, drawDate, numbers, isNoDraw })
+     * @returns {Object|null} Latest official anchor or null if none usable
+     */
+    function reanchorFromResults(results) {
+        officialAnchors = (results || [])
+            .filter(r => r && !r.isNoDraw && (!r.numbers || r.numbers.length === 5))
+            .map(r => toAnchor(r.contest, r.drawDate, 'result'))
+            .filter(a => a && DrawCalendar.isDrawDay(a.date));
+        rebuildAnchors();
+        return getLatestAnchor();
+    }
+
+    /**
+     * Get the most recent official anchor
+     * @returns {Object|null} Anchor or null
+     */
+    function getLatestAnchor() {
+        return officialAnchors.reduce((latest, a) => (!latest || a.date > latest.date ? a : latest), null);
+    }
+
+    /**
+     * Get the anchor governing a date (closest on or before, else earliest)
+     * @param {string} dateKey - YYYY-MM-DD
+     * @returns {Object} Anchor
+     */
+    function getAnchorForDate(dateKey) {
+        let chosen = anchors[0];
+        for (const anchor of anchors) {
+            if (anchor.date > dateKey) break;
+            chosen = anchor;
+        }
+        return chosen;
+    }
+
+    // ============================================
+    // Lookups
+    // ============================================
+
+    /**
+     * Get the contest number drawn on a date
+     * @param {Date|string} date - Draw date
+     * @returns {number|null} Contest number, or null on no-draw days / invalid dates
+     */
+    function getContestForDate(date) {
+        const dateKey = DrawCalendar.toDateKey(date);
+        if (!dateKey || DrawCalendar.isNoDrawDay(dateKey)) return null;
+
+        const anchor = getAnchorForDate(dateKey);
+        return anchor.contest + DrawCalendar.countDrawDays(anchor.date, dateKey);
+    }
+
+    /**
+     * Get the draw date of a contest number
+     * @param {string|number} contest - Contest number
+     * @returns {string|null} YYYY-MM-DD, or null if the number was skipped/unknown
+     */
+    function getDrawDateForContest(contest) {
+        const target = parseInt(String(contest).replace('#', ''), 10);
+        if (isNaN(target)) return null;
+
+        // Closest anchor at or below the target number, else the lowest one
+        let anchor = anchors[0];
+        anchors.forEach(a => {
+            if (a.contest <= target && (anchor.contest > target || a.contest > anchor.contest)) {
+                anchor = a;
+            }
+        });
+
+        const step = target >= anchor.contest ? 1 : -1;
+        let remaining = Math.abs(target - anchor.contest);
+        if (remaining > MAX_CONTEST_DISTANCE) return null;
+        let dateKey = anchor.date;
+        while (remaining > 0) {
+            dateKey = DrawCalendar.addDays(dateKey, step);
+            if (DrawCalendar.isDrawDay(dateKey)) remaining--;
+        }
+
+        // A later anchor may own this date (numbering gap) - confirm round trip
+        return getContestForDate(dateKey) === target ? dateKey : null;
+    }
+
+    /**
+     * Check that a ticket's contest and drawDate columns agree
+     * @param {Object} entry - Entry with contest and drawDate
+     * @returns {Object|null} { consistent, expectedContest, expectedDrawDate } or null if not checkable
+     */
+    function checkEntry(entry) {
+        const contest = parseInt(entry?.contest, 10);
+        const dateKey = DrawCalendar.toDateKey(entry?.drawDate || '');
+        if (isNaN(contest) || !dateKey) return null;
+
+        // Thousands of tickets share a handful of contest/date pairs
+        const cacheKey = `${contest}|${dateKey}`;
+        if (!checkCache.has(cacheKey)) {
+            const expectedContest = getContestForDate(dateKey);
+            checkCache.set(cacheKey, {
+                consistent: expectedContest === contest,
+                expectedContest,
+                expectedDrawDate: getDrawDateForContest(contest)
+            });
+        }
+        return checkCache.get(cacheKey);
+    }
+
+    // Holiday changes shift the numbering
+    DrawCalendar.onChange(() => checkCache.clear());
+
+    // ============================================
+    // Public API
+    // ============================================
+    return {
+        // Lookups
+        getContestForDate,
+        getDrawDateForContest,
+        checkEntry,
+
+        // Anchors
+        setAnchor,
+        resetAnchor,
+        reanchorFromResults,
+        getAnchors: () => anchors.slice(),
+        getBaseAnchor: () => baseAnchor,
+        getLatestAnchor,
+
+        // Constants
+        DEFAULT_ANCHOR
+    };
+})();
@@ -0,0 +1,321 @@
+/**
+ * POP-SORTE Admin Dashboard - Data DB Module
+ *
+ * IndexedDB persistence for the admin data, so history survives reloads and
+ * large datasets open instantly (no localStorage quota).
+ *
+ * Object stores (database "popsorte_admin"):
+ * - entries:   parsed ticket rows (key: DataFetcher row key)   idx gameId, contest, drawDate
+ * - recharges: parsed recharge rows (key: DataFetcher row key) idx gameId
+ * - results:   draw results (keyPath contest)                  idx drawDate
+ * - outcomes:  validation outcomes (keyPath key = ticket key)  idx gameId, contest, drawDate
+ * - meta:      snapshot bookkeeping (keyPath key)
+ * - audit:     admin action log (keyPath seq)                 idx action, user, timestamp
+ *              copy of the admin API's log, never cleared (see audit-log.js)
+ * - payouts:   prize payout ledger (keyPath id)                idx status, contest, platform
+ *              payment records, never cleared (see payout-ledger.js)
+ *
+ * Schema changes are added as a new step at the end of MIGRATIONS; the
+ * database version is the number of steps, and opening an older database
+ * runs every step it has not seen yet, in order.
+ *
+ * Every call resolves to an empty value (or rejects) when IndexedDB is not
+ * available - persistence is an optimisation, never a requirement.
+ *
+ * Dependencies: none
+ */
+
+// ============================================
+// Data DB Module
+// ============================================
+window.DataDB = (function() {
+    'use strict';
+
+    // ============================================
+    // Constants
+    // ============================================
+
+    /**
+     * Database name
+     */
+    const DB_NAME = 'popsorte_admin';
+
+    /**
+     * localStorage key of the snapshot this module replaces
+     */
+    const LEGACY_STORAGE_KEY = 'popsorte_admin_data';
+
+    /**
+     * Object store names
+     */
+    const Stores = {
+        ENTRIES: 'entries',
+        RECHARGES: 'recharges',
+        RESULTS: 'results',
+        OUTCOMES: 'outcomes',
+        META: 'meta',
+        AUDIT: 'audit',
+        PAYOUTS: 'payouts'
+    };
+
+    /**
+     * Schema migrations - step N upgrades a version N-1 database to version N
+     * Never edit a shipped step; append a new one instead.
+     */
+    const MIGRATIONS = [
+        // v1: initial schema, drop the localStorage snapshot
+        (db) => {
+            const entries = db.createObjectStore(Stores.ENTRIES);
+            entries.createIndex('gameId', 'gameId');
+            entries.createIndex('contest', 'contest');
+            entries.createIndex('drawDate', 'drawDate');
+
+            const recharges = db.createObjectStore(Stores.RECHARGES);
+            recharges.createIndex('gameId', 'gameId');
+
+            const results = db.createObjectStore(Stores.RESULTS, { keyPath: 'contest' });
+            results.createIndex('drawDate', 'drawDate');
+
+            const outcomes = db.createObjectStore(Stores.OUTCOMES, { keyPath: 'key' });
+            outcomes.createIndex('gameId', 'gameId');
+            outcomes.createIndex('contest', 'contest');
+            outcomes.createIndex('drawDate', 'drawDate');
+
+            db.createObjectStore(Stores.META, { keyPath: 'key' });
+
+            try {
+                localStorage.removeItem(LEGACY_STORAGE_KEY);
+            } catch (e) {
+                // Ignore - storage unavailable
+            }
+        },
+
+        // v2: admin action audit log
+        (db) => {
+            const audit = db.createObjectStore(Stores.AUDIT, { keyPath: 'seq' });
+            audit.createIndex('action', 'action');
+            audit.createIndex('user', 'user');
+            audit.createIndex('timestamp', 'timestamp');
+        },
+
+        // v3: prize payout ledger
+        (db) => {
+            const payouts = db.createObjectStore(Stores.PAYOUTS, { keyPath: 'id' });
+            payouts.createIndex('status', 'status');
+            payouts.createIndex('contest', 'contest');
+            payouts.createIndex('platform', 'platform');
+        }
+    ];
+
+    /**
+     * Current schema version
+     */
+    const DB_VERSION = MIGRATIONS.length;
+
+    // ============================================
+    // State
+    // ============================================
+    let dbPromise = null;
+
+    // ============================================
+    // Connection
+    // ============================================
+
+    /**
+     * Check if IndexedDB can be used
+     * @returns {boolean} True if available
+     */
+    function isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    /**
+     * Wrap an IDBRequest in a promise
+     * @param {IDBRequest} request - Request
+     * @returns {Promise<*>} Request result
+     */
+    function promisify(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Open the database, running pending migrations
+     * @returns {Promise<IDBDatabase>} Database
+     */
+    function open() {
+        if (dbPromise) return dbPromise;
+        if (!isSupported()) {
+            return Promise.reject(new Error('IndexedDB is not available'));
+        }
+
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+            request.onupgradeneeded = (event) => {
+                const db = request.result;
+                for (let version = event.oldVersion + 1; version <= DB_VERSION; version++) {
+                    console.log(`DataDB: Migrating schema to v${version}`);
+                    MIGRATIONS[version - 1](db, request.transaction);
+                }
+            };
+            request.onsuccess = () => {
+                const db = request.result;
+                // Another tab upgraded the schema - let it, reopen on next call
+                db.onversionchange = () => {
+                    db.close();
+                    dbPromise = null;
+                };
+                resolve(db);
+            };
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => console.warn('DataDB: Upgrade blocked by another open tab');
+        });
+
+        dbPromise.catch(() => {
+            dbPromise = null;
+        });
+        return dbPromise;
+    }
+
+    /**
+     * Run work inside a transaction and wait for it to commit
+     * @param {string[]} storeNames - Stores used
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} work - (tx) => value; may return a promise of IDB requests
+     * @returns {Promise<*>} Value returned by work
+     */
+    async function withTransaction(storeNames, mode, work) {
+        const db = await open();
+        const tx = db.transaction(storeNames, mode);
+        const done = new Promise((resolve, reject) => {
+            tx.oncomplete = resolve;
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+        });
+        const value = await work(tx);
+        await done;
+        return value;
+    }
+
+    // ============================================
+    // Reads
+    // ============================================
+
+    /**
+     * Read every record of a store
+     * @param {string} storeName - Store
+     * @returns {Promise<Object[]>} Records in key order
+     */
+    function getAll(storeName) {
+        return withTransaction([storeName], 'readonly', tx => promisify(tx.objectStore(storeName).getAll()));
+    }
+
+    /**
+     * Read the records matching an index value
+     * @param {string} storeName - Store
+     * @param {string} indexName - gameId, contest or drawDate
+     * @param {*} value - Exact index value
+     * @returns {Promise<Object[]>} Matching records
+     */
+    function getAllByIndex(storeName, indexName, value) {
+        return withTransaction([storeName], 'readonly', tx =>
+            promisify(tx.objectStore(storeName).index(indexName).getAll(value))
+        );
+    }
+
+    /**
+     * Read a meta record
+     * @param {string} key - Meta key
+     * @returns {Promise<*>} Stored value or null
+     */
+    async function getMeta(key) {
+        const record = await withTransaction([Stores.META], 'readonly', tx =>
+            promisify(tx.objectStore(Stores.META).get(key))
+        );
+        return record ? record.value : null;
+    }
+
+    // ============================================
+    // Writes
+    // ============================================
+
+    /**
+     * Replace the whole content of a store
+     * @param {string} storeName - Store
+     * @param {Object[]|Array[]} records - Records, or [key, record] pairs for out-of-line keys
+     * @param {boolean} keyed - True when records are [key, record] pairs
+     * @returns {Promise<void>}
+     */
+    function replaceAll(storeName, records, keyed = false) {
+        return withTransaction([storeName], 'readwrite', tx => {
+            const store = tx.objectStore(storeName);
+            store.clear();
+            records.forEach(r => (keyed ? store.put(r[1], r[0]) : store.put(r)));
+        });
+    }
+
+    /**
+     * Apply puts and deletes to a store in one transaction
+     * @param {string} storeName - Store
+     * @param {Object} changes - { put: records or [key, record] pairs, remove: keys }
+     * @param {boolean} keyed - True when put holds [key, record] pairs
+     * @returns {Promise<void>}
+     */
+    function applyChanges(storeName, { put = [], remove = [] }, keyed = false) {
+        return withTransaction([storeName], 'readwrite', tx => {
+            const store = tx.objectStore(storeName);
+            remove.forEach(key => store.delete(key));
+            put.forEach(r => (keyed ? store.put(r[1], r[0]) : store.put(r)));
+        });
+    }
+
+    /**
+     * Write a meta record
+     * @param {string} key - Meta key
+     * @param {*} value - Value (structured-cloneable)
+     * @returns {Promise<void>}
+     */
+    function setMeta(key, value) {
+        return withTransaction([Stores.META], 'readwrite', tx => {
+            tx.objectStore(Stores.META).put({ key, value });
+        });
+    }
+
+    /**
+     * Empty every data store (the audit log and payout ledger are never cleared)
+     * @returns {Promise<void>}
+     */
+    function clearAll() {
+        const names = Object.values(Stores).filter(name => name !== Stores.AUDIT && name !== Stores.PAYOUTS);
+        return withTransaction(names, 'readwrite', tx => {
+            names.forEach(name => tx.objectStore(name).clear());
+        });
+    }
+
+    // ============================================
+    // Public API
+    // ============================================
+    return {
+        isSupported,
+        open,
+
+        // Reads
+        getAll,
+        getAllByIndex,
+        getMeta,
+
+        // Writes
+        replaceAll,
+        applyChanges,
+        setMeta,
+        clearAll,
+
+        // Constants
+        Stores,
+        DB_NAME,
+        DB_VERSION
+    };
+})();
@@ -2,12 +2,21 @@
  * POP-SORTE Admin Dashboard - Data Fetcher Module
  * 
  * This module handles fetching and caching of:
- * - Lottery entries data from Google Sheets
- * - Recharge data for validation
+ * - Lottery entries data (DataSources 'entries')
+ * - Recharge data for validation (DataSources 'recharges')
  * 
  * Data is cached with configurable TTL and refreshed on demand
+ *
+ * Incremental refresh:
+ * Every source row is keyed by a content hash. On refresh, rows whose hash
+ * was seen on the previous fetch reuse the already-parsed object (same
+ * instance), so only new or edited rows are parsed. The difference is kept
+ * as a delta ({ added, changed, removed, gameIds }) per data type and every
+ * non-empty delta bumps that type's version. Validation results are cached
+ * against those versions, which lets RechargeValidator re-match only the
+ * Game IDs touched since the cached run.
  * 
- * Dependencies: admin-core.js (AdminCore)
+ * Dependencies: admin-core.js (AdminCore), data-sources.js (DataSources)
  */
 
 // ============================================
@@ -17,30 +26,18 @@ window.DataFetcher = (function() {
     'use strict';
 
     // ============================================
-    // Constants - Data Source URLs
+    // Constants
     // ============================================
     
-    /**
-     * Entries sheet: Contains all lottery ticket registrations
-     * Columns: Timestamp, Platform, Game ID, WhatsApp, Chosen Numbers, Draw Date, Contest, Ticket #, Status
-     */
-    const ENTRIES_SHEET_URL = 'https://docs.google.com/spreadsheets/d/1OttNYHiecAuGG6IRX7lW6lkG5ciEcL8gp3g6lNrN9H8/export?format=csv&gid=0';
-    
-    /**
-     * Recharge sheet: Contains recharge transactions
-     * Columns: Game ID, Recharge ID, Recharge Time, Amount, Status (filters for "充值")
-     */
-    const RECHARGE_SHEET_URL = 'https://docs.google.com/spreadsheets/d/1c6gnCngs2wFOvVayd5XpM9D3LOlKUxtSjl7gfszXcMg/export?format=csv&gid=0';
-
     /**
      * Cache TTL in milliseconds (3 minutes - matches refresh interval)
      */
     const CACHE_TTL = 180 * 1000;
 
     /**
-     * Fetch timeout in milliseconds (15 seconds)
+     * Number of deltas kept for incremental re-validation
      */
-    const FETCH_TIMEOUT = 15 * 1000;
+    const DELTA_LOG_SIZE = 20;
 
     // ============================================
     // Cache Storage
@@ -49,14 +46,22 @@ window.DataFetcher = (function() {
         entries: { data: null, timestamp: 0 },
         recharges: { data: null, timestamp: 0 },
         // Processed data cache - cleared when raw data changes
-        validation: { data: null, entriesHash: null },
-        winners: { data: null, entriesHash: null, resultsHash: null }
+        validation: { data: null, versions: null },
+        winners: { data: null, entriesHash: null, resultsHash: null, entriesVersion: null }
     };
 
-    // Fetch lock to prevent simultaneous requests
-    const fetchLock = {
-        entries: false,
-        recharges: false
+    // Row-level change tracking (see header)
+    const rowIndex = { entries: null, recharges: null };    // rowKey -> parsed object
+    const lastDelta = { entries: null, recharges: null };
+    const versions = { entries: 0, recharges: 0 };
+    let deltaLog = [];                                       // [{ type, version, delta }]
+    const rowKeys = new WeakMap();                           // parsed object -> rowKey
+
+    // Fetches in progress - concurrent callers share them so a refresh tick
+    // never reads the previous data (or records an empty delta) mid-download
+    const inFlight = {
+        entries: null,
+        recharges: null
     };
 
     /**
@@ -71,17 +76,28 @@ window.DataFetcher = (function() {
 
     /**
      * Get cached validation results
-     * @returns {Object|null} Cached validation or null
+     * @returns {Object|null} Cached validation or null if entries/recharges changed since
      */
     function getCachedValidation() {
         if (!cache.entries.data || !cache.validation.data) return null;
-        const currentHash = simpleHash(cache.entries.data);
-        if (cache.validation.entriesHash === currentHash) {
+        const cached = cache.validation.versions;
+        if (cached.entries === versions.entries && cached.recharges === versions.recharges) {
             return cache.validation.data;
         }
         return null;
     }
 
+    /**
+     * Get an outdated validation run together with what changed since it
+     * @returns {Object|null} { data, gameIds: Set } or null if there is no run
+     *          or the delta log no longer reaches back to it
+     */
+    function getStaleValidation() {
+        if (!cache.entries.data || !cache.validation.data) return null;
+        const changes = getChangesSince(cache.validation.versions);
+        return changes ? { data: cache.validation.data, gameIds: changes.gameIds } : null;
+    }
+
     /**
      * Set cached validation results
      * @param {Object} data - Validation results
@@ -89,7 +105,7 @@ window.DataFetcher = (function() {
     function setCachedValidation(data) {
         cache.validation = {
             data: data,
-            entriesHash: simpleHash(cache.entries.data)
+            versions: { ...versions }
         };
     }
 
@@ -108,7 +124,7 @@ window.DataFetcher = (function() {
      * @param {string} resultsHash - Hash of results data
      */
     function setCachedWinners(data, entriesHash, resultsHash) {
-        cache.winners = { data, entriesHash, resultsHash };
+        cache.winners = { data, entriesHash, resultsHash, entriesVersion: versions.entries };
     }
 
     /**
@@ -119,54 +135,178 @@ window.DataFetcher = (function() {
      */
     function isWinnersCacheValid(entries, results) {
         if (!cache.winners.data) return false;
-        return cache.winners.entriesHash === simpleHash(entries) &&
+        return cache.winners.entriesVersion === versions.entries &&
+               cache.winners.entriesHash === simpleHash(entries) &&
                cache.winners.resultsHash === simpleHash(results);
     }
 
     // ============================================
-    // Generic Fetch Helper
+    // Row Deltas
     // ============================================
-    
+
     /**
-     * Fetch CSV data from Google Sheets with timeout and error handling
-     * @param {string} url - Sheet export URL
-     * @returns {Promise<string>} Raw CSV text
+     * Hash a raw source row (FNV-1a over the joined cells)
+     * @param {string[]} row - CSV row values
+     * @returns {string} Hash in base 36
      */
-    async function fetchCSV(url) {
-        // Create abort controller for timeout
-        const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), FETCH_TIMEOUT);
-        
-        try {
-            const response = await fetch(`${url}&t=${Date.now()}`, {
-                cache: 'no-store',
-                redirect: 'follow',
-                signal: controller.signal
-            });
-            
-            clearTimeout(timeoutId);
+    function hashRow(row) {
+        const text = row.join('\u001f');
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return (hash >>> 0).toString(36);
+    }
 
-            if (!response.ok) {
-                throw new Error(`HTTP ${response.status}`);
-            }
+    /**
+     * Get the identity of a parsed row, used to tell edits from additions
+     * @param {string} type - 'entries' or 'recharges'
+     * @param {Object} item - Parsed entry or recharge
+     * @returns {string} Identity key
+     */
+    function getRowIdentity(type, item) {
+        return type === 'entries'
+            ? `${item.gameId}|${item.timestamp}|${item.ticketNumber}`
+            : item.rechargeId;
+    }
 
-            const text = await response.text();
+    /**
+     * Parse source rows, reusing objects for rows seen on the previous fetch
+     * @param {string} type - 'entries' or 'recharges'
+     * @param {string[][]} rows - Raw source rows
+     * @param {Function} parse - row -> parsed object, or null to skip the row
+     * @returns {Promise<Object[]>} Parsed objects in row order
+     */
+    async function parseRowsIncremental(type, rows, parse) {
+        const previous = rowIndex[type];
+        const index = new Map();
+        const occurrences = new Map();
+        const items = [];
+        const fresh = [];
+        const batchSize = 500;
+
+        for (let i = 0; i < rows.length; i++) {
+            // Identical rows are legal - number repeats so each keeps its own key
+            const hash = hashRow(rows[i]);
+            const seen = (occurrences.get(hash) || 0) + 1;
+            occurrences.set(hash, seen);
+            const rowKey = seen > 1 ? `${hash}#${seen}` : hash;
+
+            let item = previous ? previous.get(rowKey) : null;
+            if (!item) {
+                item = parse(rows[i]);
+                if (!item) continue;
+                fresh.push(item);
+            }
+            index.set(rowKey, item);
+            rowKeys.set(item, rowKey);
+            items.push(item);
 
-            // Check if we got HTML instead of CSV
-            if (text.trim().startsWith('<!DOCTYPE') || text.trim().startsWith('<html')) {
-                throw new Error('Sheet not publicly accessible');
+            // Yield to UI thread after each batch
+            if ((i + 1) % batchSize === 0 && i + 1 < rows.length) {
+                await new Promise(resolve => setTimeout(resolve, 0));
             }
+        }
 
-            return text;
-        } catch (error) {
-            clearTimeout(timeoutId);
-            if (error.name === 'AbortError') {
-                throw new Error('Request timed out - please try again');
+        rowIndex[type] = index;
+        recordDelta(type, previous, index, fresh);
+        return items;
+    }
+
+    /**
+     * Build and record the delta between two fetches
+     * @param {string} type - 'entries' or 'recharges'
+     * @param {Map|null} previous - Previous row index (null on first fetch)
+     * @param {Map} current - Current row index
+     * @param {Object[]} fresh - Objects parsed on this fetch
+     */
+    function recordDelta(type, previous, current, fresh) {
+        if (!previous) {
+            lastDelta[type] = null;
+            return;
+        }
+
+        const gone = [];
+        previous.forEach((item, rowKey) => {
+            if (!current.has(rowKey)) gone.push(item);
+        });
+
+        // A row that vanished and reappeared with the same identity was edited
+        const goneById = new Map(gone.map(item => [getRowIdentity(type, item), item]));
+        const added = [];
+        const changed = [];
+        fresh.forEach(item => {
+            const id = getRowIdentity(type, item);
+            if (goneById.has(id)) {
+                changed.push({ before: goneById.get(id), after: item });
+                goneById.delete(id);
+            } else {
+                added.push(item);
             }
-            throw error;
+        });
+        const removed = [...goneById.values()];
+
+        const gameIds = new Set();
+        added.forEach(item => gameIds.add(item.gameId));
+        removed.forEach(item => gameIds.add(item.gameId));
+        changed.forEach(({ before, after }) => {
+            gameIds.add(before.gameId);
+            gameIds.add(after.gameId);
+        });
+
+        lastDelta[type] = { added, changed, removed, gameIds, detectedAt: Date.now() };
+
+        if (gameIds.size > 0) {
+            versions[type]++;
+            deltaLog.push({ type, version: versions[type], delta: lastDelta[type] });
+            if (deltaLog.length > DELTA_LOG_SIZE) deltaLog.shift();
         }
     }
 
+    /**
+     * Collect every delta recorded since the given versions
+     * Deltas are concatenated, so a row added and edited again shows up in both lists.
+     * @param {Object} since - { entries, recharges } versions (see getVersions)
+     * @returns {Object|null} { entries: { added, changed, removed }, recharges: {...}, gameIds: Set }
+     *          or null if the log does not reach back that far
+     */
+    function getChangesSince(since) {
+        const changes = { gameIds: new Set() };
+        for (const type of ['entries', 'recharges']) {
+            const logged = deltaLog.filter(d => d.type === type && d.version > since[type]);
+            if (logged.length !== versions[type] - since[type]) return null;
+
+            changes[type] = { added: [], changed: [], removed: [] };
+            logged.forEach(({ delta }) => {
+                changes[type].added.push(...delta.added);
+                changes[type].changed.push(...delta.changed);
+                changes[type].removed.push(...delta.removed);
+                delta.gameIds.forEach(id => changes.gameIds.add(id));
+            });
+        }
+        return changes;
+    }
+
+    /**
+     * Get the stable key of a parsed row (content hash, numbered for repeats)
+     * @param {Object} item - Parsed entry or recharge from the last fetch
+     * @returns {string|null} Row key or null if the object did not come from a fetch
+     */
+    function getRowKey(item) {
+        return rowKeys.get(item) || null;
+    }
+
+    /**
+     * Get the delta of the last fetch
+     * @param {string} type - 'entries' or 'recharges'
+     * @returns {Object|null} { added, changed: [{ before, after }], removed, gameIds, detectedAt }
+     *          or null after the first fetch / a cache clear
+     */
+    function getLastDelta(type) {
+        return lastDelta[type];
+    }
+
     // ============================================
     // Entries Data
     // ============================================
@@ -212,7 +352,7 @@ window.DataFetcher = (function() {
     }
 
     /**
-     * Fetch all entries from Google Sheet
+     * Fetch all entries from the configured entries source
      * @param {boolean} forceRefresh - Force refresh ignoring cache
      * @returns {Promise<Object[]>} Array of entry objects
      */
@@ -224,44 +364,34 @@ window.DataFetcher = (function() {
             return cache.entries.data;
         }
 
-        // Return cached data if fetch is in progress - don't block, just use cache
-        if (fetchLock.entries) {
-            console.log('Entries fetch already in progress, using cached data');
-            return cache.entries.data || [];
+        // Join a fetch that is already in progress
+        if (!inFlight.entries) {
+            inFlight.entries = downloadEntries(now).finally(() => {
+                inFlight.entries = null;
+            });
         }
+        return inFlight.entries;
+    }
 
-        fetchLock.entries = true;
-
+    /**
+     * Download and parse entries (see fetchEntries)
+     * @param {number} now - Fetch start time
+     * @returns {Promise<Object[]>} Parsed entries
+     */
+    async function downloadEntries(now) {
         try {
-            const csvText = await fetchCSV(ENTRIES_SHEET_URL);
-            const lines = csvText.split(/\r?\n/).filter(Boolean);
+            const rows = await DataSources.get('entries').fetchRows();
 
-            if (lines.length <= 1) {
+            if (rows.length === 0) {
+                await parseRowsIncremental('entries', rows, parseEntryRow); // records removals
                 cache.entries = { data: [], timestamp: now };
-                fetchLock.entries = false;
                 return [];
             }
 
-            const delimiter = AdminCore.detectDelimiter(lines[0]);
-            const entries = [];
-
-            // Parse CSV in batches to avoid blocking UI
-            const batchSize = 500;
-            for (let i = 1; i < lines.length; i += batchSize) {
-                const batch = lines.slice(i, Math.min(i + batchSize, lines.length));
-                
-                for (const line of batch) {
-                    const row = AdminCore.parseCSVLine(line, delimiter);
-                    if (row.length >= 9 && row[2]) { // Must have at least Game ID
-                        entries.push(parseEntryRow(row));
-                    }
-                }
-                
-                // Yield to UI thread after each batch
-                if (i + batchSize < lines.length) {
-                    await new Promise(resolve => setTimeout(resolve, 0));
-                }
-            }
+            // Must have at least Game ID; unchanged rows are not parsed again
+            const entries = await parseRowsIncremental('entries', rows, row =>
+                (row.length >= 9 && row[2]) ? parseEntryRow(row) : null
+            );
 
             // Sort by timestamp descending (newest first) - defer if large
             if (entries.length > 1000) {
@@ -280,12 +410,10 @@ window.DataFetcher = (function() {
             }
 
             cache.entries = { data: entries, timestamp: now };
-            fetchLock.entries = false;
             return entries;
 
         } catch (error) {
             console.error('Error fetching entries:', error);
-            fetchLock.entries = false;
             // Return cached data if available, even if stale
             if (cache.entries.data) {
                 return cache.entries.data;
@@ -400,7 +528,7 @@ window.DataFetcher = (function() {
     }
 
     /**
-     * Fetch all recharge data from Google Sheet
+     * Fetch all recharge data from the configured recharges source
      * @param {boolean} forceRefresh - Force refresh ignoring cache
      * @returns {Promise<Object[]>} Array of recharge objects
      */
@@ -412,44 +540,41 @@ window.DataFetcher = (function() {
             return cache.recharges.data;
         }
 
-        // Return cached data if fetch is in progress - don't block, just use cache
-        if (fetchLock.recharges) {
-            console.log('Recharges fetch already in progress, using cached data');
-            return cache.recharges.data || [];
+        // Join a fetch that is already in progress
+        if (!inFlight.recharges) {
+            inFlight.recharges = downloadRecharges(now).finally(() => {
+                inFlight.recharges = null;
+            });
         }
+        return inFlight.recharges;
+    }
 
-        fetchLock.recharges = true;
-
+    /**
+     * Download and parse recharges (see fetchRecharges)
+     * @param {number} now - Fetch start time
+     * @returns {Promise<Object[]>} Parsed recharges
+     */
+    async function downloadRecharges(now) {
         try {
-            const csvText = await fetchCSV(RECHARGE_SHEET_URL);
-            const lines = csvText.split(/\r?\n/).filter(Boolean);
+            const source = DataSources.get('recharges');
+            const rows = await source.fetchRows();
 
-            console.log(`Recharge sheet: ${lines.length} lines loaded`);
+            console.log(`Recharge source: ${rows.length} rows loaded`);
             
-            if (lines.length <= 1) {
-                console.warn('Recharge sheet has no data rows');
+            if (rows.length === 0) {
+                console.warn('Recharge source has no data rows');
+                await parseRowsIncremental('recharges', rows, parseRechargeRow); // records removals
                 cache.recharges = { data: [], timestamp: now };
-                fetchLock.recharges = false;
                 return [];
             }
 
-            // Log first few lines for debugging
-            console.log('Recharge sheet header:', lines[0]);
-            if (lines[1]) console.log('Recharge sheet first row:', lines[1]);
-
-            const delimiter = AdminCore.detectDelimiter(lines[0]);
-            const recharges = [];
-            let skippedRows = 0;
-
-            for (let i = 1; i < lines.length; i++) {
-                const row = AdminCore.parseCSVLine(lines[i], delimiter);
-                const recharge = parseRechargeRow(row);
-                if (recharge) {
-                    recharges.push(recharge);
-                } else {
-                    skippedRows++;
-                }
-            }
+            // Log first rows for debugging
+            console.log('Recharge source header:', source.getHeader().join(','));
+            console.log('Recharge source first row:', rows[0].join(','));
+
+            // Unchanged rows are not parsed again
+            const recharges = await parseRowsIncremental('recharges', rows, parseRechargeRow);
+            const skippedRows = rows.length - recharges.length;
 
             console.log(`Recharges parsed: ${recharges.length} valid, ${skippedRows} skipped`);
             
@@ -479,12 +604,10 @@ window.DataFetcher = (function() {
             });
 
             cache.recharges = { data: recharges, timestamp: now };
-            fetchLock.recharges = false;
             return recharges;
 
         } catch (error) {
             console.error('Error fetching recharges:', error);
-            fetchLock.recharges = false;
             if (cache.recharges.data) {
                 return cache.recharges.data;
             }
@@ -654,8 +777,17 @@ window.DataFetcher = (function() {
     function clearCache() {
         cache.entries = { data: null, timestamp: 0 };
         cache.recharges = { data: null, timestamp: 0 };
-        cache.validation = { data: null, entriesHash: null };
-        cache.winners = { data: null, entriesHash: null, resultsHash: null };
+        cache.validation = { data: null, versions: null };
+        cache.winners = { data: null, entriesHash: null, resultsHash: null, entriesVersion: null };
+
+        // Next fetch starts a fresh baseline; bumped versions invalidate anything still held
+        rowIndex.entries = null;
+        rowIndex.recharges = null;
+        lastDelta.entries = null;
+        lastDelta.recharges = null;
+        versions.entries++;
+        versions.recharges++;
+        deltaLog = [];
     }
 
     /**
@@ -669,13 +801,15 @@ window.DataFetcher = (function() {
                 loaded: cache.entries.data !== null,
                 count: cache.entries.data ? cache.entries.data.length : 0,
                 age: cache.entries.timestamp ? now - cache.entries.timestamp : null,
-                stale: cache.entries.timestamp ? (now - cache.entries.timestamp) > CACHE_TTL : true
+                stale: cache.entries.timestamp ? (now - cache.entries.timestamp) > CACHE_TTL : true,
+                source: DataSources.get('entries').describe()
             },
             recharges: {
                 loaded: cache.recharges.data !== null,
                 count: cache.recharges.data ? cache.recharges.data.length : 0,
                 age: cache.recharges.timestamp ? now - cache.recharges.timestamp : null,
-                stale: cache.recharges.timestamp ? (now - cache.recharges.timestamp) > CACHE_TTL : true
+                stale: cache.recharges.timestamp ? (now - cache.recharges.timestamp) > CACHE_TTL : true,
+                source: DataSources.get('recharges').describe()
             }
         };
     }
@@ -708,6 +842,10 @@ window.DataFetcher = (function() {
         fetchRecharges,
         refreshAll,
         
+        // Row parsers
+        parseEntryRow,
+        parseRechargeRow,
+        
         // Aggregation helpers
         getUniqueGameIds,
         getUniqueRechargerIds,
@@ -724,11 +862,18 @@ window.DataFetcher = (function() {
         
         // Processed data cache
         getCachedValidation,
+        getStaleValidation,
         setCachedValidation,
         getCachedWinners,
         setCachedWinners,
         isWinnersCacheValid,
         simpleHash,
+
+        // Row deltas
+        getLastDelta,
+        getChangesSince,
+        getRowKey,
+        getVersions: () => ({ ...versions }),
         
         // Constants
         CACHE_TTL
@@ -0,0 +1,490 @@
+/**
+ * POP-SORTE Admin Dashboard - Data Source Adapters Module
+ *
+ * This module decouples the fetchers from where the data actually lives.
+ * Every source exposes the same adapter interface:
+ * - fetchRows()    -> Promise<string[][]> raw data rows (header removed)
+ * - getHeader()    -> string[] header of the last successful fetch
+ * - getFreshness() -> { fetchedAt, age, rowCount }
+ * - getLastError() -> Error|null from the last failed fetch
+ * - describe()     -> { key, type, label } for status displays
+ *
+ * Bundled adapters:
+ * - google-sheets: CSV export of a public Google Sheet
+ * - local-file:    CSV file uploaded by the user (File or raw text)
+ * - json-rest:     JSON REST endpoint (e.g. the popsorte-api worker)
+ * - fixture:       In-memory rows for offline work and testing
+ *
+ * Source definitions can be overridden without editing code through
+ * localStorage (key: popsorte_data_sources) or DataSources.configure().
+ *
+ * Dependencies: admin-core.js (AdminCore)
+ */
+
+// ============================================
+// Data Sources Module
+// ============================================
+window.DataSources = (function() {
+    'use strict';
+
+    // ============================================
+    // Constants
+    // ============================================
+
+    /**
+     * localStorage key holding per-source definition overrides
+     */
+    const CONFIG_KEY = 'popsorte_data_sources';
+
+    /**
+     * Fetch timeout in milliseconds (15 seconds)
+     */
+    const FETCH_TIMEOUT = 15 * 1000;
+
+    /**
+     * Adapter type identifiers
+     */
+    const SourceType = {
+        GOOGLE_SHEETS: 'google-sheets',
+        LOCAL_FILE: 'local-file',
+        JSON_REST: 'json-rest',
+        FIXTURE: 'fixture'
+    };
+
+    /**
+     * Production source definitions
+     * - entries: Timestamp, Platform, Game ID, WhatsApp, Chosen Numbers, Draw Date, Contest, Ticket #, Status
+     * - recharges: Member ID, Order Number, Region, Currency, Merchant, Record Time, Type, Category, Amount, ...
+     * - results: Contest, Draw Date, Number1..Number5, Saved At, Source
+     */
+    const DEFAULT_SOURCES = {
+        entries: {
+            type: SourceType.GOOGLE_SHEETS,
+            label: 'Entries sheet',
+            url: 'https://docs.google.com/spreadsheets/d/1OttNYHiecAuGG6IRX7lW6lkG5ciEcL8gp3g6lNrN9H8/export?format=csv&gid=0'
+        },
+        recharges: {
+            type: SourceType.GOOGLE_SHEETS,
+            label: 'Recharge sheet',
+            url: 'https://docs.google.com/spreadsheets/d/1c6gnCngs2wFOvVayd5XpM9D3LOlKUxtSjl7gfszXcMg/export?format=csv&gid=0'
+        },
+        results: {
+            type: SourceType.GOOGLE_SHEETS,
+            label: 'Results sheet',
+            url: 'https://docs.google.com/spreadsheets/d/1OttNYHiecAuGG6IRX7lW6lkG5ciEcL8gp3g6lNrN9H8/export?format=csv&gid=300277644'
+        }
+    };
+
+    // ============================================
+    // State
+    // ============================================
+    const adapters = {};
+
+    // ============================================
+    // Shared Helpers
+    // ============================================
+
+    /**
+     * Append a cache-busting timestamp to a URL
+     * @param {string} url - Source URL
+     * @returns {string} URL with t= parameter
+     */
+    function withCacheBuster(url) {
+        return `${url}${url.includes('?') ? '&' : '?'}t=${Date.now()}`;
+    }
+
+    /**
+     * Fetch text with timeout and error handling
+     * @param {string} url - URL to fetch
+     * @param {Object} options - Extra fetch options (headers, etc.)
+     * @returns {Promise<string>} Response body
+     */
+    async function fetchText(url, options = {}) {
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), FETCH_TIMEOUT);
+
+        try {
+            const response = await fetch(withCacheBuster(url), {
+                cache: 'no-store',
+                redirect: 'follow',
+                signal: controller.signal,
+                ...options
+            });
+
+            clearTimeout(timeoutId);
+
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+
+            return await response.text();
+        } catch (error) {
+            clearTimeout(timeoutId);
+            if (error.name === 'AbortError') {
+                throw new Error('Request timed out - please try again');
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Split CSV text into header and data rows
+     * @param {string} csvText - Raw CSV text
+     * @returns {Object} { header: string[], rows: string[][] }
+     */
+    function csvTextToRows(csvText) {
+        const lines = (csvText || '').replace(/^\uFEFF/, '').split(/\r?\n/).filter(Boolean);
+        if (lines.length === 0) {
+            return { header: [], rows: [] };
+        }
+
+        const delimiter = AdminCore.detectDelimiter(lines[0]);
+        const header = AdminCore.parseCSVLine(lines[0], delimiter);
+        const rows = [];
+
+        for (let i = 1; i < lines.length; i++) {
+            rows.push(AdminCore.parseCSVLine(lines[i], delimiter));
+        }
+
+        return { header, rows };
+    }
+
+    /**
+     * Check whether a response body is an HTML page instead of data
+     * @param {string} text - Response body
+     * @returns {boolean} True if HTML
+     */
+    function looksLikeHtml(text) {
+        const trimmed = text.trim();
+        return trimmed.startsWith('<!DOCTYPE') || trimmed.startsWith('<html');
+    }
+
+    // ============================================
+    // Adapter Base
+    // ============================================
+
+    /**
+     * Build an adapter around a loader function
+     * The loader returns { header, rows }; the base tracks freshness and errors
+     * @param {string} key - Source key (entries, recharges, ...)
+     * @param {Object} definition - Source definition
+     * @param {Function} loader - async () => { header, rows }
+     * @returns {Object} Adapter implementing the common interface
+     */
+    function createAdapter(key, definition, loader) {
+        let header = [];
+        let fetchedAt = 0;
+        let rowCount = 0;
+        let lastError = null;
+
+        async function fetchRows() {
+            try {
+                const data = await loader();
+                header = data.header || [];
+                rowCount = data.rows.length;
+                fetchedAt = Date.now();
+                lastError = null;
+                return data.rows;
+            } catch (error) {
+                lastError = error;
+                console.error(`DataSources: ${key} (${definition.type}) failed:`, error);
+                if (typeof AdminCore !== 'undefined') {
+                    AdminCore.emit('dataSourceError', { key, type: definition.type, error });
+                }
+                throw error;
+            }
+        }
+
+        return {
+            key,
+            type: definition.type,
+            fetchRows,
+            getHeader: () => header,
+            getFreshness: () => ({
+                fetchedAt,
+                age: fetchedAt ? Date.now() - fetchedAt : null,
+                rowCount
+            }),
+            getLastError: () => lastError,
+            describe: () => ({
+                key,
+                type: definition.type,
+                label: definition.label || key
+            })
+        };
+    }
+
+    // ============================================
+    // Adapters
+    // ============================================
+
+    /**
+     * Google Sheets CSV export adapter
+     * @param {string} key - Source key
+     * @param {Object} definition - { url, label }
+     * @returns {Object} Adapter
+     */
+    function createGoogleSheetsSource(key, definition) {
+        if (!definition.url) {
+            throw new Error(`Source "${key}" is missing a url`);
+        }
+        return createAdapter(key, definition, async () => {
+            const text = await fetchText(definition.url);
+            if (looksLikeHtml(text)) {
+                throw new Error('Sheet not publicly accessible');
+            }
+            return csvTextToRows(text);
+        });
+    }
+
+    /**
+     * Local CSV file adapter - reads an uploaded File (or raw text) once
+     * @param {string} key - Source key
+     * @param {Object} definition - { file: File } or { text: string }, plus optional label
+     * @returns {Object} Adapter
+     */
+    function createLocalFileSource(key, definition) {
+        let parsed = null;
+        return createAdapter(key, {
+            ...definition,
+            label: definition.label || definition.file?.name || 'Local file'
+        }, async () => {
+            if (!parsed) {
+                let text = definition.text;
+                if (text === undefined && definition.file) {
+                    text = await definition.file.text();
+                }
+                if (typeof text !== 'string') {
+                    throw new Error(`No file loaded for "${key}"`);
+                }
+                parsed = csvTextToRows(text);
+            }
+            return parsed;
+        });
+    }
+
+    /**
+     * JSON REST adapter
+     * Accepts responses shaped as an array, or an object with rows/data/results.
+     * Items may be arrays (used as-is) or objects (mapped through definition.columns,
+     * falling back to property order). CSV bodies are parsed as CSV.
+     * @param {string} key - Source key
+     * @param {Object} definition - { url, headers, columns, label }
+     * @returns {Object} Adapter
+     */
+    function createJsonRestSource(key, definition) {
+        if (!definition.url) {
+            throw new Error(`Source "${key}" is missing a url`);
+        }
+        return createAdapter(key, definition, async () => {
+            const text = await fetchText(definition.url, {
+                headers: { 'Accept': 'application/json', ...(definition.headers || {}) }
+            });
+
+            let payload;
+            try {
+                payload = JSON.parse(text);
+            } catch {
+                // Some worker routes return CSV text
+                if (looksLikeHtml(text)) {
+                    throw new Error('Endpoint returned HTML instead of data');
+                }
+                return csvTextToRows(text);
+            }
+
+            const items = Array.isArray(payload)
+                ? payload
+                : (payload.rows || payload.data || payload.results || []);
+            if (!Array.isArray(items)) {
+                throw new Error('Unexpected JSON shape from endpoint');
+            }
+
+            const columns = definition.columns
+                || (items[0] && !Array.isArray(items[0]) ? Object.keys(items[0]) : []);
+            const rows = items.map(item => Array.isArray(item)
+                ? item.map(v => (v === null || v === undefined) ? '' : String(v))
+                : columns.map(col => (item[col] === null || item[col] === undefined) ? '' : String(item[col])));
+
+            return { header: payload.header || columns, rows };
+        });
+    }
+
+    /**
+     * In-memory fixture adapter
+     * @param {string} key - Source key
+     * @param {Object} definition - { rows: string[][], header: string[] } or { csv: string }
+     * @returns {Object} Adapter
+     */
+    function createFixtureSource(key, definition) {
+        return createAdapter(key, { ...definition, label: definition.label || 'Fixture' }, async () => {
+            if (typeof definition.csv === 'string') {
+                return csvTextToRows(definition.csv);
+            }
+            return {
+                header: definition.header || [],
+                rows: (definition.rows || []).map(row => row.map(v => String(v)))
+            };
+        });
+    }
+
+    const factories = {
+        [SourceType.GOOGLE_SHEETS]: createGoogleSheetsSource,
+        [SourceType.LOCAL_FILE]: createLocalFileSource,
+        [SourceType.JSON_REST]: createJsonRestSource,
+        [SourceType.FIXTURE]: createFixtureSource
+    };
+
+    // ============================================
+    // Configuration
+    // ============================================
+
+    /**
+     * Read definition overrides from localStorage
+     * @returns {Object} Map of source key -> definition
+     */
+    function loadOverrides() {
+        try {
+            const stored = localStorage.getItem(CONFIG_KEY);
+            return stored ? JSON.parse(stored) : {};
+        } catch (e) {
+            console.warn('DataSources: Could not read overrides, ignoring', e);
+            return {};
+        }
+    }
+
+    /**
+     * Persist definition overrides to localStorage
+     * Only serializable definitions (no File objects) are stored
+     * @param {Object} overrides - Map of source key -> definition
+     */
+    function saveOverrides(overrides) {
+        try {
+            const serializable = {};
+            Object.entries(overrides).forEach(([key, def]) => {
+                if (def.type !== SourceType.LOCAL_FILE) {
+                    serializable[key] = def;
+                }
+            });
+            localStorage.setItem(CONFIG_KEY, JSON.stringify(serializable));
+        } catch (e) {
+            console.warn('DataSources: Could not save overrides', e);
+        }
+    }
+
+    /**
+     * Build an adapter from a definition
+     * @param {string} key - Source key
+     * @param {Object} definition - Source definition with a type
+     * @returns {Object} Adapter
+     */
+    function createSource(key, definition) {
+        const factory = factories[definition.type];
+        if (!factory) {
+            throw new Error(`Unknown data source type "${definition.type}" for "${key}"`);
+        }
+        return factory(key, definition);
+    }
+
+    /**
+     * Get the adapter for a source key
+     * @param {string} key - Source key
+     * @returns {Object} Adapter
+     */
+    function get(key) {
+        if (!adapters[key]) {
+            const definition = loadOverrides()[key] || DEFAULT_SOURCES[key];
+            if (!definition) {
+                throw new Error(`No data source configured for "${key}"`);
+            }
+            adapters[key] = createSource(key, definition);
+        }
+        return adapters[key];
+    }
+
+    /**
+     * Point a source key at a new definition
+     * @param {string} key - Source key
+     * @param {Object} definition - Source definition
+     * @param {Object} options - { persist: boolean } store override in localStorage
+     * @returns {Object} New adapter
+     */
+    function configure(key, definition, options = {}) {
+        adapters[key] = createSource(key, definition);
+        if (options.persist) {
+            const overrides = loadOverrides();
+            overrides[key] = definition;
+            saveOverrides(overrides);
+        }
+        if (typeof AdminCore !== 'undefined') {
+            AdminCore.emit('dataSourceChange', { key, type: definition.type });
+        }
+        return adapters[key];
+    }
+
+    /**
+     * Restore source keys to their production definitions
+     * @param {string[]} keys - Keys to reset (defaults to all)
+     */
+    function reset(keys = Object.keys(DEFAULT_SOURCES)) {
+        const overrides = loadOverrides();
+        keys.forEach(key => {
+            delete adapters[key];
+            delete overrides[key];
+        });
+        saveOverrides(overrides);
+        if (typeof AdminCore !== 'undefined') {
+            keys.forEach(key => AdminCore.emit('dataSourceChange', { key, type: DEFAULT_SOURCES[key]?.type }));
+        }
+    }
+
+    /**
+     * Get keys of sources currently served from uploaded files
+     * @returns {string[]} Source keys using the local-file adapter
+     */
+    function getLocalFileKeys() {
+        return Object.keys(adapters).filter(key => adapters[key].type === SourceType.LOCAL_FILE);
+    }
+
+    /**
+     * Get status of every known source
+     * @returns {Object[]} Array of { key, type, label, fetchedAt, age, rowCount, error }
+     */
+    function getStatus() {
+        return Object.keys({ ...DEFAULT_SOURCES, ...adapters }).map(key => {
+            const adapter = get(key);
+            return {
+                ...adapter.describe(),
+                ...adapter.getFreshness(),
+                error: adapter.getLastError()?.message || null
+            };
+        });
+    }
+
+    // ============================================
+    // Public API
+    // ============================================
+    return {
+        // Source access
+        get,
+        configure,
+        reset,
+        getStatus,
+        getLocalFileKeys,
+
+        // Adapter factories
+        createSource,
+        createGoogleSheetsSource,
+        createLocalFileSource,
+        createJsonRestSource,
+        createFixtureSource,
+
+        // Helpers
+        fetchText,
+        csvTextToRows,
+
+        // Constants
+        SourceType,
+        DEFAULT_SOURCES,
+        FETCH_TIMEOUT
+    };
+})();
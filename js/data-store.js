@@ -4,25 +4,24 @@
  * This module provides:
  * - Single fetch for all data, cached aggressively
  * - Quick counts without heavy processing
- * - On-demand validation/winner calculation for visible rows only
- * - localStorage persistence for instant subsequent loads
+ * - Cached winner calculation; ticket validation is MatchingEngine's
+ *   (through RechargeValidator), there is no second matcher here
+ * - IndexedDB persistence (data-db.js) for instant subsequent loads
+ * - Incremental refresh: only tickets of Game IDs touched by the row delta
+ *   are re-validated; 'dataChanged' carries the delta to the views
  * 
  * Architecture: Totals are fast, details are lazy-loaded
  * 
- * Dependencies: admin-core.js, data-fetcher.js, results-fetcher.js
+ * Results entered and confirmed in the dashboard (results-entry.js) are
+ * merged into the fetched results list.
+ * 
+ * Dependencies: admin-core.js, data-sources.js, draw-calendar.js, prize-rules.js, data-db.js,
+ *               data-fetcher.js, results-fetcher.js, results-entry.js
  */
 
 window.DataStore = (function() {
     'use strict';
 
-    // ============================================
-    // Constants
-    // ============================================
-    const STORAGE_KEY = 'popsorte_admin_data';
-    const STORAGE_VERSION = 6; // Bumped to fix caching bugs - always fetch fresh on load
-    const STORAGE_TTL = 2 * 60 * 1000; // 2 minutes localStorage cache (reduced for fresher data)
-    const MIN_RECHARGE_AMOUNT = 1.0;
-
     // ============================================
     // State
     // ============================================
@@ -44,142 +43,214 @@ window.DataStore = (function() {
             estimatedValid: 0,
             estimatedInvalid: 0
         },
-        // Validation cache - only for rows that have been validated
-        validationCache: new Map(),
         // Winner cache - only calculated when needed
         winnerCache: null,
-        winnerCacheKey: null
+        winnerCacheKey: null,
+        // Incremental refresh - DataFetcher versions and results signature of the last load
+        versions: null,
+        resultsSignature: '',
+        lastChanges: null,
+        // IndexedDB snapshot - persisted: stores mirror the live data (deltas can be applied)
+        persisted: false,
+        storedOutcomes: new Map()   // ticket key -> outcome record
     };
 
     // ============================================
-    // localStorage Persistence
+    // IndexedDB Persistence (see data-db.js)
     // ============================================
 
     /**
-     * Save data to localStorage
+     * Check if the current data may be snapshotted
+     * Data loaded from uploaded files is never stored as if it were live.
+     * @returns {boolean} True if persistence is possible
      */
-    function saveToStorage() {
-        try {
-            const data = {
-                version: STORAGE_VERSION,
-                timestamp: Date.now(),
-                entries: state.entries.slice(0, 1000), // Store only first 1000 for quick load
-                recharges: state.recharges.slice(0, 500),
-                results: state.results,
-                counts: state.counts
-            };
-            localStorage.setItem(STORAGE_KEY, JSON.stringify(data));
-        } catch (e) {
-            console.warn('Could not save to localStorage:', e);
-        }
+    function canPersist() {
+        return DataDB.isSupported() && DataSources.getLocalFileKeys().length === 0;
     }
 
     /**
-     * Reconstruct Date objects from stored data
-     * JSON.stringify converts Date to ISO string, so we need to restore them
-     * @param {Object} entry - Entry with serialized dates
-     * @returns {Object} Entry with proper Date objects
+     * Build [rowKey, record] pairs for DataDB
+     * @param {Object[]} items - Parsed entries or recharges from DataFetcher
+     * @returns {Array[]} Pairs (items without a row key are skipped)
      */
-    function reconstructEntryDates(entry) {
-        if (!entry) return entry;
-        
-        // Reconstruct parsedDate if it exists
-        if (entry.parsedDate) {
-            if (typeof entry.parsedDate === 'string') {
-                entry.parsedDate = new Date(entry.parsedDate);
-            }
-            // Validate the date is valid
-            if (!(entry.parsedDate instanceof Date) || isNaN(entry.parsedDate.getTime())) {
-                entry.parsedDate = null;
-            }
-        }
-        
-        return entry;
+    function toKeyedRecords(items) {
+        return items
+            .map(item => [DataFetcher.getRowKey(item), item])
+            .filter(pair => pair[0]);
     }
 
     /**
-     * Reconstruct Date objects for recharge data
-     * @param {Object} recharge - Recharge with serialized dates
-     * @returns {Object} Recharge with proper Date objects
+     * Build the DataDB changes for one data type of a change set
+     * @param {Object} delta - { added, changed, removed }
+     * @returns {Object} { put, remove }
      */
-    function reconstructRechargeDates(recharge) {
-        if (!recharge) return recharge;
-        
-        // Reconstruct rechargeTime if it exists
-        if (recharge.rechargeTime) {
-            if (typeof recharge.rechargeTime === 'string') {
-                recharge.rechargeTime = new Date(recharge.rechargeTime);
-            }
-            // Validate the date is valid
-            if (!(recharge.rechargeTime instanceof Date) || isNaN(recharge.rechargeTime.getTime())) {
-                recharge.rechargeTime = null;
-            }
-        }
-        
-        return recharge;
+    function toStoreChanges(delta) {
+        return {
+            put: toKeyedRecords([...delta.added, ...delta.changed.map(c => c.after)]),
+            remove: [...delta.removed, ...delta.changed.map(c => c.before)]
+                .map(item => DataFetcher.getRowKey(item))
+                .filter(Boolean)
+        };
     }
 
     /**
-     * Clear stored data (call when version mismatch or data is corrupt)
+     * Save the loaded data to IndexedDB
+     * Writes only the delta when the stores already mirror the previous load.
+     * @param {Object|null} changes - Change set from collectChanges (null = full snapshot)
+     * @returns {Promise<void>}
      */
-    function clearStorage() {
+    async function saveToStorage(changes = null) {
+        if (!canPersist()) return;
+        const { Stores } = DataDB;
+
         try {
-            localStorage.removeItem(STORAGE_KEY);
-            console.log('Cleared localStorage cache');
+            if (changes && state.persisted) {
+                if (changes.gameIds.size > 0) {
+                    await DataDB.applyChanges(Stores.ENTRIES, toStoreChanges(changes.entries), true);
+                    await DataDB.applyChanges(Stores.RECHARGES, toStoreChanges(changes.recharges), true);
+                }
+                if (changes.resultsChanged) {
+                    await DataDB.replaceAll(Stores.RESULTS, state.results);
+                }
+            } else {
+                await DataDB.replaceAll(Stores.ENTRIES, toKeyedRecords(state.entries), true);
+                await DataDB.replaceAll(Stores.RECHARGES, toKeyedRecords(state.recharges), true);
+                await DataDB.replaceAll(Stores.RESULTS, state.results);
+            }
+            await DataDB.setMeta('snapshot', { savedAt: Date.now(), counts: state.counts });
+            state.persisted = true;
         } catch (e) {
-            console.warn('Could not clear localStorage:', e);
+            state.persisted = false;
+            console.warn('Could not save to IndexedDB:', e);
         }
     }
 
     /**
-     * Load data from localStorage
-     * @returns {boolean} True if valid data was loaded
+     * Load the stored snapshot for instant display
+     * @returns {Promise<boolean>} True if a snapshot was loaded
      */
-    function loadFromStorage() {
-        try {
-            const stored = localStorage.getItem(STORAGE_KEY);
-            if (!stored) return false;
+    async function loadFromStorage() {
+        if (!DataDB.isSupported()) return false;
+        const { Stores } = DataDB;
 
-            const data = JSON.parse(stored);
-            
-            // Check version - if mismatch, clear and return false
-            if (data.version !== STORAGE_VERSION) {
-                console.log('Storage version mismatch, clearing cache');
-                clearStorage();
-                return false;
-            }
-            
-            // Check TTL
-            if (Date.now() - data.timestamp > STORAGE_TTL) {
-                console.log('Storage cache expired, clearing');
-                clearStorage();
-                return false;
-            }
+        try {
+            const [snapshot, entries, recharges, results, outcomes] = await Promise.all([
+                DataDB.getMeta('snapshot'),
+                DataDB.getAll(Stores.ENTRIES),
+                DataDB.getAll(Stores.RECHARGES),
+                DataDB.getAll(Stores.RESULTS),
+                DataDB.getAll(Stores.OUTCOMES)
+            ]);
 
-            // Validate data integrity - check if entries array exists and has proper structure
-            if (!Array.isArray(data.entries) || data.entries.length === 0) {
-                console.log('Storage data invalid, clearing');
-                clearStorage();
+            if (!snapshot || entries.length === 0) {
                 return false;
             }
 
-            // Restore partial data for instant display
-            // Reconstruct Date objects that were serialized to strings
-            state.entries = (data.entries || []).map(reconstructEntryDates);
-            state.recharges = (data.recharges || []).map(reconstructRechargeDates);
-            state.results = data.results || [];
-            state.counts = data.counts || state.counts;
-            state.lastFetch = data.timestamp;
+            // Stores are keyed by row hash - restore the fetchers' newest-first order
+            const time = date => (date instanceof Date ? date.getTime() : 0);
+            state.entries = entries.sort((a, b) => time(b.parsedDate) - time(a.parsedDate));
+            state.recharges = recharges.sort((a, b) => time(b.rechargeTime) - time(a.rechargeTime));
+            state.results = ResultsEntry.applyTo(results.sort((a, b) => parseInt(b.contest, 10) - parseInt(a.contest, 10)));
+            state.storedOutcomes = new Map(outcomes.map(o => [o.key, o]));
+            state.lastFetch = snapshot.savedAt;
+            calculateQuickCounts();
 
-            console.log('Loaded from localStorage:', state.counts.totalEntries, 'entries');
+            console.log('Loaded from IndexedDB:', state.counts.totalEntries, 'entries');
             return true;
         } catch (e) {
-            console.warn('Could not load from localStorage, clearing:', e);
-            clearStorage();
+            console.warn('Could not load from IndexedDB:', e);
             return false;
         }
     }
 
+    /**
+     * Clear stored data
+     * @returns {Promise<void>}
+     */
+    async function clearStorage() {
+        state.persisted = false;
+        state.storedOutcomes = new Map();
+        if (!DataDB.isSupported()) return;
+        try {
+            await DataDB.clearAll();
+            console.log('Cleared IndexedDB snapshot');
+        } catch (e) {
+            console.warn('Could not clear IndexedDB:', e);
+        }
+    }
+
+    /**
+     * Persist validation outcomes (only records whose verdict changed are written)
+     * @param {Object} run - Result of RechargeValidator.validateAllTickets
+     * @returns {Promise<void>}
+     */
+    async function saveOutcomes(run) {
+        if (!canPersist() || !run) return;
+
+        const validatedAt = Date.now();
+        const put = [];
+        const currentKeys = new Set();
+        run.results.forEach(o => {
+            currentKeys.add(o.key);
+            const rechargeId = o.matchedRecharge ? o.matchedRecharge.rechargeId : null;
+            const stored = state.storedOutcomes.get(o.key);
+            if (stored && stored.status === o.status && stored.reason === o.reason && stored.rechargeId === rechargeId) {
+                return;
+            }
+            put.push({
+                key: o.key,
+                gameId: o.ticket.gameId,
+                contest: o.ticket.contest,
+                drawDate: o.ticket.drawDate,
+                ticketNumber: o.ticket.ticketNumber,
+                platform: o.ticket.platform,
+                status: o.status,
+                reason: o.reason,
+                rechargeId,
+                rechargeAmount: o.matchedRecharge ? o.matchedRecharge.amount : null,
+                isDay2: !!o.isDay2,
+                wasUpgraded: !!o.wasUpgraded,
+                validatedAt
+            });
+        });
+        const remove = [...state.storedOutcomes.keys()].filter(key => !currentKeys.has(key));
+        if (put.length === 0 && remove.length === 0) return;
+
+        try {
+            await DataDB.applyChanges(DataDB.Stores.OUTCOMES, { put, remove });
+            remove.forEach(key => state.storedOutcomes.delete(key));
+            put.forEach(record => state.storedOutcomes.set(record.key, record));
+        } catch (e) {
+            console.warn('Could not save validation outcomes:', e);
+        }
+    }
+
+    /**
+     * Get the stored outcome of a ticket (from an earlier session or run)
+     * @param {string} key - Ticket key (MatchingEngine.getTicketKey)
+     * @returns {Object|null} Outcome record or null
+     */
+    function getStoredOutcome(key) {
+        return state.storedOutcomes.get(key) || null;
+    }
+
+    /**
+     * Query stored history through an index
+     * @param {string} storeName - DataDB.Stores value
+     * @param {string} indexName - gameId, contest or drawDate
+     * @param {*} value - Exact index value
+     * @returns {Promise<Object[]>} Matching records (empty when IndexedDB is unavailable)
+     */
+    async function queryStored(storeName, indexName, value) {
+        if (!DataDB.isSupported()) return [];
+        try {
+            return await DataDB.getAllByIndex(storeName, indexName, value);
+        } catch (e) {
+            console.warn('IndexedDB query failed:', e);
+            return [];
+        }
+    }
+
     // ============================================
     // Quick Count Calculations (No Heavy Processing)
     // ============================================
@@ -255,9 +326,9 @@ window.DataStore = (function() {
         // Track if this is the first load
         const isFirstLoad = !state.loaded;
         
-        // Try localStorage first for IMMEDIATE display only (not as final data)
+        // Try the IndexedDB snapshot first for IMMEDIATE display only (not as final data)
         if (isFirstLoad) {
-            const hasCache = loadFromStorage();
+            const hasCache = await loadFromStorage();
             if (hasCache) {
                 console.log('DataStore: Showing cached data immediately, will refresh from network');
                 AdminCore.emit('dataStoreReady', { fromCache: true, counts: state.counts });
@@ -278,6 +349,9 @@ window.DataStore = (function() {
         state.loading = true;
 
         try {
+            // Validation windows depend on the holiday/exception table
+            await DrawCalendar.ready();
+
             // Fetch all data in parallel - ALWAYS force refresh on first load
             const [entries, recharges, results] = await Promise.all([
                 DataFetcher.fetchEntries(isFirstLoad || forceRefresh),
@@ -287,23 +361,26 @@ window.DataStore = (function() {
 
             state.entries = entries;
             state.recharges = recharges;
-            state.results = results;
+            state.results = ResultsEntry.applyTo(results);
             state.lastFetch = Date.now();
             state.loaded = true;
 
-            // Clear validation cache when data changes
-            state.validationCache.clear();
-            state.winnerCache = null;
+            // Only drop what the refresh actually touched
+            const changes = collectChanges();
+            invalidateChanged(changes);
 
             // Calculate quick counts
             calculateQuickCounts();
 
             console.log('DataStore: Fresh data loaded -', state.entries.length, 'entries');
 
-            // Save to localStorage for next visit
-            saveToStorage();
+            // Save to IndexedDB for next visit (in the background)
+            saveToStorage(changes);
 
             AdminCore.emit('dataStoreReady', { fromCache: false, counts: state.counts });
+            if (changes && hasChanges(changes)) {
+                AdminCore.emit('dataChanged', changes);
+            }
 
             return state.counts;
         } catch (error) {
@@ -315,142 +392,70 @@ window.DataStore = (function() {
     }
 
     // ============================================
-    // On-Demand Validation (For Visible Rows Only)
+    // Incremental Refresh
     // ============================================
 
     /**
-     * Validate a single entry against recharges
-     * Results are cached for future lookups
-     * @param {Object} entry - Entry to validate
-     * @returns {Object} Validation result
+     * Build a signature of the results list (any edited number changes it)
+     * @param {Object[]} results - Result objects
+     * @returns {string} Signature
      */
-    function validateEntry(entry) {
-        if (!entry || !entry.ticketNumber) {
-            return { status: 'UNKNOWN', reason: 'Invalid entry' };
-        }
-
-        // Check cache first
-        const cacheKey = entry.ticketNumber;
-        if (state.validationCache.has(cacheKey)) {
-            return state.validationCache.get(cacheKey);
-        }
-
-        // Perform validation
-        const result = performValidation(entry);
-        
-        // Cache result
-        state.validationCache.set(cacheKey, result);
-        
-        return result;
+    function getResultsSignature(results) {
+        return results.map(r => `${r.contest}:${r.drawDate}:${(r.numbers || []).join('-')}:${r.isNoDraw ? 1 : 0}`).join('|');
     }
 
     /**
-     * Perform actual validation logic
-     * @param {Object} entry - Entry to validate
-     * @returns {Object} Validation result
+     * Collect what changed since the previous load
+     * @returns {Object|null} { entries, recharges, resultsChanged, gameIds, detectedAt }
+     *          or null on the first load / when the delta history is unavailable
      */
-    function performValidation(entry) {
-        const recharges = state.recharges;
-        
-        if (!entry.gameId) {
-            return { status: 'INVALID', reason: 'No Game ID', isCutoff: false };
+    function collectChanges() {
+        const since = state.versions;
+        const previousSignature = state.resultsSignature;
+        state.versions = DataFetcher.getVersions();
+        state.resultsSignature = getResultsSignature(state.results);
+
+        const changes = since ? DataFetcher.getChangesSince(since) : null;
+        if (!changes) {
+            state.lastChanges = null;
+            return null;
         }
 
-        // Find recharges for this game ID
-        const playerRecharges = recharges.filter(r => r.gameId === entry.gameId);
-        
-        if (playerRecharges.length === 0) {
-            return { status: 'INVALID', reason: 'No recharge found', isCutoff: false };
-        }
-
-        // Check for valid recharge timing
-        // Validate entryTime is a proper Date object
-        const entryTime = entry.parsedDate;
-        if (!entryTime || !(entryTime instanceof Date) || isNaN(entryTime.getTime())) {
-            return { status: 'INVALID', reason: 'Invalid entry timestamp', isCutoff: false };
-        }
-
-        // Check cutoff (20:00 BRT)
-        const entryHour = entryTime.getHours();
-        const isCutoff = entryHour >= 20;
-
-        // Find a valid recharge
-        for (const recharge of playerRecharges) {
-            // Validate rechargeTime is a proper Date object
-            if (!recharge.rechargeTime || !(recharge.rechargeTime instanceof Date) || isNaN(recharge.rechargeTime.getTime())) continue;
-            if (recharge.amount < MIN_RECHARGE_AMOUNT) continue;
-
-            // Recharge must be before or within same draw window as entry
-            if (recharge.rechargeTime <= entryTime) {
-                return {
-                    status: 'VALID',
-                    reason: 'Valid recharge found',
-                    isCutoff,
-                    matchedRecharge: recharge
-                };
-            }
-        }
-
-        return { status: 'INVALID', reason: 'No valid recharge timing', isCutoff };
+        changes.resultsChanged = previousSignature !== state.resultsSignature;
+        changes.detectedAt = Date.now();
+        state.lastChanges = changes;
+        return changes;
     }
 
     /**
-     * Validate a batch of entries (for table page)
-     * @param {Object[]} entries - Entries to validate
-     * @returns {Map} Map of ticketNumber -> validation result
+     * Check if a change set has anything in it
+     * @param {Object} changes - Result of collectChanges
+     * @returns {boolean} True if rows or results changed
      */
-    function validateBatch(entries) {
-        const results = new Map();
-        
-        for (const entry of entries) {
-            const validation = validateEntry(entry);
-            results.set(entry.ticketNumber, validation);
-        }
-        
-        return results;
+    function hasChanges(changes) {
+        return changes.gameIds.size > 0 || changes.resultsChanged;
     }
 
     /**
-     * Get accurate validation counts (runs validation on all entries)
-     * This is SLOW - only call when needed
-     * @returns {Promise<Object>} Accurate validation counts
+     * Invalidate cached winners affected by a change set
+     * @param {Object|null} changes - Result of collectChanges (null = everything)
      */
-    async function getAccurateValidationCounts() {
-        // Use cached validation if available
-        const cachedCounts = DataFetcher.getCachedValidation();
-        if (cachedCounts) {
-            return cachedCounts;
+    function invalidateChanged(changes) {
+        if (!changes) {
+            state.winnerCache = null;
+            return;
         }
 
-        // Process in batches to keep UI responsive
-        const entries = state.entries;
-        const batchSize = 100;
-        let validCount = 0;
-        let invalidCount = 0;
-        let unknownCount = 0;
-
-        for (let i = 0; i < entries.length; i += batchSize) {
-            const batch = entries.slice(i, i + batchSize);
-            
-            for (const entry of batch) {
-                const validation = validateEntry(entry);
-                switch (validation.status) {
-                    case 'VALID': validCount++; break;
-                    case 'INVALID': invalidCount++; break;
-                    default: unknownCount++;
-                }
-            }
-
-            // Yield to UI
-            if (i + batchSize < entries.length) {
-                await new Promise(r => setTimeout(r, 0));
-            }
+        const entriesChanged = changes.entries.added.length > 0 ||
+            changes.entries.changed.length > 0 ||
+            changes.entries.removed.length > 0;
+        if (entriesChanged || changes.resultsChanged) {
+            state.winnerCache = null;
+        }
+        if (changes.resultsChanged) {
+            // The winners cache hash only samples the ends of the results list
+            DataFetcher.setCachedWinners(null, null, null);
         }
-
-        const result = { valid: validCount, invalid: invalidCount, unknown: unknownCount };
-        DataFetcher.setCachedValidation(result);
-        
-        return result;
     }
 
     // ============================================
@@ -571,67 +576,6 @@ window.DataStore = (function() {
     function isLoaded() { return state.loaded; }
     function isLoading() { return state.loading; }
 
-    /**
-     * Get entries for a specific page
-     * @param {number} page - Page number (1-indexed)
-     * @param {number} perPage - Items per page
-     * @param {Object} filters - Optional filters
-     * @returns {Object} { entries, total, validated }
-     */
-    function getEntriesPage(page, perPage, filters = {}) {
-        let filtered = state.entries;
-
-        // Apply filters
-        if (filters.gameId) {
-            filtered = filtered.filter(e => 
-                e.gameId.toLowerCase().includes(filters.gameId.toLowerCase())
-            );
-        }
-        if (filters.whatsapp) {
-            filtered = filtered.filter(e => 
-                e.whatsapp.includes(filters.whatsapp)
-            );
-        }
-        if (filters.contest) {
-            filtered = filtered.filter(e => e.contest === filters.contest);
-        }
-        if (filters.drawDate) {
-            filtered = filtered.filter(e => e.drawDate === filters.drawDate);
-        }
-
-        const total = filtered.length;
-        const start = (page - 1) * perPage;
-        const pageEntries = filtered.slice(start, start + perPage);
-
-        // Validate only the visible entries
-        const validationMap = validateBatch(pageEntries);
-
-        // Apply validation filters if needed
-        if (filters.validity && filters.validity !== 'all') {
-            const allFiltered = [];
-            for (const e of filtered) {
-                const v = validateEntry(e);
-                if (filters.validity === 'valid' && v.status === 'VALID') allFiltered.push(e);
-                else if (filters.validity === 'invalid' && v.status === 'INVALID') allFiltered.push(e);
-                else if (filters.validity === 'unknown' && v.status === 'UNKNOWN') allFiltered.push(e);
-            }
-            filtered = allFiltered;
-            const newTotal = filtered.length;
-            const newPageEntries = filtered.slice(start, start + perPage);
-            return {
-                entries: newPageEntries,
-                total: newTotal,
-                validationMap: validateBatch(newPageEntries)
-            };
-        }
-
-        return {
-            entries: pageEntries,
-            total,
-            validationMap
-        };
-    }
-
     // ============================================
     // Statistics Helpers
     // ============================================
@@ -723,6 +667,46 @@ window.DataStore = (function() {
             .slice(0, limit);
     }
 
+    // ============================================
+    // Draw Calendar Changes
+    // ============================================
+
+    // Cutoffs and eligibility windows depend on the calendar, so a new
+    // exception table invalidates every derived validation/winner result
+    DrawCalendar.onChange(() => {
+        state.winnerCache = null;
+        DataFetcher.setCachedValidation(null);
+        DataFetcher.setCachedWinners(null, null, null);
+        AdminCore.emit('drawCalendarChange', { table: DrawCalendar.getTable() });
+    });
+
+    // A new prize rule set changes who wins and how much
+    PrizeRules.onChange(() => {
+        state.winnerCache = null;
+        DataFetcher.setCachedWinners(null, null, null);
+        AdminCore.emit('prizeRulesChange', { table: PrizeRules.getTable() });
+    });
+
+    // Prize amounts and winner validity are baked into calculated winners
+    ['prizePoolChange', 'statusOverrideChange'].forEach(event => AdminCore.on(event, () => {
+        state.winnerCache = null;
+        DataFetcher.setCachedWinners(null, null, null);
+    }));
+
+    // A confirmed dashboard result joins the results list right away (a
+    // pending one changes nothing until a second admin confirms it)
+    AdminCore.on('resultEntryChange', ({ type }) => {
+        if (type !== 'confirmed' || !state.loaded) return;
+        state.results = ResultsEntry.applyTo(state.results);
+        const changes = collectChanges();
+        invalidateChanged(changes);
+        calculateQuickCounts();
+        saveToStorage(changes);
+        if (changes && hasChanges(changes)) {
+            AdminCore.emit('dataChanged', changes);
+        }
+    });
+
     // ============================================
     // Public API
     // ============================================
@@ -739,14 +723,14 @@ window.DataStore = (function() {
         getAllRecharges,
         getResults,
         getCounts,
+        getLastChanges: () => state.lastChanges,
 
         // Platform filtering
         filterByPlatform,
         getEntriesByPlatform,
         getPlatformCounts,
 
-        // Paginated/filtered getters
-        getEntriesPage,
+        // Filtered getters
         getLatestEntries,
         getTopPlayers,
 
@@ -755,15 +739,13 @@ window.DataStore = (function() {
         getUniqueContests,
         getUniqueDrawDates,
 
-        // Validation (on-demand)
-        validateEntry,
-        validateBatch,
-        getAccurateValidationCounts,
-
         // Storage
         saveToStorage,
         loadFromStorage,
-        clearStorage
+        clearStorage,
+        saveOutcomes,
+        getStoredOutcome,
+        queryStored
     };
 })();
 
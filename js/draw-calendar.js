@@ -0,0 +1,502 @@
+/**
+ * POP-SORTE - Draw Calendar Module
+ *
+ * Single source of truth for which days have a draw and at what hour.
+ * Shared by the admin dashboard (validator, winner calculator, entries page)
+ * and the public pages (pop-sorte.js countdown, schedule and concurso).
+ *
+ * Rule precedence (first match wins):
+ * 1. dates   - specific YYYY-MM-DD exceptions (Carnival, suspended draws, ...)
+ * 2. annual  - MM-DD rules that repeat every year (Christmas, New Year, ...)
+ * 3. weekly  - weekdays without draw (0 = Sunday)
+ * 4. default - draw at defaultDrawHour
+ *
+ * The draw hour is also the registration cutoff hour: tickets and recharges
+ * at or after HH:00 BRT roll over to the next draw day.
+ *
+ * The exception table is loaded from data/draw-calendar.json, or from the
+ * URL stored under localStorage key popsorte_draw_calendar_source (JSON file
+ * or a published sheet tab CSV with columns: date, no_draw, draw_hour, label).
+ * Until it loads, the built-in table below applies.
+ *
+ * Dependencies: none (runs on admin and public pages)
+ */
+
+// ============================================
+// Draw Calendar Module
+// ============================================
+window.DrawCalendar = (function() {
+    'use strict';
+
+    // ============================================
+    // Constants
+    // ============================================
+
+    /**
+     * Default location of the exception table
+     */
+    const CALENDAR_URL = 'data/draw-calendar.json';
+
+    /**
+     * localStorage key for a custom table URL (e.g. a sheet tab CSV export)
+     */
+    const SOURCE_KEY = 'popsorte_draw_calendar_source';
+
+    /**
+     * Brazil timezone
+     */
+    const TIMEZONE = 'America/Sao_Paulo';
+
+    /**
+     * Built-in table (mirrors data/draw-calendar.json)
+     */
+    const DEFAULT_TABLE = {
+        defaultDrawHour: 20,
+        weeklyNoDraw: [0],
+        annual: {
+            '12-24': { drawHour: 17, label: 'Véspera de Natal' },
+            '12-25': { noDraw: true, label: 'Natal' },
+            '12-31': { drawHour: 17, label: 'Véspera de Ano Novo' },
+            '01-01': { noDraw: true, label: 'Ano Novo' }
+        },
+        dates: {}
+    };
+
+    /**
+     * Maximum days to scan when looking for the next draw
+     */
+    const MAX_SCAN_DAYS = 60;
+
+    // ============================================
+    // State
+    // ============================================
+    let table = normalizeTable(DEFAULT_TABLE);
+    let loadPromise = null;
+    const listeners = [];
+
+    const dateFormatter = new Intl.DateTimeFormat('en-US', {
+        timeZone: TIMEZONE,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit'
+    });
+
+    // ============================================
+    // Date Helpers
+    // ============================================
+
+    /**
+     * Convert any supported date input to a BRT date key
+     * @param {Date|string} input - Date, YYYY-MM-DD(...) or DD/MM/YYYY
+     * @returns {string} YYYY-MM-DD or empty string if invalid
+     */
+    function toDateKey(input) {
+        if (!input) return '';
+
+        if (typeof input === 'string') {
+            const trimmed = input.trim();
+            if (/^\d{4}-\d{2}-\d{2}/.test(trimmed)) {
+                return trimmed.substring(0, 10);
+            }
+            const br = trimmed.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})/);
+            if (br) {
+                return `${br[3]}-${br[2].padStart(2, '0')}-${br[1].padStart(2, '0')}`;
+            }
+            return '';
+        }
+
+        if (!(input instanceof Date) || isNaN(input.getTime())) return '';
+
+        const parts = dateFormatter.formatToParts(input);
+        const get = type => parts.find(p => p.type === type).value;
+        return `${get('year')}-${get('month')}-${get('day')}`;
+    }
+
+    /**
+     * Add days to a date key
+     * @param {string} dateKey - YYYY-MM-DD
+     * @param {number} days - Days to add (may be negative)
+     * @returns {string} YYYY-MM-DD
+     */
+    function addDays(dateKey, days) {
+        const d = new Date(`${dateKey}T12:00:00Z`); // noon UTC avoids DST edges
+        d.setUTCDate(d.getUTCDate() + days);
+        return d.toISOString().split('T')[0];
+    }
+
+    /**
+     * Get BRT midnight for a date key
+     * @param {string} dateKey - YYYY-MM-DD
+     * @returns {Date} Midnight BRT
+     */
+    function toBrazilMidnight(dateKey) {
+        return new Date(`${dateKey}T00:00:00-03:00`);
+    }
+
+    // ============================================
+    // Table Handling
+    // ============================================
+
+    /**
+     * Normalize a raw table into the internal shape
+     * @param {Object} raw - Table object (see DEFAULT_TABLE)
+     * @returns {Object} Normalized table
+     */
+    function normalizeTable(raw) {
+        const normalizeRule = rule => ({
+            noDraw: rule.noDraw === true,
+            drawHour: Number.isInteger(rule.drawHour) ? rule.drawHour : null,
+            label: rule.label || ''
+        });
+
+        const annual = {};
+        Object.entries(raw.annual || DEFAULT_TABLE.annual).forEach(([key, rule]) => {
+            annual[key] = normalizeRule(rule);
+        });
+
+        const dates = {};
+        Object.entries(raw.dates || {}).forEach(([key, rule]) => {
+            const dateKey = toDateKey(key);
+            if (dateKey) dates[dateKey] = normalizeRule(rule);
+        });
+
+        return {
+            defaultDrawHour: Number.isInteger(raw.defaultDrawHour) ? raw.defaultDrawHour : DEFAULT_TABLE.defaultDrawHour,
+            weeklyNoDraw: Array.isArray(raw.weeklyNoDraw) ? raw.weeklyNoDraw : DEFAULT_TABLE.weeklyNoDraw,
+            annual,
+            dates
+        };
+    }
+
+    /**
+     * Parse a sheet tab CSV (date, no_draw, draw_hour, label) into a table
+     * Dates as MM-DD become annual rules; full dates become date exceptions.
+     * @param {string} csvText - CSV text with header row
+     * @returns {Object} Raw table merged over the built-in defaults
+     */
+    function parseCSVTable(csvText) {
+        const lines = csvText.replace(/^\uFEFF/, '').split(/\r?\n/).filter(Boolean);
+        const raw = { ...DEFAULT_TABLE, annual: { ...DEFAULT_TABLE.annual }, dates: {} };
+        const truthy = ['true', '1', 'yes', 'sim', 'x'];
+
+        lines.slice(1).forEach(line => {
+            const cols = line.split(/[,;]/).map(c => c.trim().replace(/^"|"$/g, ''));
+            const [dateRaw, noDrawRaw, drawHourRaw, label] = cols;
+            if (!dateRaw) return;
+
+            const drawHour = parseInt(drawHourRaw, 10);
+            const rule = {
+                noDraw: truthy.includes((noDrawRaw || '').toLowerCase()),
+                drawHour: isNaN(drawHour) ? undefined : drawHour,
+                label: label || ''
+            };
+
+            if (/^\d{2}-\d{2}$/.test(dateRaw)) {
+                raw.annual[dateRaw] = rule;
+            } else if (toDateKey(dateRaw)) {
+                raw.dates[toDateKey(dateRaw)] = rule;
+            }
+        });
+
+        return raw;
+    }
+
+    /**
+     * Replace the active table
+     * @param {Object} raw - Raw table object
+     */
+    function setTable(raw) {
+        table = normalizeTable(raw);
+        listeners.forEach(fn => {
+            try {
+                fn(table);
+            } catch (error) {
+                console.error('DrawCalendar: listener error', error);
+            }
+        });
+    }
+
+    /**
+     * Get the configured table URL
+     * @returns {string} URL
+     */
+    function getSource() {
+        try {
+            return localStorage.getItem(SOURCE_KEY) || CALENDAR_URL;
+        } catch (e) {
+            return CALENDAR_URL;
+        }
+    }
+
+    /**
+     * Point the calendar at another table (JSON file or sheet CSV) and reload
+     * @param {string|null} url - New URL, or null to restore the default
+     * @returns {Promise<Object>} Loaded table
+     */
+    function setSource(url) {
+        try {
+            if (url) {
+                localStorage.setItem(SOURCE_KEY, url);
+            } else {
+                localStorage.removeItem(SOURCE_KEY);
+            }
+        } catch (e) {
+            console.warn('DrawCalendar: Could not persist source', e);
+        }
+        return load(url || CALENDAR_URL);
+    }
+
+    /**
+     * Load the exception table
+     * Keeps the current table if the request fails
+     * @param {string} url - JSON or CSV URL (defaults to configured source)
+     * @returns {Promise<Object>} Active table
+     */
+    function load(url = getSource()) {
+        loadPromise = fetch(url, { cache: 'no-store' })
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`HTTP ${response.status}`);
+                }
+                return response.text();
+            })
+            .then(text => {
+                const trimmed = text.trim();
+                setTable(trimmed.startsWith('{') ? JSON.parse(trimmed) : parseCSVTable(trimmed));
+                return table;
+            })
+            .catch(error => {
+                console.warn(`DrawCalendar: Could not load ${url}, using built-in table`, error);
+                return table;
+            });
+        return loadPromise;
+    }
+
+    /**
+     * Resolve once the initial table load has finished (successfully or not)
+     * @returns {Promise<Object>} Active table
+     */
+    function ready() {
+        return loadPromise || Promise.resolve(table);
+    }
+
+    /**
+     * Subscribe to table changes
+     * @param {Function} fn - Called with the new table
+     */
+    function onChange(fn) {
+        listeners.push(fn);
+    }
+
+    // ============================================
+    // Calendar Queries
+    // ============================================
+
+    /**
+     * Get the effective rule for a date
+     * @param {Date|string} date - Date to check
+     * @returns {Object} { date, noDraw, drawHour, label, source }
+     */
+    function getRule(date) {
+        const dateKey = toDateKey(date);
+        const result = { date: dateKey, noDraw: false, drawHour: table.defaultDrawHour, label: '', source: 'default' };
+        if (!dateKey) return result;
+
+        const specific = table.dates[dateKey];
+        const annual = table.annual[dateKey.substring(5)];
+        const weekday = new Date(`${dateKey}T12:00:00Z`).getUTCDay();
+
+        if (specific) {
+            return { ...result, ...specific, drawHour: specific.drawHour ?? table.defaultDrawHour, source: 'date' };
+        }
+        if (annual) {
+            return { ...result, ...annual, drawHour: annual.drawHour ?? table.defaultDrawHour, source: 'annual' };
+        }
+        if (table.weeklyNoDraw.includes(weekday)) {
+            return { ...result, noDraw: true, source: 'weekly' };
+        }
+        return result;
+    }
+
+    /**
+     * Check if a date has no draw
+     * @param {Date|string} date - Date to check
+     * @returns {boolean} True if no draw
+     */
+    function isNoDrawDay(date) {
+        return getRule(date).noDraw;
+    }
+
+    /**
+     * Check if a date has a draw
+     * @param {Date|string} date - Date to check
+     * @returns {boolean} True if draw day
+     */
+    function isDrawDay(date) {
+        return !getRule(date).noDraw;
+    }
+
+    /**
+     * Get draw hour (BRT) for a date - also the registration cutoff hour
+     * @param {Date|string} date - Date to check
+     * @returns {number} Hour 0-23
+     */
+    function getDrawHour(date) {
+        return getRule(date).drawHour;
+    }
+
+    /**
+     * Check if a date draws earlier than usual
+     * @param {Date|string} date - Date to check
+     * @returns {boolean} True if early draw
+     */
+    function isEarlyDrawDay(date) {
+        return getRule(date).drawHour < table.defaultDrawHour;
+    }
+
+    /**
+     * Get the cutoff instant for a date (HH:00:00 BRT)
+     * @param {Date|string} date - Date to check
+     * @returns {Date} Cutoff instant
+     */
+    function getCutoffTime(date) {
+        const dateKey = toDateKey(date);
+        const hour = String(getDrawHour(dateKey)).padStart(2, '0');
+        return new Date(`${dateKey}T${hour}:00:00-03:00`);
+    }
+
+    /**
+     * Check if a moment is at or after the cutoff of its own BRT day
+     * @param {Date} moment - Timestamp to check
+     * @returns {boolean} True if after cutoff
+     */
+    function isAfterCutoff(moment) {
+        if (!(moment instanceof Date) || isNaN(moment.getTime())) return false;
+        return moment.getTime() >= getCutoffTime(moment).getTime();
+    }
+
+    /**
+     * Get the next draw day on or after a date
+     * @param {Date|string} fromDate - Starting date (inclusive)
+     * @returns {Date} BRT midnight of the draw day
+     */
+    function getNextDrawDate(fromDate) {
+        let dateKey = toDateKey(fromDate);
+        for (let i = 0; i < MAX_SCAN_DAYS; i++) {
+            if (isDrawDay(dateKey)) {
+                return toBrazilMidnight(dateKey);
+            }
+            dateKey = addDays(dateKey, 1);
+        }
+        throw new Error('No valid draw date found in range');
+    }
+
+    /**
+     * Build the registration schedule for a draw date
+     * @param {Date|string} date - Draw date
+     * @returns {Object} { drawDate, drawHour, cutoff (HH:00 - 1s), regStart (prev day 20:00:01) }
+     */
+    function getScheduleForDate(date) {
+        const dateKey = toDateKey(date);
+        const drawHour = getDrawHour(dateKey);
+
+        const cutoff = getCutoffTime(dateKey);
+        cutoff.setSeconds(cutoff.getSeconds() - 1); // 19:59:59 or 16:59:59
+
+        const regStart = new Date(`${addDays(dateKey, -1)}T20:00:01-03:00`);
+
+        return { drawDate: toBrazilMidnight(dateKey), drawHour, cutoff, regStart };
+    }
+
+    /**
+     * Get the schedule of the draw currently open for registration
+     * @param {Date} now - Current time (defaults to now)
+     * @returns {Object} Schedule plus now
+     */
+    function getCurrentSchedule(now = new Date()) {
+        const todayKey = toDateKey(now);
+        if (isDrawDay(todayKey)) {
+            const schedule = getScheduleForDate(todayKey);
+            if (now <= schedule.cutoff) {
+                return { ...schedule, now };
+            }
+        }
+        const next = getNextDrawDate(addDays(todayKey, 1));
+        return { ...getScheduleForDate(next), now };
+    }
+
+    /**
+     * Count draw days after fromDate up to and including toDate
+     * Negative when toDate is before fromDate
+     * @param {Date|string} fromDate - Start date (exclusive)
+     * @param {Date|string} toDate - End date (inclusive)
+     * @returns {number} Signed draw-day count
+     */
+    function countDrawDays(fromDate, toDate) {
+        const fromKey = toDateKey(fromDate);
+        const toKey = toDateKey(toDate);
+        const step = toKey >= fromKey ? 1 : -1;
+        let cursor = fromKey;
+        let count = 0;
+
+        while (cursor !== toKey) {
+            cursor = addDays(cursor, step);
+            if (isDrawDay(cursor)) count++;
+        }
+
+        return count * step;
+    }
+
+    /**
+     * List rules for a date range (for admin display)
+     * @param {Date|string} fromDate - Start (inclusive)
+     * @param {number} days - Number of days
+     * @returns {Object[]} Array of rules
+     */
+    function getRange(fromDate, days) {
+        const startKey = toDateKey(fromDate);
+        return Array.from({ length: days }, (_, i) => getRule(addDays(startKey, i)));
+    }
+
+    // Load the exception table as soon as the script runs
+    // (the compute worker receives the active table with each job instead)
+    if (typeof fetch === 'function' && typeof document !== 'undefined') {
+        load();
+    }
+
+    // ============================================
+    // Public API
+    // ============================================
+    return {
+        // Table
+        load,
+        ready,
+        onChange,
+        setTable,
+        setSource,
+        getSource,
+        getTable: () => table,
+
+        // Queries
+        getRule,
+        isNoDrawDay,
+        isDrawDay,
+        getDrawHour,
+        isEarlyDrawDay,
+        getCutoffTime,
+        isAfterCutoff,
+        getNextDrawDate,
+        getScheduleForDate,
+        getCurrentSchedule,
+        countDrawDays,
+        getRange,
+
+        // Date helpers
+        toDateKey,
+        addDays,
+
+        // Constants
+        CALENDAR_URL,
+        DEFAULT_TABLE
+    };
+})();
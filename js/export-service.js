@@ -0,0 +1,493 @@
+/**
+ * POP-SORTE Admin Dashboard - Export Service Module
+ *
+ * One writer for every table export (entries, winners, legacy admin pages):
+ * - column specs: { key, label, value(row), type, pii, default }
+ * - CSV (RFC 4180 quoting, CRLF, UTF-8 BOM so Excel reads Portuguese
+ *   characters, formula-like text prefixed with '), XLSX (single sheet,
+ *   bold frozen header, text as inline strings) and JSON
+ * - PII columns are masked unless the session may export contact data
+ *   (Permission.EXPORT_WHATSAPP); without a permission system loaded the
+ *   service masks
+ * - the columns last chosen per dataset are remembered (localStorage)
+ *
+ * Callers pass the rows they show, already filtered by platform and
+ * filters, so an export always matches the screen.
+ *
+ * XLSX files are written without a library: a stored (uncompressed) ZIP
+ * holding the minimal SpreadsheetML parts, with inline strings.
+ *
+ * Dependencies: admin-core.js (AdminCore, optional), permissions.js (AdminPermissions, optional)
+ */
+
+// ============================================
+// Export Service Module
+// ============================================
+window.ExportService = (function() {
+    'use strict';
+
+    // ============================================
+    // Constants
+    // ============================================
+
+    /**
+     * Output formats
+     */
+    const Format = {
+        CSV: 'csv',
+        XLSX: 'xlsx',
+        JSON: 'json'
+    };
+
+    /**
+     * Display labels per format
+     */
+    const FORMAT_LABELS = {
+        [Format.CSV]: 'CSV',
+        [Format.XLSX]: 'Excel (XLSX)',
+        [Format.JSON]: 'JSON'
+    };
+
+    /**
+     * MIME type per format
+     */
+    const MIME_TYPES = {
+        [Format.CSV]: 'text/csv;charset=utf-8;',
+        [Format.XLSX]: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+        [Format.JSON]: 'application/json'
+    };
+
+    /**
+     * Column value types
+     * text: as is; number: numeric cell; money: number with 2 decimals
+     */
+    const ColumnType = {
+        TEXT: 'text',
+        NUMBER: 'number',
+        MONEY: 'money'
+    };
+
+    /**
+     * UTF-8 byte order mark (Excel needs it to read CSV as UTF-8)
+     */
+    const BOM = '\uFEFF';
+
+    /**
+     * Leading characters that make a spreadsheet read a CSV field as a formula
+     */
+    const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+    /**
+     * localStorage key for the columns chosen per dataset
+     */
+    const STORAGE_KEY = 'popsorte_export_columns';
+
+    /**
+     * Longest sheet name Excel accepts
+     */
+    const MAX_SHEET_NAME = 31;
+
+    // ============================================
+    // Columns & Masking
+    // ============================================
+
+    /**
+     * Whether the session may export PII unmasked
+     * @returns {boolean} True if allowed
+     */
+    function canExportPII() {
+        if (!window.AdminCore || !window.AdminPermissions) return false;
+        return AdminCore.can(AdminPermissions.Permission.EXPORT_WHATSAPP);
+    }
+
+    /**
+     * Mask a PII value, keeping its last 4 digits
+     * @param {*} value - Value
+     * @returns {string} Masked value
+     */
+    function maskValue(value) {
+        if (window.AdminCore) return AdminCore.maskWhatsApp(value ? String(value) : '');
+        const digits = String(value || '').replace(/\D/g, '');
+        return digits.length < 4 ? '****' : '***' + digits.slice(-4);
+    }
+
+    /**
+     * Columns selected by default
+     * @param {Object[]} columns - Column specs
+     * @returns {string[]} Column keys
+     */
+    function getDefaultColumns(columns) {
+        return columns.filter(c => c.default !== false).map(c => c.key);
+    }
+
+    /**
+     * Columns last chosen for a dataset
+     * @param {string} dataset - Dataset name (entries, winners...)
+     * @param {Object[]} columns - Column specs
+     * @returns {string[]} Column keys (defaults when nothing valid is saved)
+     */
+    function getSavedColumns(dataset, columns) {
+        try {
+            const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}')[dataset];
+            const keys = Array.isArray(saved) ? saved.filter(key => columns.some(c => c.key === key)) : [];
+            return keys.length > 0 ? keys : getDefaultColumns(columns);
+        } catch (e) {
+            return getDefaultColumns(columns);
+        }
+    }
+
+    /**
+     * Remember the columns chosen for a dataset
+     * @param {string} dataset - Dataset name
+     * @param {string[]} keys - Column keys
+     */
+    function saveColumns(dataset, keys) {
+        try {
+            const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+            saved[dataset] = keys;
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(saved));
+        } catch (e) {
+            console.warn('ExportService: Could not save column choice:', e);
+        }
+    }
+
+    /**
+     * Turn rows into a table of export values
+     * @param {Object[]} rows - Source rows
+     * @param {Object[]} columns - Column specs to export, in order
+     * @param {Object} options - { unmasked: show PII columns in full }
+     * @returns {Object} { columns, values: any[][], masked: keys of masked columns }
+     */
+    function buildTable(rows, columns, { unmasked = canExportPII() } = {}) {
+        const masked = unmasked ? [] : columns.filter(c => c.pii).map(c => c.key);
+        const values = rows.map(row => columns.map(column => {
+            const value = column.value ? column.value(row) : row[column.key];
+            if (column.pii && !unmasked) return maskValue(value);
+            if (column.type === ColumnType.MONEY) return Math.round((Number(value) || 0) * 100) / 100;
+            if (column.type === ColumnType.NUMBER) {
+                const n = Number(value);
+                return value === '' || value === null || value === undefined || isNaN(n) ? '' : n;
+            }
+            return Array.isArray(value) ? value.join(', ') : (value ?? '');
+        }));
+        return { columns, values, masked };
+    }
+
+    // ============================================
+    // CSV & JSON
+    // ============================================
+
+    /**
+     * Quote a CSV field when it needs it (RFC 4180)
+     * Text starting with = + - @ gets a leading ' so spreadsheets show it
+     * instead of running it as a formula (player names and notes are
+     * typed by the public).
+     * @param {*} value - Value
+     * @param {Object} column - Column spec
+     * @returns {string} Field
+     */
+    function csvField(value, column) {
+        let text = column && column.type === ColumnType.MONEY && value !== '' ? Number(value).toFixed(2) : String(value ?? '');
+        if (typeof value === 'string' && FORMULA_PREFIX.test(text)) {
+            text = `'${text}`;
+        }
+        return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    /**
+     * CSV text of a table, with BOM
+     * @param {Object} table - buildTable() output
+     * @returns {string} CSV
+     */
+    function toCSV(table) {
+        const lines = [
+            table.columns.map(c => csvField(c.label)).join(','),
+            ...table.values.map(row => row.map((v, i) => csvField(v, table.columns[i])).join(','))
+        ];
+        return BOM + lines.join('\r\n') + '\r\n';
+    }
+
+    /**
+     * JSON text of a table (objects keyed by column key)
+     * @param {Object} table - buildTable() output
+     * @returns {string} JSON
+     */
+    function toJSON(table) {
+        return JSON.stringify(table.values.map(row => {
+            const item = {};
+            table.columns.forEach((c, i) => { item[c.key] = row[i]; });
+            return item;
+        }), null, 2);
+    }
+
+    // ============================================
+    // XLSX
+    // ============================================
+
+    /**
+     * CRC-32 lookup table
+     */
+    const CRC_TABLE = (() => {
+        const table = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            table[n] = c >>> 0;
+        }
+        return table;
+    })();
+
+    /**
+     * CRC-32 of bytes (ZIP checksum)
+     * @param {Uint8Array} bytes - Data
+     * @returns {number} CRC
+     */
+    function crc32(bytes) {
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    /**
+     * Build a ZIP archive without compression
+     * @param {Object[]} files - [{ name, text }]
+     * @returns {Uint8Array} ZIP bytes
+     */
+    function createZip(files) {
+        const encoder = new TextEncoder();
+        const chunks = [];
+        const central = [];
+        let offset = 0;
+
+        // DOS timestamp of 1980-01-01 keeps files byte-identical between runs
+        const time = 0;
+        const date = (1 << 5) | 1;
+
+        files.forEach(file => {
+            const name = encoder.encode(file.name);
+            const data = encoder.encode(file.text);
+            const crc = crc32(data);
+
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034B50, true);
+            local.setUint16(4, 20, true);
+            local.setUint16(6, 0x0800, true); // UTF-8 names
+            local.setUint16(8, 0, true); // stored
+            local.setUint16(10, time, true);
+            local.setUint16(12, date, true);
+            local.setUint32(14, crc, true);
+            local.setUint32(18, data.length, true);
+            local.setUint32(22, data.length, true);
+            local.setUint16(26, name.length, true);
+            local.setUint16(28, 0, true);
+            chunks.push(new Uint8Array(local.buffer), name, data);
+
+            const entry = new DataView(new ArrayBuffer(46));
+            entry.setUint32(0, 0x02014B50, true);
+            entry.setUint16(4, 20, true);
+            entry.setUint16(6, 20, true);
+            entry.setUint16(8, 0x0800, true);
+            entry.setUint16(10, 0, true);
+            entry.setUint16(12, time, true);
+            entry.setUint16(14, date, true);
+            entry.setUint32(16, crc, true);
+            entry.setUint32(20, data.length, true);
+            entry.setUint32(24, data.length, true);
+            entry.setUint16(28, name.length, true);
+            entry.setUint32(42, offset, true);
+            central.push(new Uint8Array(entry.buffer), name);
+
+            offset += 30 + name.length + data.length;
+        });
+
+        const centralSize = central.reduce((sum, c) => sum + c.length, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054B50, true);
+        end.setUint16(8, files.length, true);
+        end.setUint16(10, files.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+
+        const parts = [...chunks, ...central, new Uint8Array(end.buffer)];
+        const zip = new Uint8Array(parts.reduce((sum, p) => sum + p.length, 0));
+        let position = 0;
+        parts.forEach(p => { zip.set(p, position); position += p.length; });
+        return zip;
+    }
+
+    /**
+     * Escape text for XML, dropping characters XML cannot hold
+     * @param {*} value - Value
+     * @returns {string} Escaped text
+     */
+    function xmlEscape(value) {
+        return String(value ?? '')
+            .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Spreadsheet column letters (0 -> A, 26 -> AA)
+     * @param {number} index - Column index
+     * @returns {string} Letters
+     */
+    function columnLetter(index) {
+        let letters = '';
+        for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+            letters = String.fromCharCode(65 + ((n - 1) % 26)) + letters;
+        }
+        return letters;
+    }
+
+    /**
+     * XLSX workbook of a table
+     * @param {Object} table - buildTable() output
+     * @param {string} sheetName - Sheet name
+     * @returns {Uint8Array} XLSX bytes
+     */
+    function toXLSX(table, sheetName = 'Export') {
+        const name = String(sheetName).replace(/[\[\]:*?\/\\']/g, ' ').trim().substring(0, MAX_SHEET_NAME) || 'Export';
+
+        // Style 1: bold header, style 2: two decimals
+        const cell = (value, ref, column, header) => {
+            if (!header && typeof value === 'number' && isFinite(value)) {
+                return `<c r="${ref}"${column.type === ColumnType.MONEY ? ' s="2"' : ''}><v>${value}</v></c>`;
+            }
+            return `<c r="${ref}" t="inlineStr"${header ? ' s="1"' : ''}><is><t xml:space="preserve">${xmlEscape(value)}</t></is></c>`;
+        };
+        const row = (values, r, header) => `<row r="${r}">${values.map((v, i) => cell(v, `${columnLetter(i)}${r}`, table.columns[i], header)).join('')}</row>`;
+
+        const widths = table.columns.map((c, i) => Math.min(60, Math.max(
+            String(c.label).length,
+            ...table.values.slice(0, 500).map(values => String(values[i] ?? '').length)
+        ) + 2));
+
+        const sheet = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+            '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+            '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>' +
+            (widths.length > 0 ? `<cols>${widths.map((w, i) => `<col min="${i + 1}" max="${i + 1}" width="${w}" customWidth="1"/>`).join('')}</cols>` : '') +
+            `<sheetData>${row(table.columns.map(c => c.label), 1, true)}${table.values.map((values, i) => row(values, i + 2, false)).join('')}</sheetData>` +
+            '</worksheet>';
+
+        return createZip([
+            {
+                name: '[Content_Types].xml',
+                text: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                    '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+                    '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+                    '<Default Extension="xml" ContentType="application/xml"/>' +
+                    '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+                    '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+                    '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+                    '</Types>'
+            },
+            {
+                name: '_rels/.rels',
+                text: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                    '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+                    '</Relationships>'
+            },
+            {
+                name: 'xl/workbook.xml',
+                text: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                    '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+                    `<sheets><sheet name="${xmlEscape(name)}" sheetId="1" r:id="rId1"/></sheets>` +
+                    '</workbook>'
+            },
+            {
+                name: 'xl/_rels/workbook.xml.rels',
+                text: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                    '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+                    '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>' +
+                    '</Relationships>'
+            },
+            {
+                name: 'xl/styles.xml',
+                text: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                    '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+                    '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+                    '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+                    '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+                    '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+                    '<cellXfs count="3">' +
+                    '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+                    '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>' +
+                    '<xf numFmtId="2" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+                    '</cellXfs>' +
+                    '</styleSheet>'
+            },
+            { name: 'xl/worksheets/sheet1.xml', text: sheet }
+        ]);
+    }
+
+    // ============================================
+    // Export
+    // ============================================
+
+    /**
+     * Build an export file
+     * @param {Object} options - { name: file name without extension, rows, columns: column specs,
+     *                             keys: column keys to include (default: the default columns),
+     *                             format, unmasked (default: session permission), sheetName }
+     * @returns {Object} { blob, fileName, format, rows, columns: keys, masked: keys of masked columns }
+     * @throws {Error} If the format is unknown or no column is chosen
+     */
+    function build({ name, rows, columns, keys = null, format = Format.CSV, unmasked = canExportPII(), sheetName = '' }) {
+        if (!MIME_TYPES[format]) throw new Error(`Unknown export format "${format}"`);
+        const chosen = (keys || getDefaultColumns(columns))
+            .map(key => columns.find(c => c.key === key))
+            .filter(Boolean);
+        if (chosen.length === 0) throw new Error('Choose at least one column');
+
+        const table = buildTable(rows, chosen, { unmasked });
+        const content = format === Format.XLSX ? toXLSX(table, sheetName || name)
+            : format === Format.JSON ? toJSON(table)
+            : toCSV(table);
+
+        return {
+            blob: new Blob([content], { type: MIME_TYPES[format] }),
+            fileName: `${name}.${format}`,
+            format,
+            rows: rows.length,
+            columns: chosen.map(c => c.key),
+            masked: table.masked
+        };
+    }
+
+    /**
+     * Save a built export through the browser
+     * @param {Object} file - build() output
+     */
+    function download(file) {
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(file.blob);
+        link.download = file.fileName;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    }
+
+    // ============================================
+    // Public API
+    // ============================================
+    return {
+        build,
+        download,
+        buildTable,
+        toCSV,
+        toJSON,
+        toXLSX,
+        canExportPII,
+        getSavedColumns,
+        saveColumns,
+
+        // Constants
+        Format,
+        FORMAT_LABELS,
+        ColumnType
+    };
+})();
@@ -0,0 +1,491 @@
+/**
+ * POP-SORTE Admin Dashboard - Fraud Detector Module
+ *
+ * Anomaly rules over entries and recharges. Registrations per Game ID are
+ * unlimited and the validator only checks recharge binding, so abuse has to
+ * be spotted from patterns:
+ * - SHARED_WHATSAPP: one WhatsApp number behind many Game IDs
+ * - CUTOFF_BURST: many tickets from one Game ID just before a draw cutoff
+ * - CLONED_NUMBERS: the same number set for the same draw from a cluster
+ *   of Game IDs
+ * - MIN_RECHARGE_SCALE: minimum-amount recharges immediately followed by
+ *   a ticket, over and over (smallest recharge amount in the data unless
+ *   thresholds.minRechargeAmount is set)
+ *
+ * Every ticket gets a risk score (0-100, the sum of its rules' weights,
+ * each scaled up to twice by how far the threshold is exceeded) and a
+ * level. Flagged Game IDs form the review queue; a review (cleared or
+ * confirmed, with a note) covers the flags it was made for and reopens
+ * when they change. Reviewing requires Permission.REVIEW_RISK. Reviews are
+ * persisted under localStorage key popsorte_risk_reviews.
+ *
+ * Flags are advisory: they never change a ticket's status.
+ *
+ * Emits 'riskAnalysisChange' { analysis } after every analyze() and
+ * 'riskReviewChange' { gameId, review }.
+ *
+ * Dependencies: admin-core.js (AdminCore), permissions.js (AdminPermissions),
+ *               draw-calendar.js (DrawCalendar), matching-engine.js (MatchingEngine)
+ */
+
+// ============================================
+// Fraud Detector Module
+// ============================================
+window.FraudDetector = (function() {
+    'use strict';
+
+    // ============================================
+    // Constants
+    // ============================================
+
+    /**
+     * localStorage key for reviews
+     */
+    const STORAGE_KEY = 'popsorte_risk_reviews';
+
+    /**
+     * Detection rules
+     */
+    const Rule = {
+        SHARED_WHATSAPP: 'shared-whatsapp',
+        CUTOFF_BURST: 'cutoff-burst',
+        CLONED_NUMBERS: 'cloned-numbers',
+        MIN_RECHARGE_SCALE: 'min-recharge-scale'
+    };
+
+    /**
+     * Display labels per rule
+     */
+    const RULE_LABELS = {
+        [Rule.SHARED_WHATSAPP]: 'Shared WhatsApp',
+        [Rule.CUTOFF_BURST]: 'Burst before cutoff',
+        [Rule.CLONED_NUMBERS]: 'Cloned numbers',
+        [Rule.MIN_RECHARGE_SCALE]: 'Minimum recharges at scale'
+    };
+
+    /**
+     * Score points per rule (at exactly the threshold)
+     */
+    const WEIGHTS = {
+        [Rule.SHARED_WHATSAPP]: 30,
+        [Rule.CUTOFF_BURST]: 25,
+        [Rule.CLONED_NUMBERS]: 35,
+        [Rule.MIN_RECHARGE_SCALE]: 20
+    };
+
+    /**
+     * Default thresholds
+     */
+    const DEFAULT_THRESHOLDS = {
+        sharedWhatsappGameIds: 3,   // Game IDs on one WhatsApp number
+        burstTickets: 5,            // tickets from one Game ID...
+        burstMinutes: 30,           // ...in the last N minutes before a cutoff
+        clonedGameIds: 3,           // Game IDs with one number set for one draw
+        minRechargeTickets: 3,      // minimum recharges followed by a ticket...
+        minRechargeMinutes: 5,      // ...within N minutes
+        minRechargeAmount: null     // null = smallest recharge amount in the data
+    };
+
+    /**
+     * Risk levels (lowest score of each)
+     */
+    const RiskLevel = {
+        HIGH: 'high',
+        MEDIUM: 'medium',
+        LOW: 'low'
+    };
+
+    /**
+     * Review decisions
+     */
+    const Decision = {
+        CLEARED: 'cleared',
+        CONFIRMED: 'confirmed'
+    };
+
+    // ============================================
+    // State
+    // ============================================
+    let reviews = loadReviews();
+    let analysis = null;
+
+    // ============================================
+    // Storage
+    // ============================================
+
+    /**
+     * Read reviews from localStorage
+     * @returns {Map} gameId -> review
+     */
+    function loadReviews() {
+        try {
+            const list = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+            return new Map((Array.isArray(list) ? list : []).map(r => [r.gameId, r]));
+        } catch (e) {
+            return new Map();
+        }
+    }
+
+    /**
+     * Write reviews to localStorage
+     */
+    function saveReviews() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify([...reviews.values()]));
+        } catch (e) {
+            console.warn('Could not save risk reviews:', e);
+        }
+    }
+
+    // ============================================
+    // Helpers
+    // ============================================
+
+    /**
+     * Check that a value is a usable Date
+     * @param {*} date - Value to check
+     * @returns {boolean} True if valid Date
+     */
+    function isValidDate(date) {
+        return date instanceof Date && !isNaN(date.getTime());
+    }
+
+    /**
+     * WhatsApp number reduced to its digits
+     * @param {string} whatsapp - Raw value
+     * @returns {string} Digits, or '' when too short to identify anyone
+     */
+    function normalizeWhatsApp(whatsapp) {
+        const digits = String(whatsapp || '').replace(/\D/g, '');
+        return digits.length >= 8 ? digits.slice(-11) : '';
+    }
+
+    /**
+     * Map a score to a risk level
+     * @param {number} score - Risk score
+     * @returns {string|null} RiskLevel or null for 0
+     */
+    function getLevel(score) {
+        if (score >= 60) return RiskLevel.HIGH;
+        if (score >= 30) return RiskLevel.MEDIUM;
+        return score > 0 ? RiskLevel.LOW : null;
+    }
+
+    /**
+     * Group items by a key, skipping empty keys
+     * @param {Object[]} items - Items
+     * @param {Function} keyOf - Item -> key
+     * @returns {Map} key -> items
+     */
+    function groupBy(items, keyOf) {
+        const groups = new Map();
+        items.forEach(item => {
+            const key = keyOf(item);
+            if (!key) return;
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(item);
+        });
+        return groups;
+    }
+
+    // ============================================
+    // Rules
+    // Each rule returns [{ rule, tickets, count, threshold, message }]
+    // ============================================
+
+    /**
+     * One WhatsApp number registered under many Game IDs
+     * @param {Object[]} entries - All entries
+     * @param {Object} thresholds - Thresholds
+     * @returns {Object[]} Findings
+     */
+    function detectSharedWhatsApp(entries, thresholds) {
+        const findings = [];
+        groupBy(entries, e => normalizeWhatsApp(e.whatsapp)).forEach(tickets => {
+            const gameIds = new Set(tickets.map(t => t.gameId));
+            if (gameIds.size < thresholds.sharedWhatsappGameIds) return;
+            findings.push({
+                rule: Rule.SHARED_WHATSAPP,
+                tickets,
+                count: gameIds.size,
+                threshold: thresholds.sharedWhatsappGameIds,
+                message: `WhatsApp shared by ${gameIds.size} Game IDs`
+            });
+        });
+        return findings;
+    }
+
+    /**
+     * Many tickets from one Game ID in the minutes before a draw cutoff
+     * @param {Object[]} entries - All entries
+     * @param {Object} thresholds - Thresholds
+     * @returns {Object[]} Findings
+     */
+    function detectCutoffBursts(entries, thresholds) {
+        const findings = [];
+        const windowMs = thresholds.burstMinutes * 60 * 1000;
+
+        const late = entries.filter(e => {
+            if (!isValidDate(e.parsedDate) || !DrawCalendar.isDrawDay(e.parsedDate)) return false;
+            const untilCutoff = DrawCalendar.getCutoffTime(e.parsedDate).getTime() - e.parsedDate.getTime();
+            return untilCutoff > 0 && untilCutoff <= windowMs;
+        });
+
+        groupBy(late, e => e.gameId ? `${e.gameId}|${DrawCalendar.toDateKey(e.parsedDate)}` : '').forEach((tickets, key) => {
+            if (tickets.length < thresholds.burstTickets) return;
+            const dateKey = key.split('|')[1];
+            findings.push({
+                rule: Rule.CUTOFF_BURST,
+                tickets,
+                count: tickets.length,
+                threshold: thresholds.burstTickets,
+                message: `${tickets.length} tickets in the ${thresholds.burstMinutes} min before the ${dateKey.split('-').reverse().join('/')} cutoff`
+            });
+        });
+        return findings;
+    }
+
+    /**
+     * The same number set for the same draw from a cluster of Game IDs
+     * @param {Object[]} entries - All entries
+     * @param {Object} thresholds - Thresholds
+     * @returns {Object[]} Findings
+     */
+    function detectClonedNumbers(entries, thresholds) {
+        const findings = [];
+        const keyOf = e => {
+            if (!e.gameId || !Array.isArray(e.numbers) || e.numbers.length < 5) return '';
+            const draw = e.contest || DrawCalendar.toDateKey(e.drawDate) || '';
+            return `${draw}|${[...e.numbers].slice(0, 5).sort((a, b) => a - b).join('-')}`;
+        };
+
+        groupBy(entries, keyOf).forEach((tickets, key) => {
+            const gameIds = new Set(tickets.map(t => t.gameId));
+            if (gameIds.size < thresholds.clonedGameIds) return;
+            const [draw, numbers] = key.split('|');
+            findings.push({
+                rule: Rule.CLONED_NUMBERS,
+                tickets,
+                count: gameIds.size,
+                threshold: thresholds.clonedGameIds,
+                message: `${numbers} played by ${gameIds.size} Game IDs for ${/^\d+$/.test(draw) ? `contest #${draw}` : draw}`
+            });
+        });
+        return findings;
+    }
+
+    /**
+     * Minimum-amount recharges immediately followed by a ticket, many times
+     * @param {Object[]} entries - All entries
+     * @param {Object[]} recharges - All recharges
+     * @param {Object} thresholds - Thresholds
+     * @returns {Object[]} Findings
+     */
+    function detectMinRechargeScale(entries, recharges, thresholds) {
+        const findings = [];
+        const amounts = recharges.map(r => r.amount).filter(a => a > 0);
+        if (amounts.length === 0) return findings;
+        const minAmount = thresholds.minRechargeAmount ?? amounts.reduce((min, a) => Math.min(min, a), Infinity);
+        const windowMs = thresholds.minRechargeMinutes * 60 * 1000;
+
+        const ticketsByGameId = groupBy(entries.filter(e => isValidDate(e.parsedDate)), e => e.gameId);
+        groupBy(recharges.filter(r => r.amount <= minAmount && isValidDate(r.rechargeTime)), r => r.gameId).forEach((minimal, gameId) => {
+            const candidates = ticketsByGameId.get(gameId) || [];
+            const followed = [];
+            minimal.forEach(recharge => {
+                // The bound ticket if the engine paired them, else the first ticket right after
+                const bound = MatchingEngine.getBoundTicket(recharge.rechargeId);
+                const start = recharge.rechargeTime.getTime();
+                const ticket = bound && isValidDate(bound.parsedDate) && bound.parsedDate.getTime() - start <= windowMs
+                    ? bound
+                    : candidates.find(t => t.parsedDate.getTime() > start && t.parsedDate.getTime() - start <= windowMs && !followed.includes(t));
+                if (ticket && !followed.includes(ticket)) followed.push(ticket);
+            });
+            if (followed.length < thresholds.minRechargeTickets) return;
+            findings.push({
+                rule: Rule.MIN_RECHARGE_SCALE,
+                tickets: followed,
+                count: followed.length,
+                threshold: thresholds.minRechargeTickets,
+                message: `${followed.length} tickets within ${thresholds.minRechargeMinutes} min of a R$ ${minAmount.toFixed(2)} recharge`
+            });
+        });
+        return findings;
+    }
+
+    // ============================================
+    // Analysis
+    // ============================================
+
+    /**
+     * Run every rule over all platforms
+     * @param {Object[]} entries - All entries
+     * @param {Object[]} recharges - All recharges
+     * @param {Object} thresholds - Overrides of DEFAULT_THRESHOLDS
+     * @returns {Object} { analyzedAt, thresholds, byTicket, byGameId, counts }
+     */
+    function analyze(entries, recharges, thresholds = {}) {
+        const limits = { ...DEFAULT_THRESHOLDS, ...thresholds };
+        const list = entries || [];
+        const findings = [
+            ...detectSharedWhatsApp(list, limits),
+            ...detectCutoffBursts(list, limits),
+            ...detectClonedNumbers(list, limits),
+            ...detectMinRechargeScale(list, recharges || [], limits)
+        ];
+
+        // Per ticket: each rule counts once, with its strongest finding
+        const byTicket = new Map();
+        findings.forEach(finding => {
+            const points = Math.round(WEIGHTS[finding.rule] * Math.min(2, finding.count / finding.threshold));
+            finding.tickets.forEach(ticket => {
+                const key = MatchingEngine.getTicketKey(ticket);
+                if (!byTicket.has(key)) byTicket.set(key, { key, gameId: ticket.gameId, flags: [] });
+                const risk = byTicket.get(key);
+                const existing = risk.flags.find(f => f.rule === finding.rule);
+                if (existing && existing.points >= points) return;
+                risk.flags = risk.flags.filter(f => f.rule !== finding.rule);
+                risk.flags.push({ rule: finding.rule, message: finding.message, points });
+            });
+        });
+        byTicket.forEach(risk => {
+            risk.score = Math.min(100, risk.flags.reduce((sum, f) => sum + f.points, 0));
+            risk.level = getLevel(risk.score);
+        });
+
+        // Per Game ID: the highest ticket score and every distinct signal
+        const byGameId = new Map();
+        byTicket.forEach(risk => {
+            if (!risk.gameId) return;
+            if (!byGameId.has(risk.gameId)) {
+                byGameId.set(risk.gameId, { gameId: risk.gameId, score: 0, tickets: 0, flags: [] });
+            }
+            const player = byGameId.get(risk.gameId);
+            player.tickets++;
+            player.score = Math.max(player.score, risk.score);
+            risk.flags.forEach(flag => {
+                if (!player.flags.some(f => f.rule === flag.rule && f.message === flag.message)) player.flags.push(flag);
+            });
+        });
+        byGameId.forEach(player => {
+            player.level = getLevel(player.score);
+            player.signature = player.flags.map(f => `${f.rule}:${f.message}`).sort().join('|');
+        });
+
+        const counts = Object.fromEntries(Object.values(Rule).map(rule => [rule, findings.filter(f => f.rule === rule).length]));
+        analysis = { analyzedAt: Date.now(), thresholds: limits, byTicket, byGameId, counts };
+
+        AdminCore.emit('riskAnalysisChange', { analysis });
+        return analysis;
+    }
+
+    /**
+     * Get a ticket's risk from the last analysis
+     * @param {Object} ticket - Entry object
+     * @returns {Object|null} { score, level, flags } or null if not flagged
+     */
+    function getTicketRisk(ticket) {
+        return analysis ? (analysis.byTicket.get(MatchingEngine.getTicketKey(ticket)) || null) : null;
+    }
+
+    /**
+     * Get a Game ID's risk from the last analysis
+     * @param {string} gameId - Game ID
+     * @returns {Object|null} { score, level, tickets, flags } or null if not flagged
+     */
+    function getPlayerRisk(gameId) {
+        return analysis ? (analysis.byGameId.get(String(gameId)) || null) : null;
+    }
+
+    // ============================================
+    // Review Queue
+    // ============================================
+
+    /**
+     * Get the review covering a Game ID's current flags
+     * @param {string} gameId - Game ID
+     * @returns {Object|null} Review or null if open
+     */
+    function getReview(gameId) {
+        const player = getPlayerRisk(gameId);
+        const review = reviews.get(String(gameId));
+        return player && review && review.signature === player.signature ? review : null;
+    }
+
+    /**
+     * List flagged Game IDs, highest score first
+     * @param {Object} filters - { status: 'open' | 'cleared' | 'confirmed' | '' }
+     * @returns {Object[]} Players with their review (null if open)
+     */
+    function getQueue({ status = '' } = {}) {
+        if (!analysis) return [];
+        return [...analysis.byGameId.values()]
+            .map(player => ({ ...player, review: getReview(player.gameId) }))
+            .filter(player => {
+                if (status === 'open') return !player.review;
+                if (status) return player.review?.decision === status;
+                return true;
+            })
+            .sort((a, b) => b.score - a.score || b.tickets - a.tickets);
+    }
+
+    /**
+     * Record a review decision for a flagged Game ID
+     * @param {string} gameId - Game ID
+     * @param {string} decision - Decision value
+     * @param {string} note - What was checked
+     * @returns {Object} Stored review
+     */
+    function review(gameId, decision, note) {
+        if (!AdminCore.can(AdminPermissions.Permission.REVIEW_RISK)) {
+            throw new Error('Your role cannot review risk flags');
+        }
+        if (!Object.values(Decision).includes(decision)) {
+            throw new Error(`Unknown review decision: ${decision}`);
+        }
+        const player = getPlayerRisk(gameId);
+        if (!player) {
+            throw new Error(`Game ID ${gameId} has no risk flags`);
+        }
+        const trimmedNote = String(note || '').trim();
+        if (!trimmedNote) {
+            throw new Error('Add a note explaining the decision');
+        }
+
+        const entry = {
+            gameId: player.gameId,
+            decision,
+            signature: player.signature,
+            score: player.score,
+            flags: player.flags.map(f => f.message),
+            note: trimmedNote,
+            author: AdminCore.getSession()?.username || 'unknown',
+            reviewedAt: Date.now()
+        };
+        reviews.set(entry.gameId, entry);
+        saveReviews();
+
+        AdminCore.emit('riskReviewChange', { gameId: entry.gameId, review: entry });
+        return entry;
+    }
+
+    // ============================================
+    // Public API
+    // ============================================
+    return {
+        analyze,
+        getAnalysis: () => analysis,
+        getTicketRisk,
+        getPlayerRisk,
+        getQueue,
+        getReview,
+        review,
+
+        // Constants
+        Rule,
+        RULE_LABELS,
+        RiskLevel,
+        Decision,
+        DEFAULT_THRESHOLDS
+    };
+})();
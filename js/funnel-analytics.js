@@ -0,0 +1,309 @@
+/**
+ * POP-SORTE Admin Dashboard - Funnel Analytics Module
+ *
+ * Recharge-to-ticket conversion beyond RechargeValidator.analyzeEngagement:
+ * - Funnel: recharged -> first ticket -> repeat ticket -> win, per Game ID.
+ *   A ticket counts once it is registered at or after the player's first
+ *   recharge; a win is a valid winning ticket (WinnerCalculator).
+ * - Time to ticket: first recharge to the first ticket after it, bucketed
+ * - Daily cohorts: first-time rechargers grouped by the BRT day of their
+ *   first recharge, with how many converted, repeated and won
+ * - Retention: per platform, players grouped by the week of their first
+ *   ticket there; week N is the share still playing N weeks later (only
+ *   cohorts old enough to have reached week N are counted)
+ *
+ * Pure functions over the arrays passed in - pass platform-filtered data
+ * for a platform view. Tables come back as plain rows so they can be
+ * rendered by AdminCharts and exported as they are (toCSV).
+ *
+ * Dependencies: admin-core.js (AdminCore)
+ */
+
+// ============================================
+// Funnel Analytics Module
+// ============================================
+window.FunnelAnalytics = (function() {
+    'use strict';
+
+    // ============================================
+    // Constants
+    // ============================================
+
+    /**
+     * Funnel stages in order
+     */
+    const Stage = {
+        RECHARGED: 'recharged',
+        FIRST_TICKET: 'first-ticket',
+        REPEAT_TICKET: 'repeat-ticket',
+        WON: 'won'
+    };
+
+    /**
+     * Display labels per stage
+     */
+    const STAGE_LABELS = {
+        [Stage.RECHARGED]: 'Recharged',
+        [Stage.FIRST_TICKET]: 'First ticket',
+        [Stage.REPEAT_TICKET]: 'Repeat ticket',
+        [Stage.WON]: 'Won'
+    };
+
+    /**
+     * Time-to-ticket buckets (upper bound in minutes, exclusive)
+     */
+    const TIME_BUCKETS = [
+        { label: '< 5 min', max: 5 },
+        { label: '5-30 min', max: 30 },
+        { label: '30 min-2 h', max: 120 },
+        { label: '2-6 h', max: 360 },
+        { label: '6-24 h', max: 1440 },
+        { label: '1-3 days', max: 4320 },
+        { label: '> 3 days', max: Infinity }
+    ];
+
+    /**
+     * Milliseconds per day
+     */
+    const DAY_MS = 24 * 60 * 60 * 1000;
+
+    // ============================================
+    // Helpers
+    // ============================================
+
+    /**
+     * Milliseconds of a Date, or null
+     * @param {*} date - Value
+     * @returns {number|null} Time
+     */
+    function timeOf(date) {
+        return date instanceof Date && !isNaN(date.getTime()) ? date.getTime() : null;
+    }
+
+    /**
+     * Day number of a BRT date key (for week arithmetic)
+     * @param {string} dateKey - YYYY-MM-DD
+     * @returns {number} Days since epoch
+     */
+    function dayNumber(dateKey) {
+        const [y, m, d] = dateKey.split('-').map(Number);
+        return Math.round(Date.UTC(y, m - 1, d) / DAY_MS);
+    }
+
+    /**
+     * Percentage with one decimal
+     * @param {number} part - Part
+     * @param {number} total - Total
+     * @returns {number} Percentage (0 when total is 0)
+     */
+    function percent(part, total) {
+        return total > 0 ? Math.round((part / total) * 1000) / 10 : 0;
+    }
+
+    /**
+     * Per Game ID journey: first recharge and the tickets registered after it
+     * @param {Object[]} entries - Entries
+     * @param {Object[]} recharges - Recharges
+     * @param {Object[]} winners - Valid winners
+     * @returns {Map} gameId -> { firstRecharge, ticketTimes, won }
+     */
+    function buildJourneys(entries, recharges, winners) {
+        const journeys = new Map();
+
+        recharges.forEach(r => {
+            const time = timeOf(r.rechargeTime);
+            if (!r.gameId || time === null) return;
+            const journey = journeys.get(r.gameId);
+            if (!journey) {
+                journeys.set(r.gameId, { gameId: r.gameId, firstRecharge: time, ticketTimes: [], won: false });
+            } else if (time < journey.firstRecharge) {
+                journey.firstRecharge = time;
+            }
+        });
+
+        entries.forEach(e => {
+            const journey = journeys.get(e.gameId);
+            const time = timeOf(e.parsedDate);
+            if (journey && time !== null && time >= journey.firstRecharge) journey.ticketTimes.push(time);
+        });
+
+        const winnerIds = new Set(winners.map(w => w.gameId));
+        journeys.forEach(journey => {
+            journey.ticketTimes.sort((a, b) => a - b);
+            journey.won = journey.ticketTimes.length > 0 && winnerIds.has(journey.gameId);
+        });
+
+        return journeys;
+    }
+
+    // ============================================
+    // Funnel
+    // ============================================
+
+    /**
+     * Recharge -> first ticket -> repeat ticket -> win
+     * @param {Object[]} entries - Entries
+     * @param {Object[]} recharges - Recharges
+     * @param {Object[]} winners - Valid winners (WinnerCalculator allWinners)
+     * @returns {Object[]} Rows { stage, label, players, fromPrevious (%), fromStart (%) }
+     */
+    function getFunnel(entries, recharges, winners = []) {
+        const journeys = [...buildJourneys(entries, recharges, winners).values()];
+        const counts = [
+            journeys.length,
+            journeys.filter(j => j.ticketTimes.length >= 1).length,
+            journeys.filter(j => j.ticketTimes.length >= 2).length,
+            journeys.filter(j => j.won).length
+        ];
+
+        return Object.values(Stage).map((stage, i) => ({
+            stage,
+            label: STAGE_LABELS[stage],
+            players: counts[i],
+            fromPrevious: i === 0 ? 100 : percent(counts[i], counts[i - 1]),
+            fromStart: percent(counts[i], counts[0])
+        }));
+    }
+
+    /**
+     * Distribution of the time from first recharge to first ticket
+     * @param {Object[]} entries - Entries
+     * @param {Object[]} recharges - Recharges
+     * @returns {Object} { buckets: [{ label, players, share }], medianMinutes, converted }
+     */
+    function getTimeToTicket(entries, recharges) {
+        const minutes = [...buildJourneys(entries, recharges, []).values()]
+            .filter(j => j.ticketTimes.length > 0)
+            .map(j => (j.ticketTimes[0] - j.firstRecharge) / 60000)
+            .sort((a, b) => a - b);
+
+        const buckets = TIME_BUCKETS.map(bucket => ({ label: bucket.label, players: 0, share: 0 }));
+        minutes.forEach(m => {
+            const index = TIME_BUCKETS.findIndex(bucket => m < bucket.max);
+            buckets[index].players++;
+        });
+        buckets.forEach(bucket => { bucket.share = percent(bucket.players, minutes.length); });
+
+        const middle = Math.floor(minutes.length / 2);
+        const medianMinutes = minutes.length === 0 ? null
+            : minutes.length % 2 ? minutes[middle] : (minutes[middle - 1] + minutes[middle]) / 2;
+
+        return { buckets, medianMinutes, converted: minutes.length };
+    }
+
+    // ============================================
+    // Cohorts
+    // ============================================
+
+    /**
+     * Daily cohorts of first-time rechargers
+     * @param {Object[]} entries - Entries
+     * @param {Object[]} recharges - Recharges
+     * @param {Object[]} winners - Valid winners
+     * @param {Object} options - { days: most recent cohorts to keep }
+     * @returns {Object[]} Rows { date, players, sameDay, converted, repeat, won, conversionRate }, newest first
+     */
+    function getDailyCohorts(entries, recharges, winners = [], { days = 14 } = {}) {
+        const cohorts = new Map();
+        buildJourneys(entries, recharges, winners).forEach(journey => {
+            const date = AdminCore.getBrazilDateString(new Date(journey.firstRecharge));
+            if (!cohorts.has(date)) {
+                cohorts.set(date, { date, players: 0, sameDay: 0, converted: 0, repeat: 0, won: 0 });
+            }
+            const cohort = cohorts.get(date);
+            cohort.players++;
+            if (journey.ticketTimes.length > 0) {
+                cohort.converted++;
+                if (AdminCore.getBrazilDateString(new Date(journey.ticketTimes[0])) === date) cohort.sameDay++;
+            }
+            if (journey.ticketTimes.length > 1) cohort.repeat++;
+            if (journey.won) cohort.won++;
+        });
+
+        return [...cohorts.values()]
+            .sort((a, b) => b.date.localeCompare(a.date))
+            .slice(0, days)
+            .map(cohort => ({ ...cohort, conversionRate: percent(cohort.converted, cohort.players) }));
+    }
+
+    /**
+     * Weekly retention curve of one platform's players
+     * @param {Object[]} entries - Entries of the platform
+     * @param {Object} options - { weeks: curve length, now: end of data }
+     * @returns {Object} { cohorts: [{ week, players, active: [] }], curve: [{ week, retained (%), players }] }
+     */
+    function getRetention(entries, { weeks = 8, now = new Date() } = {}) {
+        const today = dayNumber(AdminCore.getBrazilDateString(now));
+
+        // Weeks each player played in, counted from their first ticket's week
+        const playerDays = new Map();
+        entries.forEach(e => {
+            if (!e.gameId || timeOf(e.parsedDate) === null) return;
+            const day = dayNumber(AdminCore.getBrazilDateString(e.parsedDate));
+            if (!playerDays.has(e.gameId)) playerDays.set(e.gameId, []);
+            playerDays.get(e.gameId).push(day);
+        });
+
+        const cohorts = new Map();
+        playerDays.forEach(days => {
+            const first = days.reduce((min, d) => Math.min(min, d), Infinity);
+            const week = Math.floor((today - first) / 7); // weeks ago the cohort started
+            if (!cohorts.has(week)) cohorts.set(week, { week, start: first, players: 0, active: new Array(weeks).fill(0) });
+            const cohort = cohorts.get(week);
+            cohort.players++;
+            cohort.start = Math.min(cohort.start, first);
+            new Set(days.map(d => Math.floor((d - first) / 7))).forEach(offset => {
+                if (offset < weeks) cohort.active[offset]++;
+            });
+        });
+
+        const list = [...cohorts.values()].sort((a, b) => b.week - a.week);
+        const curve = [];
+        for (let w = 0; w < weeks; w++) {
+            const eligible = list.filter(c => c.week >= w);
+            const players = eligible.reduce((sum, c) => sum + c.players, 0);
+            if (players === 0) break;
+            curve.push({
+                week: w,
+                players,
+                retained: percent(eligible.reduce((sum, c) => sum + c.active[w], 0), players)
+            });
+        }
+
+        return { cohorts: list, curve };
+    }
+
+    // ============================================
+    // Export
+    // ============================================
+
+    /**
+     * Turn table rows into CSV text
+     * @param {Object[]} rows - Rows with the same keys
+     * @param {Object[]} columns - [{ key, label }]
+     * @returns {string} CSV
+     */
+    function toCSV(rows, columns) {
+        const quote = v => `"${String(v ?? '').replace(/"/g, '""')}"`;
+        return [
+            columns.map(c => quote(c.label)).join(','),
+            ...rows.map(row => columns.map(c => quote(row[c.key])).join(','))
+        ].join('\n');
+    }
+
+    // ============================================
+    // Public API
+    // ============================================
+    return {
+        getFunnel,
+        getTimeToTicket,
+        getDailyCohorts,
+        getRetention,
+        toCSV,
+
+        // Constants
+        Stage,
+        STAGE_LABELS,
+        TIME_BUCKETS
+    };
+})();
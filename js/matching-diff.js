@@ -0,0 +1,358 @@
+/**
+ * POP-SORTE Admin Dashboard - Matching Diff Module
+ *
+ * Replays the two binding algorithms that existed before MatchingEngine
+ * and reports every ticket where they would have disagreed:
+ * - validator:  old RechargeValidator.findMatchingRecharge (FIFO, drawDate
+ *               day1/day2 check, "consumed" = any ticket between recharge
+ *               and this ticket with a matching drawDate; trusts source
+ *               VALID/INVALID without matching), using a frozen copy of
+ *               its pre-DrawCalendar eligibility window
+ * - bruteForce: old UnifiedPage.bruteForceMatchRecharges (three phases
+ *               VALID -> PENDING -> INVALID, FIFO, explicit one-to-one
+ *               binding, window = recharge time to 20:00 on day 2 with no
+ *               holiday skipping and no drawDate check)
+ *
+ * A ticket is reported when the two paths disagree on validity, or when
+ * both bound a recharge and it is not the same order number.
+ * The current MatchingEngine outcome is included for comparison.
+ *
+ * Dependencies: admin-core.js (AdminCore), recharge-validator.js (RechargeValidator),
+ *               matching-engine.js (MatchingEngine)
+ */
+
+// ============================================
+// Matching Diff Module
+// ============================================
+window.MatchingDiff = (function() {
+    'use strict';
+
+    // ============================================
+    // Helpers
+    // ============================================
+
+    /**
+     * Check that a value is a usable Date
+     * @param {*} date - Value to check
+     * @returns {boolean} True if valid Date
+     */
+    function isValidDate(date) {
+        return date instanceof Date && !isNaN(date.getTime());
+    }
+
+    /**
+     * Group items by game ID
+     * @param {Object[]} items - Entries or recharges
+     * @returns {Map} gameId -> items
+     */
+    function groupByGameId(items) {
+        const map = new Map();
+        items.forEach(item => {
+            if (!item.gameId) return;
+            if (!map.has(item.gameId)) map.set(item.gameId, []);
+            map.get(item.gameId).push(item);
+        });
+        return map;
+    }
+
+    // ============================================
+    // Legacy Path: Eligibility Window (frozen)
+    // ============================================
+    // Copy of RechargeValidator's window as it was before DrawCalendar:
+    // fixed no-draw days (Sundays, Dec 25, Jan 1) and a 20:00 cutoff on
+    // every day. Do not route this through DrawCalendar - the replay must
+    // keep showing what the old code decided.
+
+    /**
+     * Old RechargeValidator.isNoDrawDay
+     * @param {Date} date - Date to check
+     * @returns {boolean} True if no draw on this day
+     */
+    function legacyIsNoDrawDay(date) {
+        const month = date.getMonth();
+        const day = date.getDate();
+        if (date.getDay() === 0) return true;
+        if (month === 11 && day === 25) return true;
+        if (month === 0 && day === 1) return true;
+        return false;
+    }
+
+    /**
+     * Old RechargeValidator.getNextValidDrawDate
+     * @param {Date} fromDate - Starting date
+     * @returns {Date} Next draw date (fromDate itself if it is one)
+     */
+    function legacyNextDrawDate(fromDate) {
+        const probe = new Date(fromDate);
+        probe.setHours(0, 0, 0, 0);
+        for (let i = 0; i < 14; i++) {
+            if (i > 0) probe.setDate(probe.getDate() + 1);
+            if (!legacyIsNoDrawDay(probe)) return new Date(probe);
+        }
+        throw new Error('No valid draw date found in range');
+    }
+
+    /**
+     * Old RechargeValidator.calculateEligibilityWindow
+     * @param {Date} rechargeTime - When the recharge occurred
+     * @returns {Object|null} { eligible1, eligible2, expiresAt, isCutoff }
+     */
+    function legacyEligibilityWindow(rechargeTime) {
+        if (!isValidDate(rechargeTime)) return null;
+
+        const isCutoff = rechargeTime.getHours() >= 20;
+        const rechargeDateStr = AdminCore.getBrazilDateString(rechargeTime);
+        if (!rechargeDateStr) return null;
+
+        // Before 20:00: day 1 = same day; after: next day
+        const day1 = new Date(`${rechargeDateStr}T00:00:00-03:00`);
+        if (isCutoff) day1.setDate(day1.getDate() + 1);
+
+        const finalDay1 = legacyIsNoDrawDay(day1) ? legacyNextDrawDate(day1) : day1;
+        const day2 = new Date(finalDay1);
+        day2.setDate(day2.getDate() + 1);
+        const finalDay2 = legacyIsNoDrawDay(day2) ? legacyNextDrawDate(day2) : day2;
+
+        // Window expires at 20:00 on day 2
+        const expiresAt = new Date(finalDay2);
+        expiresAt.setHours(20, 0, 0, 0);
+
+        return { eligible1: finalDay1, eligible2: finalDay2, expiresAt, isCutoff };
+    }
+
+    // ============================================
+    // Legacy Path: RechargeValidator
+    // ============================================
+
+    /**
+     * Old RechargeValidator.findMatchingRecharge
+     * @param {Object} ticket - Ticket entry
+     * @param {Object[]} recharges - Recharges for the game ID
+     * @param {Object[]} allTickets - Tickets for the game ID
+     * @returns {Object|null} Matched recharge or null
+     */
+    function legacyFindMatchingRecharge(ticket, recharges, allTickets) {
+        if (!isValidDate(ticket.parsedDate) || recharges.length === 0) return null;
+
+        const ticketTime = ticket.parsedDate.getTime();
+        const ticketDrawDateStr = RechargeValidator.normalizeDrawDate(ticket.drawDate);
+
+        const eligibleRecharges = recharges
+            .filter(r => isValidDate(r.rechargeTime) && r.rechargeTime.getTime() < ticketTime)
+            .sort((a, b) => a.rechargeTime.getTime() - b.rechargeTime.getTime());
+
+        for (const recharge of eligibleRecharges) {
+            const window = legacyEligibilityWindow(recharge.rechargeTime);
+            if (!window) continue;
+            if (ticketTime >= window.expiresAt.getTime()) continue;
+
+            const day1Str = AdminCore.getBrazilDateString(window.eligible1);
+            const day2Str = AdminCore.getBrazilDateString(window.eligible2);
+            if (ticketDrawDateStr !== day1Str && ticketDrawDateStr !== day2Str) continue;
+
+            const rechargeConsumed = allTickets.some(prior => {
+                if (prior.ticketNumber === ticket.ticketNumber) return false;
+                if (!isValidDate(prior.parsedDate)) return false;
+                const priorTime = prior.parsedDate.getTime();
+                if (priorTime <= recharge.rechargeTime.getTime()) return false;
+                if (priorTime >= ticketTime) return false;
+                const priorDrawDateStr = RechargeValidator.normalizeDrawDate(prior.drawDate);
+                return priorDrawDateStr === day1Str || priorDrawDateStr === day2Str;
+            });
+            if (rechargeConsumed) continue;
+
+            return recharge;
+        }
+
+        return null;
+    }
+
+    /**
+     * Replay the old validator over all tickets
+     * @param {Object[]} entries - All entries
+     * @param {Object[]} recharges - All recharges
+     * @returns {WeakMap} ticket -> { valid, rechargeId }
+     */
+    function runLegacyValidator(entries, recharges) {
+        const rechargesByGameId = groupByGameId(recharges);
+        const ticketsByGameId = groupByGameId(entries);
+        const outcomes = new WeakMap();
+
+        entries.forEach(ticket => {
+            const status = (ticket.status || '').toUpperCase();
+            if (['VALID', 'VALIDADO', 'VALIDATED'].includes(status)) {
+                outcomes.set(ticket, { valid: true, rechargeId: null });
+                return;
+            }
+            if (['INVALID', 'INVÁLIDO'].includes(status) || !ticket.gameId) {
+                outcomes.set(ticket, { valid: false, rechargeId: null });
+                return;
+            }
+            const match = legacyFindMatchingRecharge(
+                ticket,
+                rechargesByGameId.get(ticket.gameId) || [],
+                ticketsByGameId.get(ticket.gameId) || []
+            );
+            outcomes.set(ticket, { valid: !!match, rechargeId: match ? match.rechargeId : null });
+        });
+
+        return outcomes;
+    }
+
+    // ============================================
+    // Legacy Path: UnifiedPage brute force
+    // ============================================
+
+    /**
+     * Old UnifiedPage eligibility check: recharge time to 20:00 on day 2
+     * @param {Date} ticketTime - Ticket creation time
+     * @param {Date} rechargeTime - Recharge time
+     * @returns {boolean} True if eligible
+     */
+    function legacyIsTicketEligible(ticketTime, rechargeTime) {
+        if (!isValidDate(ticketTime) || !isValidDate(rechargeTime)) return false;
+        if (ticketTime.getTime() < rechargeTime.getTime()) return false;
+
+        const day2 = new Date(rechargeTime);
+        day2.setHours(0, 0, 0, 0);
+        day2.setDate(day2.getDate() + (rechargeTime.getHours() < 20 ? 1 : 2));
+        day2.setHours(20, 0, 0, 0);
+
+        return ticketTime.getTime() <= day2.getTime();
+    }
+
+    /**
+     * Replay the old three-phase brute force matcher
+     * @param {Object[]} entries - Entries (the old code used the platform-filtered list)
+     * @param {Object[]} recharges - All recharges
+     * @returns {WeakMap} ticket -> { valid, rechargeId }
+     */
+    function runLegacyBruteForce(entries, recharges) {
+        const rechargesByGameId = groupByGameId(recharges.filter(r =>
+            isValidDate(r.rechargeTime) && r.rechargeId
+        ));
+        const bound = new Set();
+        const outcomes = new WeakMap();
+
+        const sorted = [...entries].sort((a, b) =>
+            (a.parsedDate ? a.parsedDate.getTime() : 0) - (b.parsedDate ? b.parsedDate.getTime() : 0)
+        );
+
+        const phases = [['VALID', 'VÁLIDO'], ['PENDING', 'PENDENTE'], ['INVALID', 'INVÁLIDO']];
+        phases.forEach(statuses => {
+            sorted.forEach(ticket => {
+                if (!statuses.includes((ticket.status || '').toUpperCase())) return;
+                if (!ticket.parsedDate || !ticket.gameId) return;
+
+                let oldest = null;
+                (rechargesByGameId.get(ticket.gameId) || []).forEach(recharge => {
+                    if (bound.has(recharge.rechargeId)) return;
+                    if (!legacyIsTicketEligible(ticket.parsedDate, recharge.rechargeTime)) return;
+                    if (!oldest || recharge.rechargeTime.getTime() < oldest.rechargeTime.getTime()) {
+                        oldest = recharge;
+                    }
+                });
+
+                if (oldest) {
+                    bound.add(oldest.rechargeId);
+                    outcomes.set(ticket, { valid: true, rechargeId: oldest.rechargeId });
+                }
+            });
+        });
+
+        // Unbound tickets keep their CSV status (only VALID counts as valid)
+        entries.forEach(ticket => {
+            if (!outcomes.has(ticket)) {
+                const status = (ticket.status || '').toUpperCase();
+                outcomes.set(ticket, { valid: status === 'VALID' || status === 'VÁLIDO', rechargeId: null });
+            }
+        });
+
+        return outcomes;
+    }
+
+    // ============================================
+    // Report
+    // ============================================
+
+    /**
+     * Build the disagreement report
+     * Call after RechargeValidator.validateAllTickets so engine outcomes exist
+     * @param {Object[]} entries - All entries
+     * @param {Object[]} recharges - All recharges
+     * @returns {Object} { generatedAt, totals, rows }
+     */
+    function buildReport(entries, recharges) {
+        const validatorOutcomes = runLegacyValidator(entries, recharges);
+        const bruteForceOutcomes = runLegacyBruteForce(entries, recharges);
+        const rows = [];
+        const totals = { tickets: entries.length, disagreements: 0, status: 0, recharge: 0 };
+
+        entries.forEach(ticket => {
+            const v = validatorOutcomes.get(ticket);
+            const b = bruteForceOutcomes.get(ticket);
+            const statusDiffers = v.valid !== b.valid;
+            const rechargeDiffers = !!(v.rechargeId && b.rechargeId && v.rechargeId !== b.rechargeId);
+            if (!statusDiffers && !rechargeDiffers) return;
+
+            if (statusDiffers) totals.status++;
+            if (rechargeDiffers) totals.recharge++;
+
+            const engine = MatchingEngine.getOutcome(ticket);
+            rows.push({
+                key: MatchingEngine.getTicketKey(ticket),
+                gameId: ticket.gameId,
+                ticketNumber: ticket.ticketNumber,
+                platform: ticket.platform,
+                timestamp: ticket.timestamp,
+                drawDate: ticket.drawDate,
+                sourceStatus: (ticket.status || '').toUpperCase(),
+                disagreement: statusDiffers && rechargeDiffers ? 'status+recharge' : (statusDiffers ? 'status' : 'recharge'),
+                validator: { status: v.valid ? 'VALID' : 'INVALID', rechargeId: v.rechargeId },
+                bruteForce: { status: b.valid ? 'VALID' : 'INVALID', rechargeId: b.rechargeId },
+                engine: engine ? {
+                    status: engine.status,
+                    rechargeId: engine.matchedRecharge?.rechargeId || null,
+                    reason: engine.reason
+                } : null
+            });
+        });
+
+        totals.disagreements = rows.length;
+
+        return {
+            generatedAt: new Date().toISOString(),
+            totals,
+            rows
+        };
+    }
+
+    /**
+     * Convert a report to CSV text
+     * @param {Object} report - Report from buildReport
+     * @returns {string} CSV text
+     */
+    function toCSV(report) {
+        const headers = [
+            'Game ID', 'Ticket #', 'Platform', 'Registered', 'Draw Date', 'Source Status', 'Disagreement',
+            'Validator Status', 'Validator Order', 'Brute Force Status', 'Brute Force Order',
+            'Engine Status', 'Engine Order', 'Engine Reason'
+        ];
+        const rows = report.rows.map(r => [
+            r.gameId, r.ticketNumber, r.platform, r.timestamp, r.drawDate, r.sourceStatus, r.disagreement,
+            r.validator.status, r.validator.rechargeId || '', r.bruteForce.status, r.bruteForce.rechargeId || '',
+            r.engine?.status || '', r.engine?.rechargeId || '', r.engine?.reason || ''
+        ].map(v => `"${String(v ?? '').replace(/"/g, '""')}"`).join(','));
+        return [headers.join(','), ...rows].join('\n');
+    }
+
+    // ============================================
+    // Public API
+    // ============================================
+    return {
+        buildReport,
+        toCSV,
+        runLegacyValidator,
+        runLegacyBruteForce
+    };
+})();
@@ -0,0 +1,554 @@
+/**
+ * POP-SORTE Admin Dashboard - Matching Engine Module
+ *
+ * Single ticket-to-recharge binding algorithm used by every view
+ * (entries table, dashboard counts, validator stats).
+ *
+ * Matching Policy (deterministic - same input always gives same bindings):
+ * 1. Tickets are processed in three phases by source STATUS column:
+ *    VALID first, then PENDING/other, then INVALID. Source-validated tickets
+ *    therefore get first claim on recharges.
+ * 2. Inside a phase tickets are processed oldest first (DATA/HORA REGISTRO);
+ *    ties keep source row order.
+ * 3. A recharge is a candidate for a ticket when it has the same Game ID,
+ *    a valid Record Time strictly BEFORE the ticket, and is not yet bound.
+ * 4. The candidate's eligibility window comes from
+ *    RechargeValidator.calculateEligibilityWindow (calendar-aware:
+ *    eligible1/eligible2 skip no-draw days). The ticket must be created
+ *    before expiresAt and its drawDate must equal eligible1 or eligible2.
+ * 5. Among the remaining candidates the OLDEST recharge wins (FIFO);
+ *    ties break on order number.
+ * 6. Each recharge binds at most one ticket.
+ * 7. Final status: VALID when a recharge was bound, or when the source
+ *    already says VALID (kept with reason "Pre-validated in source data").
+ *    Everything else is INVALID with the first failing rule as reason.
+ *    PENDING/INVALID tickets that bind a recharge are flagged wasUpgraded.
+ *
+ * The engine always runs over ALL platforms so a binding never depends on
+ * the platform currently selected; views filter the outcomes afterwards.
+ *
+ * Every outcome carries a decision trace (outcome.trace) listing each
+ * candidate recharge, its eligibility window and the rule that accepted or
+ * rejected it, so player disputes can be answered without re-running code.
+ *
+ * Dependencies: admin-core.js (AdminCore), recharge-validator.js (RechargeValidator)
+ */
+
+// ============================================
+// Matching Engine Module
+// ============================================
+window.MatchingEngine = (function() {
+    'use strict';
+
+    // ============================================
+    // Constants
+    // ============================================
+
+    /**
+     * Processing phases (lower runs first)
+     */
+    const Phase = {
+        SOURCE_VALID: 1,
+        SOURCE_PENDING: 2,
+        SOURCE_INVALID: 3
+    };
+
+    /**
+     * Source status spellings found in the entries sheet
+     */
+    const VALID_SOURCE_STATUSES = ['VALID', 'VÁLIDO', 'VALIDADO', 'VALIDATED'];
+    const INVALID_SOURCE_STATUSES = ['INVALID', 'INVÁLIDO'];
+
+    /**
+     * Per-candidate verdicts recorded in the decision trace
+     */
+    const Rule = {
+        BOUND: 'BOUND',
+        RECHARGE_AFTER_TICKET: 'RECHARGE_AFTER_TICKET',
+        NO_WINDOW: 'NO_WINDOW',
+        WINDOW_EXPIRED: 'WINDOW_EXPIRED',
+        DRAW_DATE_MISMATCH: 'DRAW_DATE_MISMATCH',
+        ALREADY_CONSUMED: 'ALREADY_CONSUMED',
+        NOT_EVALUATED: 'NOT_EVALUATED'
+    };
+
+    /**
+     * Tickets processed between UI yields
+     */
+    const BATCH_SIZE = 500;
+
+    // ============================================
+    // State
+    // ============================================
+    let lastRun = null;
+
+    // ============================================
+    // Helpers
+    // ============================================
+
+    /**
+     * Check that a value is a usable Date
+     * @param {*} date - Value to check
+     * @returns {boolean} True if valid Date
+     */
+    function isValidDate(date) {
+        return date instanceof Date && !isNaN(date.getTime());
+    }
+
+    /**
+     * Build the unique key for a ticket (ticket numbers repeat across players,
+     * and one player can send several tickets within the same second)
+     * @param {Object} ticket - Entry object
+     * @returns {string} gameId-timestampMs-ticketNumber
+     */
+    function getTicketKey(ticket) {
+        return `${ticket.gameId}-${isValidDate(ticket.parsedDate) ? ticket.parsedDate.getTime() : 0}-${ticket.ticketNumber || ''}`;
+    }
+
+    /**
+     * Get the processing phase for a ticket from its source status
+     * @param {Object} ticket - Entry object
+     * @returns {number} Phase value
+     */
+    function getPhase(ticket) {
+        const status = (ticket.status || '').toUpperCase();
+        if (VALID_SOURCE_STATUSES.includes(status)) return Phase.SOURCE_VALID;
+        if (INVALID_SOURCE_STATUSES.includes(status)) return Phase.SOURCE_INVALID;
+        return Phase.SOURCE_PENDING;
+    }
+
+    /**
+     * Group usable recharges by game ID, sorted oldest first
+     * @param {Object[]} recharges - All recharges
+     * @returns {Map} gameId -> recharge[]
+     */
+    function groupRecharges(recharges) {
+        const byGameId = new Map();
+        recharges.forEach(r => {
+            if (!r.gameId || !r.rechargeId || !isValidDate(r.rechargeTime)) return;
+            if (!byGameId.has(r.gameId)) {
+                byGameId.set(r.gameId, []);
+            }
+            byGameId.get(r.gameId).push(r);
+        });
+        byGameId.forEach(list => list.sort((a, b) =>
+            (a.rechargeTime.getTime() - b.rechargeTime.getTime()) || a.rechargeId.localeCompare(b.rechargeId)
+        ));
+        return byGameId;
+    }
+
+    // ============================================
+    // Matching
+    // ============================================
+
+    /**
+     * Find the recharge a ticket binds to under the matching policy
+     * Every candidate is recorded in the trace with the rule that decided it.
+     * @param {Object} ticket - Entry object with valid parsedDate
+     * @param {Object[]} candidates - Recharges for the ticket's game ID (oldest first)
+     * @param {Map} boundRecharges - rechargeId -> ticket already bound
+     * @param {Map} windowCache - rechargeId -> eligibility window
+     * @param {Object[]} trace - Candidate trace rows (appended to)
+     * @returns {Object} { recharge, window, isDay2 } or { reason }
+     */
+    function findRecharge(ticket, candidates, boundRecharges, windowCache, trace) {
+        if (candidates.length === 0) {
+            return { reason: 'No recharge found for Game ID' };
+        }
+
+        const ticketTime = ticket.parsedDate.getTime();
+        const drawDate = RechargeValidator.normalizeDrawDate(ticket.drawDate);
+        let seenBefore = false;
+        let seenInWindow = false;
+        let seenDrawDateMatch = false;
+        let found = null;
+
+        for (const recharge of candidates) {
+            const row = {
+                rechargeId: recharge.rechargeId,
+                amount: recharge.amount,
+                rechargeTime: recharge.rechargeTime,
+                eligible1: null,
+                eligible2: null,
+                expiresAt: null,
+                rule: Rule.NOT_EVALUATED,
+                consumedBy: null
+            };
+            trace.push(row);
+
+            // FIFO - an older recharge already won
+            if (found) continue;
+
+            if (recharge.rechargeTime.getTime() >= ticketTime) {
+                row.rule = Rule.RECHARGE_AFTER_TICKET;
+                continue;
+            }
+            seenBefore = true;
+
+            let window = windowCache.get(recharge.rechargeId);
+            if (window === undefined) {
+                window = RechargeValidator.calculateEligibilityWindow(recharge.rechargeTime);
+                windowCache.set(recharge.rechargeId, window);
+            }
+            if (!window) {
+                row.rule = Rule.NO_WINDOW;
+                continue;
+            }
+            row.eligible1 = window.eligible1;
+            row.eligible2 = window.eligible2;
+            row.expiresAt = window.expiresAt;
+
+            if (ticketTime >= window.expiresAt.getTime()) {
+                row.rule = Rule.WINDOW_EXPIRED;
+                continue;
+            }
+            seenInWindow = true;
+
+            const isDay1 = drawDate === AdminCore.getBrazilDateString(window.eligible1);
+            const isDay2 = drawDate === AdminCore.getBrazilDateString(window.eligible2);
+            if (!isDay1 && !isDay2) {
+                row.rule = Rule.DRAW_DATE_MISMATCH;
+                continue;
+            }
+            seenDrawDateMatch = true;
+
+            if (boundRecharges.has(recharge.rechargeId)) {
+                const owner = boundRecharges.get(recharge.rechargeId);
+                row.rule = Rule.ALREADY_CONSUMED;
+                row.consumedBy = { key: getTicketKey(owner), ticketNumber: owner.ticketNumber, timestamp: owner.timestamp };
+                continue;
+            }
+
+            row.rule = Rule.BOUND;
+            found = { recharge, window, isDay2: !isDay1 && isDay2 };
+        }
+
+        if (found) return found;
+        if (!seenBefore) return { reason: 'Ticket created before any recharge' };
+        if (!seenInWindow) return { reason: 'Recharge window expired at draw cutoff on eligible2' };
+        if (!seenDrawDateMatch) return { reason: 'Draw date outside recharge eligibility (eligible1/eligible2)' };
+        return { reason: 'Recharge already consumed by previous ticket' };
+    }
+
+    /**
+     * Resolve a single ticket and record its binding
+     * @param {Object} ticket - Entry object
+     * @param {number} phase - Processing phase
+     * @param {Object[]} candidates - Recharges for the ticket's game ID
+     * @param {Map} boundRecharges - rechargeId -> ticket already bound
+     * @param {Map} windowCache - rechargeId -> eligibility window
+     * @returns {Object} Match outcome
+     */
+    function resolveTicket(ticket, phase, candidates, boundRecharges, windowCache) {
+        const outcome = {
+            ticket: ticket,
+            key: getTicketKey(ticket),
+            status: 'INVALID',
+            reason: '',
+            sourceStatus: (ticket.status || '').toUpperCase(),
+            phase: phase,
+            matchedRecharge: null,
+            isDay2: false,
+            wasUpgraded: false,
+            isCutoff: false,  // DEPRECATED - kept for backwards compatibility
+            trace: {
+                drawDate: RechargeValidator.normalizeDrawDate(ticket.drawDate),
+                ticketTime: isValidDate(ticket.parsedDate) ? ticket.parsedDate : null,
+                phase: phase,
+                candidates: [],
+                boundRechargeId: null
+            }
+        };
+
+        let match;
+        if (!ticket.gameId) {
+            match = { reason: 'Missing Game ID' };
+        } else if (!isValidDate(ticket.parsedDate)) {
+            match = { reason: 'Invalid ticket timestamp' };
+        } else {
+            match = findRecharge(ticket, candidates, boundRecharges, windowCache, outcome.trace.candidates);
+        }
+
+        if (match.recharge) {
+            boundRecharges.set(match.recharge.rechargeId, ticket);
+            outcome.trace.boundRechargeId = match.recharge.rechargeId;
+            outcome.status = 'VALID';
+            outcome.isDay2 = match.isDay2;
+            outcome.wasUpgraded = phase !== Phase.SOURCE_VALID;
+            outcome.reason = match.isDay2
+                ? `Matched recharge R$${match.recharge.amount || '?'} (Day 2)`
+                : `Matched recharge R$${match.recharge.amount || '?'}`;
+            outcome.matchedRecharge = {
+                gameId: match.recharge.gameId,
+                amount: match.recharge.amount,
+                rechargeTime: match.recharge.rechargeTime,
+                rechargeId: match.recharge.rechargeId,
+                eligible1: match.window.eligible1,
+                eligible2: match.window.eligible2,
+                expiresAt: match.window.expiresAt
+            };
+        } else if (phase === Phase.SOURCE_VALID) {
+            outcome.status = 'VALID';
+            outcome.reason = `Pre-validated in source data (no recharge bound: ${match.reason})`;
+        } else {
+            outcome.reason = match.reason;
+        }
+
+        return outcome;
+    }
+
+    /**
+     * Count outcomes
+     * @param {Object[]} outcomes - Match outcomes
+     * @returns {Object} Statistics
+     */
+    function summarize(outcomes) {
+        const stats = {
+            total: outcomes.length,
+            valid: 0,
+            invalid: 0,
+            unknown: 0,
+            day2Valid: 0,
+            bound: 0,
+            upgraded: 0,
+            sourceValidUnbound: 0,
+            cutoff: 0  // DEPRECATED - kept for backwards compatibility
+        };
+
+        outcomes.forEach(o => {
+            if (o.status === 'VALID') {
+                stats.valid++;
+                if (o.isDay2) stats.day2Valid++;
+            } else if (o.status === 'INVALID') {
+                stats.invalid++;
+            } else {
+                stats.unknown++;
+            }
+            if (o.matchedRecharge) stats.bound++;
+            else if (o.status === 'VALID') stats.sourceValidUnbound++;
+            if (o.wasUpgraded) stats.upgraded++;
+        });
+
+        return stats;
+    }
+
+    /**
+     * Apply the matching policy to a set of tickets
+     * @param {Object[]} entries - Tickets to bind
+     * @param {Object[]} recharges - Recharges they may bind
+     * @param {Function|null} onProgress - (done, total) called between batches
+     * @returns {Promise<Object>} { results (entries order), bindings }
+     */
+    async function bindTickets(entries, recharges, onProgress) {
+        const rechargesByGameId = groupRecharges(recharges);
+        const boundRecharges = new Map();
+        const windowCache = new Map();
+
+        const order = entries.map((ticket, index) => ({
+            ticket,
+            index,
+            phase: getPhase(ticket),
+            time: isValidDate(ticket.parsedDate) ? ticket.parsedDate.getTime() : Infinity
+        }));
+        order.sort((a, b) => (a.phase - b.phase) || (a.time - b.time) || (a.index - b.index));
+
+        const results = new Array(entries.length);
+
+        for (let i = 0; i < order.length; i++) {
+            const { ticket, index, phase } = order[i];
+            results[index] = resolveTicket(
+                ticket, phase, rechargesByGameId.get(ticket.gameId) || [], boundRecharges, windowCache
+            );
+
+            // Yield to UI thread between batches
+            if ((i + 1) % BATCH_SIZE === 0 && i + 1 < order.length) {
+                if (onProgress) onProgress(i + 1, order.length);
+                await new Promise(resolve => setTimeout(resolve, 0));
+            }
+        }
+
+        return { results, bindings: boundRecharges };
+    }
+
+    /**
+     * Run the matching policy over all tickets
+     * @param {Object[]} entries - All entries (all platforms)
+     * @param {Object[]} recharges - All recharges
+     * @param {Object} options - { onProgress(done, total) } called between batches
+     * @returns {Promise<Object>} { results (entries order), stats, rechargeCount, bindings }
+     */
+    async function matchTickets(entries, recharges, { onProgress = null } = {}) {
+        const { results, bindings } = await bindTickets(entries, recharges, onProgress);
+        return finalizeRun(results, recharges.length, bindings);
+    }
+
+    /**
+     * Re-run the matching policy for some Game IDs only
+     * Candidates never cross Game IDs, so outcomes of every other player are
+     * reused unchanged from the previous run. Ticket objects must be the same
+     * instances the previous run saw (DataFetcher keeps unchanged rows).
+     * @param {Object} previous - Earlier result of matchTickets/rematch
+     * @param {Object[]} entries - All entries (current)
+     * @param {Object[]} recharges - All recharges (current)
+     * @param {Set<string>} gameIds - Game IDs whose tickets or recharges changed
+     * @returns {Promise<Object|null>} Same shape as matchTickets, or null when the
+     *          previous run does not cover an unchanged ticket (run matchTickets instead)
+     */
+    async function rematch(previous, entries, recharges, gameIds) {
+        const previousByTicket = new Map(previous.results.map(o => [o.ticket, o]));
+        const affected = entries.filter(t => gameIds.has(t.gameId));
+        if (entries.some(t => !gameIds.has(t.gameId) && !previousByTicket.has(t))) {
+            return null;
+        }
+
+        const fresh = await bindTickets(affected, recharges.filter(r => gameIds.has(r.gameId)), null);
+        const freshByTicket = new Map(affected.map((ticket, i) => [ticket, fresh.results[i]]));
+
+        const results = entries.map(t => freshByTicket.get(t) || previousByTicket.get(t));
+        const bindings = new Map(fresh.bindings);
+        previous.bindings.forEach((ticket, rechargeId) => {
+            if (!gameIds.has(ticket.gameId)) bindings.set(rechargeId, ticket);
+        });
+
+        return finalizeRun(results, recharges.length, bindings);
+    }
+
+    /**
+     * Index a finished run for getOutcome/getBoundTicket lookups
+     * @param {Object[]} results - Outcomes in entries order
+     * @param {number} rechargeCount - Number of recharges matched against
+     * @param {Map} bindings - rechargeId -> ticket
+     * @returns {Object} { results, stats, rechargeCount, bindings }
+     */
+    function finalizeRun(results, rechargeCount, bindings) {
+        const byTicket = new WeakMap();
+        const byKey = new Map();
+        results.forEach(o => {
+            byTicket.set(o.ticket, o);
+            if (!byKey.has(o.key)) byKey.set(o.key, o);
+        });
+
+        lastRun = { byTicket, byKey, bindings, timestamp: Date.now() };
+
+        return {
+            results,
+            stats: summarize(results),
+            rechargeCount,
+            bindings
+        };
+    }
+
+    /**
+     * Strip ticket references so a run can be posted out of a Web Worker
+     * @param {Object} run - Result of matchTickets
+     * @returns {Object} { outcomes (entries order, no ticket), rechargeCount }
+     */
+    function serializeRun(run) {
+        return {
+            outcomes: run.results.map(({ ticket, ...outcome }) => outcome),
+            rechargeCount: run.rechargeCount
+        };
+    }
+
+    /**
+     * Adopt a run computed elsewhere (Web Worker) against the caller's ticket objects
+     * @param {Object[]} entries - The entries array that was posted (same order)
+     * @param {Object} serialized - Result of serializeRun
+     * @returns {Object} Same shape as matchTickets
+     */
+    function adoptRun(entries, serialized) {
+        const bindings = new Map();
+        const results = serialized.outcomes.map((outcome, index) => {
+            const ticket = entries[index];
+            if (outcome.matchedRecharge) {
+                bindings.set(outcome.matchedRecharge.rechargeId, ticket);
+            }
+            return { ticket, ...outcome };
+        });
+        return finalizeRun(results, serialized.rechargeCount, bindings);
+    }
+
+    /**
+     * Get the outcome of a ticket from the last run
+     * @param {Object} ticket - Entry object
+     * @returns {Object|null} Match outcome or null if not matched yet
+     */
+    function getOutcome(ticket) {
+        if (!lastRun || !ticket) return null;
+        return lastRun.byTicket.get(ticket) || lastRun.byKey.get(getTicketKey(ticket)) || null;
+    }
+
+    /**
+     * Get the ticket a recharge was bound to in the last run
+     * @param {string} rechargeId - Order number
+     * @returns {Object|null} Ticket or null if unused
+     */
+    function getBoundTicket(rechargeId) {
+        return lastRun ? (lastRun.bindings.get(rechargeId) || null) : null;
+    }
+
+    /**
+     * Build a JSON-safe decision trace for a ticket
+     * @param {Object} ticket - Entry object
+     * @returns {Object|null} Trace document or null if not matched yet
+     */
+    function exportTrace(ticket) {
+        const outcome = getOutcome(ticket);
+        if (!outcome) return null;
+
+        const iso = date => (isValidDate(date) ? date.toISOString() : null);
+        const brtDate = date => (isValidDate(date) ? AdminCore.getBrazilDateString(date) : null);
+
+        return {
+            generatedAt: new Date().toISOString(),
+            engineRunAt: new Date(lastRun.timestamp).toISOString(),
+            ticket: {
+                key: outcome.key,
+                gameId: ticket.gameId,
+                ticketNumber: ticket.ticketNumber,
+                platform: ticket.platform,
+                registeredAt: iso(outcome.trace.ticketTime),
+                drawDate: outcome.trace.drawDate,
+                contest: ticket.contest,
+                sourceStatus: outcome.sourceStatus
+            },
+            phase: outcome.phase,
+            candidates: outcome.trace.candidates.map(c => ({
+                rechargeId: c.rechargeId,
+                amount: c.amount,
+                rechargeTime: iso(c.rechargeTime),
+                eligible1: brtDate(c.eligible1),
+                eligible2: brtDate(c.eligible2),
+                expiresAt: iso(c.expiresAt),
+                rule: c.rule,
+                consumedBy: c.consumedBy
+            })),
+            binding: outcome.trace.boundRechargeId,
+            status: outcome.status,
+            reason: outcome.reason,
+            wasUpgraded: outcome.wasUpgraded
+        };
+    }
+
+    // ============================================
+    // Public API
+    // ============================================
+    return {
+        matchTickets,
+        rematch,
+        serializeRun,
+        adoptRun,
+        summarize,
+        getOutcome,
+        getBoundTicket,
+        exportTrace,
+        getTicketKey,
+        getPhase,
+
+        // Constants
+        Phase,
+        Rule,
+        VALID_SOURCE_STATUSES,
+        INVALID_SOURCE_STATUSES
+    };
+})();
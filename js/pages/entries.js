@@ -9,7 +9,7 @@
  * - CSV export
  * - Ticket details modal
  * 
- * Dependencies: AdminCore, DataFetcher, DataStore, RechargeValidator
+ * Dependencies: AdminCore, DataFetcher, DataStore, RechargeValidator, ExportService
  */
 
 window.EntriesPage = (function() {
@@ -621,44 +621,31 @@ window.EntriesPage = (function() {
             return;
         }
         
-        const headers = [
-            'Status', 'Day2', 'Date/Time', 'Platform', 'Game ID', 'WhatsApp',
-            'Numbers', 'Draw Date', 'Contest', 'Ticket #', 'Recharge Order', 'Recharge Amount', 'Original Status'
-        ];
-        
         const validationMap = buildValidationMap();
+        const validations = new Map(data.map(entry => [entry, findValidationForEntry(entry, validationMap)]));
+        const validationOf = entry => validations.get(entry);
+        
+        const columns = [
+            { key: 'status', label: 'Status', value: e => validationOf(e)?.status || 'UNKNOWN' },
+            { key: 'day2', label: 'Day2', value: e => validationOf(e)?.isDay2 ? 'YES' : 'NO' },
+            { key: 'timestamp', label: 'Date/Time' },
+            { key: 'platform', label: 'Platform' },
+            { key: 'gameId', label: 'Game ID' },
+            { key: 'whatsapp', label: 'WhatsApp', pii: true },
+            { key: 'numbers', label: 'Numbers' },
+            { key: 'drawDate', label: 'Draw Date' },
+            { key: 'contest', label: 'Contest' },
+            { key: 'ticketNumber', label: 'Ticket #' },
+            { key: 'rechargeOrder', label: 'Recharge Order', value: e => validationOf(e)?.matchedRecharge?.rechargeId || '-' },
+            { key: 'rechargeAmount', label: 'Recharge Amount', value: e => validationOf(e)?.matchedRecharge?.amount || '-' },
+            { key: 'originalStatus', label: 'Original Status', value: e => e.status }
+        ];
         
-        const rows = data.map(entry => {
-            const validation = findValidationForEntry(entry, validationMap);
-            const status = validation?.status || 'UNKNOWN';
-            const isDay2 = validation?.isDay2 ? 'YES' : 'NO';
-            const rechargeOrder = validation?.matchedRecharge?.rechargeId || '-';
-            const rechargeAmount = validation?.matchedRecharge?.amount || '-';
-            
-            return [
-                status,
-                isDay2,
-                entry.timestamp,
-                entry.platform,
-                entry.gameId,
-                entry.whatsapp,
-                entry.numbers.join(', '),
-                entry.drawDate,
-                entry.contest,
-                entry.ticketNumber,
-                rechargeOrder,
-                rechargeAmount,
-                entry.status
-            ].map(v => `"${String(v).replace(/"/g, '""')}"`).join(',');
-        });
-        
-        const csv = [headers.join(','), ...rows].join('\n');
-        
-        const blob = new Blob([csv], { type: 'text/csv;charset=utf-8;' });
-        const link = document.createElement('a');
-        link.href = URL.createObjectURL(blob);
-        link.download = `entries_${AdminCore.getBrazilDateString(new Date())}.csv`;
-        link.click();
+        ExportService.download(ExportService.build({
+            name: `entries_${AdminCore.getBrazilDateString(new Date())}`,
+            rows: data,
+            columns
+        }));
         
         AdminCore.showToast(`${data.length} entries exported`, 'success');
     }
@@ -6,7 +6,7 @@
  * - Results are cached for subsequent visits
  * - Uses DataStore for raw data access
  * 
- * Dependencies: AdminCore, DataStore, WinnerCalculator
+ * Dependencies: AdminCore, DataStore, WinnerCalculator, ExportService
  */
 
 window.WinnersPage = (function() {
@@ -239,23 +239,19 @@ window.WinnersPage = (function() {
             return;
         }
         
-        const headers = ['Matches', 'Game ID', 'WhatsApp', 'Numbers', 'Matched Numbers', 'Draw Date', 'Contest'];
-        const rows = filteredWinners.map(w => [
-            w.matchCount,
-            w.gameId,
-            w.whatsapp,
-            w.numbers.join(', '),
-            (w.matchedNumbers || []).join(', '),
-            w.drawDate,
-            w.contest
-        ].map(v => `"${String(v).replace(/"/g, '""')}"`).join(','));
-        
-        const csv = [headers.join(','), ...rows].join('\n');
-        const blob = new Blob([csv], { type: 'text/csv' });
-        const link = document.createElement('a');
-        link.href = URL.createObjectURL(blob);
-        link.download = `winners_${AdminCore.getBrazilDateString(new Date())}.csv`;
-        link.click();
+        ExportService.download(ExportService.build({
+            name: `winners_${AdminCore.getBrazilDateString(new Date())}`,
+            rows: filteredWinners,
+            columns: [
+                { key: 'matchCount', label: 'Matches', type: ExportService.ColumnType.NUMBER },
+                { key: 'gameId', label: 'Game ID' },
+                { key: 'whatsapp', label: 'WhatsApp', pii: true },
+                { key: 'numbers', label: 'Numbers' },
+                { key: 'matchedNumbers', label: 'Matched Numbers', value: w => w.matchedNumbers || [] },
+                { key: 'drawDate', label: 'Draw Date' },
+                { key: 'contest', label: 'Contest' }
+            ]
+        }));
         
         AdminCore.showToast(`${filteredWinners.length} winners exported`, 'success');
     }
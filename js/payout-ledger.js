@@ -0,0 +1,486 @@
+/**
+ * POP-SORTE Admin Dashboard - Payout Ledger Module
+ *
+ * Tracks prize payments from winner calculation to payment.
+ *
+ * - sync() turns every prize-bearing winner row (a tier its contest's prize
+ *   rule pays) into a payable item, per contest AND platform, since every
+ *   platform has its own prize pool
+ * - Items move through PayoutStatus: pending -> approved -> paid, with
+ *   rejected reachable from pending/approved (and reopenable to pending);
+ *   paid is final and needs a payment reference and date
+ * - Every step needs another admin: whoever synced the item's amount
+ *   (calculatedBy) cannot approve it, and the payment is recorded by someone
+ *   other than the calculating and approving (approvedBy) admins
+ * - While pending, an item's amount follows recalculations (prize pool
+ *   changes, overrides); once approved it is locked and a different
+ *   recalculated amount is flagged as a mismatch instead
+ * - Items whose ticket stops winning are kept and flagged (isWinner false)
+ * - Items of a contest whose result is flagged by ResultVerification cannot
+ *   be approved or paid until the discrepancy is resolved
+ * - reconcile() compares ledger totals with each contest's prize total
+ *   (WinnerCalculator totalPrizeAwarded: the pool plus any rollover under
+ *   the default rule)
+ *
+ * Tier totals are split in whole cents; the leftover cents go to the first
+ * winners by ticket key, so item amounts always add up to the tier total.
+ *
+ * The ledger is kept by the admin API (/payouts), so every finance admin
+ * works on the same items. The server applies the merge above to the
+ * winners a finance admin's dashboard calculated (POST /payouts/sync),
+ * enforces the status lifecycle and Permission.MANAGE_PAYOUTS, stamps each
+ * history step with the signed-in user and records it in the audit log.
+ * It refuses the winners of contests it has no result for, or that are paid
+ * more than the server's prize rules and pools allow; sync() returns them
+ * as rejected. Winners calculated from local files are never sent. The IndexedDB
+ * "payouts" store is a cache, refreshed at sign-in and on every refresh;
+ * getServerError() tells the view when it may be stale.
+ *
+ * Dependencies: admin-core.js (AdminCore), permissions.js (AdminPermissions),
+ *               admin-api.js (AdminApi), data-db.js (DataDB), data-sources.js (DataSources),
+ *               data-store.js (DataStore), matching-engine.js (MatchingEngine),
+ *               winner-calculator.js (WinnerCalculator), result-verification.js (ResultVerification),
+ *               compute-client.js (ComputeClient, optional)
+ */
+
+// ============================================
+// Payout Ledger Module
+// ============================================
+window.PayoutLedger = (function() {
+    'use strict';
+
+    // ============================================
+    // Constants
+    // ============================================
+
+    /**
+     * Item statuses
+     */
+    const PayoutStatus = {
+        PENDING: 'pending',
+        APPROVED: 'approved',
+        PAID: 'paid',
+        REJECTED: 'rejected'
+    };
+
+    /**
+     * Allowed status changes
+     */
+    const TRANSITIONS = {
+        [PayoutStatus.PENDING]: [PayoutStatus.APPROVED, PayoutStatus.REJECTED],
+        [PayoutStatus.APPROVED]: [PayoutStatus.PAID, PayoutStatus.REJECTED, PayoutStatus.PENDING],
+        [PayoutStatus.REJECTED]: [PayoutStatus.PENDING],
+        [PayoutStatus.PAID]: []
+    };
+
+    /**
+     * Statuses still waiting for money to leave
+     */
+    const OUTSTANDING_STATUSES = [PayoutStatus.PENDING, PayoutStatus.APPROVED];
+
+    /**
+     * Platforms with their own prize pool
+     */
+    const LEDGER_PLATFORMS = AdminCore.PLATFORMS.filter(p => p !== 'ALL');
+
+    // ============================================
+    // State
+    // ============================================
+    let items = new Map();
+    let persistent = false;
+    let lastSyncedAt = null;
+    let serverError = null;
+    let syncQueue = Promise.resolve();
+    const ready = load();
+
+    // ============================================
+    // Storage
+    // ============================================
+
+    /**
+     * Load stored items
+     * @returns {Promise<void>}
+     */
+    async function load() {
+        if (typeof DataDB === 'undefined' || !DataDB.isSupported()) return;
+        try {
+            const stored = await DataDB.getAll(DataDB.Stores.PAYOUTS);
+            items = new Map(stored.map(item => [item.id, item]));
+            lastSyncedAt = await DataDB.getMeta('payoutsSyncedAt');
+            persistent = true;
+        } catch (e) {
+            console.warn('PayoutLedger: IndexedDB unavailable, keeping the ledger in memory', e);
+        }
+    }
+
+    /**
+     * Cache items from the server
+     * @param {Object[]} changed - Items to store
+     * @returns {Promise<void>}
+     */
+    async function save(changed) {
+        changed.forEach(item => items.set(item.id, item));
+        if (!persistent || changed.length === 0) return;
+        try {
+            await DataDB.applyChanges(DataDB.Stores.PAYOUTS, { put: changed });
+            if (lastSyncedAt) await DataDB.setMeta('payoutsSyncedAt', lastSyncedAt);
+        } catch (e) {
+            console.warn('PayoutLedger: Could not cache ledger', e);
+        }
+    }
+
+    // ============================================
+    // Server Sync
+    // ============================================
+
+    /**
+     * Replace the cache with the server's ledger
+     * @returns {Promise<boolean>} True if anything changed
+     */
+    async function refresh() {
+        await ready;
+        try {
+            const { items: list, syncedAt } = await AdminApi.get('/payouts');
+            serverError = null;
+            const next = new Map((list || []).map(item => [item.id, item]));
+            const changed = syncedAt !== lastSyncedAt ||
+                JSON.stringify([...next.entries()]) !== JSON.stringify([...items.entries()]);
+            items = next;
+            lastSyncedAt = syncedAt;
+            if (changed && persistent) {
+                await DataDB.replaceAll(DataDB.Stores.PAYOUTS, list || []);
+                await DataDB.setMeta('payoutsSyncedAt', syncedAt);
+            }
+            if (changed) AdminCore.emit('payoutChange', { type: 'refresh' });
+            return changed;
+        } catch (error) {
+            serverError = error.message;
+            AdminCore.emit('payoutChange', { type: 'refresh' });
+            throw error;
+        }
+    }
+
+    // ============================================
+    // Helpers
+    // ============================================
+
+    /**
+     * Build the item ID of a winner row
+     * @param {string} platform - Platform code
+     * @param {string} contest - Contest number
+     * @param {Object} winner - Winner row (entry fields + matches)
+     * @returns {string} platform|contest|ticketKey
+     */
+    function getItemId(platform, contest, winner) {
+        return `${platform}|${contest}|${MatchingEngine.getTicketKey(winner)}`;
+    }
+
+    /**
+     * Split a prize amount in whole cents
+     * @param {number} pool - Amount in R$
+     * @param {number} count - Number of winners
+     * @returns {number[]} Amounts in R$ (largest first, adding up to pool)
+     */
+    function splitPool(pool, count) {
+        const cents = Math.round(pool * 100);
+        const base = Math.floor(cents / count);
+        const extra = cents - base * count;
+        return Array.from({ length: count }, (_, i) => (base + (i < extra ? 1 : 0)) / 100);
+    }
+
+    /**
+     * Calculate winners of one platform (worker when available, no shared cache)
+     * @param {Object[]} entries - All entries
+     * @param {Object[]} results - All results
+     * @param {string} platform - Platform code
+     * @returns {Promise<Object>} Winners calculation
+     */
+    function calculatePlatformWinners(entries, results, platform) {
+        const scoped = DataStore.filterByPlatform(entries, platform);
+        return typeof ComputeClient !== 'undefined'
+            ? ComputeClient.computeWinners(scoped, results, platform)
+            : WinnerCalculator.computeAllWinners(scoped, results, platform);
+    }
+
+    // ============================================
+    // Sync From Winners
+    // ============================================
+
+    /**
+     * Send the current winners of every platform to the server ledger
+     * Finance admins only, and never for winners calculated from local files;
+     * everyone else just reloads the ledger. Runs one at a time (a refresh
+     * may start while the previous sync runs).
+     * @param {Object[]} entries - All entries (all platforms)
+     * @param {Object[]} results - All results
+     * @param {Object} options - { calculations: { [platform]: Promise<calculation> } already running }
+     * @returns {Promise<Object>} { added, updated, mismatched, rejected: [{ platform, contest, reason }], syncedAt }
+     */
+    function sync(entries, results, { calculations = {} } = {}) {
+        const pending = syncQueue.then(() => runSync(entries, results, calculations));
+        syncQueue = pending.catch(() => null);
+        return pending;
+    }
+
+    /**
+     * One sync run (see sync)
+     */
+    async function runSync(entries, results, calculations) {
+        await ready;
+        if (!AdminApi.isAvailable()) return { added: 0, updated: 0, mismatched: 0, rejected: [], syncedAt: lastSyncedAt };
+
+        const localFiles = typeof DataSources !== 'undefined' && DataSources.getLocalFileKeys().length > 0;
+        if (!AdminCore.can(AdminPermissions.Permission.MANAGE_PAYOUTS) || localFiles) {
+            await refresh();
+            return { added: 0, updated: 0, mismatched: [...items.values()].filter(hasMismatch).length, rejected: [], syncedAt: lastSyncedAt };
+        }
+
+        const expected = new Map();  // item id -> { platform, contest, drawDate, winner, amount, fromRollover }
+        for (const platform of LEDGER_PLATFORMS) {
+            const calculation = await (calculations[platform] || calculatePlatformWinners(entries, results, platform));
+            calculation.contestResults.forEach(contest => {
+                if (!contest.hasResult || contest.winningTier === 0) return;
+                Object.entries(contest.prizes).forEach(([tier, prize]) => {
+                    if (!(prize.perWinner > 0)) return;
+                    const payable = contest.winners
+                        .filter(w => w.matches === Number(tier))
+                        .sort((a, b) => MatchingEngine.getTicketKey(a).localeCompare(MatchingEngine.getTicketKey(b)));
+                    const amounts = splitPool(prize.total, payable.length);
+                    payable.forEach((winner, i) => {
+                        expected.set(getItemId(platform, contest.contest, winner), {
+                            platform,
+                            contest: contest.contest,
+                            drawDate: contest.drawDate,
+                            prizePool: Math.round(contest.totalPrizeAwarded * 100) / 100,
+                            winner,
+                            amount: amounts[i],
+                            fromRollover: Math.round(prize.fromRollover * 100) / 100
+                        });
+                    });
+                });
+            });
+        }
+
+        // Start from the server's items so the merge sees other admins' changes
+        await refresh();
+        let response;
+        try {
+            response = await AdminApi.post('/payouts/sync', {
+                items: [...expected].map(([id, e]) => ({
+                    id,
+                    platform: e.platform,
+                    contest: e.contest,
+                    drawDate: e.drawDate,
+                    ticketKey: MatchingEngine.getTicketKey(e.winner),
+                    gameId: e.winner.gameId,
+                    ticketNumber: e.winner.ticketNumber,
+                    matches: e.winner.matches,
+                    prizePool: e.prizePool,
+                    amount: e.amount,
+                    fromRollover: e.fromRollover
+                }))
+            });
+            serverError = null;
+        } catch (error) {
+            serverError = error.message;
+            AdminCore.emit('payoutChange', { type: 'refresh' });
+            throw error;
+        }
+
+        const { added, updated, rejected = [], syncedAt } = response;
+        lastSyncedAt = syncedAt;
+        await save(response.items);
+        if (rejected.length > 0) {
+            console.warn('PayoutLedger: Server refused the winners of', rejected);
+        }
+
+        const mismatched = [...items.values()].filter(hasMismatch).length;
+        AdminCore.emit('payoutChange', { type: 'sync', added, updated });
+        return { added, updated, mismatched, rejected, syncedAt };
+    }
+
+    // ============================================
+    // Status Changes
+    // ============================================
+
+    /**
+     * Move an item to another status
+     * @param {string} id - Item ID
+     * @param {string} status - Target PayoutStatus
+     * @param {Object} details - { paymentRef, paidAt (YYYY-MM-DD), note }
+     * @returns {Promise<Object>} Updated item
+     */
+    async function setStatus(id, status, { paymentRef = '', paidAt = '', note = '' } = {}) {
+        if (!AdminCore.can(AdminPermissions.Permission.MANAGE_PAYOUTS)) {
+            throw new Error('Your role cannot manage payouts');
+        }
+        const item = items.get(id);
+        if (!item) {
+            throw new Error('Payout item not found');
+        }
+        if (!TRANSITIONS[item.status].includes(status)) {
+            throw new Error(`A ${item.status} payout cannot become ${status}`);
+        }
+        if ((status === PayoutStatus.APPROVED || status === PayoutStatus.PAID) && ResultVerification.isBlocked(item.contest)) {
+            throw new Error(`Contest #${item.contest} is on hold: ${ResultVerification.getBlockReason(item.contest).split('\n')[0]}`);
+        }
+        const username = (AdminCore.getSession()?.username || '').toLowerCase();
+        const isUser = name => !!name && name.toLowerCase() === username;
+        if (status === PayoutStatus.APPROVED && isUser(item.calculatedBy)) {
+            throw new Error('A second admin must approve this payout (you calculated its amount)');
+        }
+        if (status === PayoutStatus.PAID && (isUser(item.calculatedBy) || isUser(item.approvedBy))) {
+            throw new Error('The payment must be recorded by an admin who neither calculated nor approved it');
+        }
+
+        const trimmedRef = String(paymentRef || '').trim();
+        const trimmedNote = String(note || '').trim();
+        if (status === PayoutStatus.PAID) {
+            if (!trimmedRef) throw new Error('Payment reference is required');
+            if (!/^\d{4}-\d{2}-\d{2}$/.test(paidAt)) throw new Error('Payment date is required (YYYY-MM-DD)');
+        }
+        if (status === PayoutStatus.REJECTED && !trimmedNote) {
+            throw new Error('Add a note explaining the rejection');
+        }
+
+        const from = item.status;
+        let updated;
+        try {
+            updated = await AdminApi.post(`/payouts/${encodeURIComponent(id)}/status`, { status, paymentRef: trimmedRef, paidAt, note: trimmedNote });
+        } catch (error) {
+            // Changed by another admin meanwhile - show the current state
+            if (error.status === 409) refresh().catch(() => null);
+            throw error;
+        }
+        await save([updated]);
+
+        AdminCore.emit('payoutChange', { type: 'status', id, from, to: status, paymentRef: updated.paymentRef, amount: updated.amount });
+        return updated;
+    }
+
+    // ============================================
+    // Queries
+    // ============================================
+
+    /**
+     * Check if a locked item no longer matches its recalculated amount
+     * @param {Object} item - Payout item
+     * @returns {boolean} True if it needs review
+     */
+    function hasMismatch(item) {
+        if (item.status === PayoutStatus.REJECTED) return false;
+        return !item.isWinner || Math.abs(item.amount - item.expectedAmount) >= 0.005;
+    }
+
+    /**
+     * List items, newest contest first
+     * @param {Object} filters - { status: PayoutStatus | 'outstanding' | 'mismatch', platform, contest, search }
+     * @returns {Object[]} Matching items
+     */
+    function query({ status = '', platform = '', contest = '', search = '' } = {}) {
+        const term = search.trim().toLowerCase();
+        return [...items.values()].filter(item => {
+            if (status === 'outstanding' && !(OUTSTANDING_STATUSES.includes(item.status) && item.isWinner)) return false;
+            if (status === 'mismatch' && !hasMismatch(item)) return false;
+            if (status && status !== 'outstanding' && status !== 'mismatch' && item.status !== status) return false;
+            if (platform && platform !== 'ALL' && item.platform !== platform) return false;
+            if (contest && item.contest !== contest) return false;
+            if (term && ![item.gameId, item.ticketNumber, item.paymentRef].some(v => String(v || '').toLowerCase().includes(term))) return false;
+            return true;
+        }).sort((a, b) =>
+            (parseInt(b.contest, 10) || 0) - (parseInt(a.contest, 10) || 0) ||
+            a.platform.localeCompare(b.platform) ||
+            a.ticketKey.localeCompare(b.ticketKey)
+        );
+    }
+
+    /**
+     * Reconcile ledger totals against prize pools per contest and platform
+     * Rejected items do not count as allocated, so rejecting a winner shows
+     * up as an unallocated remainder of the pool.
+     * @param {Object} filters - { platform }
+     * @returns {Object[]} [{ contest, platform, drawDate, prizePool, allocated, approved, paid, outstanding, rejected, difference, balanced }]
+     */
+    function reconcile({ platform = '' } = {}) {
+        const groups = new Map();
+        items.forEach(item => {
+            if (platform && platform !== 'ALL' && item.platform !== platform) return;
+            const key = `${item.platform}|${item.contest}`;
+            if (!groups.has(key)) {
+                groups.set(key, {
+                    contest: item.contest,
+                    platform: item.platform,
+                    drawDate: item.drawDate,
+                    prizePool: 0,
+                    allocated: 0,
+                    approved: 0,
+                    paid: 0,
+                    outstanding: 0,
+                    rejected: 0,
+                    items: 0
+                });
+            }
+            const g = groups.get(key);
+            g.items++;
+            // Pool of the contest as long as one of its tickets still wins
+            if (item.isWinner) g.prizePool = item.prizePool;
+            if (item.status === PayoutStatus.REJECTED) {
+                g.rejected += item.amount;
+                return;
+            }
+            g.allocated += item.amount;
+            if (item.status === PayoutStatus.PAID) g.paid += item.amount;
+            else g.outstanding += item.amount;
+            if (item.status === PayoutStatus.APPROVED) g.approved += item.amount;
+        });
+
+        return [...groups.values()].map(g => {
+            const difference = Math.round((g.prizePool - g.allocated) * 100) / 100;
+            return { ...g, difference, balanced: difference === 0 };
+        }).sort((a, b) =>
+            (parseInt(b.contest, 10) || 0) - (parseInt(a.contest, 10) || 0) || a.platform.localeCompare(b.platform)
+        );
+    }
+
+    /**
+     * Totals over all items
+     * @returns {Object} { pending, approved, paid, rejected, outstanding, mismatched } in R$ (mismatched = count)
+     */
+    function getTotals() {
+        const totals = { pending: 0, approved: 0, paid: 0, rejected: 0, outstanding: 0, mismatched: 0 };
+        items.forEach(item => {
+            totals[item.status] += item.amount;
+            if (OUTSTANDING_STATUSES.includes(item.status) && item.isWinner) totals.outstanding += item.amount;
+            if (hasMismatch(item)) totals.mismatched++;
+        });
+        return totals;
+    }
+
+    // Reload at sign-in; refreshes reload through sync() after the winners
+    AdminCore.on('login', () => {
+        refresh().catch(error => console.warn('PayoutLedger: Could not load ledger', error.message));
+    });
+
+    // ============================================
+    // Public API
+    // ============================================
+    return {
+        sync,
+        refresh,
+        setStatus,
+        query,
+        reconcile,
+        getTotals,
+        hasMismatch,
+        getItem: id => items.get(id) || null,
+        canTransition: (item, status) => TRANSITIONS[item.status].includes(status),
+        getLastSyncedAt: () => lastSyncedAt,
+        getServerError: () => serverError,
+        whenReady: () => ready,
+
+        // Constants
+        PayoutStatus,
+        TRANSITIONS,
+        OUTSTANDING_STATUSES
+    };
+})();
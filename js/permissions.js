@@ -0,0 +1,161 @@
+/**
+ * POP-SORTE Admin Dashboard - Permissions Module
+ *
+ * Role-based access control. The auth server puts a role in every session
+ * grant (see auth.js); this module decides what each role may do.
+ *
+ * Roles (least to most privileged):
+ * - viewer:     dashboards and tables, contact data masked
+ * - validator:  + unmasked ticket details, manual ticket status overrides,
+ *               entering and confirming results, reviewing fraud flags
+ * - finance:    + WhatsApp numbers in exports, prize pool changes, payouts
+ * - superadmin: everything, including the audit log
+ *
+ * Unknown or missing roles are treated as viewer.
+ *
+ * The matrix is plain data and the module has no DOM access, so it can be
+ * checked from Node without a browser:
+ *   const AdminPermissions = require('./js/permissions.js');
+ *   AdminPermissions.can('finance', AdminPermissions.Permission.EXPORT_WHATSAPP); // true
+ *
+ * Dependencies: none
+ */
+
+// ============================================
+// Permissions Module
+// ============================================
+(function(root) {
+    'use strict';
+
+    // ============================================
+    // Constants
+    // ============================================
+
+    /**
+     * Role identifiers
+     */
+    const Role = {
+        VIEWER: 'viewer',
+        VALIDATOR: 'validator',
+        FINANCE: 'finance',
+        SUPERADMIN: 'superadmin'
+    };
+
+    /**
+     * Role given to sessions without a known role
+     */
+    const DEFAULT_ROLE = Role.VIEWER;
+
+    /**
+     * Gated actions
+     */
+    const Permission = {
+        EXPORT_WHATSAPP: 'export.whatsapp',
+        VIEW_UNMASKED: 'details.unmasked',
+        OVERRIDE_STATUS: 'ticket.override',
+        CHANGE_PRIZE_POOL: 'prize.change',
+        VIEW_AUDIT_LOG: 'audit.view',
+        MANAGE_PAYOUTS: 'payout.manage',
+        ENTER_RESULTS: 'results.enter',
+        REVIEW_RISK: 'risk.review'
+    };
+
+    /**
+     * Role -> granted permissions
+     */
+    const MATRIX = {
+        [Role.VIEWER]: [],
+        [Role.VALIDATOR]: [
+            Permission.VIEW_UNMASKED,
+            Permission.OVERRIDE_STATUS,
+            Permission.ENTER_RESULTS,
+            Permission.REVIEW_RISK
+        ],
+        [Role.FINANCE]: [
+            Permission.VIEW_UNMASKED,
+            Permission.EXPORT_WHATSAPP,
+            Permission.CHANGE_PRIZE_POOL,
+            Permission.MANAGE_PAYOUTS
+        ],
+        [Role.SUPERADMIN]: Object.values(Permission)
+    };
+
+    /**
+     * Display labels
+     */
+    const ROLE_LABELS = {
+        [Role.VIEWER]: 'Viewer',
+        [Role.VALIDATOR]: 'Validator',
+        [Role.FINANCE]: 'Finance',
+        [Role.SUPERADMIN]: 'Super Admin'
+    };
+
+    // ============================================
+    // Checks
+    // ============================================
+
+    /**
+     * Normalize a role name
+     * @param {string} role - Role from a session
+     * @returns {string} Known role (DEFAULT_ROLE if unknown)
+     */
+    function normalizeRole(role) {
+        const normalized = String(role || '').trim().toLowerCase();
+        return MATRIX[normalized] ? normalized : DEFAULT_ROLE;
+    }
+
+    /**
+     * Check if a role grants a permission
+     * @param {string} role - Role name
+     * @param {string} permission - Permission value
+     * @returns {boolean} True if granted
+     */
+    function can(role, permission) {
+        return MATRIX[normalizeRole(role)].includes(permission);
+    }
+
+    /**
+     * List the permissions of a role
+     * @param {string} role - Role name
+     * @returns {string[]} Granted permissions
+     */
+    function getPermissions(role) {
+        return MATRIX[normalizeRole(role)].slice();
+    }
+
+    /**
+     * Build the full role x permission table
+     * @returns {Object} { [role]: { [permission]: boolean } }
+     */
+    function getMatrix() {
+        const table = {};
+        Object.values(Role).forEach(role => {
+            table[role] = {};
+            Object.values(Permission).forEach(permission => {
+                table[role][permission] = can(role, permission);
+            });
+        });
+        return table;
+    }
+
+    // ============================================
+    // Public API
+    // ============================================
+    const api = {
+        can,
+        getPermissions,
+        getMatrix,
+        normalizeRole,
+        getRoleLabel: role => ROLE_LABELS[normalizeRole(role)],
+
+        // Constants
+        Role,
+        Permission,
+        DEFAULT_ROLE
+    };
+
+    root.AdminPermissions = api;
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = api;
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,319 @@
+/**
+ * POP-SORTE Admin Dashboard - Pick Analytics Module
+ *
+ * How concentrated player picks are before a draw, over the valid tickets
+ * of one contest:
+ * - heatmap of the 80-number grid (tickets picking each number)
+ * - most popular 5-number combinations, with how many Game IDs hold each
+ *   (many players on one set points at coordinated ticket stuffing)
+ * - liability simulation: random draws are sampled and every ticket is
+ *   scored with WinnerCalculator.countMatches; the prize rule in force
+ *   (PrizeRules.evaluate) turns the winners per tier into payouts, so
+ *   finance sees the likely split and the worst cases before the draw
+ *
+ * Validity follows WinnerCalculator.isValidEntry, the same test the winner
+ * calculation pays on. Draws are sampled from a seeded generator so a
+ * simulation can be repeated with the same seed.
+ *
+ * Dependencies: winner-calculator.js (WinnerCalculator), prize-rules.js (PrizeRules),
+ *               results-stats.js (ResultsStats)
+ */
+
+// ============================================
+// Pick Analytics Module
+// ============================================
+window.PickAnalytics = (function() {
+    'use strict';
+
+    // ============================================
+    // Constants
+    // ============================================
+
+    /**
+     * Default number of sampled draws
+     */
+    const DEFAULT_SAMPLES = 1000;
+
+    /**
+     * Sampled draws between yields to the UI
+     */
+    const BATCH_SIZE = 50;
+
+    /**
+     * Match counts reported by the simulation, highest first
+     */
+    const TIERS = [5, 4, 3, 2, 1];
+
+    // ============================================
+    // Helpers
+    // ============================================
+
+    /**
+     * Percentage with one decimal
+     * @param {number} part - Part
+     * @param {number} total - Total
+     * @returns {number} Percentage (0 when total is 0)
+     */
+    function percent(part, total) {
+        return total > 0 ? Math.round((part / total) * 1000) / 10 : 0;
+    }
+
+    /**
+     * Seeded random generator (mulberry32)
+     * @param {number} seed - Seed
+     * @returns {Function} () => number in [0, 1)
+     */
+    function createRandom(seed) {
+        let state = seed >>> 0;
+        return function() {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    /**
+     * Draw distinct numbers at random
+     * @param {Function} random - Random generator
+     * @returns {number[]} Sorted numbers
+     */
+    function sampleDraw(random) {
+        const picked = new Set();
+        const range = ResultsStats.MAX_NUMBER - ResultsStats.MIN_NUMBER + 1;
+        while (picked.size < ResultsStats.NUMBERS_PER_DRAW) {
+            picked.add(ResultsStats.MIN_NUMBER + Math.floor(random() * range));
+        }
+        return [...picked].sort((a, b) => a - b);
+    }
+
+    /**
+     * Value at a percentile of a sorted list
+     * @param {number[]} sorted - Ascending values
+     * @param {number} p - Percentile (0-100)
+     * @returns {number} Value
+     */
+    function percentile(sorted, p) {
+        if (sorted.length === 0) return 0;
+        return sorted[Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1)];
+    }
+
+    // ============================================
+    // Tickets
+    // ============================================
+
+    /**
+     * Valid tickets of one contest
+     * @param {Object[]} entries - Entries
+     * @param {string} contest - Contest number
+     * @returns {Object[]} Valid entries with a full set of numbers
+     */
+    function getContestTickets(entries, contest) {
+        return entries.filter(e =>
+            String(e.contest) === String(contest) &&
+            Array.isArray(e.numbers) && e.numbers.length === ResultsStats.NUMBERS_PER_DRAW &&
+            WinnerCalculator.isValidEntry(e));
+    }
+
+    /**
+     * Contests that have tickets, newest first
+     * @param {Object[]} entries - Entries
+     * @param {Object[]} results - Results (to tell drawn contests apart)
+     * @returns {Object[]} [{ contest, drawDate, tickets, hasResult }]
+     */
+    function getContests(entries, results = []) {
+        const drawn = new Set(results.map(r => String(r.contest)));
+        const contests = new Map();
+        entries.forEach(e => {
+            if (!e.contest) return;
+            const key = String(e.contest);
+            if (!contests.has(key)) contests.set(key, { contest: key, drawDate: e.drawDate || '', tickets: 0, hasResult: drawn.has(key) });
+            contests.get(key).tickets++;
+        });
+        return [...contests.values()].sort((a, b) => (parseInt(b.contest, 10) || 0) - (parseInt(a.contest, 10) || 0));
+    }
+
+    // ============================================
+    // Concentration
+    // ============================================
+
+    /**
+     * Tickets picking each number
+     * @param {Object[]} tickets - getContestTickets() output
+     * @returns {Object} { cells: [{ number, count, share (% of tickets), intensity (0-1 of the busiest) }], tickets, max }
+     */
+    function getHeatmap(tickets) {
+        const counts = new Array(ResultsStats.MAX_NUMBER + 1).fill(0);
+        tickets.forEach(t => t.numbers.forEach(n => {
+            if (n >= ResultsStats.MIN_NUMBER && n <= ResultsStats.MAX_NUMBER) counts[n]++;
+        }));
+
+        const max = counts.reduce((m, c) => Math.max(m, c), 0);
+        const cells = [];
+        for (let n = ResultsStats.MIN_NUMBER; n <= ResultsStats.MAX_NUMBER; n++) {
+            cells.push({
+                number: n,
+                count: counts[n],
+                share: percent(counts[n], tickets.length),
+                intensity: max > 0 ? counts[n] / max : 0
+            });
+        }
+        return { cells, tickets: tickets.length, max };
+    }
+
+    /**
+     * Most bought number sets
+     * @param {Object[]} tickets - getContestTickets() output
+     * @param {number} limit - Sets to return
+     * @returns {Object[]} [{ numbers, tickets, players, gameIds }] by tickets, then players
+     */
+    function getPopularCombinations(tickets, limit = 10) {
+        const sets = new Map();
+        tickets.forEach(t => {
+            const numbers = [...t.numbers].sort((a, b) => a - b);
+            const key = numbers.join('-');
+            if (!sets.has(key)) sets.set(key, { numbers, tickets: 0, gameIds: new Set() });
+            const set = sets.get(key);
+            set.tickets++;
+            if (t.gameId) set.gameIds.add(t.gameId);
+        });
+
+        return [...sets.values()]
+            .filter(set => set.tickets > 1)
+            .map(set => ({ numbers: set.numbers, tickets: set.tickets, players: set.gameIds.size, gameIds: [...set.gameIds] }))
+            .sort((a, b) => b.tickets - a.tickets || b.players - a.players)
+            .slice(0, limit);
+    }
+
+    // ============================================
+    // Liability Simulation
+    // ============================================
+
+    /**
+     * Winners per tier for one draw
+     * @param {Object[]} tickets - Valid tickets
+     * @param {number[]} draw - Drawn numbers
+     * @returns {Object} { [matches]: count }
+     */
+    function countTierWinners(tickets, draw) {
+        const tierCounts = {};
+        tickets.forEach(t => {
+            const { count } = WinnerCalculator.countMatches(t.numbers, draw);
+            if (count > 0) tierCounts[count] = (tierCounts[count] || 0) + 1;
+        });
+        return tierCounts;
+    }
+
+    /**
+     * Estimate winners and payouts of a contest over sampled draws
+     * @param {Object[]} tickets - Valid tickets of the contest (one platform)
+     * @param {Object} options - { platform, drawDate, carryIn (R$ rolled over into the contest),
+     *                            samples, seed, scenarios: { [label]: numbers[] } fixed draws to add,
+     *                            onProgress(done, total) }
+     * @returns {Promise<Object>} { samples, seed, rule, pool, available, tiers: [{ matches, paying, mean, p95, max, chance,
+     *                              perWinnerMedian, perWinnerMin }], payout: { mean, p95, max, rolloverChance },
+     *                              worst: [{ draw, tierCounts, totalAwarded }], scenarios: [...] }
+     */
+    async function simulateLiability(tickets, {
+        platform = 'DEFAULT',
+        drawDate = '',
+        carryIn = 0,
+        samples = DEFAULT_SAMPLES,
+        seed = Date.now(),
+        scenarios = {},
+        onProgress = null
+    } = {}) {
+        const rule = PrizeRules.getRule(platform, drawDate);
+        const pool = rule.pool === 'platform' ? WinnerCalculator.getPrizePool(platform) : rule.pool;
+        const random = createRandom(seed);
+
+        const evaluateDraw = draw => {
+            const tierCounts = countTierWinners(tickets, draw);
+            const payout = PrizeRules.evaluate(rule, { pool, carryIn, tierCounts });
+            return { draw, tierCounts, payout };
+        };
+
+        const runs = [];
+        for (let i = 0; i < samples; i += BATCH_SIZE) {
+            const end = Math.min(samples, i + BATCH_SIZE);
+            for (let s = i; s < end; s++) runs.push(evaluateDraw(sampleDraw(random)));
+
+            // Yield to main thread after each batch for UI responsiveness
+            if (end < samples) {
+                if (onProgress) onProgress(end, samples);
+                await new Promise(resolve => setTimeout(resolve, 5));
+            }
+        }
+
+        const tiers = TIERS.map(matches => {
+            const winners = runs.map(run => run.tierCounts[matches] || 0).sort((a, b) => a - b);
+            const perWinner = runs
+                .map(run => run.payout.tiers[matches]?.perWinner)
+                .filter(v => v > 0)
+                .sort((a, b) => a - b);
+            return {
+                matches,
+                paying: PrizeRules.isWinningCount(rule, matches),
+                mean: runs.length > 0 ? winners.reduce((sum, w) => sum + w, 0) / runs.length : 0,
+                p95: percentile(winners, 95),
+                max: winners.length > 0 ? winners[winners.length - 1] : 0,
+                chance: percent(winners.filter(w => w > 0).length, runs.length),
+                perWinnerMedian: perWinner.length > 0 ? percentile(perWinner, 50) : null,
+                perWinnerMin: perWinner.length > 0 ? perWinner[0] : null
+            };
+        });
+
+        const awarded = runs.map(run => run.payout.totalAwarded).sort((a, b) => a - b);
+        const toRow = run => ({ draw: run.draw, tierCounts: run.tierCounts, totalAwarded: run.payout.totalAwarded, winningTier: run.payout.winningTier });
+
+        // Worst cases: the most winners on the best paying tier
+        const crowding = run => TIERS.map(matches => run.tierCounts[matches] || 0);
+        const worst = [...runs]
+            .sort((a, b) => {
+                const ca = crowding(a);
+                const cb = crowding(b);
+                const diff = ca.findIndex((c, i) => c !== cb[i]);
+                return diff === -1 ? 0 : cb[diff] - ca[diff];
+            })
+            .slice(0, 5)
+            .map(toRow);
+
+        return {
+            samples: runs.length,
+            seed,
+            rule: { id: rule.id, label: rule.label, mode: rule.mode, minMatches: rule.minMatches, rollover: rule.rollover },
+            pool,
+            carryIn,
+            available: PrizeRules.evaluate(rule, { pool, carryIn, tierCounts: {} }).available,
+            tickets: tickets.length,
+            tiers,
+            payout: {
+                mean: awarded.length > 0 ? awarded.reduce((sum, a) => sum + a, 0) / awarded.length : 0,
+                p95: percentile(awarded, 95),
+                max: awarded.length > 0 ? awarded[awarded.length - 1] : 0,
+                rolloverChance: percent(runs.filter(run => run.payout.rolloverOut > 0).length, runs.length)
+            },
+            worst,
+            scenarios: Object.entries(scenarios)
+                .filter(([, numbers]) => Array.isArray(numbers) && numbers.length === ResultsStats.NUMBERS_PER_DRAW)
+                .map(([label, numbers]) => ({ label, ...toRow(evaluateDraw([...numbers].sort((a, b) => a - b))) }))
+        };
+    }
+
+    // ============================================
+    // Public API
+    // ============================================
+    return {
+        getContests,
+        getContestTickets,
+        getHeatmap,
+        getPopularCombinations,
+        countTierWinners,
+        simulateLiability,
+
+        // Constants
+        DEFAULT_SAMPLES,
+        TIERS
+    };
+})();
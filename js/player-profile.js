@@ -0,0 +1,190 @@
+/**
+ * POP-SORTE Admin Dashboard - Player Profile Module
+ *
+ * Everything known about one Game ID, for answering player questions:
+ * - every ticket with its final status (matching engine outcome, manual
+ *   override applied) and the recharge it consumed
+ * - every recharge with the ticket that consumed it, unused ones apart
+ * - wins and prizes (WinnerCalculator.groupWinnersByPlayer)
+ * - platforms used, first and last activity
+ *
+ * Profiles are built over ALL platforms from the data passed in; nothing
+ * is cached. A profile is linkable as #player-<gameId> (getHash/parseHash).
+ *
+ * Dependencies: admin-core.js (AdminCore), matching-engine.js (MatchingEngine),
+ *               recharge-validator.js (RechargeValidator), status-overrides.js (StatusOverrides),
+ *               winner-calculator.js (WinnerCalculator), data-store.js (DataStore)
+ */
+
+// ============================================
+// Player Profile Module
+// ============================================
+window.PlayerProfile = (function() {
+    'use strict';
+
+    // ============================================
+    // Constants
+    // ============================================
+
+    /**
+     * URL hash prefix of a profile link
+     */
+    const HASH_PREFIX = 'player-';
+
+    // ============================================
+    // Links
+    // ============================================
+
+    /**
+     * Build the URL hash of a profile
+     * @param {string} gameId - Game ID
+     * @returns {string} Hash including '#'
+     */
+    function getHash(gameId) {
+        return `#${HASH_PREFIX}${encodeURIComponent(String(gameId).trim())}`;
+    }
+
+    /**
+     * Read the Game ID from a URL hash
+     * @param {string} hash - location.hash
+     * @returns {string|null} Game ID or null if the hash is not a profile link
+     */
+    function parseHash(hash) {
+        const value = String(hash || '').replace(/^#/, '');
+        if (!value.startsWith(HASH_PREFIX)) return null;
+        try {
+            const gameId = decodeURIComponent(value.slice(HASH_PREFIX.length)).trim();
+            return gameId || null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    // ============================================
+    // Helpers
+    // ============================================
+
+    /**
+     * Final status of a ticket
+     * A manual override always wins, then the last matching run, then the
+     * outcome stored by an earlier session, then the CSV status.
+     * @param {Object} entry - Entry object
+     * @returns {Object} { status, reason, outcome, override }
+     */
+    function getTicketStatus(entry) {
+        const outcome = RechargeValidator.validateTicket(entry);
+        const override = StatusOverrides.get(entry);
+        if (override) {
+            return { status: override.status, reason: StatusOverrides.describe(override), outcome, override };
+        }
+        if (outcome) {
+            return { status: outcome.status, reason: outcome.reason, outcome, override: null };
+        }
+        const stored = DataStore.getStoredOutcome(MatchingEngine.getTicketKey(entry));
+        if (stored) {
+            return { status: stored.status, reason: stored.reason || 'Stored outcome', outcome: null, override: null };
+        }
+        const csvStatus = (entry.status || '').toUpperCase();
+        const status = csvStatus === 'VALID' || csvStatus === 'VÁLIDO' ? 'VALID'
+            : csvStatus === 'INVALID' || csvStatus === 'INVÁLIDO' ? 'INVALID'
+            : 'PENDING';
+        return { status, reason: 'Status from CSV', outcome: null, override: null };
+    }
+
+    /**
+     * Milliseconds of a Date, or null
+     * @param {*} date - Value
+     * @returns {number|null} Time
+     */
+    function timeOf(date) {
+        return date instanceof Date && !isNaN(date.getTime()) ? date.getTime() : null;
+    }
+
+    // ============================================
+    // Profile
+    // ============================================
+
+    /**
+     * Build a player's profile
+     * @param {string} gameId - Game ID
+     * @param {Object} data - { entries (all platforms), recharges (all), winners (all platforms) }
+     * @returns {Object|null} Profile, or null if the Game ID has no tickets, recharges or wins
+     */
+    function build(gameId, { entries = [], recharges = [], winners = [] } = {}) {
+        const id = String(gameId || '').trim();
+        if (!id) return null;
+
+        const playerEntries = entries.filter(e => String(e.gameId).trim() === id);
+        const playerRecharges = recharges.filter(r => String(r.gameId).trim() === id);
+        const wins = WinnerCalculator.groupWinnersByPlayer(winners.filter(w => String(w.gameId).trim() === id))[0] || null;
+        if (playerEntries.length === 0 && playerRecharges.length === 0 && !wins) return null;
+
+        // Tickets, newest first
+        const tickets = playerEntries
+            .map(entry => {
+                const { status, reason, outcome, override } = getTicketStatus(entry);
+                return {
+                    entry,
+                    key: MatchingEngine.getTicketKey(entry),
+                    status,
+                    reason,
+                    override,
+                    recharge: outcome?.matchedRecharge || null
+                };
+            })
+            .sort((a, b) => (timeOf(b.entry.parsedDate) || 0) - (timeOf(a.entry.parsedDate) || 0));
+
+        // Recharges with the ticket that consumed them, newest first
+        const rechargeRows = playerRecharges
+            .map(recharge => ({ recharge, ticket: MatchingEngine.getBoundTicket(recharge.rechargeId) }))
+            .sort((a, b) => (timeOf(b.recharge.rechargeTime) || 0) - (timeOf(a.recharge.rechargeTime) || 0));
+        const unusedRecharges = rechargeRows.filter(r => !r.ticket).map(r => r.recharge);
+
+        const countStatus = status => tickets.filter(t => t.status === status).length;
+        const sum = (list, pick) => list.reduce((total, item) => total + (pick(item) || 0), 0);
+
+        const times = [
+            ...playerEntries.map(e => timeOf(e.parsedDate)),
+            ...playerRecharges.map(r => timeOf(r.rechargeTime))
+        ].filter(t => t !== null);
+
+        const platforms = [...new Set(playerEntries.map(e => (e.platform || 'POPN1').toUpperCase()))].sort();
+
+        return {
+            gameId: id,
+            whatsapp: playerEntries.find(e => e.whatsapp)?.whatsapp || wins?.whatsapp || '',
+            platforms,
+            firstSeen: times.length > 0 ? new Date(Math.min(...times)) : null,
+            lastSeen: times.length > 0 ? new Date(Math.max(...times)) : null,
+            tickets,
+            recharges: rechargeRows,
+            unusedRecharges,
+            wins,
+            totals: {
+                tickets: tickets.length,
+                valid: countStatus('VALID'),
+                invalid: countStatus('INVALID'),
+                pending: countStatus('PENDING'),
+                recharges: rechargeRows.length,
+                rechargeAmount: sum(playerRecharges, r => r.amount),
+                unused: unusedRecharges.length,
+                unusedAmount: sum(unusedRecharges, r => r.amount),
+                wins: wins ? wins.totalWins : 0,
+                prize: wins ? sum(wins.wins, w => w.prize) : 0
+            }
+        };
+    }
+
+    // ============================================
+    // Public API
+    // ============================================
+    return {
+        build,
+        getTicketStatus,
+        getHash,
+        parseHash,
+
+        // Constants
+        HASH_PREFIX
+    };
+})();
@@ -0,0 +1,425 @@
+/**
+ * POP-SORTE - Prize Rules Module
+ *
+ * Declarative prize rules per platform and effective date, evaluated by
+ * WinnerCalculator for every contest. Each contest uses the rule that was
+ * in force on its draw date, so changing the rules never rewrites the
+ * prizes of past contests.
+ *
+ * Rule fields:
+ * - id, label      - identifier and display name
+ * - platform       - platform code, or '*' for every platform
+ * - effectiveFrom  - first draw date (YYYY-MM-DD) the rule applies to;
+ *                    null keeps a planned rule out of force until it has one
+ * - minMatches     - fewest matches that count as a winner (1-5)
+ * - pool           - R$ per contest, or 'platform' for the prize pool set in
+ *                    the dashboard (AdminCore.getPlatformPrize)
+ * - mode           - how the pool is paid:
+ *     'highest-tier' whole pool split among the highest tier with winners
+ *     'split'        tiers: { 5: { percent }, ... } - each tier's share of
+ *                    the pool split among its winners
+ *     'fixed'        tiers: { 5: { amount }, ... } - R$ per winner, no pool
+ * - rollover       - money not paid out (no winner, empty tier, caps) is
+ *                    added to the next contest's pool on the same platform
+ * - caps           - optional { perWinner, perContest } in R$
+ *
+ * Rule precedence for a contest: latest effectiveFrom on or before the draw
+ * date; on the same date a platform rule beats a '*' rule.
+ *
+ * The rule set is kept in data/prize-rules.json (next to js/), or at the
+ * URL stored under localStorage key popsorte_prize_rules_source. Until it
+ * loads, or if it cannot be loaded, a single built-in rule applies: the
+ * highest tier takes the platform pool, without rollover.
+ *
+ * The admin API loads the same module and data/prize-rules.json to check
+ * the payouts a dashboard sends (worker/admin-api.js).
+ *
+ * Dependencies: none (runs on admin pages, the compute worker, homina and
+ *               the admin API)
+ */
+
+// ============================================
+// Prize Rules Module
+// ============================================
+(function(root) {
+    'use strict';
+
+    // ============================================
+    // Constants
+    // ============================================
+
+    /**
+     * Default location of the rule set (resolved against this script, so
+     * pages in subfolders find it too)
+     */
+    const RULES_URL = (typeof document !== 'undefined' && document.currentScript)
+        ? new URL('../data/prize-rules.json', document.currentScript.src).href
+        : 'data/prize-rules.json';
+
+    /**
+     * localStorage key for a custom rule set URL
+     */
+    const SOURCE_KEY = 'popsorte_prize_rules_source';
+
+    /**
+     * Payout modes
+     */
+    const Mode = {
+        HIGHEST_TIER: 'highest-tier',
+        SPLIT: 'split',
+        FIXED: 'fixed'
+    };
+
+    /**
+     * Fallback rule set when data/prize-rules.json is unavailable
+     */
+    const DEFAULT_TABLE = {
+        rules: [
+            {
+                id: 'highest-tier',
+                label: 'Highest tier takes the pool',
+                platform: '*',
+                effectiveFrom: '2000-01-01',
+                minMatches: 3,
+                pool: 'platform',
+                mode: Mode.HIGHEST_TIER,
+                rollover: false
+            }
+        ]
+    };
+
+    // ============================================
+    // State
+    // ============================================
+    let table = normalizeTable(DEFAULT_TABLE);
+    let loadPromise = null;
+    const listeners = [];
+
+    // ============================================
+    // Helpers
+    // ============================================
+
+    /**
+     * Convert a draw date string to a date key
+     * @param {string} input - YYYY-MM-DD(...) or DD/MM/YYYY
+     * @returns {string} YYYY-MM-DD or empty string if invalid
+     */
+    function toDateKey(input) {
+        const trimmed = String(input || '').trim();
+        if (/^\d{4}-\d{2}-\d{2}/.test(trimmed)) {
+            return trimmed.substring(0, 10);
+        }
+        const br = trimmed.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})/);
+        return br ? `${br[3]}-${br[2].padStart(2, '0')}-${br[1].padStart(2, '0')}` : '';
+    }
+
+    /**
+     * Round to whole cents
+     * @param {number} value - Amount in R$
+     * @returns {number} Rounded amount
+     */
+    function toCents(value) {
+        return Math.round(value * 100) / 100;
+    }
+
+    // ============================================
+    // Table Handling
+    // ============================================
+
+    /**
+     * Normalize one rule
+     * @param {Object} raw - Rule object (see module header)
+     * @returns {Object|null} Normalized rule, or null if invalid
+     */
+    function normalizeRule(raw) {
+        const mode = raw.mode || Mode.HIGHEST_TIER;
+        const minMatches = raw.minMatches ?? 3;
+        const effectiveFrom = toDateKey(raw.effectiveFrom);
+        const pool = raw.pool ?? 'platform';
+
+        if (!Object.values(Mode).includes(mode)) return null;
+        if (!Number.isInteger(minMatches) || minMatches < 1 || minMatches > 5) return null;
+        if (!effectiveFrom) return null;
+        if (pool !== 'platform' && !(Number(pool) >= 0)) return null;
+
+        const tiers = {};
+        Object.entries(raw.tiers || {}).forEach(([tier, value]) => {
+            const count = parseInt(tier, 10);
+            if (count < minMatches || count > 5) return;
+            tiers[count] = mode === Mode.FIXED
+                ? { amount: Math.max(0, Number(value.amount) || 0) }
+                : { percent: Math.max(0, Number(value.percent) || 0) };
+        });
+        if (mode !== Mode.HIGHEST_TIER && Object.keys(tiers).length === 0) return null;
+        if (mode === Mode.SPLIT && Object.values(tiers).reduce((sum, t) => sum + t.percent, 0) > 100) return null;
+
+        const caps = raw.caps || {};
+        return {
+            id: String(raw.id || `${raw.platform || '*'}-${effectiveFrom}`),
+            label: raw.label || '',
+            platform: raw.platform || '*',
+            effectiveFrom,
+            minMatches,
+            pool: pool === 'platform' ? pool : Number(pool),
+            mode,
+            tiers,
+            rollover: raw.rollover === true,
+            caps: {
+                perWinner: Number(caps.perWinner) > 0 ? Number(caps.perWinner) : null,
+                perContest: Number(caps.perContest) > 0 ? Number(caps.perContest) : null
+            }
+        };
+    }
+
+    /**
+     * Normalize a raw rule set (invalid rules are dropped)
+     * @param {Object} raw - { rules: [...] }
+     * @returns {Object} Normalized table, oldest rule first
+     */
+    function normalizeTable(raw) {
+        const rules = [];
+        (raw.rules || []).forEach(rule => {
+            if (rule && rule.effectiveFrom === null) return;
+            const normalized = normalizeRule(rule);
+            if (normalized) {
+                rules.push(normalized);
+            } else {
+                console.warn('PrizeRules: Ignoring invalid rule', rule);
+            }
+        });
+        if (rules.length === 0 && raw !== DEFAULT_TABLE) {
+            return normalizeTable(DEFAULT_TABLE);
+        }
+        rules.sort((a, b) => a.effectiveFrom.localeCompare(b.effectiveFrom));
+        return { rules };
+    }
+
+    /**
+     * Replace the active rule set
+     * @param {Object} raw - Raw rule set
+     */
+    function setTable(raw) {
+        table = normalizeTable(raw);
+        listeners.forEach(fn => {
+            try {
+                fn(table);
+            } catch (error) {
+                console.error('PrizeRules: listener error', error);
+            }
+        });
+    }
+
+    /**
+     * Get the configured rule set URL
+     * @returns {string} URL
+     */
+    function getSource() {
+        try {
+            return localStorage.getItem(SOURCE_KEY) || RULES_URL;
+        } catch (e) {
+            return RULES_URL;
+        }
+    }
+
+    /**
+     * Point the rules at another JSON file and reload
+     * @param {string|null} url - New URL, or null to restore the default
+     * @returns {Promise<Object>} Loaded table
+     */
+    function setSource(url) {
+        try {
+            if (url) {
+                localStorage.setItem(SOURCE_KEY, url);
+            } else {
+                localStorage.removeItem(SOURCE_KEY);
+            }
+        } catch (e) {
+            console.warn('PrizeRules: Could not persist source', e);
+        }
+        return load(url || RULES_URL);
+    }
+
+    /**
+     * Load the rule set
+     * Keeps the current rules if the request fails
+     * @param {string} url - JSON URL (defaults to configured source)
+     * @returns {Promise<Object>} Active table
+     */
+    function load(url = getSource()) {
+        loadPromise = fetch(url, { cache: 'no-store' })
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`HTTP ${response.status}`);
+                }
+                return response.json();
+            })
+            .then(raw => {
+                setTable(raw);
+                return table;
+            })
+            .catch(error => {
+                console.warn(`PrizeRules: Could not load ${url}, using built-in rules`, error);
+                return table;
+            });
+        return loadPromise;
+    }
+
+    /**
+     * Resolve once the initial rule load has finished (successfully or not)
+     * @returns {Promise<Object>} Active table
+     */
+    function ready() {
+        return loadPromise || Promise.resolve(table);
+    }
+
+    /**
+     * Subscribe to rule set changes
+     * @param {Function} fn - Called with the new table
+     */
+    function onChange(fn) {
+        listeners.push(fn);
+    }
+
+    // ============================================
+    // Rule Queries
+    // ============================================
+
+    /**
+     * Get the rule in force for a platform on a draw date
+     * @param {string} platform - Platform code ('DEFAULT' for the "All" view)
+     * @param {string} drawDate - Draw date (YYYY-MM-DD or DD/MM/YYYY); empty = latest rule
+     * @returns {Object} Normalized rule
+     */
+    function getRule(platform, drawDate) {
+        const dateKey = toDateKey(drawDate) || '9999-12-31';
+        let match = null;
+        table.rules.forEach(rule => {
+            if (rule.effectiveFrom > dateKey) return;
+            if (rule.platform !== '*' && rule.platform !== platform) return;
+            // Later dates win; on the same date a platform rule beats '*'
+            if (!match || rule.effectiveFrom > match.effectiveFrom || rule.platform !== '*') {
+                match = rule;
+            }
+        });
+        return match || table.rules[0];
+    }
+
+    /**
+     * Check if a match count wins anything under a rule
+     * @param {Object} rule - Normalized rule
+     * @param {number} matches - Match count
+     * @returns {boolean} True if it qualifies
+     */
+    function isWinningCount(rule, matches) {
+        if (matches < rule.minMatches) return false;
+        return rule.mode === Mode.HIGHEST_TIER || !!rule.tiers[matches];
+    }
+
+    // ============================================
+    // Evaluation
+    // ============================================
+
+    /**
+     * Work out the prizes of one contest
+     * @param {Object} rule - Normalized rule
+     * @param {Object} contest - { pool (R$, resolved), carryIn (R$ rolled over), tierCounts: { 5: n, ... } valid winners }
+     * @returns {Object} { tiers: { [matches]: { winners, perWinner, fromRollover, total } }, winningTier, totalAwarded,
+     *                     available, undistributed, rolloverOut, capped }
+     */
+    function evaluate(rule, { pool, carryIn = 0, tierCounts }) {
+        const available = rule.mode === Mode.FIXED ? carryIn : pool + carryIn;
+        const tiers = {};
+        const count = tier => tierCounts[tier] || 0;
+
+        if (rule.mode === Mode.HIGHEST_TIER) {
+            for (let tier = 5; tier >= rule.minMatches; tier--) {
+                if (count(tier) > 0) {
+                    tiers[tier] = { winners: count(tier), perWinner: available / count(tier) };
+                    break;
+                }
+            }
+        } else {
+            Object.entries(rule.tiers).forEach(([tier, t]) => {
+                if (count(tier) === 0) return;
+                tiers[tier] = {
+                    winners: count(tier),
+                    perWinner: rule.mode === Mode.FIXED ? t.amount : (available * t.percent / 100) / count(tier)
+                };
+            });
+        }
+
+        let capped = false;
+        if (rule.caps.perWinner) {
+            Object.values(tiers).forEach(t => {
+                if (t.perWinner > rule.caps.perWinner) {
+                    t.perWinner = rule.caps.perWinner;
+                    capped = true;
+                }
+            });
+        }
+        let totalAwarded = Object.values(tiers).reduce((sum, t) => sum + t.perWinner * t.winners, 0);
+        if (rule.caps.perContest && totalAwarded > rule.caps.perContest) {
+            const scale = rule.caps.perContest / totalAwarded;
+            Object.values(tiers).forEach(t => { t.perWinner *= scale; });
+            totalAwarded = rule.caps.perContest;
+            capped = true;
+        }
+        Object.values(tiers).forEach(t => {
+            t.total = t.perWinner * t.winners;
+            // Carried money is spread like the rest of the pool, so each prize
+            // holds the carried share of what it was paid from
+            t.fromRollover = rule.mode === Mode.FIXED || available === 0 ? 0 : t.perWinner * carryIn / available;
+        });
+
+        const paying = Object.keys(tiers).map(Number).filter(tier => tiers[tier].perWinner > 0);
+        // Fixed prizes come from outside the pool, so only carried money can be left over
+        const undistributed = rule.mode === Mode.FIXED
+            ? carryIn
+            : Math.max(0, toCents(available - totalAwarded));
+
+        return {
+            tiers,
+            winningTier: paying.length ? Math.max(...paying) : 0,
+            totalAwarded,
+            available,
+            undistributed,
+            rolloverOut: rule.rollover ? undistributed : 0,
+            capped
+        };
+    }
+
+    // Load the rule set as soon as the script runs
+    // (the compute worker receives the active rules with each job instead)
+    if (typeof fetch === 'function' && typeof document !== 'undefined') {
+        load();
+    }
+
+    // ============================================
+    // Public API
+    // ============================================
+    const api = {
+        // Table
+        load,
+        ready,
+        onChange,
+        setTable,
+        setSource,
+        getSource,
+        getTable: () => table,
+
+        // Queries
+        getRule,
+        isWinningCount,
+        evaluate,
+
+        // Constants
+        Mode,
+        RULES_URL,
+        DEFAULT_TABLE
+    };
+
+    root.PrizeRules = api;
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = api;
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -5,13 +5,16 @@
  * 
  * Validation Rules:
  * 1. Ticket must be created AFTER recharge timestamp
- * 2. Ticket must be created BY 20:00 BRT on eligible2 (window expiry)
+ * 2. Ticket must be created BEFORE the draw hour on eligible2 (window expiry)
  * 3. Ticket's CSV drawDate must match eligible1 or eligible2
- * 4. Each recharge can only be used once (first ticket after recharge)
- * 5. Cutoff time 20:00 BRT (16:00 on Dec 24/31) determines draw day shift
- * 6. No draws on Sundays and holidays (Dec 25, Jan 1)
+ * 4. Each recharge can only be used once (see matching-engine.js for the binding policy)
+ * 5. Cutoff time = draw hour (20:00 BRT, 17:00 on Dec 24/31) determines draw day shift
+ * 6. No draws on Sundays, holidays and exception dates (see draw-calendar.js)
+ * 7. A manual override (see status-overrides.js) replaces the final status
  * 
- * Dependencies: admin-core.js (AdminCore), data-fetcher.js (DataFetcher)
+ * Dependencies: admin-core.js (AdminCore), draw-calendar.js (DrawCalendar),
+ *               data-fetcher.js (DataFetcher), matching-engine.js (MatchingEngine),
+ *               status-overrides.js (StatusOverrides)
  */
 
 // ============================================
@@ -26,14 +29,10 @@ window.RechargeValidator = (function() {
     
     /**
      * Default cutoff hour for same-day draws (20:00 BRT)
+     * Per-date hours come from DrawCalendar (e.g. 17:00 on Dec 24/31)
      */
     const DEFAULT_CUTOFF_HOUR = 20;
     
-    /**
-     * Early cutoff hour for special days (Dec 24, Dec 31)
-     */
-    const EARLY_CUTOFF_HOUR = 16;
-    
     /**
      * Validation result statuses
      */
@@ -45,74 +44,43 @@ window.RechargeValidator = (function() {
     };
 
     // ============================================
-    // Draw Calendar Helpers
+    // Draw Calendar Helpers (delegate to DrawCalendar)
     // ============================================
     
     /**
-     * Check if a date is a no-draw day (Sunday, Dec 25, Jan 1)
+     * Check if a date is a no-draw day (Sundays, holidays, table exceptions)
      * @param {Date} date - Date to check
      * @returns {boolean} True if no draw on this day
      */
     function isNoDrawDay(date) {
-        const month = date.getMonth(); // 0-indexed
-        const day = date.getDate();
-        const dayOfWeek = date.getDay();
-        
-        // Sunday
-        if (dayOfWeek === 0) return true;
-        
-        // Christmas (Dec 25)
-        if (month === 11 && day === 25) return true;
-        
-        // New Year (Jan 1)
-        if (month === 0 && day === 1) return true;
-        
-        return false;
+        return DrawCalendar.isNoDrawDay(date);
     }
 
     /**
-     * Check if a date has early cutoff (Dec 24, Dec 31)
+     * Check if a date has early cutoff (e.g. Dec 24, Dec 31)
      * @param {Date} date - Date to check
      * @returns {boolean} True if early cutoff applies
      */
     function isEarlyCutoffDay(date) {
-        const month = date.getMonth();
-        const day = date.getDate();
-        
-        // Dec 24 or Dec 31
-        return month === 11 && (day === 24 || day === 31);
+        return DrawCalendar.isEarlyDrawDay(date);
     }
 
     /**
      * Get cutoff hour for a specific date
      * @param {Date} date - Date to check
-     * @returns {number} Cutoff hour (16 or 20)
+     * @returns {number} Cutoff hour (draw hour from the calendar)
      */
     function getCutoffHour(date) {
-        return isEarlyCutoffDay(date) ? EARLY_CUTOFF_HOUR : DEFAULT_CUTOFF_HOUR;
+        return DrawCalendar.getDrawHour(date);
     }
 
     /**
      * Get next valid draw date from a given date
      * @param {Date} fromDate - Starting date
-     * @returns {Date} Next valid draw date
+     * @returns {Date} Next valid draw date (BRT midnight)
      */
     function getNextValidDrawDate(fromDate) {
-        const probe = new Date(fromDate);
-        probe.setHours(0, 0, 0, 0);
-        
-        // Check up to 14 days ahead
-        for (let i = 0; i < 14; i++) {
-            if (i > 0) {
-                probe.setDate(probe.getDate() + 1);
-            }
-            
-            if (!isNoDrawDay(probe)) {
-                return new Date(probe);
-            }
-        }
-        
-        throw new Error('No valid draw date found in range');
+        return DrawCalendar.getNextDrawDate(fromDate);
     }
 
     /**
@@ -125,45 +93,25 @@ window.RechargeValidator = (function() {
             return null;
         }
         
-        // Determine if recharge was after 8 PM cutoff
-        const rechargeHour = rechargeTime.getHours();
-        const isCutoff = rechargeHour >= 20; // After 8 PM (20:00)
-        
         // Get recharge calendar date
         const rechargeDateStr = AdminCore.getBrazilDateString(rechargeTime);
         if (!rechargeDateStr) return null;
         
-        const rechargeDate = new Date(`${rechargeDateStr}T00:00:00-03:00`);
+        // After that day's cutoff the recharge counts from the next day
+        const isCutoff = DrawCalendar.isAfterCutoff(rechargeTime);
         
-        // Calculate Day 1 and Day 2 based on cutoff
-        let day1, day2;
-        
-        if (isCutoff) {
-            // After 8 PM: Day 1 = NEXT DAY, Day 2 = DAY AFTER NEXT
-            day1 = new Date(rechargeDate);
-            day1.setDate(day1.getDate() + 1);
-            
-            day2 = new Date(day1);
-            day2.setDate(day2.getDate() + 1);
-        } else {
-            // Before 8 PM: Day 1 = SAME DAY, Day 2 = NEXT DAY
-            day1 = new Date(rechargeDate);
-            
-            day2 = new Date(day1);
-            day2.setDate(day2.getDate() + 1);
-        }
-        
-        // Skip holidays/Sundays for Day 1
-        const finalDay1 = isNoDrawDay(day1) ? getNextValidDrawDate(day1) : day1;
+        // Day 1 = first draw day on/after the recharge day (or the day after, past cutoff)
+        const finalDay1 = DrawCalendar.getNextDrawDate(
+            isCutoff ? DrawCalendar.addDays(rechargeDateStr, 1) : rechargeDateStr
+        );
         
-        // Skip holidays/Sundays for Day 2
-        const tempDay2 = new Date(finalDay1);
-        tempDay2.setDate(tempDay2.getDate() + 1);
-        const finalDay2 = isNoDrawDay(tempDay2) ? getNextValidDrawDate(tempDay2) : tempDay2;
+        // Day 2 = next draw day after Day 1
+        const finalDay2 = DrawCalendar.getNextDrawDate(
+            DrawCalendar.addDays(DrawCalendar.toDateKey(finalDay1), 1)
+        );
         
-        // Window expires at 8 PM on Day 2
-        const expiresAt = new Date(finalDay2);
-        expiresAt.setHours(20, 0, 0, 0);
+        // Window expires at the draw hour on Day 2
+        const expiresAt = DrawCalendar.getCutoffTime(finalDay2);
         
         return {
             eligible1: finalDay1,
@@ -207,341 +155,102 @@ window.RechargeValidator = (function() {
     }
 
     // ============================================
-    // Recharge Matching
+    // Ticket Validation
     // ============================================
     
     /**
-     * Find matching recharge for a ticket with strict one-recharge-one-ticket binding
+     * Get the validation result of a ticket from the last matching run
+     * The result includes the per-candidate decision trace (result.trace)
      * @param {Object} ticket - Ticket entry object
-     * @param {Object[]} recharges - All recharges for this game ID (sorted chronologically)
-     * @param {Object[]} allTickets - All tickets for this game ID (sorted chronologically)
-     * @returns {Object|null} Matched recharge with eligibility info, or null
+     * @returns {Object|null} Validation result or null if not validated yet
      */
-    function findMatchingRecharge(ticket, recharges, allTickets) {
-        // Validate inputs
-        if (!ticket.parsedDate || !(ticket.parsedDate instanceof Date) || isNaN(ticket.parsedDate.getTime())) {
-            return null;
-        }
-        if (!recharges || recharges.length === 0) {
-            return null;
-        }
-        
-        const ticketTime = ticket.parsedDate;
-        const ticketDrawDateStr = normalizeDrawDate(ticket.drawDate);
-        
-        // Filter recharges created BEFORE ticket
-        const eligibleRecharges = recharges.filter(r => {
-            if (!r.rechargeTime || !(r.rechargeTime instanceof Date) || isNaN(r.rechargeTime.getTime())) {
-                return false;
-            }
-            return r.rechargeTime.getTime() < ticketTime.getTime();
-        });
-        
-        if (eligibleRecharges.length === 0) {
-            return null;
-        }
-        
-        // Sort chronologically (oldest first - FIFO consumption)
-        eligibleRecharges.sort((a, b) => a.rechargeTime.getTime() - b.rechargeTime.getTime());
-        
-        // Try each recharge in order
-        for (const recharge of eligibleRecharges) {
-            // Calculate eligibility window
-            const window = calculateEligibilityWindow(recharge.rechargeTime);
-            if (!window) continue;
-            
-            // Check 1: Is ticket within the eligibility window?
-            if (ticketTime.getTime() >= window.expiresAt.getTime()) {
-                continue; // Ticket created after window expired
-            }
-            
-            // Check 2: Does ticket's drawDate match Day 1 or Day 2?
-            const day1Str = AdminCore.getBrazilDateString(window.eligible1);
-            const day2Str = AdminCore.getBrazilDateString(window.eligible2);
-            
-            const matchesDay1 = ticketDrawDateStr === day1Str;
-            const matchesDay2 = ticketDrawDateStr === day2Str;
-            
-            if (!matchesDay1 && !matchesDay2) {
-                continue; // Draw date doesn't match eligibility
-            }
-            
-            // Check 3: Is this recharge already consumed by a prior ticket?
-            const rechargeConsumed = allTickets.some(priorTicket => {
-                // Skip self
-                if (priorTicket.ticketNumber === ticket.ticketNumber) return false;
-                
-                // Skip tickets without valid date
-                if (!priorTicket.parsedDate || !(priorTicket.parsedDate instanceof Date)) return false;
-                
-                const priorTime = priorTicket.parsedDate.getTime();
-                
-                // Only check tickets created BETWEEN recharge and current ticket
-                if (priorTime <= recharge.rechargeTime.getTime()) return false;
-                if (priorTime >= ticketTime.getTime()) return false;
-                
-                // Check if prior ticket's drawDate matches this recharge's eligibility
-                const priorDrawDateStr = normalizeDrawDate(priorTicket.drawDate);
-                return (priorDrawDateStr === day1Str || priorDrawDateStr === day2Str);
-            });
-            
-            if (rechargeConsumed) {
-                continue; // This recharge was already bound to an earlier ticket
-            }
-            
-            // ✅ MATCH FOUND! Bind this recharge to this ticket
-            return {
-                ...recharge,
-                eligible1: window.eligible1,
-                eligible2: window.eligible2,
-                expiresAt: window.expiresAt,
-                isDay2: matchesDay2,
-                isCutoff: window.isCutoff
-            };
-        }
-        
-        // No valid match found
-        return null;
+    function validateTicket(ticket) {
+        return applyOverride(MatchingEngine.getOutcome(ticket));
     }
 
-    // ============================================
-    // Ticket Validation
-    // ============================================
-    
     /**
-     * Validate a single ticket against recharge data
-     * @param {Object} ticket - Ticket entry object
-     * @param {Object[]} rechargesByGameId - Map of game ID to recharges
-     * @param {Object[]} ticketsByGameId - Map of game ID to tickets
-     * @returns {Object} Validation result
+     * Apply a ticket's manual override to its matching outcome
+     * The engine's own verdict stays available as computedStatus/computedReason.
+     * @param {Object|null} outcome - Match outcome
+     * @returns {Object|null} Outcome with override applied (same object if none)
      */
-    function validateTicket(ticket, rechargesByGameId, ticketsByGameId) {
-        const result = {
-            ticket: ticket,
-            status: ValidationStatus.UNKNOWN,
-            reason: '',
-            matchedRecharge: null,
-            isDay2: false,
-            isCutoff: false  // DEPRECATED - kept for backwards compatibility
+    function applyOverride(outcome) {
+        const override = outcome ? StatusOverrides.get(outcome.key) : null;
+        if (!override) return outcome;
+        return {
+            ...outcome,
+            status: override.status,
+            reason: StatusOverrides.describe(override),
+            computedStatus: outcome.status,
+            computedReason: outcome.reason,
+            override
+        };
+    }
+
+    /**
+     * Apply manual overrides to a whole run and recount its statistics
+     * Cached runs stay override-free so changing an override never re-matches.
+     * @param {Object} run - Result of MatchingEngine.matchTickets/rematch
+     * @returns {Object} Run with overridden results and stats.overridden
+     */
+    function applyOverrides(run) {
+        let overridden = 0;
+        const results = run.results.map(outcome => {
+            const applied = applyOverride(outcome);
+            if (applied !== outcome) overridden++;
+            return applied;
+        });
+        return {
+            ...run,
+            results,
+            stats: { ...MatchingEngine.summarize(results), overridden }
         };
-        
-        // Check if ticket already has a valid status
-        const existingStatus = (ticket.status || '').toUpperCase();
-        if (['VALID', 'VALIDADO', 'VALIDATED'].includes(existingStatus)) {
-            result.status = ValidationStatus.VALID;
-            result.reason = 'Pre-validated in source data';
-            return result;
-        }
-        
-        if (['INVALID', 'INVÁLIDO'].includes(existingStatus)) {
-            result.status = ValidationStatus.INVALID;
-            result.reason = 'Marked invalid in source data';
-            return result;
-        }
-        
-        // Get recharges for this game ID
-        const gameId = ticket.gameId;
-        if (!gameId) {
-            result.status = ValidationStatus.INVALID;
-            result.reason = 'Missing Game ID';
-            return result;
-        }
-        
-        const recharges = rechargesByGameId[gameId] || [];
-        const tickets = ticketsByGameId[gameId] || [];
-        
-        if (recharges.length === 0) {
-            result.status = ValidationStatus.INVALID;
-            result.reason = 'No recharge found for Game ID';
-            return result;
-        }
-        
-        // Check if ticket was created before any recharge
-        if (ticket.parsedDate && ticket.parsedDate instanceof Date && !isNaN(ticket.parsedDate.getTime())) {
-            const hasRechargeBeforeTicket = recharges.some(r => 
-                r.rechargeTime && 
-                r.rechargeTime instanceof Date && 
-                !isNaN(r.rechargeTime.getTime()) &&
-                r.rechargeTime.getTime() < ticket.parsedDate.getTime()
-            );
-            
-            if (!hasRechargeBeforeTicket) {
-                result.status = ValidationStatus.INVALID;
-                result.reason = 'Ticket created before any recharge';
-                return result;
-            }
-        }
-        
-        // Try to find matching recharge
-        const matchedRecharge = findMatchingRecharge(ticket, recharges, tickets);
-        
-        if (matchedRecharge) {
-            result.status = ValidationStatus.VALID;
-            result.isDay2 = matchedRecharge.isDay2 || false;
-            result.reason = matchedRecharge.isDay2 
-                ? `Matched recharge R$${matchedRecharge.amount || '?'} (Day 2)`
-                : `Matched recharge R$${matchedRecharge.amount || '?'}`;
-            result.matchedRecharge = {
-                gameId: matchedRecharge.gameId,
-                amount: matchedRecharge.amount,
-                rechargeTime: matchedRecharge.rechargeTime,
-                rechargeId: matchedRecharge.rechargeId,
-                eligible1: matchedRecharge.eligible1,
-                eligible2: matchedRecharge.eligible2
-            };
-        } else {
-            result.status = ValidationStatus.INVALID;
-            
-            // Provide more specific reason
-            if (ticket.parsedDate && ticket.parsedDate instanceof Date) {
-                // Check if window expired
-                const anyWindow = recharges
-                    .filter(r => r.rechargeTime && r.rechargeTime.getTime() < ticket.parsedDate.getTime())
-                    .map(r => calculateEligibilityWindow(r.rechargeTime))
-                    .filter(w => w !== null);
-                
-                if (anyWindow.length > 0) {
-                    const ticketIsAfterAllWindows = anyWindow.every(w => 
-                        ticket.parsedDate.getTime() >= w.expiresAt.getTime()
-                    );
-                    
-                    if (ticketIsAfterAllWindows) {
-                        result.reason = 'Recharge window expired after 20:00 on eligible2';
-                    } else {
-                        result.reason = 'Recharge already consumed by previous ticket';
-                    }
-                } else {
-                    result.reason = 'No valid recharge window available';
-                }
-            } else {
-                result.reason = 'Invalid ticket timestamp';
-            }
-        }
-        
-        return result;
     }
 
     /**
      * Validate all tickets with caching
+     * Binding is delegated to MatchingEngine so every view shares one policy.
+     * Pass ALL entries (every platform) - filter the results afterwards.
+     * After a refresh only the Game IDs in the DataFetcher deltas are re-matched.
      * @param {Object[]} entries - All entry objects
      * @param {Object[]} recharges - All recharge objects
-     * @param {boolean} skipCache - Skip cache check (for platform-filtered data)
-     * @returns {Object} Validation results with statistics
+     * @param {boolean} skipCache - Skip cache check
+     * @returns {Object} Validation results with statistics (manual overrides applied)
      */
     async function validateAllTickets(entries, recharges, skipCache = false) {
-        // Check cache first (only for ALL platform data, not filtered)
+        // Check cache first
         if (!skipCache) {
             const cached = DataFetcher.getCachedValidation();
-            if (cached && cached.stats.total === entries.length && cached.entriesCount === entries.length) {
+            if (cached && cached.stats.total === entries.length && cached.rechargeCount === recharges.length) {
                 console.log('Using cached validation results');
-                return cached;
+                return applyOverrides(cached);
             }
-        }
-        
-        console.log('Computing validation results for', entries.length, 'entries with', recharges.length, 'recharges...');
-        
-        // Debug: Sample some recharge data
-        if (recharges.length > 0) {
-            const sample = recharges[0];
-            console.log('Sample recharge:', {
-                gameId: sample.gameId,
-                rechargeId: sample.rechargeId?.substring(0, 20) + '...',
-                hasTime: !!sample.rechargeTime,
-                isDate: sample.rechargeTime instanceof Date,
-                amount: sample.amount
-            });
-        }
-        
-        // Group recharges by game ID
-        const rechargesByGameId = {};
-        recharges.forEach(r => {
-            if (!r.gameId) return;
-            if (!rechargesByGameId[r.gameId]) {
-                rechargesByGameId[r.gameId] = [];
-            }
-            rechargesByGameId[r.gameId].push(r);
-        });
-        
-        console.log('Recharges grouped for', Object.keys(rechargesByGameId).length, 'unique game IDs');
-        
-        // Group tickets by game ID
-        const ticketsByGameId = {};
-        entries.forEach(e => {
-            if (!e.gameId) return;
-            if (!ticketsByGameId[e.gameId]) {
-                ticketsByGameId[e.gameId] = [];
-            }
-            ticketsByGameId[e.gameId].push(e);
-        });
-        
-        // Validate each ticket
-        const results = [];
-        const stats = {
-            total: entries.length,
-            valid: 0,
-            invalid: 0,
-            unknown: 0,
-            day2Valid: 0,
-            cutoff: 0  // DEPRECATED - kept for backwards compatibility
-        };
-        
-        // Process in smaller batches to keep UI responsive
-        const batchSize = 50;
-        const totalBatches = Math.ceil(entries.length / batchSize);
-        
-        for (let i = 0; i < entries.length; i += batchSize) {
-            const batch = entries.slice(i, i + batchSize);
-            
-            for (const entry of batch) {
-                const validation = validateTicket(entry, rechargesByGameId, ticketsByGameId);
-                results.push(validation);
-                
-                switch (validation.status) {
-                    case ValidationStatus.VALID:
-                        stats.valid++;
-                        if (validation.isDay2) {
-                            stats.day2Valid++;
-                        }
-                        break;
-                    case ValidationStatus.INVALID:
-                        stats.invalid++;
-                        break;
-                    default:
-                        stats.unknown++;
-                }
-                
-                // DEPRECATED - kept for backwards compatibility
-                if (validation.isCutoff) {
-                    stats.cutoff++;
+
+            // Only some players changed since the cached run - re-match just those
+            const stale = DataFetcher.getStaleValidation();
+            if (stale) {
+                const result = await MatchingEngine.rematch(stale.data, entries, recharges, stale.gameIds);
+                if (result) {
+                    console.log(`Incremental validation: re-matched ${stale.gameIds.size} Game ID(s)`);
+                    DataFetcher.setCachedValidation(result);
+                    return applyOverrides(result);
                 }
             }
-            
-            // Yield to main thread after each batch - use longer delay for UI responsiveness
-            if (i + batchSize < entries.length) {
-                await new Promise(resolve => setTimeout(resolve, 5));
-            }
         }
         
-        const result = {
-            results,
-            stats,
-            rechargeCount: recharges.length
-        };
+        console.log('Computing validation results for', entries.length, 'entries with', recharges.length, 'recharges...');
         
-        console.log('Validation complete:', stats);
-        console.log('Sample validated tickets (first 3 VALID):', 
-            results.filter(v => v.status === 'VALID').slice(0, 3).map(v => ({
-                ticket: v.ticket?.ticketNumber,
-                gameId: v.ticket?.gameId,
-                hasRecharge: !!v.matchedRecharge,
-                amount: v.matchedRecharge?.amount
-            }))
-        );
+        // Off the main thread when the compute worker is available
+        const result = typeof ComputeClient !== 'undefined'
+            ? await ComputeClient.matchTickets(entries, recharges)
+            : await MatchingEngine.matchTickets(entries, recharges);
+        
+        console.log('Validation complete:', result.stats);
         
         // Cache the results
         DataFetcher.setCachedValidation(result);
         
-        return result;
+        return applyOverrides(result);
     }
 
     // ============================================
@@ -666,6 +375,7 @@ window.RechargeValidator = (function() {
         // Validation
         validateTicket,
         validateAllTickets,
+        applyOverrides,
         
         // Engagement
         analyzeEngagement,
@@ -677,11 +387,11 @@ window.RechargeValidator = (function() {
         getCutoffHour,
         getNextValidDrawDate,
         calculateEligibilityWindow,
+        normalizeDrawDate,
         
         // Constants
         ValidationStatus,
-        DEFAULT_CUTOFF_HOUR,
-        EARLY_CUTOFF_HOUR
+        DEFAULT_CUTOFF_HOUR
     };
 })();
 
@@ -0,0 +1,591 @@
+/**
+ * POP-SORTE Admin Dashboard - Report Generator Module
+ *
+ * Builds a self-contained HTML report (styles and charts inline, printable
+ * to PDF) for one day, a date range or one contest:
+ * - totals (DataStore.getCounts) and the period's own totals
+ * - validation breakdown: final ticket status, bindings, overrides, top
+ *   reasons for invalid tickets
+ * - winners and prizes per contest (WinnerCalculator.calculateAllWinners);
+ *   winners of contests ResultVerification blocks (open discrepancy, or the
+ *   official source not checked successfully) are withheld, as in the
+ *   winners export
+ * - top entrants and engagement charts rendered as static images
+ *   (AdminCharts.renderToImage)
+ *
+ * Reports are reproducible: nothing depends on the current time except the
+ * "generated at" line. Each report embeds a manifest (parameters, data
+ * sources, SHA-256 fingerprints of the data and of the settings that shape
+ * it - status overrides, prize pools, prize rules, draw calendar). Loading
+ * the same offline files and generating from the manifest (readManifest,
+ * checkManifest) gives the same report.
+ *
+ * Dependencies: admin-core.js (AdminCore), data-sources.js (DataSources), draw-calendar.js (DrawCalendar),
+ *               prize-rules.js (PrizeRules), contest-numbering.js (ContestNumbering), data-fetcher.js (DataFetcher),
+ *               data-store.js (DataStore), recharge-validator.js (RechargeValidator), status-overrides.js (StatusOverrides),
+ *               result-verification.js (ResultVerification), winner-calculator.js (WinnerCalculator),
+ *               player-profile.js (PlayerProfile), funnel-analytics.js (FunnelAnalytics), charts.js (AdminCharts)
+ */
+
+// ============================================
+// Report Generator Module
+// ============================================
+window.ReportGenerator = (function() {
+    'use strict';
+
+    // ============================================
+    // Constants
+    // ============================================
+
+    /**
+     * Report scopes
+     */
+    const Scope = {
+        DAY: 'day',
+        RANGE: 'range',
+        CONTEST: 'contest'
+    };
+
+    /**
+     * Manifest format version
+     */
+    const MANIFEST_VERSION = 1;
+
+    /**
+     * Id of the manifest script tag inside a report
+     */
+    const MANIFEST_ID = 'popsorte-report-manifest';
+
+    /**
+     * Longest date range a report covers
+     */
+    const MAX_RANGE_DAYS = 92;
+
+    /**
+     * Rows listed in the report
+     */
+    const TOP_ENTRANTS = 10;
+    const WINNERS_LIMIT = 100;
+    const INVALID_REASONS = 5;
+
+    // ============================================
+    // Helpers
+    // ============================================
+
+    const escape = value => AdminCore.escapeHtml(String(value ?? ''));
+    const money = amount => `R$ ${(amount || 0).toFixed(2)}`;
+    const number = value => (value || 0).toLocaleString('pt-BR');
+
+    /**
+     * Serialize a value with sorted object keys (stable hash input)
+     * @param {*} value - JSON-safe value
+     * @returns {string} Canonical JSON
+     */
+    function canonicalJSON(value) {
+        if (Array.isArray(value)) {
+            return `[${value.map(canonicalJSON).join(',')}]`;
+        }
+        if (value && typeof value === 'object') {
+            return `{${Object.keys(value).sort().map(k => `${JSON.stringify(k)}:${canonicalJSON(value[k])}`).join(',')}}`;
+        }
+        return JSON.stringify(value === undefined ? null : value);
+    }
+
+    /**
+     * SHA-256 of a string
+     * @param {string} text - Input
+     * @returns {Promise<string>} Lowercase hex digest
+     */
+    async function sha256(text) {
+        const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+        return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+    }
+
+    /**
+     * ISO string of a Date, or ''
+     * @param {*} date - Value
+     * @returns {string} ISO string
+     */
+    function isoOf(date) {
+        return date instanceof Date && !isNaN(date.getTime()) ? date.toISOString() : '';
+    }
+
+    /**
+     * BRT date key of a Date, or ''
+     * @param {*} date - Value
+     * @returns {string} YYYY-MM-DD
+     */
+    function dayOf(date) {
+        return date instanceof Date && !isNaN(date.getTime()) ? AdminCore.getBrazilDateString(date) : '';
+    }
+
+    /**
+     * Format a date key for display
+     * @param {string} dateKey - YYYY-MM-DD
+     * @returns {string} DD/MM/YYYY
+     */
+    function displayDate(dateKey) {
+        const [y, m, d] = String(dateKey).split('-');
+        return d ? `${d}/${m}/${y}` : String(dateKey || '-');
+    }
+
+    // ============================================
+    // Scope
+    // ============================================
+
+    /**
+     * Resolve report parameters into filters
+     * @param {Object} params - { scope, date, from, to, contest, platform }
+     * @returns {Object} { label, from, to, contest, entryIn(e), rechargeIn(r), contestIn(calc) }
+     * @throws {Error} If the parameters are incomplete or out of range
+     */
+    function resolveScope(params) {
+        const { scope } = params;
+
+        if (scope === Scope.CONTEST) {
+            const contest = String(params.contest || '').replace('#', '').trim();
+            if (!contest) throw new Error('Choose a contest');
+            const drawDate = ContestNumbering.getDrawDateForContest(contest)
+                || DrawCalendar.toDateKey(DataStore.getAllEntries().find(e => String(e.contest) === contest)?.drawDate);
+            if (!drawDate) throw new Error(`No draw date known for contest #${contest}`);
+
+            // Recharges of the contest's registration window
+            const schedule = DrawCalendar.getScheduleForDate(drawDate);
+            return {
+                label: `Contest #${contest} · ${displayDate(drawDate)}`,
+                from: dayOf(schedule.regStart),
+                to: drawDate,
+                contest,
+                entryIn: e => String(e.contest) === contest,
+                rechargeIn: r => r.rechargeTime >= schedule.regStart && r.rechargeTime <= schedule.cutoff,
+                contestIn: calc => String(calc.contest) === contest
+            };
+        }
+
+        if (scope !== Scope.DAY && scope !== Scope.RANGE) throw new Error(`Unknown report scope "${scope}"`);
+        const from = DrawCalendar.toDateKey(scope === Scope.DAY ? params.date : params.from);
+        const to = DrawCalendar.toDateKey(scope === Scope.DAY ? params.date : params.to);
+        if (!from || !to) throw new Error('Choose the report dates');
+        if (from > to) throw new Error('The start date is after the end date');
+        if (listDays(from, to).length > MAX_RANGE_DAYS) {
+            throw new Error(`Reports cover at most ${MAX_RANGE_DAYS} days`);
+        }
+
+        const inRange = key => key >= from && key <= to;
+        return {
+            label: from === to ? displayDate(from) : `${displayDate(from)} - ${displayDate(to)}`,
+            from,
+            to,
+            contest: null,
+            entryIn: e => inRange(dayOf(e.parsedDate)),
+            rechargeIn: r => inRange(dayOf(r.rechargeTime)),
+            contestIn: calc => inRange(DrawCalendar.toDateKey(calc.drawDate))
+        };
+    }
+
+    /**
+     * Date keys from one day to another, inclusive
+     * @param {string} from - YYYY-MM-DD
+     * @param {string} to - YYYY-MM-DD
+     * @returns {string[]} Date keys (stops past MAX_RANGE_DAYS + 1)
+     */
+    function listDays(from, to) {
+        const days = [];
+        for (let key = from; key <= to && days.length <= MAX_RANGE_DAYS; key = DrawCalendar.addDays(key, 1)) {
+            days.push(key);
+        }
+        return days;
+    }
+
+    // ============================================
+    // Fingerprints
+    // ============================================
+
+    /**
+     * Fingerprints of the loaded data and of the settings that shape a report
+     * @returns {Promise<Object>} { data, settings } SHA-256 hex digests
+     */
+    async function getFingerprints() {
+        const sorted = list => list.sort();
+        const data = {
+            entries: sorted(DataStore.getAllEntries().map(e =>
+                [e.gameId, e.ticketNumber, isoOf(e.parsedDate), (e.numbers || []).join('-'), e.contest, e.status, e.platform || ''].join('|'))),
+            recharges: sorted(DataStore.getAllRecharges().map(r =>
+                [r.rechargeId, r.gameId, isoOf(r.rechargeTime), r.amount].join('|'))),
+            results: sorted(DataStore.getResults().map(r =>
+                [r.contest, r.drawDate, (r.numbers || []).join('-'), r.isNoDraw ? 'no-draw' : ''].join('|')))
+        };
+        const settings = {
+            overrides: StatusOverrides.getAll(),
+            prizePools: AdminCore.getPlatformPrizes(),
+            prizeRules: PrizeRules.getTable(),
+            drawCalendar: DrawCalendar.getTable()
+        };
+
+        const [dataHash, settingsHash] = await Promise.all([sha256(canonicalJSON(data)), sha256(canonicalJSON(settings))]);
+        return { data: dataHash, settings: settingsHash };
+    }
+
+    // ============================================
+    // Report Data
+    // ============================================
+
+    /**
+     * Gather everything a report shows
+     * @param {Object} params - { scope, date, from, to, contest, platform }
+     * @returns {Promise<Object>} Report model
+     */
+    async function collect(params) {
+        const platform = params.platform || 'ALL';
+        const scope = resolveScope(params);
+        const platforms = platform === 'ALL' ? AdminCore.PLATFORMS.filter(p => p !== 'ALL') : [platform];
+
+        const allEntries = DataStore.getAllEntries();
+        const results = DataStore.getResults();
+        const platformEntries = DataStore.filterByPlatform(allEntries, platform);
+        const entries = platformEntries.filter(scope.entryIn);
+        const recharges = DataStore.getRecharges(platform).filter(r => r.rechargeTime instanceof Date && scope.rechargeIn(r));
+
+        // Validation breakdown
+        const validation = { total: entries.length, VALID: 0, INVALID: 0, PENDING: 0, bound: 0, overridden: 0 };
+        const invalidReasons = new Map();
+        entries.forEach(entry => {
+            const { status, reason, outcome, override } = PlayerProfile.getTicketStatus(entry);
+            validation[status] = (validation[status] || 0) + 1;
+            if (outcome?.matchedRecharge) validation.bound++;
+            if (override) validation.overridden++;
+            if (status === 'INVALID') invalidReasons.set(reason, (invalidReasons.get(reason) || 0) + 1);
+        });
+        validation.invalidReasons = [...invalidReasons.entries()]
+            .map(([reason, count]) => ({ reason, count }))
+            .sort((a, b) => b.count - a.count || a.reason.localeCompare(b.reason))
+            .slice(0, INVALID_REASONS);
+
+        // Winners and prizes of the contests drawn in scope, per platform pool
+        const contests = [];
+        const winners = [];
+        for (const p of platforms) {
+            const calculation = await WinnerCalculator.calculateAllWinners(allEntries, results, p);
+            calculation.contestResults
+                .filter(calc => calc.hasResult && scope.contestIn(calc))
+                .forEach(calc => {
+                    const withheld = ResultVerification.isBlocked(calc.contest);
+                    const byTier = {};
+                    calc.winners.forEach(w => { byTier[w.matches] = (byTier[w.matches] || 0) + 1; });
+                    contests.push({
+                        platform: p,
+                        contest: calc.contest,
+                        drawDate: calc.drawDate,
+                        winningNumbers: calc.winningNumbers,
+                        tickets: calc.totalEntries,
+                        byTier,
+                        winners: calc.winners.length,
+                        awarded: calc.totalPrizeAwarded,
+                        rolloverOut: calc.rolloverOut,
+                        rule: calc.rule?.label || calc.rule?.id || '',
+                        withheld
+                    });
+                    if (!withheld) winners.push(...calc.winners.map(w => ({ ...w, platform: p })));
+                });
+        }
+        contests.sort((a, b) => (parseInt(a.contest, 10) || 0) - (parseInt(b.contest, 10) || 0) || a.platform.localeCompare(b.platform));
+        winners.sort((a, b) => b.matches - a.matches || b.prize - a.prize || String(a.gameId).localeCompare(String(b.gameId)));
+
+        const tierTotals = { 5: 0, 4: 0, 3: 0, 2: 0, 1: 0 };
+        winners.forEach(w => { tierTotals[w.matches] = (tierTotals[w.matches] || 0) + 1; });
+
+        // Engagement per day of the period, oldest last (AdminCharts order)
+        const daily = listDays(scope.from, scope.to).reverse().map(date => {
+            const dayEntries = entries.filter(e => dayOf(e.parsedDate) === date);
+            const dayRecharges = recharges.filter(r => dayOf(r.rechargeTime) === date);
+            return {
+                date,
+                displayDate: displayDate(date).substring(0, 5),
+                totalEntries: dayEntries.length,
+                ...RechargeValidator.analyzeEngagement(dayEntries, dayRecharges)
+            };
+        });
+        const engagement = RechargeValidator.analyzeEngagement(entries, recharges);
+
+        return {
+            params: { ...params, platform },
+            scope: { label: scope.label, from: scope.from, to: scope.to, contest: scope.contest },
+            platforms,
+            counts: DataStore.getCounts(platform),
+            period: {
+                tickets: entries.length,
+                players: new Set(entries.map(e => e.gameId).filter(Boolean)).size,
+                recharges: recharges.length,
+                rechargeAmount: recharges.reduce((sum, r) => sum + (r.amount || 0), 0),
+                rechargers: engagement.totalRechargers,
+                participants: engagement.totalParticipants,
+                participationRate: engagement.participationRate
+            },
+            validation,
+            contests,
+            winners,
+            winnerTotals: {
+                count: winners.length,
+                prize: winners.reduce((sum, w) => sum + (w.prize || 0), 0),
+                byTier: tierTotals,
+                withheld: [...new Set(contests.filter(c => c.withheld).map(c => c.contest))]
+            },
+            topEntrants: DataFetcher.getTopEntrants(entries, TOP_ENTRANTS).map(t => ({ gameId: t.gameId, count: t.count })),
+            daily,
+            funnel: FunnelAnalytics.getFunnel(entries, recharges, winners)
+        };
+    }
+
+    // ============================================
+    // Charts
+    // ============================================
+
+    /**
+     * Render the report charts as PNG data URLs
+     * @param {Object} model - Report model
+     * @returns {Object} { daily, tiers, funnel } (null when charts are unavailable)
+     */
+    function renderCharts(model) {
+        const draw = (create, size) => {
+            try {
+                return AdminCharts.renderToImage(create, size);
+            } catch (error) {
+                console.warn('ReportGenerator: Could not render chart:', error);
+                return null;
+            }
+        };
+        return {
+            daily: draw(canvas => AdminCharts.createLast7DaysChart(canvas, model.daily), { width: 900, height: 300 }),
+            tiers: draw(canvas => AdminCharts.createWinnersTierChart(canvas, { byTier: model.winnerTotals.byTier }), { width: 440, height: 260 }),
+            funnel: draw(canvas => AdminCharts.createFunnelChart(canvas, model.funnel), { width: 440, height: 260 })
+        };
+    }
+
+    // ============================================
+    // HTML
+    // ============================================
+
+    /**
+     * Report stylesheet (inline so the file stands alone)
+     */
+    const REPORT_CSS = `
+        * { box-sizing: border-box; }
+        body { font-family: 'Inter', 'Segoe UI', Arial, sans-serif; color: #0f172a; margin: 0; padding: 32px; background: #fff; font-size: 13px; }
+        h1 { font-size: 22px; margin: 0 0 4px; }
+        h2 { font-size: 16px; margin: 28px 0 10px; padding-bottom: 4px; border-bottom: 2px solid #06b6d4; }
+        .muted { color: #64748b; }
+        .grid { display: grid; grid-template-columns: repeat(4, 1fr); gap: 10px; }
+        .grid-2 { display: grid; grid-template-columns: repeat(2, 1fr); gap: 16px; }
+        .stat { border: 1px solid #e2e8f0; border-left: 4px solid #06b6d4; border-radius: 6px; padding: 10px; }
+        .stat .label { font-size: 11px; text-transform: uppercase; color: #64748b; }
+        .stat .value { font-size: 18px; font-weight: 700; }
+        table { width: 100%; border-collapse: collapse; margin-top: 6px; }
+        th, td { text-align: left; padding: 6px 8px; border-bottom: 1px solid #e2e8f0; }
+        th { background: #f1f5f9; font-size: 11px; text-transform: uppercase; color: #475569; }
+        .chart { background: #1e293b; border-radius: 8px; padding: 8px; text-align: center; }
+        .chart img { max-width: 100%; }
+        .badge { display: inline-block; padding: 1px 6px; border-radius: 4px; font-size: 11px; font-weight: 600; }
+        .badge-warning { background: #fef3c7; color: #92400e; }
+        .badge-danger { background: #fee2e2; color: #991b1b; }
+        .manifest { font-size: 11px; word-break: break-all; }
+        .toolbar { position: fixed; top: 16px; right: 16px; }
+        .toolbar button { padding: 8px 14px; border: none; border-radius: 6px; background: #06b6d4; color: #fff; font-weight: 600; cursor: pointer; }
+        @page { size: A4; margin: 12mm; }
+        @media print {
+            body { padding: 0; }
+            .toolbar { display: none; }
+            .chart { -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+            h2, table, .chart { break-inside: avoid; }
+        }
+    `;
+
+    /**
+     * Build the report HTML
+     * @param {Object} model - Report model
+     * @param {Object} charts - Chart images
+     * @param {Object} manifest - Report manifest
+     * @returns {string} HTML document
+     */
+    function renderHTML(model, charts, manifest) {
+        const { period, validation, counts, winnerTotals } = model;
+        const stat = (label, value) => `<div class="stat"><div class="label">${escape(label)}</div><div class="value">${value}</div></div>`;
+        const image = (src, alt) => src ? `<div class="chart"><img src="${src}" alt="${escape(alt)}"></div>` : '<p class="muted">Chart unavailable</p>';
+        const numbers = list => (list || []).map(n => String(n).padStart(2, '0')).join(' ');
+        const empty = (colspan, text) => `<tr><td colspan="${colspan}" class="muted">${escape(text)}</td></tr>`;
+        const share = (part, total) => total > 0 ? `${((part / total) * 100).toFixed(1)}%` : '-';
+
+        const contestRows = model.contests.length === 0 ? empty(8, 'No contest drawn in this period') : model.contests.map(c => `
+            <tr>
+                <td>#${escape(c.contest)}${model.platforms.length > 1 ? ` · ${escape(c.platform)}` : ''}</td>
+                <td>${escape(displayDate(DrawCalendar.toDateKey(c.drawDate)))}</td>
+                <td>${numbers(c.winningNumbers)}</td>
+                <td>${number(c.tickets)}</td>
+                <td>${c.withheld ? '<span class="badge badge-danger">Withheld - result not confirmed</span>' : [5, 4, 3].map(t => `${t}: ${c.byTier[t] || 0}`).join(' · ')}</td>
+                <td>${c.withheld ? '-' : money(c.awarded)}</td>
+                <td>${c.rolloverOut > 0 ? money(c.rolloverOut) : '-'}</td>
+                <td class="muted">${escape(c.rule)}</td>
+            </tr>
+        `).join('');
+
+        const winnerRows = model.winners.length === 0 ? empty(6, 'No winners') : model.winners.slice(0, WINNERS_LIMIT).map(w => `
+            <tr>
+                <td>#${escape(w.contest)}${model.platforms.length > 1 ? ` · ${escape(w.platform)}` : ''}</td>
+                <td>${escape(w.gameId)}</td>
+                <td>${w.matches}</td>
+                <td>${numbers(w.numbers)}</td>
+                <td>${numbers(w.matchedNumbers)}</td>
+                <td>${money(w.prize)}</td>
+            </tr>
+        `).join('');
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>POP-SORTE Report - ${escape(model.scope.label)} - ${escape(model.params.platform)}</title>
+<style>${REPORT_CSS}</style>
+</head>
+<body>
+<div class="toolbar"><button onclick="window.print()">🖨️ Print / Save as PDF</button></div>
+
+<h1>POP-SORTE Report · ${escape(model.scope.label)}</h1>
+<div class="muted">Platform: ${escape(model.params.platform)} · Generated ${escape(AdminCore.formatBrazilDateTime(new Date(manifest.generatedAt)))} by ${escape(manifest.generatedBy || '-')}</div>
+
+<h2>Totals</h2>
+<div class="grid">
+    ${stat('Tickets in period', number(period.tickets))}
+    ${stat('Players in period', number(period.players))}
+    ${stat('Recharges in period', `${number(period.recharges)} <span class="muted">(${money(period.rechargeAmount)})</span>`)}
+    ${stat('Participation', `${period.participationRate}% <span class="muted">(${number(period.participants)} of ${number(period.rechargers)})</span>`)}
+</div>
+<p class="muted">Whole data set: ${number(counts.totalEntries)} tickets from ${number(counts.uniquePlayers)} players, ${number(counts.totalRecharges)} recharges from ${number(counts.uniqueRechargers)} rechargers, ${number(counts.totalResults)} results.</p>
+
+<h2>Engagement</h2>
+${image(charts.daily, 'Tickets and rechargers per day')}
+
+<h2>Validation</h2>
+<div class="grid">
+    ${stat('Valid', `${number(validation.VALID)} <span class="muted">(${share(validation.VALID, validation.total)})</span>`)}
+    ${stat('Invalid', `${number(validation.INVALID)} <span class="muted">(${share(validation.INVALID, validation.total)})</span>`)}
+    ${stat('Pending', number(validation.PENDING))}
+    ${stat('Bound to a recharge', `${number(validation.bound)} <span class="muted">· ${number(validation.overridden)} overridden</span>`)}
+</div>
+<table>
+    <thead><tr><th>Top invalid reasons</th><th>Tickets</th></tr></thead>
+    <tbody>${validation.invalidReasons.length === 0 ? empty(2, 'No invalid tickets') : validation.invalidReasons.map(r => `<tr><td>${escape(r.reason)}</td><td>${number(r.count)}</td></tr>`).join('')}</tbody>
+</table>
+
+<h2>Winners &amp; Prizes</h2>
+<div class="grid">
+    ${stat('Contests drawn', number(model.contests.length))}
+    ${stat('Winners', number(winnerTotals.count))}
+    ${stat('Prizes', money(winnerTotals.prize))}
+    ${stat('5 / 4 / 3 matches', `${winnerTotals.byTier[5]} / ${winnerTotals.byTier[4]} / ${winnerTotals.byTier[3]}`)}
+</div>
+${winnerTotals.withheld.length > 0 ? `<p><span class="badge badge-warning">⚠️ Winners of contest #${winnerTotals.withheld.map(escape).join(', #')} are withheld until their result is confirmed against the official source</span></p>` : ''}
+<div class="grid-2" style="margin-top: 12px;">
+    ${image(charts.tiers, 'Winners by tier')}
+    ${image(charts.funnel, 'Recharge to win funnel')}
+</div>
+<table>
+    <thead><tr><th>Contest</th><th>Draw Date</th><th>Numbers</th><th>Tickets</th><th>Winners</th><th>Awarded</th><th>Rolled Over</th><th>Prize Rule</th></tr></thead>
+    <tbody>${contestRows}</tbody>
+</table>
+<table>
+    <thead><tr><th>Contest</th><th>Game ID</th><th>Matches</th><th>Numbers</th><th>Matched</th><th>Prize</th></tr></thead>
+    <tbody>${winnerRows}</tbody>
+</table>
+${model.winners.length > WINNERS_LIMIT ? `<p class="muted">First ${WINNERS_LIMIT} of ${number(model.winners.length)} winners.</p>` : ''}
+
+<h2>Top Entrants</h2>
+<table>
+    <thead><tr><th>#</th><th>Game ID</th><th>Tickets</th></tr></thead>
+    <tbody>${model.topEntrants.length === 0 ? empty(3, 'No tickets') : model.topEntrants.map((t, i) => `<tr><td>${i + 1}</td><td>${escape(t.gameId)}</td><td>${number(t.count)}</td></tr>`).join('')}</tbody>
+</table>
+
+<h2>Reproducibility</h2>
+<p class="manifest muted">
+    Sources: ${manifest.sources.map(s => `${escape(s.key)} = ${escape(s.label)} (${escape(s.type)}, ${number(s.rowCount)} rows)`).join('; ')}<br>
+    Data fingerprint: ${escape(manifest.fingerprints.data)}<br>
+    Settings fingerprint: ${escape(manifest.fingerprints.settings)}<br>
+    Load the same files and generate from this report's manifest to reproduce it.
+</p>
+<script type="application/json" id="${MANIFEST_ID}">${JSON.stringify(manifest).replace(/</g, '\\u003c')}</script>
+</body>
+</html>
+`;
+    }
+
+    // ============================================
+    // Generation
+    // ============================================
+
+    /**
+     * Generate a report
+     * @param {Object} params - { scope, date, from, to, contest, platform }
+     * @returns {Promise<Object>} { html, manifest, fileName, model }
+     * @throws {Error} If data is not loaded or the parameters are invalid
+     */
+    async function generate(params) {
+        if (!DataStore.isLoaded()) throw new Error('Data is still loading');
+
+        const model = await collect(params);
+        const manifest = {
+            version: MANIFEST_VERSION,
+            params: model.params,
+            generatedAt: new Date().toISOString(),
+            generatedBy: AdminCore.getSession()?.username || '',
+            sources: DataSources.getStatus().map(s => ({ key: s.key, type: s.type, label: s.label, rowCount: s.rowCount })),
+            offline: DataSources.getLocalFileKeys().length > 0,
+            fingerprints: await getFingerprints()
+        };
+
+        const html = renderHTML(model, renderCharts(model), manifest);
+        const scopeName = model.scope.contest ? `contest-${model.scope.contest}` : model.scope.from === model.scope.to ? model.scope.from : `${model.scope.from}_${model.scope.to}`;
+        return { html, manifest, model, fileName: `popsorte-report_${scopeName}_${model.params.platform}.html` };
+    }
+
+    /**
+     * Read the manifest of a generated report
+     * @param {string} html - Report HTML
+     * @returns {Object|null} Manifest, or null if the file is not a report
+     */
+    function readManifest(html) {
+        const match = String(html || '').match(new RegExp(`<script type="application/json" id="${MANIFEST_ID}">([\\s\\S]*?)</script>`));
+        if (!match) return null;
+        try {
+            const manifest = JSON.parse(match[1]);
+            return manifest && manifest.params && manifest.fingerprints ? manifest : null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * Compare a report's manifest with the data and settings loaded now
+     * @param {Object} manifest - Report manifest
+     * @returns {Promise<Object>} { dataMatches, settingsMatches }
+     */
+    async function checkManifest(manifest) {
+        const current = await getFingerprints();
+        return {
+            dataMatches: current.data === manifest.fingerprints.data,
+            settingsMatches: current.settings === manifest.fingerprints.settings
+        };
+    }
+
+    // ============================================
+    // Public API
+    // ============================================
+    return {
+        generate,
+        readManifest,
+        checkManifest,
+        getFingerprints,
+
+        // Constants
+        Scope,
+        MAX_RANGE_DAYS
+    };
+})();
@@ -0,0 +1,479 @@
+/**
+ * POP-SORTE Admin Dashboard - Result Verification Module
+ *
+ * Cross-checks the stored results (results sheet plus confirmed dashboard
+ * entries) against an independent official source, configured as the
+ * "officialResults" data source:
+ * - a JSON feed (json-rest adapter; items shaped { contest, drawDate, numbers }
+ *   or [contest, drawDate, n1..n5], other property names via `columns`)
+ * - an official bulletin CSV uploaded by an admin (local-file adapter,
+ *   same columns as the results sheet)
+ *
+ * Flagged per contest: different numbers, different draw date, a stored
+ * contest the official source does not have and an official contest that
+ * is not stored. Contests older than the first official contest are not
+ * checked (bulletins usually cover recent draws only).
+ *
+ * A flagged contest is blocked - its winners are left out of exports and
+ * its payouts cannot be approved or paid - until an admin with
+ * Permission.ENTER_RESULTS resolves it with a note. A resolution covers the
+ * discrepancies it was made for; if they change, the contest is flagged
+ * again.
+ *
+ * Once an official source is configured the check fails closed: until a
+ * check has succeeded (not run yet, or the source failed) every contest is
+ * blocked. getBlockReason() says why.
+ *
+ * Resolutions are kept by the admin API (/resolutions), which stamps the
+ * author and records them in the audit log; the copy under localStorage
+ * key popsorte_result_resolutions is a cache, replaced from the server at
+ * sign-in and on every refresh.
+ *
+ * Checks run by a role with Permission.ENTER_RESULTS are also sent to the
+ * admin API (/verifications), one status per stored contest. The server
+ * approves or pays a contest's payouts only once it was verified, or its
+ * discrepancies were resolved - whatever this browser's settings are.
+ *
+ * Not covered: the public site's winners marquee (pop-sorte.js) reads the
+ * winners sheet directly. It only respects a block as far as that sheet
+ * is filled from this dashboard's winners export, which withholds blocked
+ * contests; winners typed into the sheet by hand are shown regardless.
+ *
+ * Emits 'resultVerificationChange' { report } after every check (and when
+ * the server's resolutions change) and 'resultDiscrepancyResolved'
+ * { contest, resolution }.
+ *
+ * Dependencies: admin-core.js (AdminCore), permissions.js (AdminPermissions),
+ *               data-sources.js (DataSources), draw-calendar.js (DrawCalendar),
+ *               admin-api.js (AdminApi)
+ */
+
+// ============================================
+// Result Verification Module
+// ============================================
+window.ResultVerification = (function() {
+    'use strict';
+
+    // ============================================
+    // Constants
+    // ============================================
+
+    /**
+     * DataSources key of the official source
+     */
+    const SOURCE_KEY = 'officialResults';
+
+    /**
+     * localStorage key for resolutions
+     */
+    const STORAGE_KEY = 'popsorte_result_resolutions';
+
+    /**
+     * Discrepancy types
+     */
+    const IssueType = {
+        NUMBERS: 'numbers',
+        DATE: 'date',
+        MISSING_OFFICIAL: 'missing-official',
+        MISSING_STORED: 'missing-stored'
+    };
+
+    /**
+     * Per-contest outcome sent to the admin API
+     */
+    const VerificationStatus = {
+        VERIFIED: 'verified',
+        FLAGGED: 'flagged',
+        NOT_COVERED: 'not-covered'
+    };
+
+    // ============================================
+    // State
+    // ============================================
+    let resolutions = loadResolutions();
+    let report = null;
+    let checkError = null;  // message of the last failed check
+
+    // ============================================
+    // Storage
+    // ============================================
+
+    /**
+     * Read resolutions from localStorage
+     * @returns {Map} contest -> resolution
+     */
+    function loadResolutions() {
+        try {
+            const list = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+            return new Map((Array.isArray(list) ? list : []).map(r => [r.contest, r]));
+        } catch (e) {
+            return new Map();
+        }
+    }
+
+    /**
+     * Write the resolution cache to localStorage
+     */
+    function saveResolutions() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify([...resolutions.values()]));
+        } catch (e) {
+            console.warn('Could not save result resolutions:', e);
+        }
+    }
+
+    // ============================================
+    // Official Source
+    // ============================================
+
+    /**
+     * Check if an official source is configured
+     * @returns {boolean} True if configured
+     */
+    function isConfigured() {
+        try {
+            DataSources.get(SOURCE_KEY);
+            return true;
+        } catch (e) {
+            return false;
+        }
+    }
+
+    /**
+     * Use a JSON feed as the official source (persisted)
+     * @param {string} url - Feed URL
+     * @param {string[]} columns - Property names for contest, draw date and numbers (optional)
+     */
+    function configureFeed(url, columns = null) {
+        const trimmed = String(url || '').trim();
+        if (!/^https?:\/\//i.test(trimmed)) {
+            throw new Error('Enter the feed URL (http or https)');
+        }
+        DataSources.configure(SOURCE_KEY, {
+            type: DataSources.SourceType.JSON_REST,
+            label: 'Official feed',
+            url: trimmed,
+            columns: columns || ['contest', 'drawDate', 'numbers']
+        }, { persist: true });
+    }
+
+    /**
+     * Use an uploaded official bulletin as the official source (this session only)
+     * @param {File} file - CSV with Contest, Draw Date, Number1..Number5 columns
+     */
+    function useBulletin(file) {
+        DataSources.configure(SOURCE_KEY, {
+            type: DataSources.SourceType.LOCAL_FILE,
+            label: `Bulletin ${file.name}`,
+            file
+        });
+    }
+
+    /**
+     * Parse one official row
+     * Numbers may be spread over columns 3-7 or listed in column 3 ("05, 12, ...").
+     * @param {string[]} row - Row values
+     * @returns {Object|null} { contest, dateKey, numbers, isNoDraw } or null if unusable
+     */
+    function parseOfficialRow(row) {
+        const contest = String(row[0] || '').trim().replace('#', '');
+        if (!/^\d+$/.test(contest)) return null;
+
+        const dateKey = DrawCalendar.toDateKey(String(row[1] || '').trim());
+        if (row.join(' ').toLowerCase().includes('no draw')) {
+            return { contest, dateKey, numbers: [], isNoDraw: true };
+        }
+
+        const cells = /\d\D+\d/.test(row[2] || '') ? String(row[2]).split(/\D+/) : row.slice(2, 7);
+        const numbers = cells
+            .map(v => parseInt(v, 10))
+            .filter(n => !isNaN(n) && n >= 1 && n <= 80);
+        if (numbers.length !== 5) return null;
+
+        return { contest, dateKey, numbers: numbers.sort((a, b) => a - b), isNoDraw: false };
+    }
+
+    // ============================================
+    // Comparison
+    // ============================================
+
+    /**
+     * Compare stored results with official ones
+     * @param {Object[]} stored - Results (ResultsFetcher format)
+     * @param {Object[]} official - Parsed official rows
+     * @returns {Object[]} Issues [{ contest, type, message, stored, official }]
+     */
+    function compare(stored, official) {
+        const issues = [];
+        if (official.length === 0) return issues;
+
+        const officialByContest = new Map(official.map(o => [o.contest, o]));
+        const firstOfficial = Math.min(...official.map(o => parseInt(o.contest, 10)));
+        const storedDraws = stored.filter(r => !r.isNoDraw && r.contest);
+        const storedContests = new Set(storedDraws.map(r => String(r.contest).trim()));
+
+        storedDraws.forEach(result => {
+            const contest = String(result.contest).trim();
+            if (parseInt(contest, 10) < firstOfficial) return;
+
+            const storedInfo = { drawDate: result.drawDate, numbers: result.numbers };
+            const match = officialByContest.get(contest);
+            if (!match) {
+                issues.push({ contest, type: IssueType.MISSING_OFFICIAL, message: 'Not in the official source', stored: storedInfo, official: null });
+                return;
+            }
+
+            const officialInfo = { drawDate: match.dateKey, numbers: match.numbers, isNoDraw: match.isNoDraw };
+            const storedNumbers = [...result.numbers].sort((a, b) => a - b).join(',');
+            if (match.isNoDraw) {
+                issues.push({ contest, type: IssueType.NUMBERS, message: 'The official source has no draw for this contest', stored: storedInfo, official: officialInfo });
+            } else if (storedNumbers !== match.numbers.join(',')) {
+                issues.push({ contest, type: IssueType.NUMBERS, message: `Numbers differ: stored ${storedNumbers}, official ${match.numbers.join(',')}`, stored: storedInfo, official: officialInfo });
+            }
+            const storedDate = DrawCalendar.toDateKey(result.drawDate);
+            if (match.dateKey && storedDate !== match.dateKey) {
+                issues.push({ contest, type: IssueType.DATE, message: `Draw date differs: stored ${result.drawDate || '-'}, official ${match.dateKey.split('-').reverse().join('/')}`, stored: storedInfo, official: officialInfo });
+            }
+        });
+
+        // Official draws missing from the stored results (up to the latest stored contest)
+        const lastStored = Math.max(0, ...[...storedContests].map(c => parseInt(c, 10)));
+        official
+            .filter(o => !o.isNoDraw && !storedContests.has(o.contest) && parseInt(o.contest, 10) <= lastStored)
+            .forEach(o => {
+                issues.push({
+                    contest: o.contest,
+                    type: IssueType.MISSING_STORED,
+                    message: 'Official draw missing from the stored results',
+                    stored: null,
+                    official: { drawDate: o.dateKey, numbers: o.numbers, isNoDraw: false }
+                });
+            });
+
+        return issues.sort((a, b) => parseInt(b.contest, 10) - parseInt(a.contest, 10));
+    }
+
+    /**
+     * Signature of a contest's issues (a resolution only covers this exact set)
+     * @param {Object[]} issues - Issues of one contest
+     * @returns {string} Signature
+     */
+    function getSignature(issues) {
+        return issues.map(i => `${i.type}:${i.message}`).sort().join('|');
+    }
+
+    /**
+     * Fetch the official source and compare it with the stored results
+     * @param {Object[]} results - Stored results
+     * @returns {Promise<Object|null>} Report, or null if no official source is configured
+     */
+    async function check(results) {
+        report = null;
+        checkError = null;
+        if (!isConfigured()) {
+            AdminCore.emit('resultVerificationChange', { report });
+            return null;
+        }
+
+        const adapter = DataSources.get(SOURCE_KEY);
+        let official;
+        try {
+            official = (await adapter.fetchRows()).map(parseOfficialRow).filter(Boolean);
+        } catch (error) {
+            // No report: every contest stays blocked until a check succeeds
+            checkError = error.message;
+            AdminCore.emit('resultVerificationChange', { report });
+            throw error;
+        }
+        const issues = compare(results || [], official);
+
+        const byContest = new Map();
+        issues.forEach(issue => {
+            if (!byContest.has(issue.contest)) byContest.set(issue.contest, []);
+            byContest.get(issue.contest).push(issue);
+        });
+
+        report = {
+            checkedAt: Date.now(),
+            source: adapter.describe().label,
+            officialCount: official.length,
+            issues,
+            byContest
+        };
+        AdminCore.emit('resultVerificationChange', { report });
+
+        if (AdminApi.isAvailable() && AdminCore.can(AdminPermissions.Permission.ENTER_RESULTS)) {
+            publish(results || [], official, report).catch(error => {
+                console.warn('Could not send the result check to the admin server:', error.message);
+            });
+        }
+        return report;
+    }
+
+    /**
+     * Send each stored contest's outcome to the admin API
+     * @param {Object[]} results - Stored results
+     * @param {Object[]} official - Parsed official rows
+     * @param {Object} checked - Report of the check
+     * @returns {Promise<Object>} { updated }
+     */
+    function publish(results, official, checked) {
+        const firstOfficial = official.length > 0 ? Math.min(...official.map(o => parseInt(o.contest, 10))) : Infinity;
+        const contests = results
+            .filter(r => !r.isNoDraw && r.contest)
+            .map(r => {
+                const contest = String(r.contest).trim();
+                const issues = checked.byContest.get(contest) || [];
+                let status = VerificationStatus.VERIFIED;
+                if (issues.length > 0) status = VerificationStatus.FLAGGED;
+                else if (parseInt(contest, 10) < firstOfficial) status = VerificationStatus.NOT_COVERED;
+                return {
+                    contest,
+                    drawDate: r.drawDate,
+                    numbers: r.numbers,
+                    status,
+                    signature: issues.length > 0 ? getSignature(issues) : '',
+                    issues: issues.map(i => i.message)
+                };
+            });
+        return AdminApi.post('/verifications', { source: checked.source, contests });
+    }
+
+    // ============================================
+    // Resolution
+    // ============================================
+
+    /**
+     * Get the resolution covering a contest's current issues
+     * @param {string} contest - Contest number
+     * @returns {Object|null} Resolution or null
+     */
+    function getResolution(contest) {
+        const issues = report?.byContest.get(String(contest)) || [];
+        const resolution = resolutions.get(String(contest));
+        return resolution && issues.length > 0 && resolution.signature === getSignature(issues) ? resolution : null;
+    }
+
+    /**
+     * Check if a contest's winners must be held back
+     * With an official source configured and no successful check yet (not
+     * run, or failed) every contest is blocked.
+     * @param {string} contest - Contest number
+     * @returns {boolean} True if winners of the contest must not be published
+     */
+    function isBlocked(contest) {
+        if (!isConfigured()) return false;
+        if (!report) return true;
+        const issues = report.byContest.get(String(contest).trim());
+        return !!issues && issues.length > 0 && !getResolution(contest);
+    }
+
+    /**
+     * Explain why a contest is blocked
+     * @param {string} contest - Contest number
+     * @returns {string|null} User-facing reason (issues one per line), or null if not blocked
+     */
+    function getBlockReason(contest) {
+        if (!isBlocked(contest)) return null;
+        if (!report) {
+            return checkError
+                ? `Official source check failed: ${checkError}`
+                : 'Not checked against the official source yet';
+        }
+        return report.byContest.get(String(contest).trim()).map(i => i.message).join('\n');
+    }
+
+    /**
+     * List contests with unresolved discrepancies in the last report
+     * Empty while unchecked - use isBlocked() per contest to hold winners back.
+     * @returns {string[]} Contest numbers
+     */
+    function getBlockedContests() {
+        return report ? [...report.byContest.keys()].filter(isBlocked) : [];
+    }
+
+    /**
+     * Resolve a flagged contest (after the stored result was checked or corrected)
+     * @param {string} contest - Contest number
+     * @param {string} note - How it was resolved
+     * @returns {Promise<Object>} Stored resolution
+     */
+    async function resolve(contest, note) {
+        if (!AdminCore.can(AdminPermissions.Permission.ENTER_RESULTS)) {
+            throw new Error('Your role cannot resolve result discrepancies');
+        }
+        const issues = report?.byContest.get(String(contest)) || [];
+        if (issues.length === 0) {
+            throw new Error(`Contest #${contest} has no discrepancies`);
+        }
+        const trimmedNote = String(note || '').trim();
+        if (!trimmedNote) {
+            throw new Error('Add a note explaining the resolution');
+        }
+
+        const resolution = await AdminApi.put(`/resolutions/${encodeURIComponent(String(contest))}`, {
+            signature: getSignature(issues),
+            issues: issues.map(i => i.message),
+            note: trimmedNote
+        });
+        resolutions.set(resolution.contest, resolution);
+        saveResolutions();
+
+        AdminCore.emit('resultDiscrepancyResolved', { contest: resolution.contest, resolution });
+        return resolution;
+    }
+
+    /**
+     * Replace the resolution cache with the server's resolutions
+     * @returns {Promise<boolean>} True if anything changed
+     */
+    async function refresh() {
+        const { items } = await AdminApi.get('/resolutions');
+        const next = new Map((items || []).map(r => [r.contest, r]));
+        if (JSON.stringify([...next.entries()]) === JSON.stringify([...resolutions.entries()])) return false;
+
+        resolutions = next;
+        saveResolutions();
+        AdminCore.emit('resultVerificationChange', { report });
+        return true;
+    }
+
+    // ============================================
+    // Server Sync
+    // ============================================
+    const sync = () => {
+        if (!AdminApi.isAvailable()) return;
+        refresh().catch(error => console.warn('Could not load result resolutions:', error.message));
+    };
+    AdminCore.on('login', sync);
+    AdminCore.on('refresh', sync);
+    sync();
+
+    // ============================================
+    // Public API
+    // ============================================
+    return {
+        // Official source
+        isConfigured,
+        configureFeed,
+        useBulletin,
+        parseOfficialRow,
+
+        // Checks
+        compare,
+        check,
+        getReport: () => report,
+        getCheckError: () => checkError,
+        isBlocked,
+        getBlockReason,
+        getBlockedContests,
+        getResolution,
+        resolve,
+        refresh,
+
+        // Constants
+        SOURCE_KEY,
+        IssueType,
+        VerificationStatus
+    };
+})();
@@ -0,0 +1,403 @@
+/**
+ * POP-SORTE Admin Dashboard - Results Entry Module
+ *
+ * Results typed in the dashboard, checked by two people before they count:
+ * one admin enters the five numbers (or marks a date as no-draw) and a
+ * second admin confirms. Until then the entry is pending and nothing is
+ * recalculated.
+ *
+ * - Validation: five distinct whole numbers 1-80, a draw date that is not
+ *   in the future and is a draw day in DrawCalendar, a contest after the
+ *   latest known result (a skipped number is a warning, as the official
+ *   numbering occasionally skips one). A no-draw may be dated ahead, so an
+ *   announced suspension can be recorded before the day
+ * - The confirming admin must be a different user and the entry is
+ *   validated again against the results known at that moment
+ * - Confirmed entries are merged into the results list with applyTo()
+ *   (DataStore does this on every load); the results sheet wins when it
+ *   already has the contest or date
+ * - Entering, confirming and discarding require Permission.ENTER_RESULTS
+ *
+ * Entries are keyed by draw date (YYYY-MM-DD) and kept by the admin API
+ * (/result-entries). The server takes both admins from their session
+ * tokens, refuses a confirmation by the admin who entered the result,
+ * checks the shape and dates again and records every step in the audit
+ * log. The copy under localStorage key popsorte_manual_results is a cache,
+ * replaced from the server at sign-in and on every refresh.
+ *
+ * Changes emit 'resultEntryChange' { type: 'submitted' | 'confirmed' |
+ * 'discarded' | 'synced', entry } - a refresh that brings a confirmation
+ * made elsewhere emits 'confirmed'.
+ *
+ * Dependencies: admin-core.js (AdminCore), permissions.js (AdminPermissions),
+ *               draw-calendar.js (DrawCalendar), contest-numbering.js (ContestNumbering),
+ *               admin-api.js (AdminApi)
+ */
+
+// ============================================
+// Results Entry Module
+// ============================================
+window.ResultsEntry = (function() {
+    'use strict';
+
+    // ============================================
+    // Constants
+    // ============================================
+
+    /**
+     * localStorage key for entered results
+     */
+    const STORAGE_KEY = 'popsorte_manual_results';
+
+    /**
+     * Entry statuses
+     */
+    const EntryStatus = {
+        PENDING: 'pending',
+        CONFIRMED: 'confirmed'
+    };
+
+    /**
+     * Source column value of merged entries
+     */
+    const SOURCE = 'dashboard';
+
+    // ============================================
+    // State
+    // ============================================
+    let entries = loadEntries();
+
+    // ============================================
+    // Storage
+    // ============================================
+
+    /**
+     * Read entries from localStorage
+     * @returns {Map} draw date key -> entry
+     */
+    function loadEntries() {
+        try {
+            const list = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+            return new Map((Array.isArray(list) ? list : []).map(e => [e.id, e]));
+        } catch (e) {
+            return new Map();
+        }
+    }
+
+    /**
+     * Write the entry cache to localStorage
+     */
+    function saveEntries() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify([...entries.values()]));
+        } catch (e) {
+            console.warn('Could not save entered results:', e);
+        }
+    }
+
+    // ============================================
+    // Helpers
+    // ============================================
+
+    /**
+     * Format a date key as the results sheet does
+     * @param {string} dateKey - YYYY-MM-DD
+     * @returns {string} DD/MM/YYYY
+     */
+    function toSheetDate(dateKey) {
+        return dateKey.split('-').reverse().join('/');
+    }
+
+    /**
+     * Latest numbered result (contest and date) in a results list
+     * @param {Object[]} results - Result objects
+     * @returns {Object|null} { contest, dateKey } or null
+     */
+    function getLatestDraw(results) {
+        let latest = null;
+        (results || []).forEach(r => {
+            const contest = parseInt(r.contest, 10);
+            if (r.isNoDraw || isNaN(contest)) return;
+            if (!latest || contest > latest.contest) {
+                latest = { contest, dateKey: DrawCalendar.toDateKey(r.drawDate) };
+            }
+        });
+        return latest;
+    }
+
+    /**
+     * Throw unless the current role may enter results
+     */
+    function requirePermission() {
+        if (!AdminCore.can(AdminPermissions.Permission.ENTER_RESULTS)) {
+            throw new Error('Your role cannot enter results');
+        }
+    }
+
+    // ============================================
+    // Validation
+    // ============================================
+
+    /**
+     * Check a draft against the known results
+     * @param {Object} draft - { contest, drawDate (YYYY-MM-DD or DD/MM/YYYY), numbers, isNoDraw }
+     * @param {Object[]} results - Current results (sheet plus confirmed entries)
+     * @returns {Object} { errors: string[], warnings: string[], dateKey, contest, numbers }
+     */
+    function validate(draft, results = []) {
+        const errors = [];
+        const warnings = [];
+        const isNoDraw = !!draft.isNoDraw;
+        const dateKey = DrawCalendar.toDateKey(draft.drawDate);
+        const contest = isNoDraw ? '' : String(draft.contest ?? '').trim().replace('#', '');
+        const numbers = (draft.numbers || []).map(n => Number(n));
+
+        // Draw date
+        if (!dateKey) {
+            errors.push('Enter a valid draw date');
+        } else {
+            const today = AdminCore.getBrazilDateString(new Date());
+            if (dateKey > today && !isNoDraw) {
+                errors.push('The draw date is in the future');
+            }
+            if (!isNoDraw && !DrawCalendar.isDrawDay(dateKey)) {
+                const label = DrawCalendar.getRule(dateKey).label;
+                errors.push(`${toSheetDate(dateKey)} is not a draw day${label ? ` (${label})` : ''}`);
+            }
+            const taken = (results || []).find(r => DrawCalendar.toDateKey(r.drawDate) === dateKey);
+            if (taken) {
+                errors.push(taken.isNoDraw
+                    ? `${toSheetDate(dateKey)} is already marked as no-draw`
+                    : `${toSheetDate(dateKey)} already has a result (contest #${taken.contest})`);
+            }
+        }
+
+        if (!isNoDraw) {
+            // Numbers
+            if (numbers.length !== 5 || numbers.some(n => !Number.isInteger(n))) {
+                errors.push('Enter five whole numbers');
+            } else if (numbers.some(n => n < 1 || n > 80)) {
+                errors.push('Numbers must be between 1 and 80');
+            } else if (new Set(numbers).size !== 5) {
+                errors.push('Numbers must be distinct');
+            }
+
+            // Contest sequence
+            const contestNumber = parseInt(contest, 10);
+            const latest = getLatestDraw(results);
+            if (!/^\d+$/.test(contest)) {
+                errors.push('Enter the contest number');
+            } else if ((results || []).some(r => String(r.contest).trim() === contest)) {
+                errors.push(`Contest #${contest} already has a result`);
+            } else if (latest) {
+                if (contestNumber <= latest.contest) {
+                    errors.push(`Contest #${contest} is not after the latest result #${latest.contest}`);
+                } else if (contestNumber > latest.contest + 1) {
+                    warnings.push(contestNumber === latest.contest + 2
+                        ? `Contest number #${latest.contest + 1} is skipped`
+                        : `Contest numbers #${latest.contest + 1}-#${contestNumber - 1} are skipped`);
+                }
+                if (dateKey && latest.dateKey && dateKey <= latest.dateKey) {
+                    errors.push(`The draw date must be after the latest result (${toSheetDate(latest.dateKey)})`);
+                }
+            }
+            if (dateKey && /^\d+$/.test(contest)) {
+                const expected = ContestNumbering.getContestForDate(dateKey);
+                if (expected && expected !== contestNumber) {
+                    warnings.push(`The draw calendar expects contest #${expected} on ${toSheetDate(dateKey)}`);
+                }
+            }
+        }
+
+        return { errors, warnings, dateKey, contest, numbers: [...numbers].sort((a, b) => a - b) };
+    }
+
+    // ============================================
+    // Workflow
+    // ============================================
+
+    /**
+     * Enter a result (or a no-draw) for confirmation by a second admin
+     * @param {Object} draft - { contest, drawDate, numbers, isNoDraw, note }
+     * @param {Object[]} results - Current results
+     * @returns {Promise<Object>} Stored pending entry
+     */
+    async function submit(draft, results) {
+        requirePermission();
+        const check = validate(draft, results);
+        if (check.errors.length > 0) {
+            throw new Error(check.errors[0]);
+        }
+        const pending = entries.get(check.dateKey);
+        if (pending && pending.status === EntryStatus.PENDING) {
+            throw new Error(`${toSheetDate(check.dateKey)} already has an entry waiting for confirmation`);
+        }
+
+        const entry = await AdminApi.post('/result-entries', {
+            contest: check.contest,
+            drawDate: check.dateKey,
+            numbers: draft.isNoDraw ? [] : check.numbers,
+            isNoDraw: !!draft.isNoDraw,
+            note: String(draft.note || '').trim(),
+            warnings: check.warnings
+        });
+        entries.set(entry.id, entry);
+        saveEntries();
+
+        AdminCore.emit('resultEntryChange', { type: 'submitted', entry });
+        return entry;
+    }
+
+    /**
+     * Confirm a pending entry (the server refuses the admin who entered it)
+     * @param {string} id - Entry id (YYYY-MM-DD)
+     * @param {Object[]} results - Current results
+     * @returns {Promise<Object>} Confirmed entry
+     */
+    async function confirm(id, results) {
+        requirePermission();
+        const pending = entries.get(id);
+        if (!pending || pending.status !== EntryStatus.PENDING) {
+            throw new Error('This entry is no longer waiting for confirmation');
+        }
+        const check = validate(pending, results);
+        if (check.errors.length > 0) {
+            throw new Error(check.errors[0]);
+        }
+
+        const entry = await AdminApi.post(`/result-entries/${encodeURIComponent(id)}/confirm`, { warnings: check.warnings });
+        entries.set(entry.id, entry);
+        saveEntries();
+
+        AdminCore.emit('resultEntryChange', { type: 'confirmed', entry });
+        return entry;
+    }
+
+    /**
+     * Discard a pending entry (wrong numbers, duplicate...)
+     * @param {string} id - Entry id (YYYY-MM-DD)
+     * @returns {Promise<boolean>} True if an entry was discarded
+     */
+    async function discard(id) {
+        requirePermission();
+        const entry = entries.get(id);
+        if (!entry || entry.status !== EntryStatus.PENDING) return false;
+        try {
+            await AdminApi.delete(`/result-entries/${encodeURIComponent(id)}`);
+        } catch (error) {
+            // Confirmed or discarded by another admin meanwhile
+            if (error.status !== 404) throw error;
+            await refresh();
+            return false;
+        }
+        entries.delete(id);
+        saveEntries();
+
+        AdminCore.emit('resultEntryChange', { type: 'discarded', entry });
+        return true;
+    }
+
+    /**
+     * Replace the cache with the server's entries
+     * @returns {Promise<boolean>} True if anything changed
+     */
+    async function refresh() {
+        const { items } = await AdminApi.get('/result-entries');
+        const next = new Map((items || []).map(e => [e.id, e]));
+        if (JSON.stringify([...next.entries()]) === JSON.stringify([...entries.entries()])) return false;
+
+        const confirmed = [...next.values()].find(e =>
+            e.status === EntryStatus.CONFIRMED && entries.get(e.id)?.status !== EntryStatus.CONFIRMED);
+        entries = next;
+        saveEntries();
+        AdminCore.emit('resultEntryChange', confirmed ? { type: 'confirmed', entry: confirmed } : { type: 'synced', entry: null });
+        return true;
+    }
+
+    // ============================================
+    // Reading
+    // ============================================
+
+    /**
+     * List entries waiting for confirmation, oldest draw first
+     * @returns {Object[]} Pending entries
+     */
+    function getPending() {
+        return [...entries.values()]
+            .filter(e => e.status === EntryStatus.PENDING)
+            .sort((a, b) => a.id.localeCompare(b.id));
+    }
+
+    /**
+     * Merge confirmed entries into a results list
+     * Entries whose contest or date is already in the list are left out, so
+     * calling this on an already merged list changes nothing.
+     * @param {Object[]} results - Results (ResultsFetcher format)
+     * @returns {Object[]} Results sorted by contest, newest first
+     */
+    function applyTo(results) {
+        const list = results || [];
+        const contests = new Set(list.filter(r => !r.isNoDraw).map(r => String(r.contest).trim()));
+        const dates = new Set(list.map(r => DrawCalendar.toDateKey(r.drawDate)));
+
+        const added = [...entries.values()]
+            .filter(e => e.status === EntryStatus.CONFIRMED)
+            .filter(e => !dates.has(e.id) && (e.isNoDraw || !contests.has(e.contest)))
+            .map(e => ({
+                contest: e.contest,
+                drawDate: e.drawDate,
+                drawDateParsed: new Date(`${e.id}T00:00:00`),
+                numbers: [...e.numbers],
+                isNoDraw: e.isNoDraw,
+                savedAt: new Date(e.confirmedAt).toISOString(),
+                source: SOURCE,
+                enteredBy: e.enteredBy,
+                confirmedBy: e.confirmedBy
+            }));
+        if (added.length === 0) return list;
+
+        return [...list, ...added].sort((a, b) => (parseInt(b.contest, 10) || 0) - (parseInt(a.contest, 10) || 0));
+    }
+
+    /**
+     * Suggest the next contest and draw date after the latest result
+     * @param {Object[]} results - Current results
+     * @returns {Object} { contest, drawDate (YYYY-MM-DD) } - either may be empty
+     */
+    function suggestNext(results) {
+        const latest = getLatestDraw(results);
+        if (!latest || !latest.dateKey) return { contest: '', drawDate: '' };
+        const next = DrawCalendar.toDateKey(DrawCalendar.getNextDrawDate(DrawCalendar.addDays(latest.dateKey, 1)));
+        return { contest: String(latest.contest + 1), drawDate: next };
+    }
+
+    // ============================================
+    // Server Sync
+    // ============================================
+    const sync = () => {
+        if (!AdminApi.isAvailable()) return;
+        refresh().catch(error => console.warn('Could not load entered results:', error.message));
+    };
+    AdminCore.on('login', sync);
+    AdminCore.on('refresh', sync);
+    sync();
+
+    // ============================================
+    // Public API
+    // ============================================
+    return {
+        validate,
+        refresh,
+        submit,
+        confirm,
+        discard,
+        getPending,
+        applyTo,
+        suggestNext,
+        get: id => entries.get(id) || null,
+
+        // Constants
+        EntryStatus,
+        SOURCE
+    };
+})();
@@ -2,9 +2,9 @@
  * POP-SORTE Admin Dashboard - Results Fetcher Module
  * 
  * This module handles fetching and caching of:
- * - Lottery results (winning numbers) from Google Sheets
+ * - Lottery results (winning numbers) from the configured results source
  * 
- * Dependencies: admin-core.js (AdminCore)
+ * Dependencies: admin-core.js (AdminCore), data-sources.js (DataSources)
  */
 
 // ============================================
@@ -17,22 +17,11 @@ window.ResultsFetcher = (function() {
     // Constants
     // ============================================
     
-    /**
-     * Results sheet: Contains official lottery results
-     * Columns: Contest, Draw Date, Number1, Number2, Number3, Number4, Number5, Saved At, Source
-     */
-    const RESULTS_SHEET_URL = 'https://docs.google.com/spreadsheets/d/1OttNYHiecAuGG6IRX7lW6lkG5ciEcL8gp3g6lNrN9H8/export?format=csv&gid=300277644';
-
     /**
      * Cache TTL in milliseconds (3 minutes - matches refresh interval)
      */
     const CACHE_TTL = 180 * 1000;
 
-    /**
-     * Fetch timeout in milliseconds
-     */
-    const FETCH_TIMEOUT = 15 * 1000;
-
     // ============================================
     // Cache Storage
     // ============================================
@@ -43,54 +32,13 @@ window.ResultsFetcher = (function() {
     // Fetch lock to prevent simultaneous requests
     let fetchLock = false;
 
-    // ============================================
-    // Fetch Helper
-    // ============================================
-    
-    /**
-     * Fetch CSV data from Google Sheets with timeout
-     * @param {string} url - Sheet export URL
-     * @returns {Promise<string>} Raw CSV text
-     */
-    async function fetchCSV(url) {
-        const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), FETCH_TIMEOUT);
-        
-        try {
-            const response = await fetch(`${url}&t=${Date.now()}`, {
-                cache: 'no-store',
-                redirect: 'follow',
-                signal: controller.signal
-            });
-            
-            clearTimeout(timeoutId);
-
-            if (!response.ok) {
-                throw new Error(`HTTP ${response.status}`);
-            }
-
-            const text = await response.text();
-
-            if (text.trim().startsWith('<!DOCTYPE') || text.trim().startsWith('<html')) {
-                throw new Error('Sheet not publicly accessible');
-            }
-
-            return text;
-        } catch (error) {
-            clearTimeout(timeoutId);
-            if (error.name === 'AbortError') {
-                throw new Error('Request timed out');
-            }
-            throw error;
-        }
-    }
-
     // ============================================
     // Results Data
     // ============================================
     
     /**
      * Parse result row from CSV
+     * Columns: Contest, Draw Date, Number1, Number2, Number3, Number4, Number5, Saved At, Source
      * @param {string[]} row - CSV row values
      * @returns {Object|null} Parsed result object or null if invalid
      */
@@ -154,7 +102,7 @@ window.ResultsFetcher = (function() {
     }
 
     /**
-     * Fetch all results from Google Sheet
+     * Fetch all results from the configured results source
      * @param {boolean} forceRefresh - Force refresh ignoring cache
      * @returns {Promise<Object[]>} Array of result objects
      */
@@ -175,20 +123,17 @@ window.ResultsFetcher = (function() {
         fetchLock = true;
 
         try {
-            const csvText = await fetchCSV(RESULTS_SHEET_URL);
-            const lines = csvText.split(/\r?\n/).filter(Boolean);
+            const rows = await DataSources.get('results').fetchRows();
 
-            if (lines.length <= 1) {
+            if (rows.length === 0) {
                 cache.results = { data: [], timestamp: now };
                 fetchLock = false;
                 return [];
             }
 
-            const delimiter = AdminCore.detectDelimiter(lines[0]);
             const results = [];
 
-            for (let i = 1; i < lines.length; i++) {
-                const row = AdminCore.parseCSVLine(lines[i], delimiter);
+            for (const row of rows) {
                 const result = parseResultRow(row);
                 if (result) {
                     results.push(result);
@@ -311,7 +256,8 @@ window.ResultsFetcher = (function() {
             loaded: cache.results.data !== null,
             count: cache.results.data ? cache.results.data.length : 0,
             age: cache.results.timestamp ? now - cache.results.timestamp : null,
-            stale: cache.results.timestamp ? (now - cache.results.timestamp) > CACHE_TTL : true
+            stale: cache.results.timestamp ? (now - cache.results.timestamp) > CACHE_TTL : true,
+            source: DataSources.get('results').describe()
         };
     }
 
@@ -326,6 +272,7 @@ window.ResultsFetcher = (function() {
     return {
         // Fetch methods
         fetchResults,
+        parseResultRow,
         
         // Lookup helpers
         getResultByContest,
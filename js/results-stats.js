@@ -0,0 +1,368 @@
+/**
+ * POP-SORTE Admin Dashboard - Results Statistics Module
+ *
+ * Number frequency and draw statistics over the results history:
+ * - hot and cold numbers, and the gap (draws) since each number last came out
+ * - pair and triple co-occurrence
+ * - odd/even split per draw and range-decade distribution, next to what a
+ *   fair draw would give
+ * - chi-square uniformity check over the number frequencies, to spot a
+ *   draw source that is not random (typo-prone manual entry, a broken feed)
+ *
+ * Draws are 5 distinct numbers from 1-80 (ResultsFetcher.parseResultRow);
+ * "No draw" results are skipped. Pure functions over the results passed in,
+ * newest first as DataStore.getResults() returns them.
+ *
+ * Dependencies: none
+ */
+
+// ============================================
+// Results Statistics Module
+// ============================================
+window.ResultsStats = (function() {
+    'use strict';
+
+    // ============================================
+    // Constants
+    // ============================================
+
+    /**
+     * Number range and draw size
+     */
+    const MIN_NUMBER = 1;
+    const MAX_NUMBER = 80;
+    const NUMBERS_PER_DRAW = 5;
+
+    /**
+     * Significance level below which the draw source is flagged
+     */
+    const ALPHA = 0.01;
+
+    /**
+     * Draws needed before the chi-square check is meaningful
+     * (at least 5 expected appearances per number)
+     */
+    const MIN_DRAWS_FOR_CHI_SQUARE = Math.ceil(5 * MAX_NUMBER / NUMBERS_PER_DRAW);
+
+    /**
+     * Range decades: 01-10, 11-20, ... 71-80
+     */
+    const DECADES = Array.from({ length: MAX_NUMBER / 10 }, (_, i) => ({
+        from: i * 10 + 1,
+        to: i * 10 + 10,
+        label: `${String(i * 10 + 1).padStart(2, '0')}-${i * 10 + 10}`
+    }));
+
+    // ============================================
+    // Helpers
+    // ============================================
+
+    /**
+     * Percentage with one decimal
+     * @param {number} part - Part
+     * @param {number} total - Total
+     * @returns {number} Percentage (0 when total is 0)
+     */
+    function percent(part, total) {
+        return total > 0 ? Math.round((part / total) * 1000) / 10 : 0;
+    }
+
+    /**
+     * Binomial coefficient
+     * @param {number} n - n
+     * @param {number} k - k
+     * @returns {number} n choose k
+     */
+    function choose(n, k) {
+        if (k < 0 || k > n) return 0;
+        let result = 1;
+        for (let i = 1; i <= k; i++) result = result * (n - k + i) / i;
+        return result;
+    }
+
+    /**
+     * Standard normal upper tail P(Z > z) (Abramowitz-Stegun 7.1.26)
+     * @param {number} z - z score
+     * @returns {number} Probability
+     */
+    function normalUpperTail(z) {
+        const x = Math.abs(z) / Math.SQRT2;
+        const t = 1 / (1 + 0.3275911 * x);
+        const erf = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-x * x);
+        return z >= 0 ? (1 - erf) / 2 : (1 + erf) / 2;
+    }
+
+    /**
+     * Chi-square upper tail P(X > x) (Wilson-Hilferty approximation)
+     * @param {number} x - Statistic
+     * @param {number} df - Degrees of freedom
+     * @returns {number} p-value
+     */
+    function chiSquareUpperTail(x, df) {
+        if (x <= 0) return 1;
+        const h = 2 / (9 * df);
+        return normalUpperTail((Math.cbrt(x / df) - (1 - h)) / Math.sqrt(h));
+    }
+
+    /**
+     * All k-number combinations of a sorted draw
+     * @param {number[]} numbers - Sorted numbers
+     * @param {number} size - Combination size
+     * @returns {number[][]} Combinations
+     */
+    function combinations(numbers, size) {
+        if (size === 0) return [[]];
+        const list = [];
+        for (let i = 0; i <= numbers.length - size; i++) {
+            combinations(numbers.slice(i + 1), size - 1).forEach(rest => list.push([numbers[i], ...rest]));
+        }
+        return list;
+    }
+
+    // ============================================
+    // Draws
+    // ============================================
+
+    /**
+     * Valid draws, newest first
+     * @param {Object[]} results - Results (DataStore.getResults)
+     * @param {Object} options - { last: keep only the most recent N draws }
+     * @returns {Object[]} [{ contest, drawDate, numbers (sorted) }]
+     */
+    function getDraws(results, { last = null } = {}) {
+        const draws = results
+            .filter(r => !r.isNoDraw && Array.isArray(r.numbers) && r.numbers.length === NUMBERS_PER_DRAW)
+            .map(r => ({ contest: r.contest, drawDate: r.drawDate, numbers: [...r.numbers].sort((a, b) => a - b) }))
+            .sort((a, b) => (parseInt(b.contest, 10) || 0) - (parseInt(a.contest, 10) || 0));
+        return last ? draws.slice(0, last) : draws;
+    }
+
+    // ============================================
+    // Frequencies
+    // ============================================
+
+    /**
+     * Appearances and gap of every number
+     * @param {Object[]} draws - getDraws() output, newest first
+     * @returns {Object[]} [{ number, count, share (% of draws), gap (draws since last seen, null if never), lastContest }]
+     */
+    function getFrequencies(draws) {
+        const stats = Array.from({ length: MAX_NUMBER - MIN_NUMBER + 1 }, (_, i) => ({
+            number: MIN_NUMBER + i,
+            count: 0,
+            share: 0,
+            gap: null,
+            lastContest: null
+        }));
+
+        draws.forEach((draw, index) => {
+            draw.numbers.forEach(n => {
+                const stat = stats[n - MIN_NUMBER];
+                if (!stat) return;
+                stat.count++;
+                if (stat.gap === null) {
+                    stat.gap = index;
+                    stat.lastContest = draw.contest;
+                }
+            });
+        });
+        stats.forEach(stat => { stat.share = percent(stat.count, draws.length); });
+
+        return stats;
+    }
+
+    /**
+     * Most and least drawn numbers
+     * Ties are broken by the gap: a hot number seen recently ranks first, a
+     * cold number missing for longest ranks first.
+     * @param {Object[]} frequencies - getFrequencies() output
+     * @param {number} size - Numbers per list
+     * @returns {Object} { hot: [], cold: [] }
+     */
+    function getHotCold(frequencies, size = 10) {
+        const gapOf = stat => stat.gap === null ? Infinity : stat.gap;
+        return {
+            hot: [...frequencies].sort((a, b) => b.count - a.count || gapOf(a) - gapOf(b)).slice(0, size),
+            cold: [...frequencies].sort((a, b) => a.count - b.count || gapOf(b) - gapOf(a)).slice(0, size)
+        };
+    }
+
+    /**
+     * Numbers missing for longest
+     * @param {Object[]} frequencies - getFrequencies() output
+     * @param {number} size - Numbers to return
+     * @returns {Object[]} Frequencies sorted by gap, never-drawn first
+     */
+    function getOverdue(frequencies, size = 10) {
+        const gapOf = stat => stat.gap === null ? Infinity : stat.gap;
+        return [...frequencies].sort((a, b) => gapOf(b) - gapOf(a) || a.count - b.count).slice(0, size);
+    }
+
+    // ============================================
+    // Co-occurrence
+    // ============================================
+
+    /**
+     * Pairs or triples drawn together most often
+     * @param {Object[]} draws - getDraws() output
+     * @param {number} size - 2 for pairs, 3 for triples
+     * @param {number} limit - Combinations to return
+     * @returns {Object[]} [{ numbers, count, lastContest }] by count, then most recent
+     */
+    function getCoOccurrence(draws, size = 2, limit = 10) {
+        const counts = new Map();
+        draws.forEach(draw => {
+            combinations(draw.numbers, size).forEach(combo => {
+                const key = combo.join('-');
+                const item = counts.get(key);
+                if (item) {
+                    item.count++;
+                } else {
+                    counts.set(key, { numbers: combo, count: 1, lastContest: draw.contest, order: counts.size });
+                }
+            });
+        });
+
+        return [...counts.values()]
+            .filter(item => item.count > 1)
+            .sort((a, b) => b.count - a.count || a.order - b.order)
+            .slice(0, limit)
+            .map(({ numbers, count, lastContest }) => ({ numbers, count, lastContest }));
+    }
+
+    // ============================================
+    // Distributions
+    // ============================================
+
+    /**
+     * Odd/even split per draw against a fair draw
+     * @param {Object[]} draws - getDraws() output
+     * @returns {Object[]} [{ odd, even, draws, share, expectedShare }] for 0..5 odd numbers
+     */
+    function getOddEven(draws) {
+        const odds = Math.ceil((MAX_NUMBER - MIN_NUMBER + 1) / 2);
+        const evens = MAX_NUMBER - MIN_NUMBER + 1 - odds;
+        const total = choose(MAX_NUMBER - MIN_NUMBER + 1, NUMBERS_PER_DRAW);
+
+        return Array.from({ length: NUMBERS_PER_DRAW + 1 }, (_, odd) => {
+            const count = draws.filter(draw => draw.numbers.filter(n => n % 2 === 1).length === odd).length;
+            return {
+                odd,
+                even: NUMBERS_PER_DRAW - odd,
+                draws: count,
+                share: percent(count, draws.length),
+                expectedShare: percent(choose(odds, odd) * choose(evens, NUMBERS_PER_DRAW - odd), total)
+            };
+        });
+    }
+
+    /**
+     * Drawn numbers per range decade against a fair draw
+     * @param {Object[]} draws - getDraws() output
+     * @returns {Object[]} [{ label, from, to, count, share, expectedShare }]
+     */
+    function getDecades(draws) {
+        const drawn = draws.length * NUMBERS_PER_DRAW;
+        return DECADES.map(decade => {
+            const count = draws.reduce((sum, draw) =>
+                sum + draw.numbers.filter(n => n >= decade.from && n <= decade.to).length, 0);
+            return {
+                ...decade,
+                count,
+                share: percent(count, drawn),
+                expectedShare: percent(decade.to - decade.from + 1, MAX_NUMBER - MIN_NUMBER + 1)
+            };
+        });
+    }
+
+    // ============================================
+    // Uniformity
+    // ============================================
+
+    /**
+     * Chi-square check that every number comes out equally often
+     * Numbers within a draw are distinct, so each count has variance
+     * N·p·(1-p) with negative covariance between numbers; the Pearson
+     * statistic is rescaled by (k-1)/(k·(1-p)) to follow chi-square with
+     * k-1 degrees of freedom.
+     * @param {Object[]} frequencies - getFrequencies() output
+     * @param {number} drawCount - Draws behind the frequencies
+     * @returns {Object} { statistic, df, pValue, expected, sufficient, anomalous }
+     */
+    function chiSquare(frequencies, drawCount) {
+        const k = frequencies.length;
+        const p = NUMBERS_PER_DRAW / k;
+        const expected = drawCount * p;
+        const df = k - 1;
+
+        if (drawCount === 0) {
+            return { statistic: 0, df, pValue: 1, expected: 0, sufficient: false, anomalous: false };
+        }
+
+        const pearson = frequencies.reduce((sum, stat) => sum + Math.pow(stat.count - expected, 2) / expected, 0);
+        const statistic = pearson * df / (k * (1 - p));
+        const pValue = chiSquareUpperTail(statistic, df);
+        const sufficient = drawCount >= MIN_DRAWS_FOR_CHI_SQUARE;
+
+        return {
+            statistic: Math.round(statistic * 100) / 100,
+            df,
+            pValue,
+            expected: Math.round(expected * 100) / 100,
+            sufficient,
+            anomalous: sufficient && pValue < ALPHA
+        };
+    }
+
+    // ============================================
+    // Summary
+    // ============================================
+
+    /**
+     * Every statistic over one window of draws
+     * @param {Object[]} results - Results (DataStore.getResults)
+     * @param {Object} options - { last: most recent N draws (all when empty), size: list length }
+     * @returns {Object} { draws, frequencies, hot, cold, overdue, pairs, triples, oddEven, decades, uniformity }
+     */
+    function analyze(results, { last = null, size = 10 } = {}) {
+        const draws = getDraws(results, { last });
+        const frequencies = getFrequencies(draws);
+        const { hot, cold } = getHotCold(frequencies, size);
+
+        return {
+            draws,
+            frequencies,
+            hot,
+            cold,
+            overdue: getOverdue(frequencies, size),
+            pairs: getCoOccurrence(draws, 2, size),
+            triples: getCoOccurrence(draws, 3, size),
+            oddEven: getOddEven(draws),
+            decades: getDecades(draws),
+            uniformity: chiSquare(frequencies, draws.length)
+        };
+    }
+
+    // ============================================
+    // Public API
+    // ============================================
+    return {
+        analyze,
+        getDraws,
+        getFrequencies,
+        getHotCold,
+        getOverdue,
+        getCoOccurrence,
+        getOddEven,
+        getDecades,
+        chiSquare,
+
+        // Constants
+        MIN_NUMBER,
+        MAX_NUMBER,
+        NUMBERS_PER_DRAW,
+        ALPHA,
+        MIN_DRAWS_FOR_CHI_SQUARE,
+        DECADES
+    };
+})();
@@ -0,0 +1,282 @@
+/**
+ * POP-SORTE Admin Dashboard - Status Overrides Module
+ *
+ * Manual VALID/INVALID decisions for single tickets, recorded when support
+ * resolves a dispute without editing the source sheet.
+ *
+ * - Every override needs a reason code (ReasonCode) and a note, and keeps
+ *   the author and time it was made
+ * - Overrides replace the final status only: the matching engine still runs
+ *   unchanged, so an INVALID override does not free its bound recharge
+ * - Respected by RechargeValidator (outcomes and stats),
+ *   WinnerCalculator.isValidEntry and the entries filters
+ * - Setting or clearing one requires Permission.OVERRIDE_STATUS
+ *
+ * Overrides are keyed by ticket key (MatchingEngine.getTicketKey) and kept
+ * by the admin API (/overrides), which checks the permission, stamps the
+ * author from the session and records the change in the audit log. The
+ * copy under localStorage key popsorte_status_overrides is a cache, replaced
+ * from the server at sign-in and on every refresh and dropped at sign-out.
+ *
+ * Dependencies: admin-core.js (AdminCore), matching-engine.js (MatchingEngine),
+ *               admin-api.js (AdminApi, not loaded in the compute worker)
+ */
+
+// ============================================
+// Status Overrides Module
+// ============================================
+window.StatusOverrides = (function() {
+    'use strict';
+
+    // ============================================
+    // Constants
+    // ============================================
+
+    /**
+     * localStorage key for overrides
+     */
+    const STORAGE_KEY = 'popsorte_status_overrides';
+
+    /**
+     * Statuses an override can set
+     */
+    const OverrideStatus = {
+        VALID: 'VALID',
+        INVALID: 'INVALID'
+    };
+
+    /**
+     * Why a ticket was overridden
+     */
+    const ReasonCode = {
+        DISPUTE_UPHELD: 'DISPUTE_UPHELD',
+        RECHARGE_VERIFIED: 'RECHARGE_VERIFIED',
+        DUPLICATE_TICKET: 'DUPLICATE_TICKET',
+        SUSPECTED_FRAUD: 'SUSPECTED_FRAUD',
+        SOURCE_DATA_ERROR: 'SOURCE_DATA_ERROR',
+        OTHER: 'OTHER'
+    };
+
+    /**
+     * Display labels per reason code
+     */
+    const REASON_LABELS = {
+        [ReasonCode.DISPUTE_UPHELD]: 'Player dispute upheld',
+        [ReasonCode.RECHARGE_VERIFIED]: 'Recharge verified manually',
+        [ReasonCode.DUPLICATE_TICKET]: 'Duplicate ticket',
+        [ReasonCode.SUSPECTED_FRAUD]: 'Suspected fraud',
+        [ReasonCode.SOURCE_DATA_ERROR]: 'Error in source sheet',
+        [ReasonCode.OTHER]: 'Other'
+    };
+
+    // ============================================
+    // State
+    // ============================================
+    let overrides = loadOverrides();
+
+    // ============================================
+    // Storage
+    // ============================================
+
+    /**
+     * Read overrides from localStorage
+     * @returns {Map} ticket key -> override
+     */
+    function loadOverrides() {
+        try {
+            const list = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+            return new Map((Array.isArray(list) ? list : []).map(o => [o.key, o]));
+        } catch (e) {
+            return new Map();
+        }
+    }
+
+    /**
+     * Write the override cache to localStorage
+     */
+    function saveOverrides() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify([...overrides.values()]));
+        } catch (e) {
+            console.warn('Could not save status overrides:', e);
+        }
+    }
+
+    /**
+     * Forget the cached overrides (signed out - the next user loads their own)
+     */
+    function clearCache() {
+        overrides = new Map();
+        try {
+            localStorage.removeItem(STORAGE_KEY);
+        } catch (e) {
+            console.warn('Could not clear status overrides:', e);
+        }
+        AdminCore.emit('statusOverrideChange', { key: null, override: null });
+    }
+
+    // ============================================
+    // Lookups
+    // ============================================
+
+    /**
+     * Resolve a ticket or ticket key to a key
+     * @param {Object|string} ticket - Entry object or ticket key
+     * @returns {string} Ticket key
+     */
+    function toKey(ticket) {
+        return typeof ticket === 'string' ? ticket : MatchingEngine.getTicketKey(ticket);
+    }
+
+    /**
+     * Get the override of a ticket
+     * @param {Object|string} ticket - Entry object or ticket key
+     * @returns {Object|null} { key, gameId, ticketNumber, status, reasonCode, note, author, createdAt } or null
+     */
+    function get(ticket) {
+        if (!ticket || overrides.size === 0) return null;
+        return overrides.get(toKey(ticket)) || null;
+    }
+
+    /**
+     * List every override, newest first
+     * @returns {Object[]} Overrides
+     */
+    function getAll() {
+        return [...overrides.values()].sort((a, b) => b.createdAt - a.createdAt);
+    }
+
+    // ============================================
+    // Changes
+    // ============================================
+
+    /**
+     * Replace the cache with the server's overrides
+     * @returns {Promise<boolean>} True if anything changed
+     */
+    async function refresh() {
+        const { items } = await AdminApi.get('/overrides');
+        const next = new Map((items || []).map(o => [o.key, o]));
+        if (JSON.stringify([...next.entries()]) === JSON.stringify([...overrides.entries()])) return false;
+
+        overrides = next;
+        saveOverrides();
+        AdminCore.emit('statusOverrideChange', { key: null, override: null });
+        return true;
+    }
+
+    /**
+     * Override a ticket's status
+     * @param {Object} ticket - Entry object
+     * @param {Object} decision - { status, reasonCode, note }
+     * @returns {Promise<Object>} Stored override
+     */
+    async function setOverride(ticket, { status, reasonCode, note }) {
+        if (!AdminCore.can(AdminPermissions.Permission.OVERRIDE_STATUS)) {
+            throw new Error('Your role cannot override ticket status');
+        }
+        if (!OverrideStatus[status]) {
+            throw new Error('Override status must be VALID or INVALID');
+        }
+        if (!REASON_LABELS[reasonCode]) {
+            throw new Error('Select a reason code');
+        }
+        const trimmedNote = String(note || '').trim();
+        if (!trimmedNote) {
+            throw new Error('Add a note explaining the override');
+        }
+
+        const key = toKey(ticket);
+        const override = await AdminApi.put(`/overrides/${encodeURIComponent(key)}`, {
+            gameId: ticket.gameId,
+            ticketNumber: ticket.ticketNumber,
+            status,
+            reasonCode,
+            note: trimmedNote
+        });
+        overrides.set(override.key, override);
+        saveOverrides();
+
+        AdminCore.emit('statusOverrideChange', { key: override.key, override });
+        return override;
+    }
+
+    /**
+     * Remove a ticket's override (status goes back to the matching result)
+     * @param {Object|string} ticket - Entry object or ticket key
+     * @returns {Promise<boolean>} True if an override was removed
+     */
+    async function clearOverride(ticket) {
+        if (!AdminCore.can(AdminPermissions.Permission.OVERRIDE_STATUS)) {
+            throw new Error('Your role cannot override ticket status');
+        }
+        const key = toKey(ticket);
+        if (!overrides.has(key)) return false;
+        try {
+            await AdminApi.delete(`/overrides/${encodeURIComponent(key)}`);
+        } catch (error) {
+            // Already removed by another admin
+            if (error.status !== 404) throw error;
+        }
+        overrides.delete(key);
+        saveOverrides();
+
+        AdminCore.emit('statusOverrideChange', { key, override: null });
+        return true;
+    }
+
+    /**
+     * Replace the in-memory overrides without persisting (Web Worker sync)
+     * @param {Object[]} list - Overrides from getAll()
+     */
+    function useOverrides(list) {
+        overrides = new Map((list || []).map(o => [o.key, o]));
+    }
+
+    /**
+     * Describe an override in one line
+     * @param {Object} override - Override
+     * @returns {string} e.g. "Manual override by ana: Player dispute upheld - note"
+     */
+    function describe(override) {
+        return `Manual override by ${override.author}: ${REASON_LABELS[override.reasonCode] || override.reasonCode} - ${override.note}`;
+    }
+
+    // ============================================
+    // Server Sync
+    // ============================================
+    // Not in the compute worker, which receives overrides through useOverrides
+    if (typeof AdminApi !== 'undefined') {
+        const sync = () => {
+            if (!AdminApi.isAvailable()) return;
+            refresh().catch(error => console.warn('Could not load status overrides:', error.message));
+        };
+        AdminCore.on('login', sync);
+        AdminCore.on('refresh', sync);
+        AdminCore.on('logout', clearCache);
+        if (AdminApi.isAvailable()) {
+            sync();
+        } else {
+            clearCache();
+        }
+    }
+
+    // ============================================
+    // Public API
+    // ============================================
+    return {
+        get,
+        getAll,
+        refresh,
+        setOverride,
+        clearOverride,
+        useOverrides,
+        describe,
+        getReasonLabel: code => REASON_LABELS[code] || code,
+
+        // Constants
+        OverrideStatus,
+        ReasonCode,
+        REASON_LABELS
+    };
+})();
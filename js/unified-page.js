@@ -1,18 +1,26 @@
 /**
  * POP-SORTE Admin Dashboard - Unified Page Module
  * 
- * This module combines Dashboard, Entries, Results, and Winners into a single
- * scrollable page. All sections load together and sidebar navigation scrolls
- * to the appropriate section.
+ * This module combines Dashboard (with the accumulated prize chart and
+ * conversion analytics), Entries, Results (with draw statistics), Picks,
+ * Winners, Payouts, the Review queue and the Audit Log into a single
+ * scrollable page.
+ * All sections load together and sidebar navigation scrolls to the
+ * appropriate section.
  * 
  * Features:
  * - Single-page layout with scroll navigation
  * - Platform filtering (ALL, POPN1, POPLUZ)
  * - Unified data loading
  * - Real-time updates
+ * - Offline mode: load entries/recharges/results from CSV exports
+ * - Reports: daily, date range or contest summaries as a printable HTML file
+ * - Exports: column chooser, CSV / XLSX / JSON with PII masked by role
  * 
- * Dependencies: AdminCore, DataStore, DataFetcher, ResultsFetcher, 
- *               RechargeValidator, WinnerCalculator, AdminCharts
+ * Dependencies: AdminCore, AdminApi, DataSources, DrawCalendar, ContestNumbering, DataStore, DataFetcher, ResultsFetcher, 
+ *               ResultsEntry, ResultVerification, RechargeValidator, MatchingEngine, MatchingDiff, StatusOverrides, WinnerCalculator,
+ *               ComputeClient, AdminCharts, AuditLog, PayoutLedger, PlayerProfile, FraudDetector,
+ *               FunnelAnalytics, ResultsStats, PickAnalytics, ReportGenerator, ExportService
  */
 
 window.UnifiedPage = (function() {
@@ -39,34 +47,40 @@ window.UnifiedPage = (function() {
         gameId: '',
         whatsapp: '',
         contest: '',
-        validity: 'all'
+        validity: 'all',
+        consistency: 'all',
+        risk: 'all',
+        arrival: 'all'
     };
     let sortBy = 'date-desc'; // Default: newest first
     
+    // Tickets added or edited by the last refresh (DataStore 'dataChanged')
+    let newTicketKeys = new Set();
+    let newTicketsAt = null;
+    
     /**
-     * Check if entry was registered after cutoff time (20:00 BRT, 16:00 on Dec 24/31)
+     * Check if entry was registered after its day's cutoff (draw hour from DrawCalendar)
      * @param {Object} entry - Entry object with parsedDate
      * @returns {boolean} True if after cutoff
      */
     function isEntryCutoff(entry) {
-        if (!entry.parsedDate || !(entry.parsedDate instanceof Date) || isNaN(entry.parsedDate.getTime())) {
-            return false;
-        }
-        
-        const regHour = entry.parsedDate.getHours();
-        const month = entry.parsedDate.getMonth();
-        const day = entry.parsedDate.getDate();
-        
-        // Check for early cutoff days (Dec 24, Dec 31)
-        const isEarlyCutoffDay = month === 11 && (day === 24 || day === 31);
-        const cutoffHour = isEarlyCutoffDay ? 16 : 20;
-        
-        return regHour >= cutoffHour;
+        return DrawCalendar.isAfterCutoff(entry.parsedDate);
+    }
+    
+    /**
+     * Check if entry's contest column disagrees with its draw date
+     * @param {Object} entry - Entry object with contest and drawDate
+     * @returns {boolean} True if inconsistent (unparseable entries are not flagged)
+     */
+    function isContestMismatch(entry) {
+        const check = ContestNumbering.checkEntry(entry);
+        return !!check && !check.consistent;
     }
     
     // Results state
     let filteredResults = [];
     let resultsSearchTerm = '';
+    let drawStatsWindow = null; // most recent N draws in the statistics panel, null = all
     
     // Winners state
     let allWinners = [];
@@ -77,8 +91,34 @@ window.UnifiedPage = (function() {
         prizeLevel: 'all'
     };
 
-    // Validation cache
-    let validationMap = new Map();
+    /**
+     * Get the MatchingEngine outcome for an entry (manual override applied)
+     * @param {Object} entry - Entry object
+     * @returns {Object|null} Match outcome or null before validation ran
+     */
+    function getMatchOutcome(entry) {
+        return RechargeValidator.validateTicket(entry);
+    }
+
+    /**
+     * Get an entry's final status under the matching policy
+     * A manual override always wins. Until validation has run, falls back to
+     * the outcome stored by an earlier session, then to the CSV status
+     * @param {Object} entry - Entry object
+     * @returns {string} VALID, INVALID or PENDING
+     */
+    function getEntryStatus(entry) {
+        const override = StatusOverrides.get(entry);
+        if (override) return override.status;
+        const outcome = getMatchOutcome(entry);
+        if (outcome) return outcome.status;
+        const stored = DataStore.getStoredOutcome(MatchingEngine.getTicketKey(entry));
+        if (stored) return stored.status;
+        const csvStatus = (entry.status || '').toUpperCase();
+        if (csvStatus === 'VALID' || csvStatus === 'VÁLIDO') return 'VALID';
+        if (csvStatus === 'INVALID' || csvStatus === 'INVÁLIDO') return 'INVALID';
+        return 'PENDING';
+    }
 
     // ============================================
     // DASHBOARD SECTION
@@ -110,10 +150,10 @@ window.UnifiedPage = (function() {
         const drawDates = new Set(entries.map(e => e.drawDate).filter(Boolean));
         document.getElementById('statDrawDates').textContent = drawDates.size.toLocaleString();
         
-        const pending = entries.filter(e => {
-            const status = (e.status || '').toUpperCase();
-            return !['VALID', 'VALIDADO', 'INVALID', 'INVÁLIDO'].includes(status);
-        });
+        // Pending in source and not confirmed by a recharge binding
+        const pending = entries.filter(e =>
+            MatchingEngine.getPhase(e) === MatchingEngine.Phase.SOURCE_PENDING && getEntryStatus(e) !== 'VALID'
+        );
         document.getElementById('statPending').textContent = pending.length.toLocaleString();
         
         // Platform breakdown
@@ -220,7 +260,7 @@ window.UnifiedPage = (function() {
         tbody.innerHTML = topEntrants.map((entrant, index) => `
             <tr>
                 <td><span class="badge badge-${index < 3 ? 'warning' : 'info'}">${index + 1}</span></td>
-                <td><strong>${entrant.gameId}</strong></td>
+                <td>${playerLink(entrant.gameId)}</td>
                 <td>${AdminCore.maskWhatsApp(entrant.whatsapp)}</td>
                 <td>${entrant.count.toLocaleString()}</td>
             </tr>
@@ -255,10 +295,10 @@ window.UnifiedPage = (function() {
             return `
                 <tr>
                     <td style="font-size:0.85rem">${time}</td>
-                    <td><strong>${entry.gameId}</strong></td>
+                    <td>${playerLink(entry.gameId)}</td>
                     <td><span class="platform-badge ${platformClass}">${platform}</span></td>
                     <td><div class="numbers-display">${numbersHtml}</div></td>
-                    <td>${entry.contest}</td>
+                    <td>${AdminCore.escapeHtml(entry.contest)}</td>
                 </tr>
             `;
         }).join('');
@@ -273,6 +313,7 @@ window.UnifiedPage = (function() {
             document.getElementById('statTotalWinners').textContent = winnerStats.totalWinners.toLocaleString();
             document.getElementById('statWinRate').textContent = `${winnerStats.winRate}%`;
         } catch (error) {
+            if (error.cancelled) return;
             console.error('Error rendering winners stats:', error);
         }
     }
@@ -284,29 +325,9 @@ window.UnifiedPage = (function() {
     async function renderEntries() {
         const { entries, recharges, allRecharges, validationResults } = currentData;
         
-        // Debug: Check data availability
-        console.log('renderEntries: entries=', entries.length, 'recharges=', recharges.length, 'allRecharges=', allRecharges.length);
-        console.log('renderEntries: validationResults=', validationResults ? 'available' : 'MISSING');
-        
-        if (validationResults && entries.length > 0) {
-            const sampleEntry = entries[0];
-            console.log('renderEntries: Sample entry:', {
-                ticketNumber: sampleEntry.ticketNumber,
-                gameId: sampleEntry.gameId,
-                hasBoundRecharge: !!sampleEntry.boundRecharge
-            });
-        }
-        
-        // Stats - ✅ COUNT DIRECTLY FROM CSV STATUS COLUMN + CUTOFF DETECTION
-        const validCount = entries.filter(e => {
-            const status = (e.status || '').toUpperCase();
-            return status === 'VALID' || status === 'VÁLIDO';
-        }).length;
-        
-        const invalidCount = entries.filter(e => {
-            const status = (e.status || '').toUpperCase();
-            return status === 'INVALID' || status === 'INVÁLIDO';
-        }).length;
+        // Stats - from the matching engine outcome (see matching-engine.js policy)
+        const validCount = entries.filter(e => getEntryStatus(e) === 'VALID').length;
+        const invalidCount = entries.filter(e => getEntryStatus(e) === 'INVALID').length;
         
         const cutoffCount = entries.filter(e => isEntryCutoff(e)).length;
         
@@ -331,22 +352,6 @@ window.UnifiedPage = (function() {
             }
         }
         
-        // Build validation map (NOTE: This map may have issues with duplicate ticket numbers)
-        // The table rendering now uses direct validation result matching instead
-        validationMap.clear();
-        if (validationResults) {
-            let validCount = 0;
-            let invalidCount = 0;
-            validationResults.results.forEach(v => {
-                if (v.ticket?.ticketNumber) {
-                    validationMap.set(v.ticket.ticketNumber, v);
-                }
-                if (v.status === 'VALID') validCount++;
-                if (v.status === 'INVALID') invalidCount++;
-            });
-            console.log(`Validation map built: ${validationMap.size} unique ticket numbers (${validCount} valid, ${invalidCount} invalid)`);
-        }
-        
         // Populate filter options
         const contests = [...new Set(entries.map(e => e.contest).filter(Boolean))].sort((a, b) => parseInt(b) - parseInt(a));
         const contestSelect = document.getElementById('filterContest');
@@ -372,15 +377,26 @@ window.UnifiedPage = (function() {
         if (entriesFilters.contest) {
             result = result.filter(e => e.contest === entriesFilters.contest);
         }
-        if (entriesFilters.validity !== 'all') {
+        if (entriesFilters.validity === 'overridden') {
+            result = result.filter(e => !!StatusOverrides.get(e));
+        } else if (entriesFilters.validity !== 'all') {
+            const wanted = entriesFilters.validity === 'valid' ? 'VALID' : 'INVALID';
+            result = result.filter(e => getEntryStatus(e) === wanted);
+        }
+        if (entriesFilters.consistency !== 'all') {
+            const wantMismatch = entriesFilters.consistency === 'mismatch';
+            result = result.filter(e => isContestMismatch(e) === wantMismatch);
+        }
+        if (entriesFilters.risk !== 'all') {
+            const highOnly = entriesFilters.risk === 'high';
             result = result.filter(e => {
-                // ✅ READ STATUS DIRECTLY FROM CSV (Column H - STATUS)
-                const csvStatus = (e.status || 'UNKNOWN').toUpperCase();
-                const isValid = csvStatus === 'VALID' || csvStatus === 'VÁLIDO';
-                const isInvalid = csvStatus === 'INVALID' || csvStatus === 'INVÁLIDO';
-                return entriesFilters.validity === 'valid' ? isValid : isInvalid;
+                const risk = FraudDetector.getTicketRisk(e);
+                return !!risk && (!highOnly || risk.level === FraudDetector.RiskLevel.HIGH);
             });
         }
+        if (entriesFilters.arrival === 'new') {
+            result = result.filter(e => newTicketKeys.has(MatchingEngine.getTicketKey(e)));
+        }
         
         // ✅ APPLY SORTING
         switch (sortBy) {
@@ -412,22 +428,21 @@ window.UnifiedPage = (function() {
                 break;
             case 'status-valid':
                 result.sort((a, b) => {
-                    const aStatus = (a.status || '').toUpperCase();
-                    const bStatus = (b.status || '').toUpperCase();
-                    const aValid = (aStatus === 'VALID' || aStatus === 'VÁLIDO') ? 1 : 0;
-                    const bValid = (bStatus === 'VALID' || bStatus === 'VÁLIDO') ? 1 : 0;
+                    const aValid = getEntryStatus(a) === 'VALID' ? 1 : 0;
+                    const bValid = getEntryStatus(b) === 'VALID' ? 1 : 0;
                     return bValid - aValid; // Valid first
                 });
                 break;
             case 'status-invalid':
                 result.sort((a, b) => {
-                    const aStatus = (a.status || '').toUpperCase();
-                    const bStatus = (b.status || '').toUpperCase();
-                    const aInvalid = (aStatus === 'INVALID' || aStatus === 'INVÁLIDO') ? 1 : 0;
-                    const bInvalid = (bStatus === 'INVALID' || bStatus === 'INVÁLIDO') ? 1 : 0;
+                    const aInvalid = getEntryStatus(a) === 'INVALID' ? 1 : 0;
+                    const bInvalid = getEntryStatus(b) === 'INVALID' ? 1 : 0;
                     return bInvalid - aInvalid; // Invalid first
                 });
                 break;
+            case 'risk-desc':
+                result.sort((a, b) => (FraudDetector.getTicketRisk(b)?.score || 0) - (FraudDetector.getTicketRisk(a)?.score || 0));
+                break;
         }
         
         filteredEntries = result;
@@ -455,506 +470,6 @@ window.UnifiedPage = (function() {
         return drawDate;
     }
 
-    // BRUTE FORCE RECHARGE MATCHING SYSTEM
-    let boundOrderNumbers = new Set(); // Track used order numbers
-    let entryRechargeMap = new Map(); // Map ticket number to recharge info
-    let lastMatchedDataSize = 0; // Track if data changed
-    
-    /**
-     * Calculate eligibility window for a recharge
-     * Returns { startDate, endDate } in Brazilian time
-     * 
-     * IMPORTANT: Uses "Record Time" from RECHARGE POPN1 - Sheet1 (7).csv (Column 5)
-     * 
-     * Rules:
-     * - If recharge BEFORE 8 PM: Day 1 = same day, Day 2 = next day
-     * - If recharge AFTER 8 PM: Day 1 = next day, Day 2 = day after next
-     * - Eligibility ends at 8 PM (20:00) on Day 2
-     * - NO tickets on Day 3+ can use this recharge!
-     */
-    function calculateEligibilityWindow(rechargeTime) {
-        if (!(rechargeTime instanceof Date) || isNaN(rechargeTime.getTime())) {
-            return null;
-        }
-        
-        // Get recharge date components in Brazilian time
-        const rechargeDate = new Date(rechargeTime);
-        const rechargeHour = rechargeDate.getHours();
-        
-        // Get start of recharge day (midnight)
-        const startOfRechargeDay = new Date(rechargeDate);
-        startOfRechargeDay.setHours(0, 0, 0, 0);
-        
-        let day1, day2;
-        
-        if (rechargeHour < 20) {
-            // Recharge BEFORE 8 PM: Day 1 = same day, Day 2 = next day
-            day1 = new Date(startOfRechargeDay);
-            day2 = new Date(startOfRechargeDay);
-            day2.setDate(day2.getDate() + 1);
-        } else {
-            // Recharge AFTER 8 PM: Day 1 = next day, Day 2 = day after next
-            day1 = new Date(startOfRechargeDay);
-            day1.setDate(day1.getDate() + 1);
-            day2 = new Date(startOfRechargeDay);
-            day2.setDate(day2.getDate() + 2);
-        }
-        
-        // Eligibility ends at 8 PM (20:00) on Day 2
-        const eligibilityEnd = new Date(day2);
-        eligibilityEnd.setHours(20, 0, 0, 0);
-        
-        return {
-            startDate: rechargeTime, // Starts from recharge time
-            endDate: eligibilityEnd, // Ends at 8 PM on Day 2
-            day1: day1,
-            day2: day2
-        };
-    }
-    
-    /**
-     * Check if ticket time is within recharge eligibility window
-     * ENFORCES 2-DAY LIMIT: Recharge cannot be used for Day 3+ tickets!
-     * 
-     * IMPORTANT:
-     * - ticketTime: Uses "DATA/HORA REGISTRO" from OLD POP SORTE - SORTE (8).csv (Column 0)
-     * - rechargeTime: Uses "Record Time" from RECHARGE POPN1 - Sheet1 (7).csv (Column 5)
-     * 
-     * @param {Date} ticketTime - When the ticket was created (from entries CSV)
-     * @param {Date} rechargeTime - When the recharge happened (from recharge CSV)
-     * @returns {boolean} - True if ticket is eligible (within 2-day window)
-     */
-    function isTicketEligible(ticketTime, rechargeTime) {
-        if (!(ticketTime instanceof Date) || isNaN(ticketTime.getTime())) {
-            return false;
-        }
-        if (!(rechargeTime instanceof Date) || isNaN(rechargeTime.getTime())) {
-            return false;
-        }
-        
-        // Ticket must be AFTER recharge
-        if (ticketTime.getTime() < rechargeTime.getTime()) {
-            return false;
-        }
-        
-        const window = calculateEligibilityWindow(rechargeTime);
-        if (!window) {
-            return false;
-        }
-        
-        // Check if ticket is within eligibility window (NOT Day 3+!)
-        const ticketTimeMs = ticketTime.getTime();
-        const windowStartMs = window.startDate.getTime();
-        const windowEndMs = window.endDate.getTime();
-        
-        const isWithinWindow = ticketTimeMs >= windowStartMs && ticketTimeMs <= windowEndMs;
-        
-        // DEBUG: Log detailed eligibility check for troubleshooting
-        const DEBUG_CHECK = false; // Set to true to enable detailed logging
-        if (DEBUG_CHECK) {
-            const ticketStr = AdminCore.formatBrazilDateTime(ticketTime, {day: '2-digit', month: '2-digit', year: 'numeric', hour: '2-digit', minute: '2-digit', second: '2-digit'});
-            const rechargeStr = AdminCore.formatBrazilDateTime(rechargeTime, {day: '2-digit', month: '2-digit', year: 'numeric', hour: '2-digit', minute: '2-digit', second: '2-digit'});
-            const windowStartStr = AdminCore.formatBrazilDateTime(window.startDate, {day: '2-digit', month: '2-digit', year: 'numeric', hour: '2-digit', minute: '2-digit', second: '2-digit'});
-            const windowEndStr = AdminCore.formatBrazilDateTime(window.endDate, {day: '2-digit', month: '2-digit', year: 'numeric', hour: '2-digit', minute: '2-digit', second: '2-digit'});
-            console.log(`   📅 Eligibility Check:`);
-            console.log(`      Ticket: ${ticketStr} (${ticketTimeMs})`);
-            console.log(`      Recharge: ${rechargeStr} (${rechargeTime.getTime()})`);
-            console.log(`      Window: ${windowStartStr} (${windowStartMs}) to ${windowEndStr} (${windowEndMs})`);
-            console.log(`      Result: ${isWithinWindow ? '✅ ELIGIBLE' : '❌ NOT ELIGIBLE'}`);
-            if (!isWithinWindow) {
-                const diffBefore = ticketTimeMs - windowStartMs;
-                const diffAfter = ticketTimeMs - windowEndMs;
-                console.log(`      Diff from start: ${diffBefore}ms (${(diffBefore / 1000 / 60 / 60).toFixed(2)} hours)`);
-                console.log(`      Diff from end: ${diffAfter}ms (${(diffAfter / 1000 / 60 / 60).toFixed(2)} hours)`);
-            }
-        }
-        
-        return isWithinWindow;
-    }
-    
-    /**
-     * BRUTE FORCE: Match entries to recharges by closest time
-     * Each order number can only be bound ONCE
-     * ENFORCES 2-DAY ELIGIBILITY WINDOW - NO DAY 3+ TICKETS!
-     */
-    function bruteForceMatchRecharges() {
-        console.log('💪 BRUTE FORCE MATCHING START');
-        
-        // Check if we need to rematch (data size changed)
-        const currentDataSize = (currentData.entries?.length || 0) + (currentData.allRecharges?.length || 0);
-        if (lastMatchedDataSize === currentDataSize && entryRechargeMap.size > 0) {
-            console.log('✅ Using cached matches (data unchanged)');
-            return;
-        }
-        lastMatchedDataSize = currentDataSize;
-        
-        boundOrderNumbers.clear();
-        entryRechargeMap.clear();
-        
-        if (!currentData.allRecharges || currentData.allRecharges.length === 0) {
-            console.log('❌ No recharges available');
-            return;
-        }
-        
-        // USE ALL ENTRIES, not just filtered ones
-        const allEntries = currentData.entries || [];
-        
-        if (allEntries.length === 0) {
-            console.log('❌ No entries available');
-            return;
-        }
-        
-        console.log(`🔍 THREE-PHASE MATCHING: ${allEntries.length} entries against ${currentData.allRecharges.length} recharges`);
-        
-        // Sort entries by time (oldest first) for chronological binding
-        const sortedEntries = [...allEntries].sort((a, b) => {
-            const ta = a.parsedDate ? a.parsedDate.getTime() : 0;
-            const tb = b.parsedDate ? b.parsedDate.getTime() : 0;
-            return ta - tb;
-        });
-        
-        let matchCount = 0;
-        let phase1Count = 0;
-        let phase2Count = 0;
-        let phase3Count = 0;
-        
-        // PHASE 1: Match all VALID entries first
-        console.log('🔵 PHASE 1: Matching VALID entries...');
-        
-        // DEBUG: Track specific Game ID for troubleshooting
-        const DEBUG_GAME_ID = '3599051608';
-        const debugEntries = sortedEntries.filter(e => e.gameId === DEBUG_GAME_ID);
-        const debugRecharges = currentData.allRecharges.filter(r => r.gameId === DEBUG_GAME_ID);
-        
-        if (debugEntries.length > 0 || debugRecharges.length > 0) {
-            console.log(`\n🔍 DEBUG GameID ${DEBUG_GAME_ID}:`);
-            console.log(`   Entries found: ${debugEntries.length}`);
-            debugEntries.forEach((e, i) => {
-                const timeStr = e.parsedDate ? AdminCore.formatBrazilDateTime(e.parsedDate, {day: '2-digit', month: '2-digit', year: 'numeric', hour: '2-digit', minute: '2-digit'}) : 'NO DATE';
-                console.log(`   Entry ${i+1}: Status=${e.status}, Time=${timeStr}, Ticket=${e.ticketNumber}`);
-            });
-            console.log(`   Recharges found: ${debugRecharges.length}`);
-            debugRecharges.forEach((r, i) => {
-                const timeStr = r.rechargeTime ? AdminCore.formatBrazilDateTime(r.rechargeTime, {day: '2-digit', month: '2-digit', year: 'numeric', hour: '2-digit', minute: '2-digit'}) : 'NO DATE';
-                console.log(`   Recharge ${i+1}: Order=${r.rechargeId?.substring(0, 20)}..., Time=${timeStr}, Amount=R$${r.amount}`);
-            });
-        }
-        
-        for (const entry of sortedEntries) {
-            const csvStatus = (entry.status || '').toUpperCase();
-            if (csvStatus !== 'VALID' && csvStatus !== 'VÁLIDO') {
-                continue;
-            }
-            
-            if (!entry.parsedDate || !entry.gameId) {
-                continue;
-            }
-            
-            // Find all recharges for THIS EXACT GAME ID ONLY
-            const allGameIdRecharges = currentData.allRecharges.filter(r => r.gameId === entry.gameId);
-            
-            const userRecharges = allGameIdRecharges.filter(r => 
-                r.rechargeTime instanceof Date &&
-                !isNaN(r.rechargeTime.getTime()) &&
-                r.rechargeId && 
-                !boundOrderNumbers.has(r.rechargeId) // NOT already bound
-            );
-            
-            // DEBUG: Show filtering effect
-            if (matchCount < 3 || entry.gameId === DEBUG_GAME_ID) {
-                console.log(`🔎 GameID=${entry.gameId}: Total recharges=${allGameIdRecharges.length}, Available (not bound)=${userRecharges.length}, Already bound=${allGameIdRecharges.length - userRecharges.length}`);
-            }
-            
-            if (userRecharges.length === 0) {
-                if (matchCount < 3) {
-                    console.log(`⚠️ No available recharges for GameID=${entry.gameId}, Ticket=${entry.ticketNumber} (all ${allGameIdRecharges.length} recharges already bound)`);
-                }
-                continue;
-            }
-            
-            // DEBUG: Show available recharges for first few entries
-            if (matchCount < 3) {
-                console.log(`🔎 Entry GameID=${entry.gameId}, Available recharges: ${userRecharges.length}, Bound so far: ${boundOrderNumbers.size}`);
-                if (userRecharges.length > 0) {
-                    console.log(`   First available recharge: ${userRecharges[0].rechargeId.substring(0, 20)}... (R$${userRecharges[0].amount})`);
-                }
-            }
-            
-            // Find OLDEST available recharge (FIFO: First In First Out)
-            // Recharge MUST be BEFORE ticket time AND within 2-day eligibility window
-            const ticketTime = entry.parsedDate;
-            let oldestRecharge = null;
-            let earliestTime = Infinity;
-            let eligibilityRejects = 0;
-            const isDebugGameId = entry.gameId === DEBUG_GAME_ID;
-            
-            for (const recharge of userRecharges) {
-                // ⚠️ CRITICAL: ENFORCE ELIGIBILITY WINDOW - Cannot use recharge for Day 3+ tickets!
-                const isEligible = isTicketEligible(ticketTime, recharge.rechargeTime);
-                
-                if (isDebugGameId) {
-                    const ticketStr = AdminCore.formatBrazilDateTime(ticketTime, {day: '2-digit', month: '2-digit', year: 'numeric', hour: '2-digit', minute: '2-digit'});
-                    const rechargeStr = AdminCore.formatBrazilDateTime(recharge.rechargeTime, {day: '2-digit', month: '2-digit', year: 'numeric', hour: '2-digit', minute: '2-digit'});
-                    const window = calculateEligibilityWindow(recharge.rechargeTime);
-                    const windowEndStr = window ? AdminCore.formatBrazilDateTime(window.endDate, {day: '2-digit', month: '2-digit', year: 'numeric', hour: '2-digit', minute: '2-digit'}) : 'N/A';
-                    console.log(`   🔍 Checking: Ticket=${ticketStr}, Recharge=${rechargeStr}, Eligible=${isEligible}, WindowEnd=${windowEndStr}`);
-                }
-                
-                if (!isEligible) {
-                    eligibilityRejects++;
-                    continue;
-                }
-                
-                const rechargeTime = recharge.rechargeTime.getTime();
-                
-                // Find the OLDEST (earliest timestamp) eligible recharge
-                if (rechargeTime < earliestTime) {
-                    earliestTime = rechargeTime;
-                    oldestRecharge = recharge;
-                }
-            }
-            
-            // DEBUG: Show eligibility filtering
-            if ((phase1Count < 5 && eligibilityRejects > 0) || isDebugGameId) {
-                console.log(`⏰ Phase 1: GameID=${entry.gameId} - Rejected ${eligibilityRejects} recharges outside 2-day eligibility window, Found match: ${oldestRecharge ? 'YES' : 'NO'}`);
-            }
-            
-            // BIND IT!
-            if (oldestRecharge) {
-                const orderToAdd = oldestRecharge.rechargeId;
-                
-                // DEBUG: Verify it's not already bound
-                if (boundOrderNumbers.has(orderToAdd)) {
-                    console.error(`🚨 BUG! Trying to bind already-bound order: ${orderToAdd.substring(0, 20)}...`);
-                }
-                
-                boundOrderNumbers.add(orderToAdd);
-                
-                // DEBUG: Verify it was added
-                if (!boundOrderNumbers.has(orderToAdd)) {
-                    console.error(`🚨 BUG! Failed to add order to boundOrderNumbers: ${orderToAdd.substring(0, 20)}...`);
-                }
-                
-                // USE UNIQUE KEY: gameId + timestamp (ticket number is irrelevant!)
-                const uniqueKey = `${entry.gameId}-${entry.parsedDate.getTime()}`;
-                entryRechargeMap.set(uniqueKey, {
-                    orderNumber: orderToAdd,
-                    recordTime: oldestRecharge.rechargeTime,
-                    amount: oldestRecharge.amount,
-                    gameId: oldestRecharge.gameId // Store for verification
-                });
-                matchCount++;
-                phase1Count++;
-                
-                // DEBUG first 10 matches - SHOW OLDEST MATCHING with eligibility
-                if (matchCount <= 10) {
-                    const rechargeTimeStr = AdminCore.formatBrazilDateTime(oldestRecharge.rechargeTime, {day: '2-digit', month: '2-digit', hour: '2-digit', minute: '2-digit'});
-                    const ticketTimeStr = AdminCore.formatBrazilDateTime(entry.parsedDate, {day: '2-digit', month: '2-digit', hour: '2-digit', minute: '2-digit'});
-                    const window = calculateEligibilityWindow(oldestRecharge.rechargeTime);
-                    const windowEndStr = window ? AdminCore.formatBrazilDateTime(window.endDate, {day: '2-digit', month: '2-digit', hour: '2-digit', minute: '2-digit'}) : 'N/A';
-                    console.log(`✅ Phase 1 Match ${phase1Count}: Recharge=${rechargeTimeStr} → Ticket=${ticketTimeStr} (Window ends: ${windowEndStr}) | Order=${orderToAdd.substring(0, 15)}... (R$${oldestRecharge.amount})`);
-                }
-            }
-        }
-        
-        console.log(`✅ PHASE 1 COMPLETE: ${phase1Count} VALID tickets matched`);
-        
-        // PHASE 2: Match PENDING entries with leftover recharges
-        console.log('🟡 PHASE 2: Matching PENDING entries...');
-        for (const entry of sortedEntries) {
-            const csvStatus = (entry.status || '').toUpperCase();
-            if (csvStatus !== 'PENDING' && csvStatus !== 'PENDENTE') {
-                continue;
-            }
-            
-            if (!entry.parsedDate || !entry.gameId) {
-                continue;
-            }
-            
-            // Find all recharges for THIS EXACT GAME ID ONLY
-            const allGameIdRecharges = currentData.allRecharges.filter(r => r.gameId === entry.gameId);
-            const userRecharges = allGameIdRecharges.filter(r => 
-                r.rechargeTime instanceof Date &&
-                !isNaN(r.rechargeTime.getTime()) &&
-                r.rechargeId && 
-                !boundOrderNumbers.has(r.rechargeId)
-            );
-            
-            const isDebugGameId = entry.gameId === DEBUG_GAME_ID;
-            if (isDebugGameId) {
-                const ticketStr = AdminCore.formatBrazilDateTime(entry.parsedDate, {day: '2-digit', month: '2-digit', year: 'numeric', hour: '2-digit', minute: '2-digit'});
-                console.log(`\n🔍 DEBUG Phase 2 - GameID ${DEBUG_GAME_ID}: Ticket=${ticketStr}, Status=${csvStatus}, Available recharges=${userRecharges.length}`);
-            }
-            
-            if (userRecharges.length === 0) {
-                if (isDebugGameId) {
-                    console.log(`   ⚠️ No available recharges (all ${allGameIdRecharges.length} already bound)`);
-                }
-                continue;
-            }
-            
-            // Find OLDEST available recharge (FIFO: First In First Out)
-            // Recharge MUST be BEFORE ticket time AND within 2-day eligibility window
-            const ticketTime = entry.parsedDate;
-            let oldestRecharge = null;
-            let earliestTime = Infinity;
-            let eligibilityRejects = 0;
-            
-            for (const recharge of userRecharges) {
-                // ⚠️ CRITICAL: ENFORCE ELIGIBILITY WINDOW - Cannot use recharge for Day 3+ tickets!
-                const isEligible = isTicketEligible(ticketTime, recharge.rechargeTime);
-                
-                if (isDebugGameId) {
-                    const ticketStr = AdminCore.formatBrazilDateTime(ticketTime, {day: '2-digit', month: '2-digit', year: 'numeric', hour: '2-digit', minute: '2-digit'});
-                    const rechargeStr = AdminCore.formatBrazilDateTime(recharge.rechargeTime, {day: '2-digit', month: '2-digit', year: 'numeric', hour: '2-digit', minute: '2-digit'});
-                    const window = calculateEligibilityWindow(recharge.rechargeTime);
-                    const windowEndStr = window ? AdminCore.formatBrazilDateTime(window.endDate, {day: '2-digit', month: '2-digit', year: 'numeric', hour: '2-digit', minute: '2-digit'}) : 'N/A';
-                    console.log(`   🔍 Phase 2 Checking: Ticket=${ticketStr}, Recharge=${rechargeStr}, Eligible=${isEligible}, WindowEnd=${windowEndStr}`);
-                }
-                
-                if (!isEligible) {
-                    eligibilityRejects++;
-                    continue;
-                }
-                
-                const rechargeTime = recharge.rechargeTime.getTime();
-                
-                // Find the OLDEST (earliest timestamp) eligible recharge
-                if (rechargeTime < earliestTime) {
-                    earliestTime = rechargeTime;
-                    oldestRecharge = recharge;
-                }
-            }
-            
-            // DEBUG: Show eligibility filtering
-            if ((phase2Count < 5 && eligibilityRejects > 0) || isDebugGameId) {
-                console.log(`⏰ Phase 2: GameID=${entry.gameId} - Rejected ${eligibilityRejects} recharges outside 2-day eligibility window, Found match: ${oldestRecharge ? 'YES' : 'NO'}`);
-            }
-            
-            if (oldestRecharge) {
-                const orderToAdd = oldestRecharge.rechargeId;
-                boundOrderNumbers.add(orderToAdd);
-                const uniqueKey = `${entry.gameId}-${entry.parsedDate.getTime()}`;
-                entryRechargeMap.set(uniqueKey, {
-                    orderNumber: orderToAdd,
-                    recordTime: oldestRecharge.rechargeTime,
-                    amount: oldestRecharge.amount,
-                    gameId: oldestRecharge.gameId,
-                    wasUpgraded: true, // Flag to indicate this was upgraded from PENDING
-                    originalStatus: 'PENDING'
-                });
-                matchCount++;
-                phase2Count++;
-                
-                if (phase2Count <= 5) {
-                    const rechargeTimeStr = AdminCore.formatBrazilDateTime(oldestRecharge.rechargeTime, {day: '2-digit', month: '2-digit', hour: '2-digit', minute: '2-digit'});
-                    const ticketTimeStr = AdminCore.formatBrazilDateTime(entry.parsedDate, {day: '2-digit', month: '2-digit', hour: '2-digit', minute: '2-digit'});
-                    const window = calculateEligibilityWindow(oldestRecharge.rechargeTime);
-                    const windowEndStr = window ? AdminCore.formatBrazilDateTime(window.endDate, {day: '2-digit', month: '2-digit', hour: '2-digit', minute: '2-digit'}) : 'N/A';
-                    console.log(`✅ Phase 2 Match ${phase2Count}: PENDING → VALID | Recharge=${rechargeTimeStr} → Ticket=${ticketTimeStr} (Window ends: ${windowEndStr}) | Order=${orderToAdd.substring(0, 15)}... (R$${oldestRecharge.amount})`);
-                }
-            }
-        }
-        
-        console.log(`✅ PHASE 2 COMPLETE: ${phase2Count} PENDING tickets upgraded to VALID`);
-        
-        // PHASE 3: Match INVALID entries with leftover recharges
-        console.log('🔴 PHASE 3: Matching INVALID entries...');
-        for (const entry of sortedEntries) {
-            const csvStatus = (entry.status || '').toUpperCase();
-            if (csvStatus !== 'INVALID' && csvStatus !== 'INVÁLIDO') {
-                continue;
-            }
-            
-            if (!entry.parsedDate || !entry.gameId) {
-                continue;
-            }
-            
-            // Find all recharges for THIS EXACT GAME ID ONLY
-            const allGameIdRecharges = currentData.allRecharges.filter(r => r.gameId === entry.gameId);
-            const userRecharges = allGameIdRecharges.filter(r => 
-                r.rechargeTime instanceof Date &&
-                !isNaN(r.rechargeTime.getTime()) &&
-                r.rechargeId && 
-                !boundOrderNumbers.has(r.rechargeId)
-            );
-            
-            if (userRecharges.length === 0) {
-                continue;
-            }
-            
-            // Find OLDEST available recharge (FIFO: First In First Out)
-            // Recharge MUST be BEFORE ticket time AND within 2-day eligibility window
-            const ticketTime = entry.parsedDate;
-            let oldestRecharge = null;
-            let earliestTime = Infinity;
-            let eligibilityRejects = 0;
-            
-            for (const recharge of userRecharges) {
-                // ⚠️ CRITICAL: ENFORCE ELIGIBILITY WINDOW - Cannot use recharge for Day 3+ tickets!
-                if (!isTicketEligible(ticketTime, recharge.rechargeTime)) {
-                    eligibilityRejects++;
-                    continue;
-                }
-                
-                const rechargeTime = recharge.rechargeTime.getTime();
-                
-                // Find the OLDEST (earliest timestamp) eligible recharge
-                if (rechargeTime < earliestTime) {
-                    earliestTime = rechargeTime;
-                    oldestRecharge = recharge;
-                }
-            }
-            
-            // DEBUG: Show eligibility filtering
-            if (phase3Count < 5 && eligibilityRejects > 0) {
-                console.log(`⏰ Phase 3: GameID=${entry.gameId} - Rejected ${eligibilityRejects} recharges outside 2-day eligibility window`);
-            }
-            
-            if (oldestRecharge) {
-                const orderToAdd = oldestRecharge.rechargeId;
-                boundOrderNumbers.add(orderToAdd);
-                const uniqueKey = `${entry.gameId}-${entry.parsedDate.getTime()}`;
-                entryRechargeMap.set(uniqueKey, {
-                    orderNumber: orderToAdd,
-                    recordTime: oldestRecharge.rechargeTime,
-                    amount: oldestRecharge.amount,
-                    gameId: oldestRecharge.gameId,
-                    wasUpgraded: true, // Flag to indicate this was upgraded from INVALID
-                    originalStatus: 'INVALID'
-                });
-                matchCount++;
-                phase3Count++;
-                
-                if (phase3Count <= 5) {
-                    const rechargeTimeStr = AdminCore.formatBrazilDateTime(oldestRecharge.rechargeTime, {day: '2-digit', month: '2-digit', hour: '2-digit', minute: '2-digit'});
-                    const ticketTimeStr = AdminCore.formatBrazilDateTime(entry.parsedDate, {day: '2-digit', month: '2-digit', hour: '2-digit', minute: '2-digit'});
-                    const window = calculateEligibilityWindow(oldestRecharge.rechargeTime);
-                    const windowEndStr = window ? AdminCore.formatBrazilDateTime(window.endDate, {day: '2-digit', month: '2-digit', hour: '2-digit', minute: '2-digit'}) : 'N/A';
-                    console.log(`✅ Phase 3 Match ${phase3Count}: INVALID → VALID | Recharge=${rechargeTimeStr} → Ticket=${ticketTimeStr} (Window ends: ${windowEndStr}) | Order=${orderToAdd.substring(0, 15)}... (R$${oldestRecharge.amount})`);
-                }
-            }
-        }
-        
-        console.log(`✅ PHASE 3 COMPLETE: ${phase3Count} INVALID tickets upgraded to VALID`);
-        console.log(`✅ TOTAL MATCHED: ${matchCount} tickets (Phase1: ${phase1Count}, Phase2: ${phase2Count}, Phase3: ${phase3Count})`);
-        console.log(`📊 Bound order numbers: ${boundOrderNumbers.size}`);
-        console.log(`📋 Entry-Recharge map size: ${entryRechargeMap.size}`);
-        
-        // DETAILED DEBUG: Show first 10 unique order numbers
-        const orderArray = Array.from(boundOrderNumbers).slice(0, 10);
-        console.log(`🔍 First 10 bound orders:`, orderArray.map(o => o.substring(0, 20) + '...'));
-        
-        // DETAILED DEBUG: Show first 10 entry mappings
-        const mappingArray = Array.from(entryRechargeMap.entries()).slice(0, 10);
-        console.log(`🔍 First 10 entry mappings:`, mappingArray.map(([key, data]) => ({
-            key: key.substring(0, 30) + '...',
-            order: data.orderNumber.substring(0, 20) + '...',
-            gameId: data.gameId,
-            amount: data.amount
-        })));
-    }
-
     function renderEntriesTable() {
         const tbody = document.getElementById('entriesTableBody');
         if (!tbody) {
@@ -962,27 +477,22 @@ window.UnifiedPage = (function() {
             return;
         }
         
-        // DON'T call bruteForceMatchRecharges here - it clears the bindings!
-        // It should only be called once when data is loaded
-        
         const start = (entriesPage - 1) * entriesPerPage;
         const pageEntries = filteredEntries.slice(start, start + entriesPerPage);
         
         console.log(`📊 Rendering ${pageEntries.length} entries (page ${entriesPage}, start ${start})`);
         
         if (pageEntries.length === 0) {
-            tbody.innerHTML = '<tr><td colspan="11" class="text-center text-muted">No entries found</td></tr>';
+            tbody.innerHTML = '<tr><td colspan="12" class="text-center text-muted">No entries found</td></tr>';
             return;
         }
         
         try {
             tbody.innerHTML = pageEntries.map((entry, index) => {
-            // ✅ READ STATUS DIRECTLY FROM CSV (Column H - STATUS)
-            const csvStatus = (entry.status || 'UNKNOWN').toUpperCase();
-            
-            // Check if entry was upgraded (will check below after getting bruteForceMatch)
-            // We'll set this after we get the match data
-            let status = csvStatus;
+            // Status from the matching engine (CSV status until validation has run)
+            const outcome = getMatchOutcome(entry);
+            const status = getEntryStatus(entry);
+            const match = outcome?.matchedRecharge || null;
             
             // Format date/time with FULL YEAR
             const formattedTime = entry.parsedDate
@@ -997,49 +507,32 @@ window.UnifiedPage = (function() {
             
             const platform = (entry.platform || 'POPN1').toUpperCase();
             
-            // RECHARGE INFO - BRUTE FORCE MATCHING
+            // RECHARGE INFO - recharge bound by the matching engine
             let rechargeInfo = '-';
             
-            // DOUBLE CHECK: Show recharge info for:
-            // 1. Originally VALID entries
-            // 2. PENDING/INVALID entries that were upgraded (have bruteForceMatch)
-            const entryCsvStatus = (entry.status || '').toUpperCase();
-            const isOriginallyValid = (entryCsvStatus === 'VALID' || entryCsvStatus === 'VÁLIDO');
-            
-            // Get brute force matched recharge using UNIQUE KEY: gameId + timestamp
-            const lookupKey = `${entry.gameId}-${entry.parsedDate ? entry.parsedDate.getTime() : 0}`;
-            const bruteForceMatch = entryRechargeMap.get(lookupKey);
-            
-            // Entry is valid if: originally valid OR was upgraded by finding a match
-            const isValidEntry = isOriginallyValid || (bruteForceMatch && bruteForceMatch.wasUpgraded);
-            
-            // Override status if upgraded
-            if (bruteForceMatch && bruteForceMatch.wasUpgraded) {
-                status = 'VALID';
-            }
-            
-            // Status badge (after determining if upgraded)
+            // Status badge (manual overrides get their own style)
+            const override = StatusOverrides.get(entry);
             let statusBadge = '';
-            switch (status) {
+            if (override) {
+                statusBadge = `<span class="badge badge-override ${status === 'VALID' ? 'valid' : 'invalid'}" title="${AdminCore.escapeHtml(StatusOverrides.describe(override))}">✋ ${status}</span>`;
+            } else switch (status) {
                 case 'VALID':
-                case 'VÁLIDO':
-                    statusBadge = '<span class="badge badge-success">✅ VALID</span>';
+                    statusBadge = `<span class="badge badge-success" title="${AdminCore.escapeHtml(outcome?.reason || 'Status from CSV')}">✅ VALID</span>`;
                     break;
                 case 'INVALID':
-                case 'INVÁLIDO':
-                    statusBadge = '<span class="badge badge-danger">❌ INVALID</span>';
+                    statusBadge = `<span class="badge badge-danger" title="${AdminCore.escapeHtml(outcome?.reason || 'Status from CSV')}">❌ INVALID</span>`;
                     break;
                 default:
                     statusBadge = '<span class="badge badge-warning">⏳ PENDING</span>';
             }
             
-            // CUTOFF BADGE: Check if ticket was created AFTER 8 PM on recharge day
+            // CUTOFF BADGE: Check if ticket was created after the draw hour on recharge day
             // IMPORTANT:
             // - rechargeTime: From "Record Time" in RECHARGE POPN1 - Sheet1 (7).csv (Column 5)
             // - ticketTime: From "DATA/HORA REGISTRO" in OLD POP SORTE - SORTE (8).csv (Column 0)
             let cutoffBadge = '';
-            if (bruteForceMatch && entry.parsedDate) {
-                const rechargeTime = bruteForceMatch.recordTime; // Record Time from recharge CSV
+            if (match && entry.parsedDate) {
+                const rechargeTime = match.rechargeTime; // Record Time from recharge CSV
                 const ticketTime = entry.parsedDate; // DATA/HORA REGISTRO from entries CSV
                 
                 // Check if ticket was created on SAME DAY as recharge
@@ -1055,36 +548,28 @@ window.UnifiedPage = (function() {
                 });
                 
                 if (rechargeDateStr === ticketDateStr) {
-                    // Same day - check if ticket was created after 8 PM
-                    const ticketHour = parseInt(AdminCore.formatBrazilDateTime(ticketTime, {hour: '2-digit'}));
-                    
-                    if (ticketHour >= 20) {
+                    // Same day - check if ticket was created after that day's cutoff
+                    if (DrawCalendar.isAfterCutoff(ticketTime)) {
                         cutoffBadge = ' <span class="badge badge-secondary" style="font-size: 0.65rem;">⏰ CUTOFF</span>';
                     }
                 }
             }
             
-            // Combine status and cutoff badges
-            statusBadge = statusBadge + cutoffBadge;
+            // Arrived with the last refresh
+            const newBadge = newTicketKeys.has(MatchingEngine.getTicketKey(entry))
+                ? ` <span class="badge badge-info" style="font-size: 0.65rem;" title="New since the ${AdminCore.formatBrazilDateTime(newTicketsAt, { hour: '2-digit', minute: '2-digit' })} refresh">🆕 NEW</span>`
+                : '';
             
-            // DEBUG first few entries
-            if (index < 5) {
-                const hasCutoff = cutoffBadge !== '';
-                console.log(`Entry ${index}: GameID=${entry.gameId}, CSVStatus=${entryCsvStatus}, FinalStatus=${status}, HasMatch=${!!bruteForceMatch}, WasUpgraded=${bruteForceMatch?.wasUpgraded}, HasCutoff=${hasCutoff}`);
-            }
-            
-            // SAFETY CHECK: Verify Game IDs match (should always be true)
-            if (bruteForceMatch && bruteForceMatch.gameId !== entry.gameId) {
-                console.error(`❌ GAME ID MISMATCH! Entry=${entry.gameId}, Recharge=${bruteForceMatch.gameId}`);
-            }
+            // Combine status, cutoff and arrival badges
+            statusBadge = statusBadge + cutoffBadge + newBadge;
             
             // Show recharge info if has a match (whether originally valid or upgraded)
-            if (bruteForceMatch) {
-                const orderNumShort = bruteForceMatch.orderNumber.length > 12 
-                    ? bruteForceMatch.orderNumber.substring(0, 12) + '...' 
-                    : bruteForceMatch.orderNumber;
+            if (match) {
+                const orderNumShort = match.rechargeId.length > 12 
+                    ? match.rechargeId.substring(0, 12) + '...' 
+                    : match.rechargeId;
                 
-                const timeStr = AdminCore.formatBrazilDateTime(bruteForceMatch.recordTime, {
+                const timeStr = AdminCore.formatBrazilDateTime(match.rechargeTime, {
                     day: '2-digit',
                     month: '2-digit',
                     hour: '2-digit',
@@ -1092,13 +577,13 @@ window.UnifiedPage = (function() {
                 });
                 
                 // Add upgrade badge if was upgraded from PENDING/INVALID
-                const upgradeBadge = bruteForceMatch.wasUpgraded 
+                const upgradeBadge = outcome.wasUpgraded 
                     ? `<br><span class="badge badge-info" style="font-size: 0.55rem; padding: 1px 3px;">⬆️ UPGRADED</span>` 
                     : '';
                 
                 rechargeInfo = `<div style="font-size: 0.7rem; line-height: 1.3;">
-                    <strong class="text-success">R$ ${bruteForceMatch.amount.toFixed(2)}</strong><br>
-                    <span style="color: var(--text-tertiary);" title="${bruteForceMatch.orderNumber}">${orderNumShort}</span><br>
+                    <strong class="text-success">R$ ${match.amount.toFixed(2)}</strong><br>
+                    <span style="color: var(--text-tertiary);" title="${match.rechargeId}">${orderNumShort}</span><br>
                     <span style="color: var(--text-muted); font-size: 0.65rem;">${timeStr}</span>${upgradeBadge}
                 </div>`;
             }
@@ -1109,19 +594,26 @@ window.UnifiedPage = (function() {
             // Format draw date
             const formattedDrawDate = formatDrawDate(entry.drawDate);
             
+            // Contest vs draw date consistency (see contest-numbering.js)
+            const contestCheck = ContestNumbering.checkEntry(entry);
+            const contestBadge = contestCheck && !contestCheck.consistent
+                ? `<span class="badge badge-warning" title="${AdminCore.escapeHtml(`${formattedDrawDate} is contest #${contestCheck.expectedContest ?? '-'}; #${entry.contest} is ${contestCheck.expectedDrawDate ? formatDrawDate(contestCheck.expectedDrawDate) : 'not a known draw'}`)}">⚠️ ${AdminCore.escapeHtml(entry.contest)}</span>`
+                : `<span class="badge badge-info">${AdminCore.escapeHtml(entry.contest)}</span>`;
+            
             return `
                 <tr>
                     <td>${statusBadge}</td>
+                    <td>${riskBadge(FraudDetector.getTicketRisk(entry))}</td>
                     <td style="font-size:0.8rem;white-space:nowrap">${formattedTime}</td>
                     <td><span class="platform-badge ${platform.toLowerCase()}">${platform}</span></td>
-                    <td><strong>${entry.gameId}</strong></td>
+                    <td>${playerLink(entry.gameId)}</td>
                     <td style="font-size:0.75rem">${whatsappDisplay}</td>
                     <td><div class="numbers-display">${numbersHtml}</div></td>
                     <td style="font-size:0.8rem">${formattedDrawDate}</td>
-                    <td><span class="badge badge-info">${entry.contest}</span></td>
+                    <td>${contestBadge}</td>
                     <td style="font-size:0.9rem">${entry.ticketNumber}</td>
                     <td>${rechargeInfo}</td>
-                    <td><button class="btn btn-sm btn-outline" onclick="UnifiedPage.showTicketDetails('${entry.ticketNumber}')">Details</button></td>
+                    <td><button class="btn btn-sm btn-outline" onclick="UnifiedPage.showTicketDetails(${AdminCore.escapeHtml(JSON.stringify(MatchingEngine.getTicketKey(entry)))})">Details</button></td>
                 </tr>
             `;
             }).join('');
@@ -1129,7 +621,7 @@ window.UnifiedPage = (function() {
             console.log('✅ Table HTML generated successfully');
         } catch (error) {
             console.error('❌ ERROR rendering table:', error);
-            tbody.innerHTML = '<tr><td colspan="11" class="text-center text-danger">Error loading entries. Check console for details.</td></tr>';
+            tbody.innerHTML = '<tr><td colspan="12" class="text-center text-danger">Error loading entries. Check console for details.</td></tr>';
         }
     }
 
@@ -1160,24 +652,44 @@ window.UnifiedPage = (function() {
         renderEntriesPagination();
     }
 
-    function showTicketDetails(ticketNumber) {
-        const entry = currentData.entries.find(e => e.ticketNumber === ticketNumber);
+    /**
+     * Show the ticket details modal
+     * @param {string} ticketRef - Ticket key (gameId-timestampMs-ticketNumber) or ticket number
+     * @param {Object} options - { audit: false when redrawing an open modal }
+     */
+    function showTicketDetails(ticketRef, { audit = true } = {}) {
+        // Ticket numbers repeat across players - prefer the unique key
+        const entry = currentData.entries.find(e => MatchingEngine.getTicketKey(e) === ticketRef)
+            || currentData.entries.find(e => e.ticketNumber === ticketRef)
+            || currentData.allEntries.find(e => MatchingEngine.getTicketKey(e) === ticketRef);
         if (!entry) return;
+        detailsEntry = entry;
+        
+        if (audit) {
+            AuditLog.record(AuditLog.Action.TICKET_VIEW, {
+                key: MatchingEngine.getTicketKey(entry),
+                gameId: entry.gameId,
+                ticketNumber: entry.ticketNumber,
+                unmasked: AdminCore.can(AdminPermissions.Permission.VIEW_UNMASKED)
+            });
+        }
         
         const modalContent = document.getElementById('ticketModalContent');
         if (!modalContent) return;
         
-        // ✅ VALIDATION STATUS - READ DIRECTLY FROM CSV (Column H - STATUS)
-        const csvStatus = (entry.status || 'UNKNOWN').toUpperCase();
-        const status = csvStatus;
-        const statusClass = { 'VALID': 'success', 'INVALID': 'danger', 'VÁLIDO': 'success', 'INVÁLIDO': 'danger' }[csvStatus] || 'warning';
-        const statusIcon = (status === 'VALID' || status === 'VÁLIDO') ? '✅' : (status === 'INVALID' || status === 'INVÁLIDO') ? '❌' : '⏳';
-        const statusText = (status === 'VALID' || status === 'VÁLIDO') ? 'VALID' : (status === 'INVALID' || status === 'INVÁLIDO') ? 'INVALID' : 'PENDING';
+        // VALIDATION STATUS - from the matching engine
+        const outcome = getMatchOutcome(entry);
+        const status = getEntryStatus(entry);
+        const override = StatusOverrides.get(entry);
+        const statusClass = { 'VALID': 'success', 'INVALID': 'danger' }[status] || 'warning';
+        const statusIcon = override ? '✋' : status === 'VALID' ? '✅' : status === 'INVALID' ? '❌' : '⏳';
+        const statusReason = override ? StatusOverrides.describe(override) : outcome ? outcome.reason : 'Status from CSV';
+        const contestCheck = ContestNumbering.checkEntry(entry);
         
         const statusHtml = `<div class="status-banner ${statusClass} mb-4">
             <span class="status-banner-icon">${statusIcon}</span>
             <span class="status-banner-text">
-                <strong>${statusText}</strong> - Status from CSV
+                <strong>${status}</strong> - ${AdminCore.escapeHtml(statusReason)}
             </span>
         </div>`;
         
@@ -1199,6 +711,7 @@ window.UnifiedPage = (function() {
                 // Show ALL recharges for this user
                 rechargeHtml = '<div class="mb-3">';
                 
+                const boundId = outcome?.matchedRecharge?.rechargeId;
                 userRecharges.slice(0, 5).forEach((r, idx) => {
                     const orderNumber = r.rechargeId || '-';
                     const chargeAmount = r.amount || 0;
@@ -1221,12 +734,12 @@ window.UnifiedPage = (function() {
                     rechargeHtml += `
                         <div class="ticket-info-grid mb-3" style="border-bottom: 1px solid var(--border-primary); padding-bottom: 12px;">
                             <div class="ticket-info-item">
-                                <span class="label">💰 Amount ${idx === 0 ? '(Latest)' : ''}</span>
+                                <span class="label">💰 Amount ${idx === 0 ? '(Latest)' : ''} ${r.rechargeId === boundId ? '<span class="badge badge-success">🔗 Bound</span>' : ''}</span>
                                 <span class="value text-success"><strong>${amountDisplay}</strong></span>
                             </div>
                             <div class="ticket-info-item">
                                 <span class="label">📋 Order Number</span>
-                                <span class="value" style="font-size:0.7rem;word-break:break-all">${orderNumber}</span>
+                                <span class="value" style="font-size:0.7rem;word-break:break-all">${AdminCore.escapeHtml(orderNumber)}</span>
                             </div>
                             <div class="ticket-info-item">
                                 <span class="label">⏰ Recharge Time</span>
@@ -1234,7 +747,7 @@ window.UnifiedPage = (function() {
                             </div>
                             <div class="ticket-info-item">
                                 <span class="label">🎮 Game ID</span>
-                                <span class="value">${r.gameId}</span>
+                                <span class="value">${AdminCore.escapeHtml(r.gameId)}</span>
                             </div>
                         </div>
                     `;
@@ -1259,11 +772,11 @@ window.UnifiedPage = (function() {
                 </div>
                 <div class="ticket-info-item">
                     <span class="label">Game ID</span>
-                    <span class="value"><strong>${entry.gameId}</strong></span>
+                    <span class="value">${playerLink(entry.gameId)}</span>
                 </div>
                 <div class="ticket-info-item">
                     <span class="label">WhatsApp</span>
-                    <span class="value">${entry.whatsapp || '-'}</span>
+                    <span class="value">${AdminCore.can(AdminPermissions.Permission.VIEW_UNMASKED) ? (entry.whatsapp || '-') : AdminCore.maskWhatsApp(entry.whatsapp)}</span>
                 </div>
                 <div class="ticket-info-item">
                     <span class="label">Platform</span>
@@ -1271,7 +784,7 @@ window.UnifiedPage = (function() {
                 </div>
                 <div class="ticket-info-item">
                     <span class="label">Contest</span>
-                    <span class="value"><span class="badge badge-info">${entry.contest}</span></span>
+                    <span class="value"><span class="badge ${contestCheck && !contestCheck.consistent ? 'badge-warning' : 'badge-info'}">${AdminCore.escapeHtml(entry.contest)}</span>${contestCheck && !contestCheck.consistent ? ` <span class="text-muted" style="font-size:0.75rem">(draw date is #${contestCheck.expectedContest ?? '-'})</span>` : ''}</span>
                 </div>
                 <div class="ticket-info-item">
                     <span class="label">Draw Date</span>
@@ -1292,43 +805,487 @@ window.UnifiedPage = (function() {
             
             <h4 class="mb-3">💳 Linked Recharge</h4>
             ${rechargeHtml}
+            
+            <h4 class="mb-3">🧭 Decision Trace</h4>
+            ${renderDecisionTrace(outcome)}
+            
+            <h4 class="mb-3 mt-4">✋ Manual Override</h4>
+            ${renderOverridePanel(override, outcome)}
         `;
         
+        AdminCore.applyPermissions(modalContent);
+        document.getElementById('btnSaveOverride')?.addEventListener('click', saveTicketOverride);
+        document.getElementById('btnClearOverride')?.addEventListener('click', clearTicketOverride);
+        
         AdminCore.openModal('ticketModal');
     }
-
-    function exportEntriesCSV() {
-        if (filteredEntries.length === 0) {
-            AdminCore.showToast('No data to export', 'warning');
-            return;
+    
+    // ============================================
+    // MANUAL STATUS OVERRIDES
+    // ============================================
+    
+    /**
+     * Render the override summary and form of the ticket details modal
+     * The form is only shown to roles with Permission.OVERRIDE_STATUS.
+     * @param {Object|null} override - Current override
+     * @param {Object|null} outcome - Match outcome (override applied)
+     * @returns {string} HTML
+     */
+    function renderOverridePanel(override, outcome) {
+        const engineStatus = outcome ? (outcome.computedStatus || outcome.status) : null;
+        const summary = override
+            ? `<div class="ticket-info-grid mb-3">
+                <div class="ticket-info-item">
+                    <span class="label">Override</span>
+                    <span class="value"><span class="badge badge-override ${override.status === 'VALID' ? 'valid' : 'invalid'}">✋ ${override.status}</span></span>
+                </div>
+                <div class="ticket-info-item">
+                    <span class="label">Matching Result</span>
+                    <span class="value">${engineStatus || 'Not validated yet'}</span>
+                </div>
+                <div class="ticket-info-item">
+                    <span class="label">Reason</span>
+                    <span class="value">${StatusOverrides.getReasonLabel(override.reasonCode)}</span>
+                </div>
+                <div class="ticket-info-item">
+                    <span class="label">By</span>
+                    <span class="value">${AdminCore.escapeHtml(override.author)} · ${AdminCore.formatBrazilDateTime(new Date(override.createdAt))}</span>
+                </div>
+                <div class="ticket-info-item" style="grid-column: 1 / -1;">
+                    <span class="label">Note</span>
+                    <span class="value">${AdminCore.escapeHtml(override.note)}</span>
+                </div>
+            </div>`
+            : '<p class="text-muted mb-3">No manual override - status comes from the matching engine</p>';
+        
+        const reasonOptions = Object.entries(StatusOverrides.REASON_LABELS)
+            .map(([code, label]) => `<option value="${code}">${label}</option>`)
+            .join('');
+        
+        return summary + `
+            <div class="override-form" data-permission="${AdminPermissions.Permission.OVERRIDE_STATUS}">
+                <div class="d-flex gap-3">
+                    <div class="form-group" style="flex: 1;">
+                        <label for="overrideStatus">Set status</label>
+                        <select id="overrideStatus" class="form-select">
+                            <option value="VALID">VALID</option>
+                            <option value="INVALID">INVALID</option>
+                        </select>
+                    </div>
+                    <div class="form-group" style="flex: 2;">
+                        <label for="overrideReason">Reason code</label>
+                        <select id="overrideReason" class="form-select">
+                            <option value="">Select a reason...</option>
+                            ${reasonOptions}
+                        </select>
+                    </div>
+                </div>
+                <div class="form-group">
+                    <label for="overrideNote">Note</label>
+                    <textarea id="overrideNote" class="form-input" rows="2" placeholder="Dispute ticket, evidence, who confirmed..."></textarea>
+                </div>
+                <div class="d-flex gap-2">
+                    <button id="btnSaveOverride" class="btn btn-primary btn-sm">✋ Save Override</button>
+                    ${override ? '<button id="btnClearOverride" class="btn btn-outline btn-sm">Remove Override</button>' : ''}
+                </div>
+            </div>
+        `;
+    }
+    
+    /**
+     * Save the override typed in the ticket details modal
+     */
+    async function saveTicketOverride() {
+        if (!detailsEntry) return;
+        try {
+            await StatusOverrides.setOverride(detailsEntry, {
+                status: document.getElementById('overrideStatus')?.value,
+                reasonCode: document.getElementById('overrideReason')?.value,
+                note: document.getElementById('overrideNote')?.value
+            });
+            AdminCore.showToast(`Ticket ${detailsEntry.ticketNumber} overridden`, 'success');
+        } catch (error) {
+            AdminCore.showToast(error.message, 'error');
+        }
+    }
+    
+    /**
+     * Remove the override of the ticket shown in the details modal
+     */
+    async function clearTicketOverride() {
+        if (!detailsEntry) return;
+        try {
+            if (await StatusOverrides.clearOverride(detailsEntry)) {
+                AdminCore.showToast(`Override removed from ticket ${detailsEntry.ticketNumber}`, 'success');
+            }
+        } catch (error) {
+            AdminCore.showToast(error.message, 'error');
+        }
+    }
+    
+    // ============================================
+    // VALIDATION DECISION TRACE
+    // ============================================
+    
+    let detailsEntry = null;
+    
+    /**
+     * Badge label/class per trace rule (see MatchingEngine.Rule)
+     */
+    const TRACE_RULE_LABELS = {
+        BOUND: ['🔗 Bound', 'success'],
+        RECHARGE_AFTER_TICKET: ['Recharge after ticket', 'gray'],
+        NO_WINDOW: ['No eligibility window', 'danger'],
+        WINDOW_EXPIRED: ['Window expired', 'danger'],
+        DRAW_DATE_MISMATCH: ['Draw date mismatch', 'warning'],
+        ALREADY_CONSUMED: ['Already consumed', 'warning'],
+        NOT_EVALUATED: ['Not evaluated (older recharge bound)', 'gray']
+    };
+    
+    /**
+     * Render the per-candidate decision trace of a ticket
+     * @param {Object|null} outcome - Matching engine outcome
+     * @returns {string} HTML
+     */
+    function renderDecisionTrace(outcome) {
+        if (!outcome) {
+            return '<p class="text-muted">Not validated yet</p>';
         }
         
-        const headers = ['Status', 'Date/Time', 'Platform', 'Game ID', 'Numbers', 'Contest', 'Ticket #'];
-        const rows = filteredEntries.map(entry => {
-            // ✅ READ STATUS DIRECTLY FROM CSV (Column H - STATUS)
-            const csvStatus = (entry.status || 'UNKNOWN').toUpperCase();
-            return [
-                csvStatus,
-                entry.timestamp,
-                entry.platform,
-                entry.gameId,
-                entry.numbers.join(', '),
-                entry.contest,
-                entry.ticketNumber
-            ].map(v => `"${String(v).replace(/"/g, '""')}"`).join(',');
-        });
+        const { trace } = outcome;
+        const fmtTime = d => d ? AdminCore.formatBrazilDateTime(d, { day: '2-digit', month: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit' }) : '-';
+        const fmtDay = d => d ? formatDrawDate(AdminCore.getBrazilDateString(d)) : '-';
         
-        const csv = [headers.join(','), ...rows].join('\n');
-        const blob = new Blob([csv], { type: 'text/csv;charset=utf-8;' });
+        const header = `<p class="text-muted mb-2" style="font-size:0.8rem">
+            Phase ${outcome.phase} (${outcome.sourceStatus || 'no source status'}) · draw date ${formatDrawDate(trace.drawDate)} ·
+            ${trace.candidates.length} candidate recharge${trace.candidates.length === 1 ? '' : 's'} ·
+            final: <strong>${outcome.computedStatus || outcome.status}</strong>${outcome.override ? ` (manually overridden to <strong>${outcome.status}</strong>)` : ''}${trace.boundRechargeId ? ` bound to <span title="${trace.boundRechargeId}">${trace.boundRechargeId.substring(0, 12)}...</span>` : ''}
+        </p>`;
+        
+        if (trace.candidates.length === 0) {
+            return header + `<p class="text-muted">${outcome.computedReason || outcome.reason}</p>`;
+        }
+        
+        return header + `
+            <div class="table-container">
+                <table class="table trace-table">
+                    <thead>
+                        <tr>
+                            <th>Order</th>
+                            <th>Amount</th>
+                            <th>Recharge Time</th>
+                            <th>Eligible 1</th>
+                            <th>Eligible 2</th>
+                            <th>Expires</th>
+                            <th>Decision</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${trace.candidates.map(c => {
+                            const [label, cls] = TRACE_RULE_LABELS[c.rule] || [c.rule, 'gray'];
+                            const consumed = c.consumedBy ? `<br><span class="text-muted" style="font-size:0.65rem">by ticket ${c.consumedBy.ticketNumber} (${c.consumedBy.timestamp})</span>` : '';
+                            return `
+                                <tr class="${c.rule === 'BOUND' ? 'trace-bound' : ''}">
+                                    <td title="${c.rechargeId}">${c.rechargeId.substring(0, 12)}...</td>
+                                    <td>R$ ${(c.amount || 0).toFixed(2)}</td>
+                                    <td>${fmtTime(c.rechargeTime)}</td>
+                                    <td>${fmtDay(c.eligible1)}</td>
+                                    <td>${fmtDay(c.eligible2)}</td>
+                                    <td>${fmtTime(c.expiresAt)}</td>
+                                    <td><span class="badge badge-${cls}">${label}</span>${consumed}</td>
+                                </tr>
+                            `;
+                        }).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+    
+    /**
+     * Download the decision trace of the ticket shown in the details modal
+     */
+    function exportTicketTrace() {
+        const trace = detailsEntry ? MatchingEngine.exportTrace(detailsEntry) : null;
+        if (!trace) {
+            AdminCore.showToast('No validation trace for this ticket', 'warning');
+            return;
+        }
+        // The trace is the engine's verdict; a manual override replaces it
+        trace.override = StatusOverrides.get(detailsEntry);
+        
+        const blob = new Blob([JSON.stringify(trace, null, 2)], { type: 'application/json' });
         const link = document.createElement('a');
         link.href = URL.createObjectURL(blob);
-        link.download = `entries_${AdminCore.getBrazilDateString(new Date())}.csv`;
+        link.download = `ticket_trace_${detailsEntry.gameId}_${detailsEntry.parsedDate ? detailsEntry.parsedDate.getTime() : 0}.json`;
         link.click();
         
-        AdminCore.showToast(`${filteredEntries.length} entries exported`, 'success');
+        AuditLog.record(AuditLog.Action.EXPORT_TRACE, { key: trace.ticket.key, gameId: trace.ticket.gameId, ticketNumber: trace.ticket.ticketNumber });
+        AdminCore.showToast('Decision trace exported', 'success');
     }
 
-    // ============================================
+    /**
+     * Export the filtered entries (column chooser, CSV / XLSX / JSON)
+     */
+    function exportEntries() {
+        if (filteredEntries.length === 0) {
+            AdminCore.showToast('No data to export', 'warning');
+            return;
+        }
+        
+        showExportModal({
+            dataset: 'entries',
+            title: 'Entries',
+            rows: filteredEntries,
+            columns: ENTRY_EXPORT_COLUMNS,
+            fileName: `entries_${AdminCore.getBrazilDateString(new Date())}`,
+            onExported: (file) => {
+                const whatsapp = getWhatsAppExportMode(file);
+                AuditLog.record(AuditLog.Action.EXPORT_ENTRIES, {
+                    count: file.rows,
+                    platform: AdminCore.getCurrentPlatform(),
+                    filters: { ...entriesFilters },
+                    format: file.format,
+                    columns: file.columns,
+                    whatsapp
+                });
+                AdminCore.showToast(`${file.rows} entries exported${whatsapp === 'masked' ? ' (WhatsApp masked)' : ''}`, 'success');
+            }
+        });
+    }
+
+    // ============================================
+    // PLAYER PROFILE
+    // ============================================
+    
+    /**
+     * Game ID of the open player profile
+     */
+    let profileGameId = null;
+    
+    /**
+     * Game ID cell content that opens the player profile
+     * @param {string} gameId - Game ID
+     * @returns {string} HTML
+     */
+    function playerLink(gameId) {
+        if (!gameId) return '-';
+        const id = AdminCore.escapeHtml(String(gameId));
+        return `<button type="button" class="player-link" data-player-id="${id}" title="Open player profile">${id}</button>`;
+    }
+
+    /**
+     * Warning badge of a contest whose winners are on hold (see ResultVerification)
+     * @param {string} contest - Contest number
+     * @returns {string} HTML ('' when not blocked)
+     */
+    function blockedBadge(contest) {
+        const reason = ResultVerification.getBlockReason(contest);
+        return reason ? ` <span class="badge badge-danger" title="${AdminCore.escapeHtml(reason)}">⚠️</span>` : '';
+    }
+
+    /**
+     * Open a player profile through its URL hash (so the link can be shared)
+     * @param {string} gameId - Game ID
+     */
+    function openPlayerProfile(gameId) {
+        const hash = PlayerProfile.getHash(gameId);
+        if (window.location.hash === hash) {
+            showPlayerProfile(gameId, { audit: false }); // already open (maybe under the ticket modal)
+        } else {
+            window.location.hash = hash; // hashchange opens it
+        }
+    }
+    
+    /**
+     * Open or close the player profile to follow the URL hash
+     */
+    function syncPlayerProfileWithHash() {
+        const gameId = PlayerProfile.parseHash(window.location.hash);
+        if (gameId) {
+            showPlayerProfile(gameId);
+        } else if (profileGameId) {
+            profileGameId = null;
+            AdminCore.closeModal('playerModal');
+        }
+    }
+    
+    /**
+     * Drop the profile hash once the modal is closed
+     */
+    function clearPlayerHash() {
+        profileGameId = null;
+        if (PlayerProfile.parseHash(window.location.hash)) {
+            history.replaceState(null, '', window.location.pathname + window.location.search);
+        }
+    }
+    
+    /**
+     * Show the player profile modal
+     * @param {string} gameId - Game ID
+     * @param {Object} options - { audit: false when redrawing an open modal }
+     */
+    async function showPlayerProfile(gameId, { audit = true } = {}) {
+        const content = document.getElementById('playerModalContent');
+        if (!content || !DataStore.isLoaded()) return;
+        
+        // Wins come from every platform's calculation (shared with the jackpot section)
+        let winners = [];
+        try {
+            const calculations = await Promise.all(JACKPOT_PLATFORMS.map(platform => platformCalculations[platform]).filter(Boolean));
+            winners = calculations.flatMap(calculation => calculation.allWinners);
+        } catch (error) {
+            if (!error.cancelled) console.error('UnifiedPage: Error loading player wins:', error);
+        }
+        
+        const profile = PlayerProfile.build(gameId, {
+            entries: currentData.allEntries,
+            recharges: currentData.allRecharges,
+            winners
+        });
+        if (!profile) {
+            AdminCore.showToast(`No tickets, recharges or wins for Game ID ${gameId}`, 'warning');
+            clearPlayerHash();
+            return;
+        }
+        
+        const unmasked = AdminCore.can(AdminPermissions.Permission.VIEW_UNMASKED);
+        if (audit) {
+            AuditLog.record(AuditLog.Action.PLAYER_VIEW, { gameId: profile.gameId, unmasked });
+        }
+        profileGameId = profile.gameId;
+        
+        const { totals } = profile;
+        const playerRisk = FraudDetector.getPlayerRisk(profile.gameId);
+        const fmtTime = d => d ? AdminCore.formatBrazilDateTime(d, { day: '2-digit', month: '2-digit', year: 'numeric', hour: '2-digit', minute: '2-digit' }) : '-';
+        const platformBadge = platform => `<span class="platform-badge ${platform.toLowerCase()}">${platform}</span>`;
+        const statusBadge = ticket => {
+            if (ticket.override) {
+                return `<span class="badge badge-override ${ticket.status === 'VALID' ? 'valid' : 'invalid'}" title="${AdminCore.escapeHtml(ticket.reason)}">✋ ${ticket.status}</span>`;
+            }
+            const style = { VALID: 'badge-success', INVALID: 'badge-danger' }[ticket.status] || 'badge-warning';
+            return `<span class="badge ${style}" title="${AdminCore.escapeHtml(ticket.reason || '')}">${ticket.status}</span>`;
+        };
+        const balls = (numbers, highlight = []) => numbers.slice(0, 5).map(n =>
+            `<span class="number-badge ${AdminCore.getBallColorClass(n)}" style="width:22px;height:22px;font-size:0.6rem${highlight.length > 0 && !highlight.includes(n) ? ';opacity:0.35' : ''}">${String(n).padStart(2, '0')}</span>`
+        ).join('');
+        
+        const ticketRows = profile.tickets.map(t => `
+            <tr>
+                <td>${statusBadge(t)}</td>
+                <td style="font-size:0.8rem;white-space:nowrap">${t.entry.parsedDate ? fmtTime(t.entry.parsedDate) : AdminCore.escapeHtml(t.entry.timestamp || '-')}</td>
+                <td>${platformBadge((t.entry.platform || 'POPN1').toUpperCase())}</td>
+                <td><div class="numbers-display">${balls(t.entry.numbers)}</div></td>
+                <td style="font-size:0.8rem">${formatDrawDate(t.entry.drawDate)}</td>
+                <td>${t.entry.contest || '-'}</td>
+                <td style="font-size:0.75rem">${t.recharge ? `<strong class="text-success">${formatMoney(t.recharge.amount)}</strong><br><span class="text-muted" title="${AdminCore.escapeHtml(t.recharge.rechargeId)}">${AdminCore.escapeHtml(t.recharge.rechargeId.substring(0, 12))}</span>` : '-'}</td>
+                <td><button class="btn btn-sm btn-outline" data-ticket-key="${AdminCore.escapeHtml(t.key)}">Details</button></td>
+            </tr>
+        `).join('');
+        
+        const rechargeRows = profile.recharges.map(({ recharge, ticket }) => `
+            <tr>
+                <td style="font-size:0.8rem;white-space:nowrap">${fmtTime(recharge.rechargeTime) === '-' ? AdminCore.escapeHtml(recharge.rechargeTimeRaw || '-') : fmtTime(recharge.rechargeTime)}</td>
+                <td><strong class="text-success">${formatMoney(recharge.amount)}</strong></td>
+                <td style="font-size:0.75rem;word-break:break-all">${AdminCore.escapeHtml(recharge.rechargeId)}</td>
+                <td>${ticket
+                    ? `<span class="badge badge-success">🔗 #${AdminCore.escapeHtml(ticket.ticketNumber)}</span> <span class="text-muted" style="font-size:0.75rem">${fmtTime(ticket.parsedDate)} · contest ${ticket.contest || '-'}</span>`
+                    : '<span class="badge badge-warning">Unused</span>'}</td>
+            </tr>
+        `).join('');
+        
+        const winRows = (profile.wins?.wins || []).map(w => `
+            <tr>
+                <td><strong>#${w.contest}</strong>${blockedBadge(w.contest)}</td>
+                <td>${platformBadge((w.platform || 'POPN1').toUpperCase())}</td>
+                <td><span class="badge badge-${w.matches >= 4 ? 'success' : 'info'}">${w.matches} hits</span></td>
+                <td><div class="numbers-display">${balls(w.numbers, w.matchedNumbers || [])}</div></td>
+                <td>${w.prize > 0 ? formatMoney(w.prize) : '-'}</td>
+            </tr>
+        `).join('');
+        
+        document.getElementById('playerModalTitle').textContent = `Player ${profile.gameId}`;
+        content.innerHTML = `
+            <div class="ticket-info-grid mb-4">
+                <div class="ticket-info-item">
+                    <span class="label">WhatsApp</span>
+                    <span class="value">${unmasked ? AdminCore.escapeHtml(profile.whatsapp || '-') : AdminCore.maskWhatsApp(profile.whatsapp)}</span>
+                </div>
+                <div class="ticket-info-item">
+                    <span class="label">Platforms</span>
+                    <span class="value">${profile.platforms.map(platformBadge).join(' ') || '-'}</span>
+                </div>
+                <div class="ticket-info-item">
+                    <span class="label">First Seen</span>
+                    <span class="value">${fmtTime(profile.firstSeen)}</span>
+                </div>
+                <div class="ticket-info-item">
+                    <span class="label">Last Seen</span>
+                    <span class="value">${fmtTime(profile.lastSeen)}</span>
+                </div>
+                <div class="ticket-info-item">
+                    <span class="label">Tickets</span>
+                    <span class="value">${totals.tickets} <span class="text-muted" style="font-size:0.75rem">(${totals.valid} valid · ${totals.invalid} invalid · ${totals.pending} pending)</span></span>
+                </div>
+                <div class="ticket-info-item">
+                    <span class="label">Recharges</span>
+                    <span class="value">${totals.recharges} · ${formatMoney(totals.rechargeAmount)}</span>
+                </div>
+                <div class="ticket-info-item">
+                    <span class="label">Unused Recharges</span>
+                    <span class="value ${totals.unused > 0 ? 'text-warning' : ''}">${totals.unused} · ${formatMoney(totals.unusedAmount)}</span>
+                </div>
+                <div class="ticket-info-item">
+                    <span class="label">Wins</span>
+                    <span class="value">${totals.wins}${profile.wins ? ` · best ${profile.wins.bestMatch} hits · ${formatMoney(totals.prize)}` : ''}</span>
+                </div>
+                ${playerRisk ? `<div class="ticket-info-item" style="grid-column: 1 / -1;">
+                    <span class="label">Risk ${riskBadge(playerRisk)}${FraudDetector.getReview(profile.gameId) ? ` - ${FraudDetector.getReview(profile.gameId).decision}` : ''}</span>
+                    <span class="value">${playerRisk.flags.map(f => AdminCore.escapeHtml(f.message)).join('<br>')}</span>
+                </div>` : ''}
+            </div>
+            
+            <h4 class="mb-3">🎟️ Tickets (${totals.tickets})</h4>
+            <div class="table-container mb-4">
+                <table class="table">
+                    <thead><tr><th>Status</th><th>Registered</th><th>Platform</th><th>Numbers</th><th>Draw Date</th><th>Contest</th><th>Recharge</th><th></th></tr></thead>
+                    <tbody>${ticketRows || '<tr><td colspan="8" class="text-center text-muted">No tickets</td></tr>'}</tbody>
+                </table>
+            </div>
+            
+            <h4 class="mb-3">💳 Recharges (${totals.recharges})</h4>
+            <div class="table-container mb-4">
+                <table class="table">
+                    <thead><tr><th>Recharge Time</th><th>Amount</th><th>Order Number</th><th>Consumed By</th></tr></thead>
+                    <tbody>${rechargeRows || '<tr><td colspan="4" class="text-center text-muted">No recharges</td></tr>'}</tbody>
+                </table>
+            </div>
+            
+            <h4 class="mb-3">🏆 Wins (${totals.wins})</h4>
+            <div class="table-container">
+                <table class="table">
+                    <thead><tr><th>Contest</th><th>Platform</th><th>Matches</th><th>Numbers</th><th>Prize</th></tr></thead>
+                    <tbody>${winRows || '<tr><td colspan="5" class="text-center text-muted">No wins</td></tr>'}</tbody>
+                </table>
+            </div>
+        `;
+        
+        AdminCore.closeModal('ticketModal');
+        AdminCore.openModal('playerModal');
+    }
+    
+    /**
+     * Copy the link of the open profile
+     */
+    function copyPlayerLink() {
+        if (!profileGameId) return;
+        const url = window.location.href.split('#')[0] + PlayerProfile.getHash(profileGameId);
+        navigator.clipboard.writeText(url)
+            .then(() => AdminCore.showToast('Profile link copied', 'success'))
+            .catch(() => AdminCore.showToast(url));
+    }
+
+    // ============================================
     // RESULTS SECTION
     // ============================================
     
@@ -1359,6 +1316,8 @@ window.UnifiedPage = (function() {
         
         filteredResults = [...results];
         renderResultsTable();
+        renderPendingResults();
+        renderDrawStats();
     }
 
     function renderResultsTable() {
@@ -1379,7 +1338,8 @@ window.UnifiedPage = (function() {
         tbody.innerHTML = data.slice(0, 50).map(result => {
             let numbersHtml = '';
             if (result.isNoDraw) {
-                numbersHtml = '<span class="badge badge-warning">No Draw</span>';
+                const rule = DrawCalendar.getRule(result.drawDate);
+                numbersHtml = `<span class="badge badge-warning">No Draw${rule.noDraw && rule.label ? ` · ${rule.label}` : ''}</span>`;
             } else {
                 numbersHtml = result.numbers.map(n => {
                     const colorClass = AdminCore.getBallColorClass(n);
@@ -1391,10 +1351,18 @@ window.UnifiedPage = (function() {
             const source = (result.source || '').toLowerCase();
             if (source.includes('caixa')) sourceBadge = '<span class="badge badge-success">Caixa</span>';
             else if (source.includes('api')) sourceBadge = '<span class="badge badge-info">API</span>';
+            else if (source === ResultsEntry.SOURCE) {
+                sourceBadge = `<span class="badge badge-info" title="Entered by ${AdminCore.escapeHtml(result.enteredBy)}, confirmed by ${AdminCore.escapeHtml(result.confirmedBy)}">Dashboard ✓</span>`;
+            }
+            const blockReason = result.contest ? ResultVerification.getBlockReason(result.contest) : null;
+            if (blockReason) {
+                const label = ResultVerification.getReport() ? 'Mismatch' : 'Unchecked';
+                sourceBadge += ` <span class="badge badge-danger" title="${AdminCore.escapeHtml(blockReason)}">⚠️ ${label}</span>`;
+            }
             
             return `
                 <tr>
-                    <td><strong>#${result.contest}</strong></td>
+                    <td><strong>${result.contest ? `#${result.contest}` : '-'}</strong></td>
                     <td>${result.drawDate || '-'}</td>
                     <td><div class="numbers-display">${numbersHtml}</div></td>
                     <td>${sourceBadge}</td>
@@ -1403,190 +1371,2229 @@ window.UnifiedPage = (function() {
         }).join('');
     }
 
-    // ============================================
-    // WINNERS SECTION
-    // ============================================
+    /**
+     * Render the draw statistics panel (ResultsStats) for the selected window
+     */
+    function renderDrawStats() {
+        const stats = ResultsStats.analyze(currentData.results, { last: drawStatsWindow });
+        const drawCount = stats.draws.length;
+        
+        const ball = n => `<span class="number-badge ${AdminCore.getBallColorClass(n)}" style="width:28px;height:28px;font-size:0.7rem">${String(n).padStart(2,'0')}</span>`;
+        const numberStat = (stat, caption) => `<span class="number-stat" title="Drawn ${stat.count}x · ${stat.gap === null ? 'never drawn' : `last in #${stat.lastContest}`}">${ball(stat.number)}${caption}</span>`;
+        const gapText = stat => stat.gap === null ? 'never' : `${stat.gap}`;
+        
+        const setHtml = (id, html) => {
+            const el = document.getElementById(id);
+            if (el) el.innerHTML = html;
+        };
+        const empty = colspan => `<tr><td colspan="${colspan}" class="text-center text-muted">No draws</td></tr>`;
+        
+        document.getElementById('statDrawsAnalyzed').textContent = drawCount.toLocaleString();
+        
+        // Uniformity check
+        const { uniformity } = stats;
+        document.getElementById('statChiSquare').textContent = drawCount > 0 ? uniformity.statistic.toFixed(1) : '--';
+        document.getElementById('statChiSquareDetail').textContent = drawCount > 0
+            ? `df ${uniformity.df} · p = ${uniformity.pValue < 0.001 ? '< 0.001' : uniformity.pValue.toFixed(3)}`
+            : '';
+        const card = document.getElementById('statUniformityCard');
+        const verdict = !uniformity.sufficient
+            ? { className: '', label: 'Too few draws', detail: `Needs ${ResultsStats.MIN_DRAWS_FOR_CHI_SQUARE} draws` }
+            : uniformity.anomalous
+                ? { className: 'danger', label: '⚠️ Anomalous', detail: `Not uniform at ${ResultsStats.ALPHA * 100}% - check the draw source` }
+                : { className: 'success', label: 'Uniform', detail: `No anomaly at ${ResultsStats.ALPHA * 100}%` };
+        if (card) card.className = `stat-card ${verdict.className}`;
+        document.getElementById('statUniformity').textContent = verdict.label;
+        document.getElementById('statUniformityDetail').textContent = verdict.detail;
+        
+        // Hot, cold and longest gap
+        setHtml('hotNumbers', drawCount > 0 ? stats.hot.map(stat => numberStat(stat, `${stat.count}x`)).join('') : '<span class="text-muted">No draws</span>');
+        setHtml('coldNumbers', drawCount > 0 ? stats.cold.map(stat => numberStat(stat, `${stat.count}x`)).join('') : '<span class="text-muted">No draws</span>');
+        setHtml('overdueNumbers', drawCount > 0 ? stats.overdue.map(stat => numberStat(stat, gapText(stat))).join('') : '<span class="text-muted">No draws</span>');
+        
+        // Pairs and triples
+        const comboRows = list => list.length === 0
+            ? '<tr><td colspan="3" class="text-center text-muted">No repeats</td></tr>'
+            : list.map(item => `
+                <tr>
+                    <td><div class="numbers-display">${item.numbers.map(ball).join('')}</div></td>
+                    <td>${item.count}</td>
+                    <td>#${AdminCore.escapeHtml(item.lastContest)}</td>
+                </tr>
+            `).join('');
+        setHtml('topPairsBody', drawCount > 0 ? comboRows(stats.pairs) : empty(3));
+        setHtml('topTriplesBody', drawCount > 0 ? comboRows(stats.triples) : empty(3));
+        
+        // Distributions
+        setHtml('oddEvenBody', drawCount > 0 ? stats.oddEven.map(row => `
+            <tr>
+                <td>${row.odd} - ${row.even}</td>
+                <td>${row.draws}</td>
+                <td>${row.share}%</td>
+                <td class="text-muted">${row.expectedShare}%</td>
+            </tr>
+        `).join('') : empty(4));
+        setHtml('decadesBody', drawCount > 0 ? stats.decades.map(row => `
+            <tr>
+                <td>${row.label}</td>
+                <td>${row.count}</td>
+                <td>${row.share}%</td>
+                <td class="text-muted">${row.expectedShare}%</td>
+            </tr>
+        `).join('') : empty(4));
+    }
+
+    /**
+     * Render results waiting for a second admin's confirmation
+     */
+    function renderPendingResults() {
+        const tbody = document.getElementById('pendingResultsBody');
+        if (!tbody) return;
+        
+        const pending = ResultsEntry.getPending();
+        const label = document.getElementById('pendingResultsLabel');
+        if (label) label.textContent = pending.length > 0 ? `${pending.length} waiting for confirmation` : '';
+        
+        if (pending.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="6" class="text-center text-muted">No results waiting for confirmation</td></tr>';
+            return;
+        }
+        
+        const username = AdminCore.getSession()?.username;
+        tbody.innerHTML = pending.map(entry => {
+            const numbersHtml = entry.isNoDraw
+                ? '<span class="badge badge-warning">No Draw</span>'
+                : entry.numbers.map(n => `<span class="number-badge ${AdminCore.getBallColorClass(n)}" style="width:28px;height:28px;font-size:0.7rem">${String(n).padStart(2,'0')}</span>`).join('');
+            const checks = entry.warnings.length > 0
+                ? entry.warnings.map(w => `<div class="text-warning">⚠️ ${AdminCore.escapeHtml(w)}</div>`).join('')
+                : '<span class="text-success">✓ OK</span>';
+            const ownEntry = entry.enteredBy === username;
+            return `
+                <tr>
+                    <td><strong>${entry.contest ? `#${entry.contest}` : '-'}</strong></td>
+                    <td>${entry.drawDate}</td>
+                    <td><div class="numbers-display">${numbersHtml}</div></td>
+                    <td>${AdminCore.escapeHtml(entry.enteredBy)}<br><span class="text-muted" style="font-size:0.7rem">${AdminCore.formatBrazilDateTime(new Date(entry.enteredAt))}</span>${entry.note ? `<br><span class="text-muted" style="font-size:0.75rem">${AdminCore.escapeHtml(entry.note)}</span>` : ''}</td>
+                    <td class="result-entry-checks">${checks}</td>
+                    <td class="payout-actions" data-permission="${AdminPermissions.Permission.ENTER_RESULTS}">
+                        <button class="btn btn-sm btn-primary" data-result-id="${entry.id}" data-result-action="confirm" ${ownEntry ? 'disabled title="A second admin must confirm this result"' : ''}>✅ Confirm</button>
+                        <button class="btn btn-sm btn-secondary" data-result-id="${entry.id}" data-result-action="discard">✖ Discard</button>
+                    </td>
+                </tr>
+            `;
+        }).join('');
+        
+        AdminCore.applyPermissions(tbody);
+    }
     
-    async function renderWinners() {
-        const { entries, results } = currentData;
-        const platform = AdminCore.getCurrentPlatform();
+    /**
+     * Open the result entry form, prefilled with the next contest and draw date
+     */
+    function showResultEntry() {
+        const content = document.getElementById('resultEntryContent');
+        if (!content) return;
+        
+        const next = ResultsEntry.suggestNext(currentData.results);
+        content.innerHTML = `
+            <div class="form-group">
+                <label for="resultEntryContest">Contest</label>
+                <input type="number" id="resultEntryContest" class="form-input" min="1" step="1" value="${next.contest}">
+            </div>
+            <div class="form-group">
+                <label for="resultEntryDate">Draw date</label>
+                <input type="date" id="resultEntryDate" class="form-input" value="${next.drawDate}">
+            </div>
+            <div class="form-group">
+                <label>Winning numbers</label>
+                <div class="result-number-inputs">
+                    ${[0, 1, 2, 3, 4].map(i => `<input type="number" class="form-input" data-result-number="${i}" min="1" max="80" step="1">`).join('')}
+                </div>
+            </div>
+            <div class="form-group">
+                <label for="resultEntryNote">Note (optional)</label>
+                <textarea id="resultEntryNote" class="form-input" rows="2" maxlength="500" placeholder="Where the numbers were read, why no draw..."></textarea>
+            </div>
+            <div id="resultEntryChecks" class="result-entry-checks"></div>
+        `;
+        content.oninput = () => renderResultEntryChecks(false);
+        renderResultEntryChecks(false);
         
+        AdminCore.applyPermissions(document.getElementById('resultEntryModal'));
+        AdminCore.openModal('resultEntryModal');
+    }
+    
+    /**
+     * Read the result entry form
+     * @param {boolean} isNoDraw - True for the no-draw action
+     * @returns {Object} Draft for ResultsEntry
+     */
+    function readResultDraft(isNoDraw) {
+        const values = [...document.querySelectorAll('#resultEntryContent [data-result-number]')]
+            .map(input => input.value.trim())
+            .filter(Boolean);
+        return {
+            contest: document.getElementById('resultEntryContest')?.value || '',
+            drawDate: document.getElementById('resultEntryDate')?.value || '',
+            numbers: values.map(Number),
+            isNoDraw,
+            note: document.getElementById('resultEntryNote')?.value || ''
+        };
+    }
+    
+    /**
+     * Show validation errors and warnings under the form
+     * @param {boolean} isNoDraw - Validate as a no-draw
+     * @returns {Object} ResultsEntry.validate() result
+     */
+    function renderResultEntryChecks(isNoDraw) {
+        const check = ResultsEntry.validate(readResultDraft(isNoDraw), currentData.results);
+        const el = document.getElementById('resultEntryChecks');
+        if (el) {
+            el.innerHTML = [
+                ...check.errors.map(e => `<div class="text-danger">✖ ${AdminCore.escapeHtml(e)}</div>`),
+                ...check.warnings.map(w => `<div class="text-warning">⚠️ ${AdminCore.escapeHtml(w)}</div>`)
+            ].join('');
+        }
+        return check;
+    }
+    
+    /**
+     * Submit the form for confirmation by a second admin
+     * @param {boolean} isNoDraw - True for the no-draw action
+     */
+    async function submitResultEntry(isNoDraw) {
         try {
-            // Calculate winners
-            winnersCalculation = await WinnerCalculator.calculateAllWinners(entries, results, platform);
-            allWinners = winnersCalculation.allWinners || [];
-            filteredWinners = [...allWinners];
-            
-            const stats = winnersCalculation.stats;
-            document.getElementById('stat5Matches').textContent = (stats.byTier?.[5] || 0).toLocaleString();
-            document.getElementById('stat4Matches').textContent = (stats.byTier?.[4] || 0).toLocaleString();
-            document.getElementById('stat3Matches').textContent = (stats.byTier?.[3] || 0).toLocaleString();
-            document.getElementById('statWinnersTotal').textContent = (stats.totalWinners || 0).toLocaleString();
-            
-            // Prize pool label
-            const prizePool = WinnerCalculator.getPrizePool(platform === 'ALL' ? 'DEFAULT' : platform);
-            const prizeLabel = document.getElementById('prizePoolLabel');
-            if (prizeLabel) prizeLabel.textContent = `Prize Pool: R$ ${prizePool.toLocaleString()}`;
-            
-            // Winners by contest cards
-            renderWinnersCards();
-            
-            // Populate filter options
-            const contests = [...new Set(allWinners.map(w => w.contest).filter(Boolean))].sort((a, b) => parseInt(b) - parseInt(a));
-            const contestSelect = document.getElementById('filterWinnersContest');
-            if (contestSelect) {
-                contestSelect.innerHTML = '<option value="">All</option>' + contests.map(c => `<option value="${c}">${c}</option>`).join('');
+            const entry = await ResultsEntry.submit(readResultDraft(isNoDraw), currentData.results);
+            AdminCore.closeModal('resultEntryModal');
+            AdminCore.showToast(`${entry.isNoDraw ? `No-draw on ${entry.drawDate}` : `Contest #${entry.contest}`} saved - a second admin must confirm it`, 'success');
+        } catch (error) {
+            renderResultEntryChecks(isNoDraw);
+            AdminCore.showToast(error.message, 'error');
+        }
+    }
+    
+    /**
+     * Confirm or discard a pending result
+     * @param {string} id - Entry id
+     * @param {string} action - 'confirm' or 'discard'
+     */
+    async function handlePendingResultAction(id, action) {
+        try {
+            if (action === 'confirm') {
+                const entry = await ResultsEntry.confirm(id, currentData.results);
+                AdminCore.showToast(`${entry.isNoDraw ? `No-draw on ${entry.drawDate}` : `Contest #${entry.contest}`} confirmed - recalculating winners`, 'success');
+            } else if (action === 'discard') {
+                if (await ResultsEntry.discard(id)) {
+                    AdminCore.showToast('Entry discarded', 'success');
+                }
             }
-            
-            renderWinnersTable();
-            
         } catch (error) {
-            console.error('Error calculating winners:', error);
-            document.getElementById('winnersTableBody').innerHTML = '<tr><td colspan="6" class="text-center text-danger">Error calculating winners</td></tr>';
+            AdminCore.showToast(error.message, 'error');
         }
     }
 
-    function renderWinnersCards() {
-        const container = document.getElementById('winnersByContestContainer');
-        if (!container || !winnersCalculation) return;
+    /**
+     * Official source modal mode: { type: 'source' } or { type: 'resolve', contest }
+     */
+    let verificationAction = null;
+    
+    /**
+     * Cross-check the stored results against the official source
+     * @param {Object} options - { manual: true when started from the Check button }
+     */
+    async function verifyResults({ manual = false } = {}) {
+        const label = document.getElementById('verificationLabel');
+        try {
+            const report = await ResultVerification.check(currentData.results);
+            if (manual) {
+                AdminCore.showToast(report
+                    ? `Cross-check done - ${ResultVerification.getBlockedContests().length} contests need review`
+                    : 'Configure an official source first', report ? 'success' : 'warning');
+            }
+        } catch (error) {
+            // The view shows the failure (every contest stays blocked)
+            console.error('UnifiedPage: Result verification failed:', error);
+            if (manual) AdminCore.showToast('Could not read the official source: ' + error.message, 'error');
+        }
+    }
+    
+    /**
+     * Render the cross-check report
+     */
+    function renderVerification() {
+        const tbody = document.getElementById('verificationBody');
+        const label = document.getElementById('verificationLabel');
+        if (!tbody) return;
         
-        const contestsWithResults = winnersCalculation.contestResults.filter(c => c.hasResult).slice(0, 6);
+        const report = ResultVerification.getReport();
+        if (!report) {
+            const error = ResultVerification.getCheckError();
+            let message = 'No official source configured';
+            if (ResultVerification.isConfigured()) {
+                message = error
+                    ? `⚠️ Official source failed: ${error} - all winners on hold until a check succeeds`
+                    : 'Checking the official source - winners on hold until it is done';
+            }
+            if (label) label.textContent = ResultVerification.isConfigured() && error ? 'Official source failed' : '';
+            tbody.innerHTML = `<tr><td colspan="6" class="text-center ${error ? 'text-danger' : 'text-muted'}">${AdminCore.escapeHtml(message)}</td></tr>`;
+            return;
+        }
         
-        if (contestsWithResults.length === 0) {
-            container.innerHTML = '<div class="card"><div class="card-body text-center text-muted">No contest results available</div></div>';
+        const blocked = ResultVerification.getBlockedContests();
+        if (label) {
+            label.textContent = `${report.source} · ${report.officialCount} official results · checked ${AdminCore.formatBrazilDateTime(new Date(report.checkedAt), { hour: '2-digit', minute: '2-digit' })}` +
+                (blocked.length > 0 ? ` · ${blocked.length} blocked` : '');
+        }
+        
+        if (report.issues.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="6" class="text-center text-success">✓ Stored results match the official source</td></tr>';
             return;
         }
         
-        container.innerHTML = contestsWithResults.map(contest => {
-            // Always show winning numbers if available
-            const numbersHtml = contest.winningNumbers && contest.winningNumbers.length > 0
-                ? contest.winningNumbers.map(n => {
-                    const colorClass = AdminCore.getBallColorClass(n);
-                    return `<span class="number-badge ${colorClass}">${String(n).padStart(2,'0')}</span>`;
-                }).join('')
-                : '<span class="text-muted">Winning numbers not available</span>';
+        const describe = info => {
+            if (!info) return '<span class="text-muted">-</span>';
+            if (info.isNoDraw) return '<span class="badge badge-warning">No Draw</span>';
+            return `${formatDrawDate(info.drawDate)}<br><span style="font-size:0.75rem">${info.numbers.map(n => String(n).padStart(2, '0')).join(' ')}</span>`;
+        };
+        
+        const shown = new Set();
+        tbody.innerHTML = report.issues.map(issue => {
+            const first = !shown.has(issue.contest);
+            shown.add(issue.contest);
+            const resolution = ResultVerification.getResolution(issue.contest);
+            const status = resolution
+                ? `<span class="badge badge-success" title="${AdminCore.escapeHtml(resolution.note)}">✓ Resolved by ${AdminCore.escapeHtml(resolution.author)}</span>`
+                : '<span class="badge badge-danger">Blocked</span>';
+            return `
+                <tr>
+                    <td><strong>#${issue.contest}</strong></td>
+                    <td>${AdminCore.escapeHtml(issue.message)}</td>
+                    <td>${describe(issue.stored)}</td>
+                    <td>${describe(issue.official)}</td>
+                    <td>${status}</td>
+                    <td data-permission="${AdminPermissions.Permission.ENTER_RESULTS}">
+                        ${first && !resolution ? `<button class="btn btn-sm btn-outline" data-resolve-contest="${issue.contest}">✔ Resolve</button>` : ''}
+                    </td>
+                </tr>
+            `;
+        }).join('');
+        
+        AdminCore.applyPermissions(tbody);
+    }
+    
+    /**
+     * Open the official source settings
+     */
+    function showVerificationSource() {
+        const content = document.getElementById('verificationModalContent');
+        if (!content) return;
+        
+        verificationAction = { type: 'source' };
+        document.getElementById('verificationModalTitle').textContent = '⚙️ Official Source';
+        content.innerHTML = `
+            <p class="text-muted mb-2">Stored results are compared with this source. Contests that disagree are blocked from winner exports and payouts until resolved.</p>
+            <div class="form-group">
+                <label for="verificationFeedUrl">JSON feed URL</label>
+                <input type="url" id="verificationFeedUrl" class="form-input" placeholder="https://...">
+            </div>
+            <div class="form-group">
+                <label for="verificationFeedColumns">Feed fields for contest, date, numbers (optional)</label>
+                <input type="text" id="verificationFeedColumns" class="form-input" placeholder="contest, drawDate, numbers">
+            </div>
+            <div class="form-group">
+                <label for="verificationBulletin">...or an official bulletin CSV</label>
+                <input type="file" id="verificationBulletin" class="form-input" accept=".csv,text/csv">
+            </div>
+        `;
+        AdminCore.applyPermissions(document.getElementById('verificationModal'));
+        AdminCore.openModal('verificationModal');
+    }
+    
+    /**
+     * Ask for a resolution note for a flagged contest
+     * @param {string} contest - Contest number
+     */
+    function showResolveDiscrepancy(contest) {
+        const content = document.getElementById('verificationModalContent');
+        const issues = ResultVerification.getReport()?.byContest.get(contest) || [];
+        if (!content || issues.length === 0) return;
+        
+        verificationAction = { type: 'resolve', contest };
+        document.getElementById('verificationModalTitle').textContent = `✔ Resolve Contest #${contest}`;
+        content.innerHTML = `
+            <ul class="mb-2">${issues.map(i => `<li>${AdminCore.escapeHtml(i.message)}</li>`).join('')}</ul>
+            <div class="form-group">
+                <label for="verificationNote">How was it resolved?</label>
+                <textarea id="verificationNote" class="form-input" rows="3" maxlength="500" placeholder="Checked the Caixa bulletin, sheet corrected..."></textarea>
+            </div>
+        `;
+        AdminCore.applyPermissions(document.getElementById('verificationModal'));
+        AdminCore.openModal('verificationModal');
+    }
+    
+    /**
+     * Save the verification modal (source settings or a resolution)
+     */
+    async function saveVerification() {
+        if (!verificationAction) return;
+        try {
+            if (verificationAction.type === 'resolve') {
+                await ResultVerification.resolve(verificationAction.contest, document.getElementById('verificationNote')?.value || '');
+                AdminCore.showToast(`Contest #${verificationAction.contest} resolved`, 'success');
+            } else {
+                const file = document.getElementById('verificationBulletin')?.files?.[0];
+                if (file) {
+                    ResultVerification.useBulletin(file);
+                } else {
+                    const columns = (document.getElementById('verificationFeedColumns')?.value || '')
+                        .split(',').map(c => c.trim()).filter(Boolean);
+                    ResultVerification.configureFeed(document.getElementById('verificationFeedUrl')?.value, columns.length === 3 ? columns : null);
+                }
+                verifyResults({ manual: true });
+            }
+            verificationAction = null;
+            AdminCore.closeModal('verificationModal');
+        } catch (error) {
+            AdminCore.showToast(error.message, 'error');
+        }
+    }
+
+    // ============================================
+    // PICKS SECTION
+    // ============================================
+    
+    /**
+     * Contests offered in the picks selector
+     */
+    const PICK_CONTEST_LIMIT = 30;
+    
+    let pickContest = '';
+    let liabilityKey = ''; // contest|platform of the simulation shown or running
+    let liabilityRunId = 0;
+    
+    /**
+     * Contest the picks section opens on: the next draw when it has tickets,
+     * else the newest contest still waiting for its result
+     * @param {Object[]} contests - PickAnalytics.getContests() output
+     * @returns {string} Contest number
+     */
+    function getDefaultPickContest(contests) {
+        try {
+            const next = String(ContestNumbering.getContestForDate(DrawCalendar.getCurrentSchedule().drawDate));
+            if (contests.some(c => c.contest === next)) return next;
+        } catch (error) {
+            console.warn('UnifiedPage: Could not resolve the next contest:', error);
+        }
+        return (contests.find(c => !c.hasResult) || contests[0])?.contest || '';
+    }
+    
+    /**
+     * Render the picks section: contest selector, heatmap and popular sets
+     */
+    function renderPicks() {
+        const select = document.getElementById('pickContestSelect');
+        if (!select) return;
+        
+        const contests = PickAnalytics.getContests(currentData.entries, currentData.results).slice(0, PICK_CONTEST_LIMIT);
+        const platform = AdminCore.getCurrentPlatform();
+        if (!contests.some(c => c.contest === pickContest)) pickContest = getDefaultPickContest(contests);
+        
+        select.innerHTML = contests.length === 0
+            ? '<option value="">No contests</option>'
+            : contests.map(c => `
+                <option value="${AdminCore.escapeHtml(c.contest)}" ${c.contest === pickContest ? 'selected' : ''}>
+                    #${AdminCore.escapeHtml(c.contest)} · ${formatDrawDate(c.drawDate)} · ${c.tickets.toLocaleString()} tickets${c.hasResult ? ' (drawn)' : ''}
+                </option>
+            `).join('');
+        
+        // A simulation only stands for the contest and platform it ran on
+        if (liabilityKey && liabilityKey !== `${pickContest}|${platform}`) resetLiability();
+        
+        renderPickConcentration();
+    }
+    
+    /**
+     * Render ticket stats, heatmap and popular combinations of the selected contest
+     */
+    function renderPickConcentration() {
+        const tickets = PickAnalytics.getContestTickets(currentData.entries, pickContest);
+        const heatmap = PickAnalytics.getHeatmap(tickets);
+        const combinations = PickAnalytics.getPopularCombinations(tickets);
+        const top = heatmap.cells.reduce((best, cell) => cell.count > best.count ? cell : best, heatmap.cells[0]);
+        
+        document.getElementById('statPickTickets').textContent = tickets.length.toLocaleString();
+        document.getElementById('statPickPlayers').textContent = new Set(tickets.map(t => t.gameId)).size.toLocaleString();
+        document.getElementById('statPickSets').textContent = new Set(tickets.map(t => [...t.numbers].sort((a, b) => a - b).join('-'))).size.toLocaleString();
+        document.getElementById('statPickTop').textContent = top.count > 0 ? String(top.number).padStart(2, '0') : '--';
+        document.getElementById('statPickTopDetail').textContent = top.count > 0 ? `${top.count.toLocaleString()} tickets (${top.share}%)` : '';
+        
+        const heatmapEl = document.getElementById('pickHeatmap');
+        if (heatmapEl) {
+            heatmapEl.innerHTML = heatmap.cells.map(cell => `
+                <div class="pick-heatmap-cell" style="background: rgba(239, 68, 68, ${(0.05 + cell.intensity * 0.75).toFixed(2)})" title="${cell.count} tickets (${cell.share}%)">
+                    ${String(cell.number).padStart(2, '0')}<span>${cell.count}</span>
+                </div>
+            `).join('');
+        }
+        
+        // Sets held by as many Game IDs as the cloned-numbers signal are flagged
+        const sharedPlayers = FraudDetector.DEFAULT_THRESHOLDS.clonedGameIds;
+        const tbody = document.getElementById('pickCombinationsBody');
+        if (tbody) {
+            tbody.innerHTML = combinations.length === 0
+                ? '<tr><td colspan="3" class="text-center text-muted">No number set bought more than once</td></tr>'
+                : combinations.map(combo => `
+                    <tr>
+                        <td><div class="numbers-display">${combo.numbers.map(n => `<span class="number-badge ${AdminCore.getBallColorClass(n)}" style="width:28px;height:28px;font-size:0.7rem">${String(n).padStart(2,'0')}</span>`).join('')}</div></td>
+                        <td>${combo.tickets}</td>
+                        <td>
+                            ${combo.players}
+                            ${combo.players >= sharedPlayers ? `<span class="badge badge-danger" title="${AdminCore.escapeHtml(combo.gameIds.join(', '))}">⚠️ Shared</span>` : ''}
+                        </td>
+                    </tr>
+                `).join('');
+        }
+    }
+    
+    /**
+     * Drop a shown simulation (contest or platform changed)
+     */
+    function resetLiability() {
+        liabilityRunId++;
+        liabilityKey = '';
+        const label = document.getElementById('liabilityLabel');
+        if (label) label.textContent = '';
+        const button = document.getElementById('btnRunLiability');
+        if (button) button.disabled = false;
+        const container = document.getElementById('liabilityContainer');
+        if (container) {
+            container.innerHTML = '<div class="card"><div class="card-body text-center text-muted">Run the simulation to estimate winners and payouts per tier</div></div>';
+        }
+    }
+    
+    /**
+     * Simulate winners and payouts of the selected contest, per platform pool
+     */
+    async function runLiabilitySimulation() {
+        if (!pickContest) return;
+        
+        const runId = ++liabilityRunId;
+        const contest = pickContest;
+        const samples = parseInt(document.getElementById('pickSamples')?.value, 10) || PickAnalytics.DEFAULT_SAMPLES;
+        const platform = AdminCore.getCurrentPlatform();
+        const platforms = platform === 'ALL' ? JACKPOT_PLATFORMS : [platform];
+        const tickets = PickAnalytics.getContestTickets(currentData.entries, contest);
+        const seed = Date.now();
+        liabilityKey = `${contest}|${platform}`;
+        
+        const button = document.getElementById('btnRunLiability');
+        const label = document.getElementById('liabilityLabel');
+        if (button) button.disabled = true;
+        
+        try {
+            const simulations = [];
+            for (const p of platforms) {
+                const platformTickets = DataStore.filterByPlatform(tickets, p);
+                if (platformTickets.length === 0) continue;
+                
+                // Money rolled into this contest, from the platform's winner calculation
+                const calculation = await platformCalculations[p];
+                const contestCalc = calculation?.contestResults.find(c => String(c.contest) === contest);
+                const carryIn = contestCalc ? contestCalc.carryIn : (currentJackpots[p]?.rollover || 0);
+                const mostPicked = [...PickAnalytics.getHeatmap(platformTickets).cells]
+                    .sort((a, b) => b.count - a.count)
+                    .slice(0, ResultsStats.NUMBERS_PER_DRAW)
+                    .map(cell => cell.number);
+                
+                const simulation = await PickAnalytics.simulateLiability(platformTickets, {
+                    platform: p,
+                    drawDate: platformTickets[0].drawDate,
+                    carryIn,
+                    samples,
+                    seed,
+                    scenarios: { 'Most picked numbers': mostPicked },
+                    onProgress: (done, total) => {
+                        if (label && runId === liabilityRunId) label.textContent = `${p}: ${done.toLocaleString()} / ${total.toLocaleString()} draws`;
+                    }
+                });
+                if (runId !== liabilityRunId) return;
+                simulations.push({ platform: p, simulation });
+            }
+            
+            if (runId !== liabilityRunId) return;
+            renderLiability(simulations);
+            if (label) label.textContent = `Contest #${contest} · ${samples.toLocaleString()} sampled draws · seed ${seed}`;
+        } catch (error) {
+            if (error.cancelled || runId !== liabilityRunId) return;
+            console.error('UnifiedPage: Liability simulation failed:', error);
+            AdminCore.showToast('Liability simulation failed: ' + error.message, 'error');
+            if (label) label.textContent = '';
+        } finally {
+            if (button && runId === liabilityRunId) button.disabled = false;
+        }
+    }
+    
+    /**
+     * Render liability simulation results, one card per platform
+     * @param {Object[]} simulations - [{ platform, simulation }]
+     */
+    function renderLiability(simulations) {
+        const container = document.getElementById('liabilityContainer');
+        if (!container) return;
+        
+        if (simulations.length === 0) {
+            container.innerHTML = '<div class="card"><div class="card-body text-center text-muted">No valid tickets for this contest</div></div>';
+            return;
+        }
+        
+        const tierCell = (tierCounts, tier) => tierCounts[tier] || 0;
+        const drawRow = (label, row) => `
+            <tr>
+                <td>${label}</td>
+                <td><div class="numbers-display">${row.draw.map(n => `<span class="number-badge ${AdminCore.getBallColorClass(n)}" style="width:24px;height:24px;font-size:0.65rem">${String(n).padStart(2,'0')}</span>`).join('')}</div></td>
+                <td>${tierCell(row.tierCounts, 5)}</td>
+                <td>${tierCell(row.tierCounts, 4)}</td>
+                <td>${tierCell(row.tierCounts, 3)}</td>
+                <td>${formatMoney(row.totalAwarded)}</td>
+            </tr>
+        `;
+        
+        container.innerHTML = simulations.map(({ platform, simulation: sim }) => `
+            <div class="card mb-3">
+                <div class="card-header">
+                    <h3 class="card-title">${platform} · ${sim.tickets.toLocaleString()} tickets</h3>
+                    <span class="badge badge-info" title="Prize rule in force on the draw date">${AdminCore.escapeHtml(sim.rule.label || sim.rule.id)}</span>
+                </div>
+                <div class="card-body">
+                    <div class="stats-grid mb-3">
+                        <div class="stat-card primary">
+                            <span class="stat-label">Available</span>
+                            <span class="stat-value">${formatMoney(sim.available)}</span>
+                            <span class="stat-change">${sim.carryIn > 0 ? `${formatMoney(sim.carryIn)} rolled over` : 'No rollover'}</span>
+                        </div>
+                        <div class="stat-card warning">
+                            <span class="stat-label">Expected Payout</span>
+                            <span class="stat-value">${formatMoney(sim.payout.mean)}</span>
+                            <span class="stat-change">95% of draws ≤ ${formatMoney(sim.payout.p95)}</span>
+                        </div>
+                        <div class="stat-card danger">
+                            <span class="stat-label">Worst Sampled Payout</span>
+                            <span class="stat-value">${formatMoney(sim.payout.max)}</span>
+                        </div>
+                        <div class="stat-card">
+                            <span class="stat-label">No Winner (Rollover)</span>
+                            <span class="stat-value">${sim.payout.rolloverChance}%</span>
+                        </div>
+                    </div>
+                </div>
+                <div class="table-container">
+                    <table class="table">
+                        <thead>
+                            <tr>
+                                <th>Matches</th>
+                                <th>Chance of a Winner</th>
+                                <th>Mean Winners</th>
+                                <th>95th pct</th>
+                                <th>Max</th>
+                                <th>Median Prize / Winner</th>
+                                <th>Lowest Prize / Winner</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${sim.tiers.map(tier => `
+                                <tr${tier.paying ? '' : ' class="text-muted"'}>
+                                    <td><strong>${tier.matches}</strong>${tier.paying ? '' : ' <span class="badge badge-gray">no prize</span>'}</td>
+                                    <td>${tier.chance}%</td>
+                                    <td>${tier.mean.toFixed(2)}</td>
+                                    <td>${tier.p95}</td>
+                                    <td>${tier.max}</td>
+                                    <td>${tier.perWinnerMedian !== null ? formatMoney(tier.perWinnerMedian) : '-'}</td>
+                                    <td>${tier.perWinnerMin !== null ? formatMoney(tier.perWinnerMin) : '-'}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+                <div class="table-container">
+                    <table class="table">
+                        <thead><tr><th>Scenario</th><th>Draw</th><th>5</th><th>4</th><th>3</th><th>Awarded</th></tr></thead>
+                        <tbody>
+                            ${sim.scenarios.map(row => drawRow(AdminCore.escapeHtml(row.label), row)).join('')}
+                            ${sim.worst.map((row, i) => drawRow(`Most crowded sample ${i + 1}`, row)).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+        `).join('');
+    }
+
+    // ============================================
+    // WINNERS SECTION
+    // ============================================
+    
+    async function renderWinners() {
+        const { entries, results } = currentData;
+        const platform = AdminCore.getCurrentPlatform();
+        
+        try {
+            // Calculate winners
+            winnersCalculation = await WinnerCalculator.calculateAllWinners(entries, results, platform);
+            allWinners = winnersCalculation.allWinners || [];
+            filteredWinners = [...allWinners];
+            
+            const stats = winnersCalculation.stats;
+            document.getElementById('stat5Matches').textContent = (stats.byTier?.[5] || 0).toLocaleString();
+            document.getElementById('stat4Matches').textContent = (stats.byTier?.[4] || 0).toLocaleString();
+            document.getElementById('stat3Matches').textContent = (stats.byTier?.[3] || 0).toLocaleString();
+            document.getElementById('statWinnersTotal').textContent = (stats.totalWinners || 0).toLocaleString();
+            
+            // Prize pool label
+            const prizePool = WinnerCalculator.getPrizePool(platform === 'ALL' ? 'DEFAULT' : platform);
+            const prizeLabel = document.getElementById('prizePoolLabel');
+            if (prizeLabel) prizeLabel.textContent = `Prize Pool: R$ ${prizePool.toLocaleString()}`;
+            
+            // Winners by contest cards
+            renderWinnersCards();
+            
+            // Populate filter options
+            const contests = [...new Set(allWinners.map(w => w.contest).filter(Boolean))].sort((a, b) => parseInt(b) - parseInt(a));
+            const contestSelect = document.getElementById('filterWinnersContest');
+            if (contestSelect) {
+                contestSelect.innerHTML = '<option value="">All</option>' + contests.map(c => `<option value="${c}">${c}</option>`).join('');
+            }
+            
+            renderWinnersTable();
+            
+        } catch (error) {
+            if (error.cancelled) return;
+            console.error('Error calculating winners:', error);
+            document.getElementById('winnersTableBody').innerHTML = '<tr><td colspan="7" class="text-center text-danger">Error calculating winners</td></tr>';
+        }
+    }
+
+    function renderWinnersCards() {
+        const container = document.getElementById('winnersByContestContainer');
+        if (!container || !winnersCalculation) return;
+        
+        const contestsWithResults = winnersCalculation.contestResults.filter(c => c.hasResult).slice(0, 6);
+        
+        if (contestsWithResults.length === 0) {
+            container.innerHTML = '<div class="card"><div class="card-body text-center text-muted">No contest results available</div></div>';
+            return;
+        }
+        
+        container.innerHTML = contestsWithResults.map(contest => {
+            // Always show winning numbers if available
+            const numbersHtml = contest.winningNumbers && contest.winningNumbers.length > 0
+                ? contest.winningNumbers.map(n => {
+                    const colorClass = AdminCore.getBallColorClass(n);
+                    return `<span class="number-badge ${colorClass}">${String(n).padStart(2,'0')}</span>`;
+                }).join('')
+                : '<span class="text-muted">Winning numbers not available</span>';
+            
+            const tierCounts = [];
+            for (let tier = 5; tier >= 3; tier--) {
+                const count = contest.byTier[tier]?.filter(w => w.isValidEntry).length || 0;
+                if (count > 0) {
+                    const emoji = tier === 5 ? '🏆' : tier === 4 ? '🥈' : '🥉';
+                    tierCounts.push(`<span class="badge badge-${tier === 5 ? 'warning' : tier === 4 ? 'info' : 'success'}">${emoji} ${tier}: ${count}</span>`);
+                }
+            }
+            
+            // Prizes per paying tier under the contest's prize rule
+            const prizeLines = Object.entries(contest.prizes || {})
+                .filter(([, prize]) => prize.perWinner > 0)
+                .sort(([a], [b]) => b - a)
+                .map(([tier, prize]) => `💰 ${tier}: R$ ${prize.perWinner.toFixed(2)} per winner`);
+            if (contest.carryIn > 0) prizeLines.push(`➕ R$ ${contest.carryIn.toFixed(2)} rolled over in`);
+            if (contest.rolloverOut > 0) prizeLines.push(`➡️ R$ ${contest.rolloverOut.toFixed(2)} rolls over`);
+            let prizeInfo = prizeLines.length > 0
+                ? `<div class="text-success mt-2" style="font-size:0.8rem">${prizeLines.join('<br>')}</div>`
+                : '';
+            const blockReason = ResultVerification.getBlockReason(contest.contest);
+            if (blockReason) {
+                prizeInfo += `<div class="text-danger mt-2" style="font-size:0.75rem" title="${AdminCore.escapeHtml(blockReason)}">⚠️ Result not confirmed by the official source - winners on hold</div>`;
+            }
+            if (contest.rule) {
+                prizeInfo += `<div class="text-muted mt-2" style="font-size:0.7rem" title="Prize rule ${AdminCore.escapeHtml(contest.rule.id)}">📜 ${AdminCore.escapeHtml(contest.rule.label || contest.rule.id)}${contest.capped ? ' (capped)' : ''}</div>`;
+            }
+            
+            return `
+                <div class="card">
+                    <div class="card-header">
+                        <strong>Contest #${contest.contest}</strong>
+                        <span class="text-muted">${contest.drawDate}</span>
+                    </div>
+                    <div class="card-body">
+                        <div class="numbers-display mb-2" style="justify-content:center">${numbersHtml}</div>
+                        <div class="text-center">
+                            ${tierCounts.length > 0 ? tierCounts.join(' ') : '<span class="text-muted">No winners</span>'}
+                            ${prizeInfo}
+                        </div>
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    function applyWinnersFilters() {
+        let result = [...allWinners];
+        
+        if (winnersFilters.contest) {
+            result = result.filter(w => w.contest === winnersFilters.contest);
+        }
+        if (winnersFilters.prizeLevel !== 'all') {
+            const level = parseInt(winnersFilters.prizeLevel);
+            result = result.filter(w => w.matches === level);
+        }
+        
+        filteredWinners = result;
+        renderWinnersTable();
+    }
+
+    function renderWinnersTable() {
+        const tbody = document.getElementById('winnersTableBody');
+        if (!tbody) return;
+        
+        if (filteredWinners.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="7" class="text-center text-muted">No winners found</td></tr>';
+            return;
+        }
+        
+        const displayWinners = filteredWinners.slice(0, 100);
+        
+        tbody.innerHTML = displayWinners.map(winner => {
+            let matchBadge = '';
+            switch (winner.matches) {
+                case 5: matchBadge = '<span class="badge" style="background:#fbbf24;color:#000">🏆 5</span>'; break;
+                case 4: matchBadge = '<span class="badge" style="background:#9ca3af;color:#000">🥈 4</span>'; break;
+                case 3: matchBadge = '<span class="badge" style="background:#d97706;color:#fff">🥉 3</span>'; break;
+                default: matchBadge = `<span class="badge badge-info">${winner.matches}</span>`;
+            }
+            
+            const matchedSet = new Set(winner.matchedNumbers || []);
+            const numbersHtml = winner.numbers.map(n => {
+                const isMatched = matchedSet.has(n);
+                const colorClass = AdminCore.getBallColorClass(n);
+                return `<span class="number-badge ${colorClass} ${isMatched ? 'match' : ''}" style="width:22px;height:22px;font-size:0.6rem">${String(n).padStart(2,'0')}</span>`;
+            }).join('');
+            
+            const matchedHtml = (winner.matchedNumbers || []).map(n => {
+                const colorClass = AdminCore.getBallColorClass(n);
+                return `<span class="number-badge ${colorClass}" style="width:22px;height:22px;font-size:0.6rem">${String(n).padStart(2,'0')}</span>`;
+            }).join('');
+            
+            const rolloverHtml = winner.prizeFromRollover > 0
+                ? `<br><small class="text-muted">${formatMoney(winner.prizeFromRollover)} rollover</small>`
+                : '';
+            
+            return `
+                <tr>
+                    <td>${matchBadge}</td>
+                    <td>${playerLink(winner.gameId)}</td>
+                    <td><div class="numbers-display">${numbersHtml}</div></td>
+                    <td><div class="numbers-display">${matchedHtml}</div></td>
+                    <td>${winner.prize > 0 ? formatMoney(winner.prize) : '-'}${rolloverHtml}</td>
+                    <td>${winner.contest}${blockedBadge(winner.contest)}</td>
+                    <td>${winner.drawDate}</td>
+                </tr>
+            `;
+        }).join('');
+        
+        if (filteredWinners.length > 100) {
+            tbody.innerHTML += `<tr><td colspan="7" class="text-center text-muted">Showing 100 of ${filteredWinners.length} winners</td></tr>`;
+        }
+    }
+
+    /**
+     * Export the filtered winners (column chooser, CSV / XLSX / JSON)
+     * Winners of contests whose result is under review are not published
+     */
+    function exportWinners() {
+        if (filteredWinners.length === 0) {
+            AdminCore.showToast('No winners to export', 'warning');
+            return;
+        }
+        
+        const publishable = filteredWinners.filter(w => !ResultVerification.isBlocked(w.contest));
+        const withheld = [...new Set(filteredWinners.filter(w => ResultVerification.isBlocked(w.contest)).map(w => w.contest))];
+        if (publishable.length === 0) {
+            AdminCore.showToast(`Winners of contest #${withheld.join(', #')} are on hold until their result is confirmed against the official source`, 'warning');
+            return;
+        }
+        
+        showExportModal({
+            dataset: 'winners',
+            title: 'Winners',
+            rows: publishable,
+            columns: WINNER_EXPORT_COLUMNS,
+            fileName: `winners_${AdminCore.getBrazilDateString(new Date())}`,
+            note: withheld.length > 0 ? `⚠️ Contest #${withheld.join(', #')} withheld - result under review` : '',
+            onExported: (file) => {
+                AuditLog.record(AuditLog.Action.EXPORT_WINNERS, {
+                    count: file.rows,
+                    platform: AdminCore.getCurrentPlatform(),
+                    filters: { ...winnersFilters },
+                    format: file.format,
+                    columns: file.columns,
+                    whatsapp: getWhatsAppExportMode(file),
+                    withheldContests: withheld
+                });
+                AdminCore.showToast(`${file.rows} winners exported` +
+                    (withheld.length > 0 ? ` (contest #${withheld.join(', #')} withheld - result under review)` : ''), withheld.length > 0 ? 'warning' : 'success');
+            }
+        });
+    }
+
+    /**
+     * Open the prize pool editor (finance/superadmin)
+     */
+    function showPrizePoolEditor() {
+        const content = document.getElementById('prizePoolContent');
+        if (!content) return;
+        
+        const prizes = AdminCore.getPlatformPrizes();
+        content.innerHTML = `
+            <p class="text-muted mb-2">Prize pool per contest (R$). DEFAULT applies to the "All" view.</p>
+            ${Object.keys(prizes).map(platform => `
+                <div class="form-group">
+                    <label for="prizePool_${platform}">${platform}</label>
+                    <input type="number" id="prizePool_${platform}" class="form-input" data-platform="${platform}" min="1" step="1" value="${prizes[platform]}">
+                </div>
+            `).join('')}
+        `;
+        AdminCore.applyPermissions(document.getElementById('prizePoolModal'));
+        AdminCore.openModal('prizePoolModal');
+    }
+
+    /**
+     * Save edited prize pools
+     */
+    async function savePrizePools() {
+        const prizes = AdminCore.getPlatformPrizes();
+        try {
+            for (const input of document.querySelectorAll('#prizePoolContent input[data-platform]')) {
+                const amount = parseFloat(input.value);
+                if (amount !== prizes[input.dataset.platform]) {
+                    await AdminCore.setPlatformPrize(input.dataset.platform, amount);
+                }
+            }
+            AdminCore.closeModal('prizePoolModal');
+            AdminCore.showToast('Prize pools updated', 'success');
+        } catch (error) {
+            AdminCore.showToast(error.message, 'error');
+        }
+    }
+
+    // ============================================
+    // JACKPOT SECTION
+    // ============================================
+    
+    /**
+     * Platforms with their own prize pool (jackpots never mix platforms)
+     */
+    const JACKPOT_PLATFORMS = AdminCore.PLATFORMS.filter(p => p !== 'ALL');
+    
+    /**
+     * Winner calculation per platform for the loaded data: platform -> Promise
+     * (shared with the payout ledger sync)
+     */
+    let platformCalculations = {};
+    
+    /**
+     * Current jackpot per platform from the last render (WinnerCalculator.getCurrentJackpot)
+     */
+    let currentJackpots = {};
+    
+    /**
+     * Recalculate every platform and redraw the accumulated prize chart
+     */
+    async function updateJackpots() {
+        const { allEntries, results } = currentData;
+        platformCalculations = Object.fromEntries(JACKPOT_PLATFORMS.map(platform =>
+            [platform, WinnerCalculator.calculateAllWinners(allEntries, results, platform)]));
+        
+        try {
+            const calculations = await Promise.all(JACKPOT_PLATFORMS.map(platform => platformCalculations[platform]));
+            currentJackpots = {};
+            const history = {};
+            calculations.forEach((calculation, i) => {
+                currentJackpots[JACKPOT_PLATFORMS[i]] = WinnerCalculator.getCurrentJackpot(calculation);
+                history[JACKPOT_PLATFORMS[i]] = WinnerCalculator.getJackpotHistory(calculation);
+            });
+            
+            const statsEl = document.getElementById('jackpotStats');
+            if (statsEl) {
+                statsEl.innerHTML = JACKPOT_PLATFORMS.map(platform => {
+                    const jackpot = currentJackpots[platform];
+                    const detail = jackpot.rollover > 0
+                        ? `${formatMoney(jackpot.pool)} + ${formatMoney(jackpot.rollover)} rolled over`
+                        : 'No rollover';
+                    return `
+                        <div class="stat-card ${jackpot.rollover > 0 ? 'warning' : 'primary'}">
+                            <span class="stat-label">${platform} Next Contest Prize</span>
+                            <span class="stat-value">${formatMoney(jackpot.amount)}</span>
+                            <span class="stat-change">${detail}</span>
+                        </div>
+                    `;
+                }).join('');
+            }
+            
+            const canvas = document.getElementById('chartJackpot');
+            if (canvas) AdminCharts.createJackpotChart(canvas, history);
+        } catch (error) {
+            if (error.cancelled) return;
+            console.error('UnifiedPage: Error calculating jackpots:', error);
+        }
+    }
+    
+    /**
+     * Publish the current jackpots to the admin API, where the public site
+     * marquee reads them (the server sets the pools and records the change)
+     */
+    async function publishJackpot() {
+        if (Object.keys(currentJackpots).length === 0) {
+            AdminCore.showToast('Jackpots are still being calculated', 'warning');
+            return;
+        }
+        if (DataSources.getLocalFileKeys().length > 0) {
+            AdminCore.showToast('Jackpots calculated from local files cannot be published', 'warning');
+            return;
+        }
+        
+        try {
+            const { platforms } = await AdminApi.put('/jackpot', {
+                platforms: Object.fromEntries(Object.entries(currentJackpots).map(([platform, jackpot]) => [platform, {
+                    rollover: Math.round(jackpot.rollover * 100) / 100,
+                    afterContest: jackpot.afterContest
+                }]))
+            });
+            const summary = Object.entries(platforms).map(([platform, info]) => `${platform} ${formatMoney(info.amount)}`).join(', ');
+            AdminCore.showToast(`Jackpot published: ${summary}`, 'success');
+        } catch (error) {
+            AdminCore.showToast('Could not publish the jackpot: ' + error.message, 'error');
+        }
+    }
+
+    // ============================================
+    // ANALYTICS SECTION
+    // ============================================
+    
+    /**
+     * Analytics tables from the last render, by export key
+     */
+    let analyticsTables = {};
+    
+    /**
+     * Export columns per analytics table
+     */
+    const ANALYTICS_COLUMNS = {
+        funnel: [
+            { key: 'label', label: 'Stage' },
+            { key: 'players', label: 'Players' },
+            { key: 'fromPrevious', label: 'From Previous %' },
+            { key: 'fromStart', label: 'From Recharge %' }
+        ],
+        timeToTicket: [
+            { key: 'label', label: 'Time to First Ticket' },
+            { key: 'players', label: 'Players' },
+            { key: 'share', label: 'Share %' }
+        ],
+        cohorts: [
+            { key: 'date', label: 'First Recharge' },
+            { key: 'players', label: 'Players' },
+            { key: 'sameDay', label: 'Ticket Same Day' },
+            { key: 'converted', label: 'Converted' },
+            { key: 'repeat', label: 'Repeat' },
+            { key: 'won', label: 'Won' },
+            { key: 'conversionRate', label: 'Conversion %' }
+        ],
+        retention: [
+            { key: 'platform', label: 'Platform' },
+            { key: 'week', label: 'Week' },
+            { key: 'players', label: 'Players' },
+            { key: 'retained', label: 'Retained %' }
+        ]
+    };
+    
+    /**
+     * Redraw the conversion funnel, time to ticket, cohorts and retention
+     * Funnel and cohorts follow the selected platform; retention draws one
+     * curve per platform (only the selected one when a platform is chosen).
+     */
+    async function renderAnalytics() {
+        const { entries, recharges, allEntries } = currentData;
+        const platform = AdminCore.getCurrentPlatform();
+        const platforms = platform === 'ALL' ? JACKPOT_PLATFORMS : [platform];
+        
+        // Winners of the shown platforms (shared calculation with the jackpot section)
+        let winners = [];
+        try {
+            const calculations = await Promise.all(platforms.map(p => platformCalculations[p]).filter(Boolean));
+            winners = calculations.flatMap(calculation => calculation.allWinners);
+        } catch (error) {
+            if (error.cancelled) return;
+            console.error('UnifiedPage: Error loading winners for analytics:', error);
+        }
+        
+        const funnel = FunnelAnalytics.getFunnel(entries, recharges, winners);
+        const timeToTicket = FunnelAnalytics.getTimeToTicket(entries, recharges);
+        const cohorts = FunnelAnalytics.getDailyCohorts(entries, recharges, winners);
+        const retention = Object.fromEntries(platforms.map(p => [p, FunnelAnalytics.getRetention(
+            allEntries.filter(e => (e.platform || 'POPN1').toUpperCase() === p)
+        )]));
+        
+        analyticsTables = {
+            funnel,
+            timeToTicket: timeToTicket.buckets,
+            cohorts,
+            retention: Object.entries(retention).flatMap(([p, data]) => data.curve.map(point => ({ platform: p, ...point })))
+        };
+        
+        const funnelBody = document.getElementById('funnelBody');
+        if (funnelBody) {
+            funnelBody.innerHTML = funnel[0].players === 0
+                ? '<tr><td colspan="4" class="text-center text-muted">No recharges</td></tr>'
+                : funnel.map(row => `
+                    <tr>
+                        <td>${row.label}</td>
+                        <td>${row.players.toLocaleString()}</td>
+                        <td>${row.fromPrevious}%</td>
+                        <td>${row.fromStart}%</td>
+                    </tr>
+                `).join('');
+        }
+        
+        const summaryEl = document.getElementById('timeToTicketSummary');
+        if (summaryEl) {
+            summaryEl.textContent = timeToTicket.medianMinutes === null
+                ? 'No player has played after recharging yet'
+                : `Median ${formatMinutes(timeToTicket.medianMinutes)} over ${timeToTicket.converted.toLocaleString()} players`;
+        }
+        
+        const cohortsBody = document.getElementById('cohortsBody');
+        if (cohortsBody) {
+            cohortsBody.innerHTML = cohorts.length === 0
+                ? '<tr><td colspan="7" class="text-center text-muted">No recharges</td></tr>'
+                : cohorts.map(c => `
+                    <tr>
+                        <td>${formatDrawDate(c.date)}</td>
+                        <td>${c.players}</td>
+                        <td>${c.sameDay}</td>
+                        <td>${c.converted}</td>
+                        <td>${c.repeat}</td>
+                        <td>${c.won}</td>
+                        <td><span class="badge ${c.conversionRate >= 70 ? 'badge-success' : c.conversionRate >= 40 ? 'badge-warning' : 'badge-danger'}">${c.conversionRate}%</span></td>
+                    </tr>
+                `).join('');
+        }
+        
+        const charts = [
+            ['chartFunnel', canvas => AdminCharts.createFunnelChart(canvas, funnel)],
+            ['chartTimeToTicket', canvas => AdminCharts.createTimeToTicketChart(canvas, timeToTicket)],
+            ['chartCohorts', canvas => AdminCharts.createCohortChart(canvas, cohorts)],
+            ['chartRetention', canvas => AdminCharts.createRetentionChart(canvas, retention)]
+        ];
+        charts.forEach(([id, create]) => {
+            const canvas = document.getElementById(id);
+            if (canvas) create(canvas);
+        });
+    }
+    
+    /**
+     * Format a duration in minutes for display
+     * @param {number} minutes - Minutes
+     * @returns {string} e.g. "12 min", "3.5 h", "2.1 days"
+     */
+    function formatMinutes(minutes) {
+        if (minutes < 60) return `${Math.round(minutes)} min`;
+        if (minutes < 1440) return `${(minutes / 60).toFixed(1)} h`;
+        return `${(minutes / 1440).toFixed(1)} days`;
+    }
+    
+    /**
+     * Download the selected analytics table as CSV
+     */
+    function exportAnalyticsCSV() {
+        const table = document.getElementById('analyticsExportSelect')?.value || 'funnel';
+        const rows = analyticsTables[table];
+        if (!rows) {
+            AdminCore.showToast('Analytics are still being calculated', 'warning');
+            return;
+        }
+        
+        const csv = FunnelAnalytics.toCSV(rows, ANALYTICS_COLUMNS[table]);
+        const blob = new Blob([csv], { type: 'text/csv;charset=utf-8;' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `analytics_${table}_${AdminCore.getBrazilDateString(new Date())}.csv`;
+        link.click();
+        
+        AuditLog.record(AuditLog.Action.EXPORT_ANALYTICS, {
+            table,
+            rows: rows.length,
+            platform: AdminCore.getCurrentPlatform()
+        });
+        AdminCore.showToast(`${rows.length} rows exported`, 'success');
+    }
+
+    // ============================================
+    // PAYOUTS SECTION
+    // ============================================
+    
+    /**
+     * Rows shown in the payouts table
+     */
+    const PAYOUT_TABLE_LIMIT = 200;
+    
+    const PAYOUT_STATUS_BADGES = {
+        pending: 'badge-warning',
+        approved: 'badge-info',
+        paid: 'badge-success',
+        rejected: 'badge-danger'
+    };
+    
+    let payoutFilters = {
+        status: 'outstanding',
+        contest: '',
+        search: ''
+    };
+    
+    /**
+     * Payout being edited in the payout modal: { id, status }
+     */
+    let payoutAction = null;
+
+    /**
+     * Last reported list of contests the server refused (see syncPayouts)
+     */
+    let payoutRejectNotice = '';
+    
+    /**
+     * Format a R$ amount
+     * @param {number} amount - Amount in R$
+     * @returns {string} e.g. "R$ 333.34"
+     */
+    function formatMoney(amount) {
+        return `R$ ${(amount || 0).toFixed(2)}`;
+    }
+    
+    /**
+     * Turn the current winners into ledger items (the view redraws on payoutChange)
+     * Contests the server refuses are reported once, until the list changes.
+     */
+    async function syncPayouts() {
+        try {
+            const { rejected } = await PayoutLedger.sync(currentData.allEntries, currentData.results, { calculations: platformCalculations });
+            const notice = rejected.map(r => `${r.platform} #${r.contest}: ${r.reason}`).join('; ');
+            if (notice && notice !== payoutRejectNotice) {
+                AdminCore.showToast(`Payouts not updated for ${rejected.length} contest(s) - ${notice}`, 'warning', 8000);
+            }
+            payoutRejectNotice = notice;
+        } catch (error) {
+            // Unreachable server: the payouts view shows the cached-copy warning
+            if (error.cancelled || error.status === 0) return;
+            console.error('UnifiedPage: Payout sync failed:', error);
+            AdminCore.showToast('Could not update payouts: ' + error.message, 'error');
+        }
+    }
+    
+    /**
+     * Render payout totals, reconciliation and items for the current platform
+     */
+    function renderPayouts() {
+        const platform = AdminCore.getCurrentPlatform();
+        
+        const totals = PayoutLedger.getTotals();
+        document.getElementById('statPayoutOutstanding').textContent = formatMoney(totals.outstanding);
+        document.getElementById('statPayoutApproved').textContent = formatMoney(totals.approved);
+        document.getElementById('statPayoutPaid').textContent = formatMoney(totals.paid);
+        document.getElementById('statPayoutMismatch').textContent = totals.mismatched.toLocaleString();
+        
+        const syncLabel = document.getElementById('payoutSyncLabel');
+        const syncedAt = PayoutLedger.getLastSyncedAt();
+        const serverError = PayoutLedger.getServerError();
+        if (syncLabel) {
+            const syncedText = syncedAt ? `Synced with winners ${AdminCore.formatBrazilDateTime(new Date(syncedAt))}` : 'Not synced yet';
+            syncLabel.textContent = serverError
+                ? `⚠️ Admin server not answering - showing the copy cached in this browser (${syncedText.toLowerCase()}); other admins' changes may be missing`
+                : syncedText;
+            syncLabel.title = serverError || '';
+            syncLabel.className = serverError ? 'text-warning' : 'text-muted';
+        }
+        
+        renderPayoutReconciliation(platform);
+        renderPayoutTable(platform);
+    }
+    
+    /**
+     * Render the prize pool reconciliation table
+     * @param {string} platform - Current platform
+     */
+    function renderPayoutReconciliation(platform) {
+        const tbody = document.getElementById('payoutReconcileBody');
+        if (!tbody) return;
+        
+        const rows = PayoutLedger.reconcile({ platform });
+        
+        const contestSelect = document.getElementById('filterPayoutContest');
+        if (contestSelect) {
+            const contests = [...new Set(rows.map(r => r.contest))];
+            contestSelect.innerHTML = '<option value="">All</option>' + contests
+                .map(c => `<option value="${c}" ${c === payoutFilters.contest ? 'selected' : ''}>#${c}</option>`)
+                .join('');
+        }
+        
+        if (rows.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="8" class="text-center text-muted">No payouts yet</td></tr>';
+            return;
+        }
+        
+        tbody.innerHTML = rows.map(r => `
+            <tr>
+                <td><strong>#${r.contest}</strong><br><span class="text-muted" style="font-size:0.75rem">${formatDrawDate(r.drawDate)}</span></td>
+                <td>${r.platform}</td>
+                <td>${formatMoney(r.prizePool)}</td>
+                <td>${formatMoney(r.allocated)}</td>
+                <td class="text-success">${formatMoney(r.paid)}</td>
+                <td>${formatMoney(r.outstanding)}</td>
+                <td class="text-muted">${formatMoney(r.rejected)}</td>
+                <td>${r.balanced
+                    ? '<span class="badge badge-success">✅ Balanced</span>'
+                    : `<span class="badge badge-${r.difference > 0 ? 'warning' : 'danger'}" title="${r.difference > 0 ? 'Part of the pool is not allocated' : 'Allocated more than the pool'}">${r.difference > 0 ? '+' : ''}${formatMoney(r.difference)}</span>`}</td>
+            </tr>
+        `).join('');
+    }
+    
+    /**
+     * Render the payout items table
+     * @param {string} platform - Current platform
+     */
+    function renderPayoutTable(platform) {
+        const tbody = document.getElementById('payoutTableBody');
+        if (!tbody) return;
+        
+        const rows = PayoutLedger.query({ ...payoutFilters, platform });
+        const countLabel = document.getElementById('payoutCountLabel');
+        if (countLabel) {
+            const total = rows.reduce((sum, item) => sum + item.amount, 0);
+            countLabel.textContent = `${rows.length.toLocaleString()} payouts - ${formatMoney(total)}` +
+                (rows.length > PAYOUT_TABLE_LIMIT ? ` (showing ${PAYOUT_TABLE_LIMIT})` : '');
+        }
+        
+        if (rows.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="8" class="text-center text-muted">No payouts match the filters</td></tr>';
+            return;
+        }
+        
+        const { PayoutStatus } = PayoutLedger;
+        const actionButton = (item, status, label, cls) => PayoutLedger.canTransition(item, status)
+            ? `<button class="btn btn-sm ${cls}" data-payout-id="${AdminCore.escapeHtml(item.id)}" data-payout-status="${status}">${label}</button>`
+            : '';
+        
+        tbody.innerHTML = rows.slice(0, PAYOUT_TABLE_LIMIT).map(item => {
+            const mismatch = PayoutLedger.hasMismatch(item);
+            const mismatchNote = !item.isWinner
+                ? 'No longer a winner after recalculation'
+                : `Recalculated amount: ${formatMoney(item.expectedAmount)}`;
+            return `
+            <tr class="${mismatch ? 'payout-mismatch' : ''}">
+                <td><strong>#${item.contest}</strong><br><span class="text-muted" style="font-size:0.75rem">${formatDrawDate(item.drawDate)}</span></td>
+                <td>${item.platform}</td>
+                <td><strong>${AdminCore.escapeHtml(item.gameId)}</strong><br><span class="text-muted" style="font-size:0.7rem">${AdminCore.escapeHtml(item.ticketNumber || '')}</span></td>
+                <td>${item.matches}</td>
+                <td><strong>${formatMoney(item.amount)}</strong>${mismatch ? `<br><span class="badge badge-danger" title="${AdminCore.escapeHtml(mismatchNote)}">⚠️ Review</span>` : ''}</td>
+                <td><span class="badge ${PAYOUT_STATUS_BADGES[item.status]}" title="${AdminCore.escapeHtml(item.note || '')}">${item.status.toUpperCase()}</span></td>
+                <td style="font-size:0.75rem">${item.paymentRef ? `${AdminCore.escapeHtml(item.paymentRef)}<br><span class="text-muted">${formatDrawDate(item.paidAt)}</span>` : '-'}</td>
+                <td class="payout-actions" data-permission="${AdminPermissions.Permission.MANAGE_PAYOUTS}">
+                    ${actionButton(item, PayoutStatus.APPROVED, '✅ Approve', 'btn-outline')}
+                    ${actionButton(item, PayoutStatus.PAID, '💸 Paid', 'btn-primary')}
+                    ${actionButton(item, PayoutStatus.REJECTED, '✖ Reject', 'btn-secondary')}
+                    ${actionButton(item, PayoutStatus.PENDING, '↩ Reopen', 'btn-secondary')}
+                </td>
+            </tr>`;
+        }).join('');
+        
+        AdminCore.applyPermissions(tbody);
+    }
+    
+    /**
+     * Handle a payout row action (approve/reopen right away, paid/reject ask for details)
+     * @param {string} id - Payout item ID
+     * @param {string} status - Target status
+     */
+    function startPayoutAction(id, status) {
+        const { PayoutStatus } = PayoutLedger;
+        if (status === PayoutStatus.APPROVED || status === PayoutStatus.PENDING) {
+            applyPayoutStatus(id, status, {});
+            return;
+        }
+        
+        const item = PayoutLedger.getItem(id);
+        const content = document.getElementById('payoutModalContent');
+        if (!item || !content) return;
+        
+        payoutAction = { id, status };
+        document.getElementById('payoutModalTitle').textContent = status === PayoutStatus.PAID ? '💸 Mark as Paid' : '✖ Reject Payout';
+        content.innerHTML = `
+            <p class="mb-2">
+                <strong>${AdminCore.escapeHtml(item.gameId)}</strong> - contest #${item.contest} (${item.platform})<br>
+                <span class="text-muted">${item.matches} matches - ${formatMoney(item.amount)}</span>
+            </p>
+            ${status === PayoutStatus.PAID ? `
+                <div class="form-group">
+                    <label for="payoutRef">Payment reference</label>
+                    <input type="text" id="payoutRef" class="form-input" maxlength="100" placeholder="PIX end-to-end ID, receipt...">
+                </div>
+                <div class="form-group">
+                    <label for="payoutDate">Payment date</label>
+                    <input type="date" id="payoutDate" class="form-input" value="${AdminCore.getBrazilDateString(new Date())}">
+                </div>
+            ` : ''}
+            <div class="form-group">
+                <label for="payoutNote">Note${status === PayoutStatus.REJECTED ? '' : ' (optional)'}</label>
+                <textarea id="payoutNote" class="form-input" rows="2" maxlength="500"></textarea>
+            </div>
+        `;
+        AdminCore.applyPermissions(document.getElementById('payoutModal'));
+        AdminCore.openModal('payoutModal');
+    }
+    
+    /**
+     * Save the payout modal
+     */
+    function savePayoutAction() {
+        if (!payoutAction) return;
+        applyPayoutStatus(payoutAction.id, payoutAction.status, {
+            paymentRef: document.getElementById('payoutRef')?.value || '',
+            paidAt: document.getElementById('payoutDate')?.value || '',
+            note: document.getElementById('payoutNote')?.value || ''
+        }).then(ok => {
+            if (!ok) return;
+            payoutAction = null;
+            AdminCore.closeModal('payoutModal');
+        });
+    }
+    
+    /**
+     * Change a payout's status
+     * @returns {Promise<boolean>} True if saved
+     */
+    async function applyPayoutStatus(id, status, details) {
+        try {
+            await PayoutLedger.setStatus(id, status, details);
+            AdminCore.showToast(`Payout ${status}`, 'success');
+            return true;
+        } catch (error) {
+            AdminCore.showToast(error.message, 'error');
+            return false;
+        }
+    }
+
+    // ============================================
+    // REVIEW QUEUE SECTION
+    // ============================================
+    
+    /**
+     * Review queue filters
+     */
+    let riskFilters = {
+        status: 'open',
+        rule: ''
+    };
+    
+    /**
+     * Review modal state: { gameId, decision }
+     */
+    let riskReviewAction = null;
+    
+    /**
+     * Review queue rows shown at most
+     */
+    const RISK_QUEUE_LIMIT = 200;
+    
+    /**
+     * Risk score badge for a ticket or player risk
+     * @param {Object|null} risk - FraudDetector ticket or player risk
+     * @returns {string} HTML
+     */
+    function riskBadge(risk) {
+        if (!risk) return '<span class="text-muted">-</span>';
+        const style = { high: 'badge-danger', medium: 'badge-warning' }[risk.level] || 'badge-info';
+        const title = risk.flags.map(f => `${FraudDetector.RULE_LABELS[f.rule]}: ${f.message}`).join('\n');
+        return `<span class="badge ${style}" title="${AdminCore.escapeHtml(title)}">🚩 ${risk.score}</span>`;
+    }
+    
+    /**
+     * Run the anomaly rules over all platforms (the views redraw on riskAnalysisChange)
+     */
+    function analyzeRisk() {
+        try {
+            FraudDetector.analyze(currentData.allEntries, currentData.allRecharges);
+        } catch (error) {
+            console.error('UnifiedPage: Risk analysis failed:', error);
+        }
+    }
+    
+    /**
+     * Render the review queue stats and table
+     */
+    function renderRiskQueue() {
+        const tbody = document.getElementById('riskQueueBody');
+        if (!tbody) return;
+        
+        const analysis = FraudDetector.getAnalysis();
+        const all = FraudDetector.getQueue();
+        document.getElementById('statRiskHigh').textContent = all.filter(p => p.level === FraudDetector.RiskLevel.HIGH).length.toLocaleString();
+        document.getElementById('statRiskOpen').textContent = all.filter(p => !p.review).length.toLocaleString();
+        document.getElementById('statRiskTickets').textContent = analysis ? analysis.byTicket.size.toLocaleString() : '--';
+        document.getElementById('statRiskReviewed').textContent = all.filter(p => p.review).length.toLocaleString();
+        
+        const rows = FraudDetector.getQueue({ status: riskFilters.status })
+            .filter(p => !riskFilters.rule || p.flags.some(f => f.rule === riskFilters.rule));
+        const label = document.getElementById('riskQueueLabel');
+        if (label) {
+            label.textContent = `${rows.length.toLocaleString()} players` +
+                (rows.length > RISK_QUEUE_LIMIT ? ` (showing ${RISK_QUEUE_LIMIT})` : '') +
+                (analysis ? ` · analyzed ${AdminCore.formatBrazilDateTime(new Date(analysis.analyzedAt), { hour: '2-digit', minute: '2-digit' })}` : '');
+        }
+        
+        if (rows.length === 0) {
+            tbody.innerHTML = `<tr><td colspan="6" class="text-center text-muted">${analysis ? 'Nothing to review' : 'Waiting for data...'}</td></tr>`;
+            return;
+        }
+        
+        const { Decision } = FraudDetector;
+        tbody.innerHTML = rows.slice(0, RISK_QUEUE_LIMIT).map(player => {
+            const signals = player.flags.map(f =>
+                `<div style="font-size:0.8rem"><strong>${FraudDetector.RULE_LABELS[f.rule]}</strong> <span class="text-muted">${AdminCore.escapeHtml(f.message)}</span></div>`
+            ).join('');
+            const review = player.review
+                ? `<span class="badge ${player.review.decision === Decision.CONFIRMED ? 'badge-danger' : 'badge-success'}" title="${AdminCore.escapeHtml(player.review.note)}">${player.review.decision === Decision.CONFIRMED ? '⛔ Confirmed' : '✓ Cleared'}</span><br><span class="text-muted" style="font-size:0.7rem">${AdminCore.escapeHtml(player.review.author)} · ${AdminCore.formatBrazilDateTime(new Date(player.review.reviewedAt))}</span>`
+                : '<span class="badge badge-warning">Open</span>';
+            return `
+                <tr>
+                    <td>${riskBadge(player)}</td>
+                    <td>${playerLink(player.gameId)}</td>
+                    <td>${signals}</td>
+                    <td>${player.tickets.toLocaleString()}</td>
+                    <td>${review}</td>
+                    <td data-permission="${AdminPermissions.Permission.REVIEW_RISK}">
+                        <button class="btn btn-sm btn-outline" data-risk-id="${AdminCore.escapeHtml(player.gameId)}" data-risk-decision="${Decision.CLEARED}">✓ Clear</button>
+                        <button class="btn btn-sm btn-secondary" data-risk-id="${AdminCore.escapeHtml(player.gameId)}" data-risk-decision="${Decision.CONFIRMED}">⛔ Confirm</button>
+                    </td>
+                </tr>
+            `;
+        }).join('');
+        
+        AdminCore.applyPermissions(tbody);
+    }
+    
+    /**
+     * Ask for the note of a review decision
+     * @param {string} gameId - Game ID
+     * @param {string} decision - FraudDetector.Decision value
+     */
+    function startRiskReview(gameId, decision) {
+        const player = FraudDetector.getPlayerRisk(gameId);
+        const content = document.getElementById('riskReviewContent');
+        if (!player || !content) return;
+        
+        riskReviewAction = { gameId, decision };
+        const confirmed = decision === FraudDetector.Decision.CONFIRMED;
+        document.getElementById('riskReviewTitle').textContent = confirmed ? '⛔ Confirm Abuse' : '✓ Clear Flags';
+        content.innerHTML = `
+            <p class="mb-2"><strong>${AdminCore.escapeHtml(player.gameId)}</strong> - risk ${player.score} (${player.tickets} flagged tickets)</p>
+            <ul class="mb-2">${player.flags.map(f => `<li>${AdminCore.escapeHtml(f.message)}</li>`).join('')}</ul>
+            <div class="form-group">
+                <label for="riskReviewNote">${confirmed ? 'Evidence and next steps' : 'Why these flags are fine'}</label>
+                <textarea id="riskReviewNote" class="form-input" rows="3" maxlength="500" placeholder="${confirmed ? 'Same device for all accounts, tickets to be voided...' : 'Family sharing one phone, confirmed by support...'}"></textarea>
+            </div>
+        `;
+        AdminCore.applyPermissions(document.getElementById('riskReviewModal'));
+        AdminCore.openModal('riskReviewModal');
+    }
+    
+    /**
+     * Save the review decision from the modal
+     */
+    function saveRiskReview() {
+        if (!riskReviewAction) return;
+        try {
+            const { gameId, decision } = riskReviewAction;
+            FraudDetector.review(gameId, decision, document.getElementById('riskReviewNote')?.value || '');
+            riskReviewAction = null;
+            AdminCore.closeModal('riskReviewModal');
+            AdminCore.showToast(`${gameId} ${decision === FraudDetector.Decision.CONFIRMED ? 'confirmed as abuse' : 'cleared'}`, 'success');
+        } catch (error) {
+            AdminCore.showToast(error.message, 'error');
+        }
+    }
+
+    // ============================================
+    // AUDIT LOG SECTION
+    // ============================================
+    
+    /**
+     * Rows shown in the audit table (the JSON export has everything)
+     */
+    const AUDIT_TABLE_LIMIT = 200;
+    
+    let auditFilters = {
+        search: '',
+        action: ''
+    };
+    
+    /**
+     * Render the audit log table (only for roles that may see it)
+     */
+    function renderAuditLog() {
+        if (!AdminCore.can(AdminPermissions.Permission.VIEW_AUDIT_LOG)) return;
+        
+        const tbody = document.getElementById('auditTableBody');
+        if (!tbody) return;
+        
+        const actionSelect = document.getElementById('filterAuditAction');
+        if (actionSelect && actionSelect.options.length <= 1) {
+            actionSelect.innerHTML = '<option value="">All</option>' + Object.entries(AuditLog.ACTION_LABELS)
+                .map(([action, label]) => `<option value="${action}">${label}</option>`)
+                .join('');
+        }
+        
+        const rows = AuditLog.query(auditFilters);
+        const countLabel = document.getElementById('auditCountLabel');
+        if (countLabel) {
+            countLabel.textContent = rows.length > AUDIT_TABLE_LIMIT
+                ? `Showing latest ${AUDIT_TABLE_LIMIT} of ${rows.length.toLocaleString()}`
+                : `${rows.length.toLocaleString()} entries`;
+        }
+        
+        if (rows.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="6" class="text-center text-muted">No audit entries</td></tr>';
+            return;
+        }
+        
+        tbody.innerHTML = rows.slice(0, AUDIT_TABLE_LIMIT).map(e => `
+            <tr>
+                <td style="font-size:0.8rem;white-space:nowrap">${AdminCore.formatBrazilDateTime(new Date(e.timestamp))}</td>
+                <td><strong>${AdminCore.escapeHtml(e.user)}</strong>${e.role ? ` <span class="badge badge-gray">${AdminPermissions.getRoleLabel(e.role)}</span>` : ''}</td>
+                <td><span class="badge badge-info">${AuditLog.getActionLabel(e.action)}</span></td>
+                <td class="audit-payload">${AdminCore.escapeHtml(JSON.stringify(e.payload))}</td>
+                <td style="font-size:0.7rem" title="${e.payloadHash}"><code>${e.payloadHash.substring(0, 12)}</code></td>
+                <td style="font-size:0.8rem">#${e.seq}</td>
+            </tr>
+        `).join('');
+    }
+    
+    /**
+     * Check the server's audit hash chain and show the result
+     */
+    async function verifyAuditLog() {
+        const badge = document.getElementById('auditChainStatus');
+        let result;
+        try {
+            result = await AuditLog.verify();
+        } catch (error) {
+            AdminCore.showToast(`Could not check the audit log: ${error.message}`, 'error');
+            return;
+        }
+        if (badge) {
+            badge.className = `badge badge-${result.ok ? 'success' : 'danger'}`;
+            badge.textContent = result.ok
+                ? `🔒 Chain intact (${result.checked})`
+                : `⚠️ Chain broken at #${result.brokenAt}`;
+        }
+        if (!result.ok) {
+            AdminCore.showToast(`Audit log was modified at entry #${result.brokenAt}`, 'error');
+        }
+    }
+    
+    /**
+     * Download the filtered audit log as JSON
+     */
+    async function exportAuditLog() {
+        try {
+            const count = await AuditLog.exportJSON({ ...auditFilters });
+            AdminCore.showToast(`${count} audit entries exported`, 'success');
+        } catch (error) {
+            AdminCore.showToast(error.message, 'error');
+        }
+    }
+
+    // ============================================
+    // MATCHING DIFF REPORT
+    // ============================================
+    
+    let matchingDiffReport = null;
+    
+    /**
+     * Build and show the report of tickets where the two legacy matchers disagreed
+     */
+    function showMatchingDiff() {
+        const container = document.getElementById('matchingDiffContent');
+        if (!container) return;
+        
+        matchingDiffReport = MatchingDiff.buildReport(currentData.allEntries, currentData.allRecharges);
+        const { totals, rows } = matchingDiffReport;
+        
+        const summaryHtml = `<div class="status-banner ${rows.length > 0 ? 'warning' : 'success'} mb-4">
+            <span class="status-banner-icon">${rows.length > 0 ? '⚠️' : '✅'}</span>
+            <span class="status-banner-text">
+                <strong>${totals.disagreements.toLocaleString()}</strong> of ${totals.tickets.toLocaleString()} tickets disagree
+                (${totals.status.toLocaleString()} on status, ${totals.recharge.toLocaleString()} on bound recharge)
+            </span>
+        </div>`;
+        
+        const statusCell = (side) => `<span class="badge badge-${side.status === 'VALID' ? 'success' : 'danger'}">${side.status}</span>`
+            + (side.rechargeId ? `<br><span class="text-muted" style="font-size:0.65rem" title="${side.rechargeId}">${side.rechargeId.substring(0, 12)}...</span>` : '');
+        
+        const displayRows = rows.slice(0, 200);
+        const tableHtml = rows.length === 0 ? '' : `
+            <div class="table-container">
+                <table class="table">
+                    <thead>
+                        <tr>
+                            <th>Game ID</th>
+                            <th>Registered</th>
+                            <th>Draw Date</th>
+                            <th>CSV</th>
+                            <th>Validator</th>
+                            <th>Brute Force</th>
+                            <th>Engine</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${displayRows.map(r => `
+                            <tr>
+                                <td><strong>${r.gameId}</strong></td>
+                                <td style="font-size:0.75rem">${r.timestamp}</td>
+                                <td style="font-size:0.75rem">${formatDrawDate(r.drawDate)}</td>
+                                <td style="font-size:0.75rem">${r.sourceStatus || '-'}</td>
+                                <td>${statusCell(r.validator)}</td>
+                                <td>${statusCell(r.bruteForce)}</td>
+                                <td>${r.engine ? statusCell(r.engine) : '-'}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+            ${rows.length > 200 ? `<p class="text-muted text-center mt-2">Showing 200 of ${rows.length} - export for the full list</p>` : ''}
+        `;
+        
+        container.innerHTML = summaryHtml + tableHtml;
+        AdminCore.openModal('matchingDiffModal');
+    }
+    
+    /**
+     * Download the last matching diff report
+     * @param {string} format - 'json' or 'csv'
+     */
+    function exportMatchingDiff(format) {
+        if (!matchingDiffReport) {
+            AdminCore.showToast('Open the diff report first', 'warning');
+            return;
+        }
+        
+        const isJson = format === 'json';
+        const content = isJson ? JSON.stringify(matchingDiffReport, null, 2) : MatchingDiff.toCSV(matchingDiffReport);
+        const blob = new Blob([content], { type: isJson ? 'application/json' : 'text/csv;charset=utf-8;' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `matching_diff_${AdminCore.getBrazilDateString(new Date())}.${isJson ? 'json' : 'csv'}`;
+        link.click();
+        
+        AdminCore.showToast(`${matchingDiffReport.rows.length} disagreements exported`, 'success');
+    }
+
+    // ============================================
+    // OFFLINE FILE IMPORT
+    // ============================================
+    
+    /**
+     * Import slots for "Load from files" mode
+     * Each slot maps a data source key to the parser its fetcher uses,
+     * so a dropped file can be checked before it replaces the live source
+     */
+    const IMPORT_SLOTS = {
+        entries: {
+            label: 'Entries',
+            parse: row => (row.length >= 9 && row[2]) ? DataFetcher.parseEntryRow(row) : null
+        },
+        recharges: {
+            label: 'Recharges',
+            parse: row => DataFetcher.parseRechargeRow(row)
+        },
+        results: {
+            label: 'Results',
+            parse: row => ResultsFetcher.parseResultRow(row)
+        }
+    };
+    
+    let pendingImports = {}; // source key -> { fileName, text, validRows, totalRows }
+    
+    /**
+     * Read a dropped/selected CSV file and check it against its slot parser
+     * @param {string} key - Import slot key (entries, recharges, results)
+     * @param {File} file - CSV file
+     */
+    async function handleImportFile(key, file) {
+        const slot = IMPORT_SLOTS[key];
+        if (!slot || !file) return;
+        
+        try {
+            const text = await file.text();
+            const { rows } = DataSources.csvTextToRows(text);
+            const validRows = rows.filter(row => slot.parse(row) !== null).length;
             
-            const tierCounts = [];
-            for (let tier = 5; tier >= 3; tier--) {
-                const count = contest.byTier[tier]?.filter(w => w.isValidEntry).length || 0;
-                if (count > 0) {
-                    const emoji = tier === 5 ? '🏆' : tier === 4 ? '🥈' : '🥉';
-                    tierCounts.push(`<span class="badge badge-${tier === 5 ? 'warning' : tier === 4 ? 'info' : 'success'}">${emoji} ${tier}: ${count}</span>`);
-                }
+            if (validRows === 0) {
+                AdminCore.showToast(`${file.name}: no valid ${slot.label.toLowerCase()} rows found`, 'error');
+                return;
             }
             
-            let prizeInfo = '';
-            if (contest.winningTier > 0 && contest.prizePerWinner > 0) {
-                const winnerCount = contest.byTier[contest.winningTier]?.filter(w => w.isValidEntry).length || 0;
-                prizeInfo = `<div class="text-success mt-2" style="font-size:0.8rem">💰 R$ ${contest.prizePerWinner.toFixed(2)} per winner</div>`;
+            pendingImports[key] = { fileName: file.name, text, validRows, totalRows: rows.length };
+            renderImportSlots();
+        } catch (error) {
+            console.error('UnifiedPage: Error reading import file:', error);
+            AdminCore.showToast(`Could not read ${file.name}: ${error.message}`, 'error');
+        }
+    }
+    
+    /**
+     * Render the status line of each drop zone in the import modal
+     */
+    function renderImportSlots() {
+        Object.entries(IMPORT_SLOTS).forEach(([key, slot]) => {
+            const zone = document.querySelector(`.import-dropzone[data-source="${key}"]`);
+            if (!zone) return;
+            
+            const pending = pendingImports[key];
+            const statusEl = zone.querySelector('.import-status');
+            zone.classList.toggle('loaded', !!pending);
+            if (statusEl) {
+                statusEl.innerHTML = pending
+                    ? `<strong>${AdminCore.escapeHtml(pending.fileName)}</strong><br>${pending.validRows.toLocaleString()} of ${pending.totalRows.toLocaleString()} rows valid`
+                    : `Drop ${slot.label.toLowerCase()} CSV or click to choose`;
             }
-            
-            return `
-                <div class="card">
-                    <div class="card-header">
-                        <strong>Contest #${contest.contest}</strong>
-                        <span class="text-muted">${contest.drawDate}</span>
-                    </div>
-                    <div class="card-body">
-                        <div class="numbers-display mb-2" style="justify-content:center">${numbersHtml}</div>
-                        <div class="text-center">
-                            ${tierCounts.length > 0 ? tierCounts.join(' ') : '<span class="text-muted">No winners</span>'}
-                            ${prizeInfo}
-                        </div>
-                    </div>
-                </div>
-            `;
-        }).join('');
+        });
+        
+        const loadBtn = document.getElementById('btnApplyImport');
+        if (loadBtn) loadBtn.disabled = Object.keys(pendingImports).length === 0;
     }
-
-    function applyWinnersFilters() {
-        let result = [...allWinners];
+    
+    /**
+     * Show which sources are currently served from files in the topbar
+     */
+    function renderImportIndicator() {
+        const indicator = document.getElementById('importIndicator');
+        if (!indicator) return;
         
-        if (winnersFilters.contest) {
-            result = result.filter(w => w.contest === winnersFilters.contest);
-        }
-        if (winnersFilters.prizeLevel !== 'all') {
-            const level = parseInt(winnersFilters.prizeLevel);
-            result = result.filter(w => w.matches === level);
+        const localKeys = DataSources.getLocalFileKeys();
+        if (localKeys.length === 0) {
+            indicator.style.display = 'none';
+            return;
         }
         
-        filteredWinners = result;
-        renderWinnersTable();
+        const names = localKeys.map(key => DataSources.get(key).describe().label);
+        indicator.title = names.join(', ');
+        indicator.querySelector('.import-indicator-text').textContent = `Files: ${localKeys.map(k => IMPORT_SLOTS[k]?.label || k).join(', ')}`;
+        indicator.style.display = 'flex';
     }
-
-    function renderWinnersTable() {
-        const tbody = document.getElementById('winnersTableBody');
-        if (!tbody) return;
-        
-        if (filteredWinners.length === 0) {
-            tbody.innerHTML = '<tr><td colspan="6" class="text-center text-muted">No winners found</td></tr>';
+    
+    /**
+     * Drop fetcher caches so the next load goes through the current sources
+     */
+    function resetLoadedData() {
+        DataFetcher.clearCache();
+        ResultsFetcher.clearCache();
+    }
+    
+    /**
+     * Switch the selected sources to the dropped files and reload everything.
+     * Sources without a file keep their current (live) definition.
+     */
+    async function applyFileImport() {
+        const keys = Object.keys(pendingImports);
+        if (keys.length === 0) {
+            AdminCore.showToast('Choose at least one CSV file', 'warning');
             return;
         }
         
-        const displayWinners = filteredWinners.slice(0, 100);
+        keys.forEach(key => {
+            const pending = pendingImports[key];
+            DataSources.configure(key, {
+                type: DataSources.SourceType.LOCAL_FILE,
+                label: pending.fileName,
+                text: pending.text
+            });
+        });
         
-        tbody.innerHTML = displayWinners.map(winner => {
-            let matchBadge = '';
-            switch (winner.matches) {
-                case 5: matchBadge = '<span class="badge" style="background:#fbbf24;color:#000">🏆 5</span>'; break;
-                case 4: matchBadge = '<span class="badge" style="background:#9ca3af;color:#000">🥈 4</span>'; break;
-                case 3: matchBadge = '<span class="badge" style="background:#d97706;color:#fff">🥉 3</span>'; break;
-                default: matchBadge = `<span class="badge badge-info">${winner.matches}</span>`;
-            }
-            
-            const matchedSet = new Set(winner.matchedNumbers || []);
-            const numbersHtml = winner.numbers.map(n => {
-                const isMatched = matchedSet.has(n);
-                const colorClass = AdminCore.getBallColorClass(n);
-                return `<span class="number-badge ${colorClass} ${isMatched ? 'match' : ''}" style="width:22px;height:22px;font-size:0.6rem">${String(n).padStart(2,'0')}</span>`;
-            }).join('');
+        // Archived exports never change - polling them only re-renders the same data
+        AdminCore.stopAutoRefresh();
+        resetLoadedData();
+        AdminCore.closeModal('importModal');
+        renderImportIndicator();
+        
+        await loadAllData(true);
+        AdminCore.showToast(`Loaded ${keys.map(k => IMPORT_SLOTS[k].label.toLowerCase()).join(', ')} from files`, 'success');
+    }
+    
+    /**
+     * Leave file mode and go back to the live sources
+     */
+    async function exitFileImport() {
+        const localKeys = DataSources.getLocalFileKeys();
+        if (localKeys.length === 0) return;
+        
+        DataSources.reset(localKeys);
+        pendingImports = {};
+        renderImportSlots();
+        renderImportIndicator();
+        resetLoadedData();
+        AdminCore.closeModal('importModal');
+        AdminCore.startAutoRefresh();
+        
+        await loadAllData(true);
+        AdminCore.showToast('Back to live data', 'success');
+    }
+    
+    /**
+     * Wire drag-and-drop and file pickers for the import modal
+     */
+    function bindImportEvents() {
+        document.getElementById('loadFilesBtn')?.addEventListener('click', () => {
+            renderImportSlots();
+            AdminCore.openModal('importModal');
+        });
+        document.getElementById('importIndicator')?.addEventListener('click', () => {
+            renderImportSlots();
+            AdminCore.openModal('importModal');
+        });
+        
+        document.querySelectorAll('.import-dropzone').forEach(zone => {
+            const key = zone.dataset.source;
+            const input = zone.querySelector('input[type="file"]');
             
-            const matchedHtml = (winner.matchedNumbers || []).map(n => {
-                const colorClass = AdminCore.getBallColorClass(n);
-                return `<span class="number-badge ${colorClass}" style="width:22px;height:22px;font-size:0.6rem">${String(n).padStart(2,'0')}</span>`;
-            }).join('');
+            zone.addEventListener('click', () => input?.click());
+            input?.addEventListener('change', () => {
+                if (input.files[0]) handleImportFile(key, input.files[0]);
+                input.value = '';
+            });
             
-            return `
-                <tr>
-                    <td>${matchBadge}</td>
-                    <td><strong>${winner.gameId}</strong></td>
-                    <td><div class="numbers-display">${numbersHtml}</div></td>
-                    <td><div class="numbers-display">${matchedHtml}</div></td>
-                    <td>${winner.contest}</td>
-                    <td>${winner.drawDate}</td>
-                </tr>
-            `;
-        }).join('');
+            zone.addEventListener('dragover', (e) => {
+                e.preventDefault();
+                zone.classList.add('dragover');
+            });
+            zone.addEventListener('dragleave', () => zone.classList.remove('dragover'));
+            zone.addEventListener('drop', (e) => {
+                e.preventDefault();
+                zone.classList.remove('dragover');
+                const file = e.dataTransfer?.files?.[0];
+                if (file) handleImportFile(key, file);
+            });
+        });
         
-        if (filteredWinners.length > 100) {
-            tbody.innerHTML += `<tr><td colspan="6" class="text-center text-muted">Showing 100 of ${filteredWinners.length} winners</td></tr>`;
+        document.getElementById('btnApplyImport')?.addEventListener('click', applyFileImport);
+        document.getElementById('btnExitImport')?.addEventListener('click', exitFileImport);
+    }
+
+    // ============================================
+    // EXPORTS
+    // ============================================
+    
+    /**
+     * Columns offered when exporting entries (ExportService column specs)
+     */
+    const ENTRY_EXPORT_COLUMNS = [
+        { key: 'status', label: 'Status', value: e => getEntryStatus(e) },
+        { key: 'riskScore', label: 'Risk Score', type: ExportService.ColumnType.NUMBER, value: e => FraudDetector.getTicketRisk(e)?.score || 0 },
+        { key: 'timestamp', label: 'Date/Time' },
+        { key: 'platform', label: 'Platform' },
+        { key: 'gameId', label: 'Game ID' },
+        { key: 'whatsapp', label: 'WhatsApp', pii: true },
+        { key: 'numbers', label: 'Numbers' },
+        { key: 'contest', label: 'Contest' },
+        { key: 'ticketNumber', label: 'Ticket #' },
+        { key: 'drawDate', label: 'Draw Date', default: false },
+        { key: 'reason', label: 'Status Reason', default: false, value: e => PlayerProfile.getTicketStatus(e).reason },
+        { key: 'rechargeId', label: 'Bound Recharge ID', default: false, value: e => getMatchOutcome(e)?.matchedRecharge?.rechargeId || '' },
+        { key: 'rechargeAmount', label: 'Recharge Amount', default: false, type: ExportService.ColumnType.MONEY, value: e => getMatchOutcome(e)?.matchedRecharge?.amount ?? '' },
+        { key: 'override', label: 'Override', default: false, value: e => { const o = StatusOverrides.get(e); return o ? StatusOverrides.describe(o) : ''; } },
+        { key: 'riskFlags', label: 'Risk Flags', default: false, value: e => (FraudDetector.getTicketRisk(e)?.flags || []).map(f => f.message).join('; ') }
+    ];
+    
+    /**
+     * Columns offered when exporting winners
+     */
+    const WINNER_EXPORT_COLUMNS = [
+        { key: 'matches', label: 'Matches', type: ExportService.ColumnType.NUMBER },
+        { key: 'gameId', label: 'Game ID' },
+        { key: 'numbers', label: 'Numbers' },
+        { key: 'matchedNumbers', label: 'Matched Numbers', value: w => w.matchedNumbers || [] },
+        { key: 'prize', label: 'Prize', type: ExportService.ColumnType.MONEY },
+        { key: 'prizeFromRollover', label: 'From Rollover', type: ExportService.ColumnType.MONEY },
+        { key: 'drawDate', label: 'Draw Date' },
+        { key: 'contest', label: 'Contest' },
+        { key: 'platform', label: 'Platform', default: false },
+        { key: 'ticketNumber', label: 'Ticket #', default: false },
+        { key: 'timestamp', label: 'Registered At', default: false },
+        { key: 'whatsapp', label: 'WhatsApp', pii: true, default: false }
+    ];
+    
+    let pendingExport = null; // { dataset, title, rows, columns, fileName, note, onExported(file) }
+    
+    /**
+     * How WhatsApp numbers left in an export
+     * @param {Object} file - ExportService.build() output
+     * @returns {string} full, masked or omitted
+     */
+    function getWhatsAppExportMode(file) {
+        if (!file.columns.includes('whatsapp')) return 'omitted';
+        return file.masked.includes('whatsapp') ? 'masked' : 'full';
+    }
+    
+    /**
+     * Open the export modal: format and column chooser
+     * @param {Object} request - { dataset, title, rows, columns, fileName, note, onExported(file) }
+     */
+    function showExportModal(request) {
+        const content = document.getElementById('exportModalContent');
+        if (!content) return;
+        
+        pendingExport = request;
+        const chosen = new Set(ExportService.getSavedColumns(request.dataset, request.columns));
+        const unmasked = ExportService.canExportPII();
+        const hasPII = request.columns.some(c => c.pii);
+        
+        document.getElementById('exportModalTitle').textContent = `📥 Export ${request.title}`;
+        content.innerHTML = `
+            <p class="text-muted mb-2">${request.rows.length.toLocaleString()} rows · current filters and platform (${AdminCore.escapeHtml(AdminCore.getCurrentPlatform())})</p>
+            ${request.note ? `<p class="text-warning mb-2">${AdminCore.escapeHtml(request.note)}</p>` : ''}
+            <div class="form-group">
+                <label for="exportFormat">Format</label>
+                <select id="exportFormat" class="form-select">
+                    ${Object.values(ExportService.Format).map(f => `<option value="${f}">${ExportService.FORMAT_LABELS[f]}</option>`).join('')}
+                </select>
+            </div>
+            <div class="form-group">
+                <label>Columns</label>
+                <div class="export-columns">
+                    ${request.columns.map(c => `
+                        <label class="export-column">
+                            <input type="checkbox" data-export-column="${c.key}" ${chosen.has(c.key) ? 'checked' : ''}>
+                            ${AdminCore.escapeHtml(c.label)}${c.pii && !unmasked ? ' 🔒' : ''}
+                        </label>
+                    `).join('')}
+                </div>
+            </div>
+            ${hasPII && !unmasked ? '<p class="text-muted">🔒 Your role exports contact data masked (last 4 digits only)</p>' : ''}
+        `;
+        
+        AdminCore.openModal('exportModal');
+    }
+    
+    /**
+     * Build and download the export chosen in the modal
+     */
+    function runExport() {
+        if (!pendingExport) return;
+        
+        const keys = [...document.querySelectorAll('#exportModalContent [data-export-column]')]
+            .filter(input => input.checked)
+            .map(input => input.dataset.exportColumn);
+        const format = document.getElementById('exportFormat')?.value || ExportService.Format.CSV;
+        
+        try {
+            const file = ExportService.build({
+                name: pendingExport.fileName,
+                rows: pendingExport.rows,
+                columns: pendingExport.columns,
+                keys,
+                format,
+                sheetName: pendingExport.title
+            });
+            ExportService.saveColumns(pendingExport.dataset, keys);
+            ExportService.download(file);
+            
+            pendingExport.onExported(file);
+            pendingExport = null;
+            AdminCore.closeModal('exportModal');
+        } catch (error) {
+            console.error('UnifiedPage: Error exporting:', error);
+            AdminCore.showToast(error.message, 'error');
         }
     }
 
-    function exportWinnersCSV() {
-        if (filteredWinners.length === 0) {
-            AdminCore.showToast('No winners to export', 'warning');
-            return;
+    // ============================================
+    // REPORTS
+    // ============================================
+    
+    const REPORT_CONTEST_LIMIT = 60;
+    let reportManifest = null; // manifest of a report loaded to be reproduced
+    
+    /**
+     * Open the report modal with today's defaults (or a loaded report's parameters)
+     * @param {Object} params - Parameters to prefill (from a report manifest)
+     */
+    function showReportModal(params = null) {
+        const content = document.getElementById('reportModalContent');
+        if (!content) return;
+        
+        const today = AdminCore.getBrazilDateString(new Date());
+        const values = {
+            scope: ReportGenerator.Scope.DAY,
+            date: today,
+            from: DrawCalendar.addDays(today, -6),
+            to: today,
+            contest: '',
+            platform: AdminCore.getCurrentPlatform(),
+            ...(params || {})
+        };
+        const contests = PickAnalytics.getContests(currentData.allEntries, currentData.results).slice(0, REPORT_CONTEST_LIMIT);
+        if (values.contest && !contests.some(c => c.contest === String(values.contest))) {
+            contests.unshift({ contest: String(values.contest), drawDate: '', hasResult: false });
         }
+        const option = (value, label, selected) => `<option value="${AdminCore.escapeHtml(value)}" ${selected ? 'selected' : ''}>${AdminCore.escapeHtml(label)}</option>`;
+        
+        content.innerHTML = `
+            <p class="text-muted mb-2">A single HTML file with totals, validation, winners, top entrants and charts. Open it and use Print to save a PDF.</p>
+            <div class="d-flex gap-3">
+                <div class="form-group" style="flex: 1;">
+                    <label for="reportScope">Report</label>
+                    <select id="reportScope" class="form-select">
+                        ${option(ReportGenerator.Scope.DAY, 'Daily summary', values.scope === ReportGenerator.Scope.DAY)}
+                        ${option(ReportGenerator.Scope.RANGE, 'Date range', values.scope === ReportGenerator.Scope.RANGE)}
+                        ${option(ReportGenerator.Scope.CONTEST, 'Contest', values.scope === ReportGenerator.Scope.CONTEST)}
+                    </select>
+                </div>
+                <div class="form-group" style="flex: 1;">
+                    <label for="reportPlatform">Platform</label>
+                    <select id="reportPlatform" class="form-select">
+                        ${AdminCore.PLATFORMS.map(p => option(p, p === 'ALL' ? 'All platforms' : p, p === values.platform)).join('')}
+                    </select>
+                </div>
+            </div>
+            <div class="form-group" data-report-scope="${ReportGenerator.Scope.DAY}">
+                <label for="reportDate">Day</label>
+                <input type="date" id="reportDate" class="form-input" value="${AdminCore.escapeHtml(values.date || today)}">
+            </div>
+            <div class="d-flex gap-3" data-report-scope="${ReportGenerator.Scope.RANGE}">
+                <div class="form-group" style="flex: 1;">
+                    <label for="reportFrom">From</label>
+                    <input type="date" id="reportFrom" class="form-input" value="${AdminCore.escapeHtml(values.from || today)}">
+                </div>
+                <div class="form-group" style="flex: 1;">
+                    <label for="reportTo">To</label>
+                    <input type="date" id="reportTo" class="form-input" value="${AdminCore.escapeHtml(values.to || today)}">
+                </div>
+            </div>
+            <div class="form-group" data-report-scope="${ReportGenerator.Scope.CONTEST}">
+                <label for="reportContest">Contest</label>
+                <select id="reportContest" class="form-select">
+                    ${contests.length === 0 ? '<option value="">No contests loaded</option>' : contests.map(c =>
+                        option(c.contest, `#${c.contest}${c.drawDate ? ` · ${formatDrawDate(c.drawDate)}` : ''}${c.hasResult ? '' : ' (not drawn)'}`, c.contest === String(values.contest))
+                    ).join('')}
+                </select>
+            </div>
+            <div class="form-group">
+                <label for="reportReproduceFile">Reproduce a report (load its data files first)</label>
+                <input type="file" id="reportReproduceFile" class="form-input" accept=".html,text/html">
+            </div>
+            <div id="reportReproduceStatus"></div>
+        `;
         
-        const headers = ['Matches', 'Game ID', 'Numbers', 'Matched Numbers', 'Draw Date', 'Contest'];
-        const rows = filteredWinners.map(w => [
-            w.matches,
-            w.gameId,
-            w.numbers.join(', '),
-            (w.matchedNumbers || []).join(', '),
-            w.drawDate,
-            w.contest
-        ].map(v => `"${String(v).replace(/"/g, '""')}"`).join(','));
+        const scopeSelect = document.getElementById('reportScope');
+        const toggleScope = () => {
+            content.querySelectorAll('[data-report-scope]').forEach(el => {
+                el.style.display = el.dataset.reportScope === scopeSelect.value ? '' : 'none';
+            });
+        };
+        scopeSelect.addEventListener('change', toggleScope);
+        toggleScope();
         
-        const csv = [headers.join(','), ...rows].join('\n');
-        const blob = new Blob([csv], { type: 'text/csv' });
-        const link = document.createElement('a');
-        link.href = URL.createObjectURL(blob);
-        link.download = `winners_${AdminCore.getBrazilDateString(new Date())}.csv`;
-        link.click();
+        document.getElementById('reportReproduceFile')?.addEventListener('change', (e) => {
+            if (e.target.files[0]) loadReportForReproduction(e.target.files[0]);
+        });
+        
+        AdminCore.openModal('reportModal');
+    }
+    
+    /**
+     * Read a generated report and prefill the form with its parameters
+     * @param {File} file - Report HTML file
+     */
+    async function loadReportForReproduction(file) {
+        try {
+            const manifest = ReportGenerator.readManifest(await file.text());
+            if (!manifest) {
+                AdminCore.showToast(`${file.name} is not a generated report`, 'error');
+                return;
+            }
+            
+            const check = await ReportGenerator.checkManifest(manifest);
+            showReportModal(manifest.params);
+            reportManifest = manifest;
+            
+            const lines = [
+                check.dataMatches ? '✅ Loaded data matches the report' : '⚠️ Loaded data differs from the report - load its files (📂) first',
+                check.settingsMatches ? '✅ Overrides, prize pools, prize rules and draw calendar match' : '⚠️ Overrides, prize pools, prize rules or draw calendar changed since the report'
+            ];
+            const status = document.getElementById('reportReproduceStatus');
+            if (status) {
+                status.innerHTML = `
+                    <div class="text-muted mb-2">Report of ${AdminCore.escapeHtml(AdminCore.formatBrazilDateTime(new Date(manifest.generatedAt)))} · sources: ${manifest.sources.map(s => AdminCore.escapeHtml(s.label)).join(', ')}</div>
+                    <ul class="mb-2">${lines.map(line => `<li>${line}</li>`).join('')}</ul>
+                `;
+            }
+        } catch (error) {
+            console.error('UnifiedPage: Error reading report:', error);
+            AdminCore.showToast(`Could not read ${file.name}: ${error.message}`, 'error');
+        }
+    }
+    
+    /**
+     * Generate the report described by the modal form and download it
+     */
+    async function generateReport() {
+        const button = document.getElementById('btnGenerateReport');
+        const params = {
+            scope: document.getElementById('reportScope')?.value,
+            platform: document.getElementById('reportPlatform')?.value || 'ALL'
+        };
+        if (params.scope === ReportGenerator.Scope.DAY) params.date = document.getElementById('reportDate')?.value;
+        if (params.scope === ReportGenerator.Scope.RANGE) {
+            params.from = document.getElementById('reportFrom')?.value;
+            params.to = document.getElementById('reportTo')?.value;
+        }
+        if (params.scope === ReportGenerator.Scope.CONTEST) params.contest = document.getElementById('reportContest')?.value;
         
-        AdminCore.showToast(`${filteredWinners.length} winners exported`, 'success');
+        if (button) button.disabled = true;
+        try {
+            const { html, manifest, fileName } = await ReportGenerator.generate(params);
+            
+            const blob = new Blob([html], { type: 'text/html;charset=utf-8;' });
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(blob);
+            link.download = fileName;
+            link.click();
+            
+            const reproduced = reportManifest ? reportManifest.fingerprints : null;
+            AuditLog.record(AuditLog.Action.EXPORT_REPORT, {
+                ...manifest.params,
+                fingerprints: manifest.fingerprints,
+                reproducedFrom: reproduced ? reportManifest.generatedAt : null,
+                identical: reproduced
+                    ? reproduced.data === manifest.fingerprints.data && reproduced.settings === manifest.fingerprints.settings
+                    : null
+            });
+            reportManifest = null;
+            AdminCore.closeModal('reportModal');
+            AdminCore.showToast(`Report saved as ${fileName}`, 'success');
+        } catch (error) {
+            console.error('UnifiedPage: Error generating report:', error);
+            AdminCore.showToast(error.message, 'error');
+        } finally {
+            if (button) button.disabled = false;
+        }
     }
 
     // ============================================
@@ -1609,10 +3616,21 @@ window.UnifiedPage = (function() {
             currentData.allRecharges = DataStore.getAllRecharges(); // For validation across all platforms
             currentData.results = DataStore.getResults();
             
-            // Validate only the platform-filtered entries (using ALL recharges for validation lookup)
-            // Skip cache when platform is not ALL, since cached results are for all entries
-            const skipCache = platform !== 'ALL';
-            currentData.validationResults = await RechargeValidator.validateAllTickets(currentData.entries, currentData.allRecharges, skipCache);
+            // Official results re-anchor contest numbering before any consistency check
+            ContestNumbering.reanchorFromResults(currentData.results);
+            
+            // Match ALL entries against ALL recharges so bindings never depend on the
+            // selected platform, then scope the results to the current platform
+            const validation = await RechargeValidator.validateAllTickets(currentData.allEntries, currentData.allRecharges);
+            DataStore.saveOutcomes(validation);
+            const platformResults = platform === 'ALL'
+                ? validation.results
+                : validation.results.filter(v => (v.ticket.platform || 'POPN1').toUpperCase() === platform);
+            currentData.validationResults = {
+                ...validation,
+                results: platformResults,
+                stats: MatchingEngine.summarize(platformResults)
+            };
             
             console.log('UnifiedPage: Data loaded -', currentData.entries.length, 'entries,', currentData.recharges.length, 'recharges for platform:', platform);
             console.log('UnifiedPage: Total recharges (all platforms):', currentData.allRecharges.length);
@@ -1629,21 +3647,53 @@ window.UnifiedPage = (function() {
                 })));
             }
             
-            // BRUTE FORCE: Match recharges ONCE when data is loaded
-            bruteForceMatchRecharges();
+            // Risk flags use the fresh bindings (MIN_RECHARGE_SCALE)
+            analyzeRisk();
             
             // Render all sections
             renderDashboard();
             renderEntries();
             renderResults();
+            renderPicks();
             renderWinners();
+            updateJackpots();
+            renderAnalytics();
+            syncPayouts();
+            verifyResults();
+            
+            // A profile link opens once the data is there; an open profile follows the refresh
+            const linkedGameId = PlayerProfile.parseHash(window.location.hash);
+            if (linkedGameId) showPlayerProfile(linkedGameId, { audit: !profileGameId });
             
         } catch (error) {
+            // Superseded run (platform switched) - the new run renders instead
+            if (error.cancelled) return;
             console.error('UnifiedPage: Error loading data:', error);
             AdminCore.showToast('Error loading data: ' + error.message, 'error');
         }
     }
 
+    /**
+     * Render the stored snapshot before validation has run
+     * Statuses come from stored outcomes (see getEntryStatus); winners wait
+     * for the network load.
+     */
+    function renderSnapshot() {
+        const platform = AdminCore.getCurrentPlatform();
+        currentData.entries = DataStore.getEntries(platform);
+        currentData.allEntries = DataStore.getAllEntries();
+        currentData.recharges = DataStore.getRecharges(platform);
+        currentData.allRecharges = DataStore.getAllRecharges();
+        currentData.results = DataStore.getResults();
+        currentData.validationResults = null;
+        
+        ContestNumbering.reanchorFromResults(currentData.results);
+        
+        renderDashboard();
+        renderEntries();
+        renderResults();
+    }
+
     // ============================================
     // EVENT BINDING
     // ============================================
@@ -1663,18 +3713,51 @@ window.UnifiedPage = (function() {
         document.getElementById('filterWhatsapp')?.addEventListener('input', (e) => { entriesFilters.whatsapp = e.target.value; debouncedEntriesFilter(); });
         document.getElementById('filterContest')?.addEventListener('change', (e) => { entriesFilters.contest = e.target.value; applyEntriesFilters(); });
         document.getElementById('filterValidity')?.addEventListener('change', (e) => { entriesFilters.validity = e.target.value; applyEntriesFilters(); });
+        document.getElementById('filterConsistency')?.addEventListener('change', (e) => { entriesFilters.consistency = e.target.value; applyEntriesFilters(); });
+        document.getElementById('filterRisk')?.addEventListener('change', (e) => { entriesFilters.risk = e.target.value; applyEntriesFilters(); });
+        document.getElementById('filterArrival')?.addEventListener('change', (e) => { entriesFilters.arrival = e.target.value; applyEntriesFilters(); });
         document.getElementById('sortBy')?.addEventListener('change', (e) => { sortBy = e.target.value; applyEntriesFilters(); });
         document.getElementById('btnClearFilters')?.addEventListener('click', () => {
-            entriesFilters = { gameId: '', whatsapp: '', contest: '', validity: 'all' };
+            entriesFilters = { gameId: '', whatsapp: '', contest: '', validity: 'all', consistency: 'all', risk: 'all', arrival: 'all' };
             sortBy = 'date-desc';
             document.getElementById('filterGameId').value = '';
             document.getElementById('filterWhatsapp').value = '';
             document.getElementById('filterContest').value = '';
             document.getElementById('filterValidity').value = 'all';
+            document.getElementById('filterConsistency').value = 'all';
+            document.getElementById('filterRisk').value = 'all';
+            document.getElementById('filterArrival').value = 'all';
             document.getElementById('sortBy').value = 'date-desc';
             applyEntriesFilters();
         });
-        document.getElementById('btnExportCSV')?.addEventListener('click', exportEntriesCSV);
+        document.getElementById('btnExportCSV')?.addEventListener('click', exportEntries);
+        document.getElementById('btnMatchingDiff')?.addEventListener('click', showMatchingDiff);
+        document.getElementById('btnExportDiffJSON')?.addEventListener('click', () => exportMatchingDiff('json'));
+        document.getElementById('btnExportDiffCSV')?.addEventListener('click', () => exportMatchingDiff('csv'));
+        document.getElementById('btnExportTrace')?.addEventListener('click', exportTicketTrace);
+        
+        // Review queue
+        document.getElementById('filterRiskStatus')?.addEventListener('change', (e) => { riskFilters.status = e.target.value; renderRiskQueue(); });
+        document.getElementById('filterRiskRule')?.addEventListener('change', (e) => { riskFilters.rule = e.target.value; renderRiskQueue(); });
+        document.getElementById('btnSaveRiskReview')?.addEventListener('click', saveRiskReview);
+        document.getElementById('riskQueueBody')?.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-risk-id]');
+            if (button) startRiskReview(button.dataset.riskId, button.dataset.riskDecision);
+        });
+        
+        // Player profile - any Game ID cell opens it; the URL hash makes it linkable
+        document.addEventListener('click', (e) => {
+            const link = e.target.closest('[data-player-id]');
+            if (link) openPlayerProfile(link.dataset.playerId);
+        });
+        window.addEventListener('hashchange', syncPlayerProfileWithHash);
+        document.getElementById('btnCopyPlayerLink')?.addEventListener('click', copyPlayerLink);
+        document.getElementById('playerModal')?.addEventListener('click', (e) => {
+            const modal = e.currentTarget;
+            if (e.target === modal || e.target.closest('[data-close]')) clearPlayerHash();
+            const details = e.target.closest('button[data-ticket-key]');
+            if (details) showTicketDetails(details.dataset.ticketKey);
+        });
         document.getElementById('btnPrevPage')?.addEventListener('click', () => { if (entriesPage > 1) { entriesPage--; renderEntriesTable(); renderEntriesPagination(); } });
         document.getElementById('btnNextPage')?.addEventListener('click', () => {
             const totalPages = Math.ceil(filteredEntries.length / entriesPerPage);
@@ -1691,6 +3774,37 @@ window.UnifiedPage = (function() {
         const debouncedResultsSearch = AdminCore.debounce(renderResultsTable, 300);
         document.getElementById('searchResults')?.addEventListener('input', (e) => { resultsSearchTerm = e.target.value; debouncedResultsSearch(); });
         
+        // Picks
+        document.getElementById('pickContestSelect')?.addEventListener('change', (e) => {
+            pickContest = e.target.value;
+            renderPicks();
+        });
+        document.getElementById('btnRunLiability')?.addEventListener('click', runLiabilitySimulation);
+        
+        // Draw statistics window
+        document.getElementById('drawStatsWindow')?.addEventListener('change', (e) => {
+            drawStatsWindow = parseInt(e.target.value, 10) || null;
+            renderDrawStats();
+        });
+        
+        // Results entry
+        document.getElementById('btnEnterResult')?.addEventListener('click', showResultEntry);
+        document.getElementById('btnSubmitResult')?.addEventListener('click', () => submitResultEntry(false));
+        document.getElementById('btnMarkNoDraw')?.addEventListener('click', () => submitResultEntry(true));
+        document.getElementById('pendingResultsBody')?.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-result-id]');
+            if (button) handlePendingResultAction(button.dataset.resultId, button.dataset.resultAction);
+        });
+        
+        // Official cross-check
+        document.getElementById('btnVerifyResults')?.addEventListener('click', () => verifyResults({ manual: true }));
+        document.getElementById('btnVerificationSource')?.addEventListener('click', showVerificationSource);
+        document.getElementById('btnSaveVerification')?.addEventListener('click', saveVerification);
+        document.getElementById('verificationBody')?.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-resolve-contest]');
+            if (button) showResolveDiscrepancy(button.dataset.resolveContest);
+        });
+        
         // Winners filters
         document.getElementById('filterWinnersContest')?.addEventListener('change', (e) => { winnersFilters.contest = e.target.value; applyWinnersFilters(); });
         document.getElementById('filterWinnersPrizeLevel')?.addEventListener('change', (e) => { winnersFilters.prizeLevel = e.target.value; applyWinnersFilters(); });
@@ -1700,7 +3814,48 @@ window.UnifiedPage = (function() {
             document.getElementById('filterWinnersPrizeLevel').value = 'all';
             applyWinnersFilters();
         });
-        document.getElementById('btnExportWinnersCSV')?.addEventListener('click', exportWinnersCSV);
+        document.getElementById('btnExportWinnersCSV')?.addEventListener('click', exportWinners);
+        document.getElementById('btnEditPrizePool')?.addEventListener('click', showPrizePoolEditor);
+        document.getElementById('btnPublishJackpot')?.addEventListener('click', publishJackpot);
+        document.getElementById('btnExportAnalytics')?.addEventListener('click', exportAnalyticsCSV);
+        document.getElementById('btnSavePrizePool')?.addEventListener('click', savePrizePools);
+        
+        // Payouts
+        const debouncedPayoutSearch = AdminCore.debounce(renderPayouts, 300);
+        document.getElementById('filterPayoutStatus')?.addEventListener('change', (e) => { payoutFilters.status = e.target.value; renderPayouts(); });
+        document.getElementById('filterPayoutContest')?.addEventListener('change', (e) => { payoutFilters.contest = e.target.value; renderPayouts(); });
+        document.getElementById('payoutSearch')?.addEventListener('input', (e) => { payoutFilters.search = e.target.value; debouncedPayoutSearch(); });
+        document.getElementById('btnClearPayoutFilters')?.addEventListener('click', () => {
+            payoutFilters = { status: 'outstanding', contest: '', search: '' };
+            document.getElementById('filterPayoutStatus').value = 'outstanding';
+            document.getElementById('payoutSearch').value = '';
+            renderPayouts();
+        });
+        document.getElementById('payoutTableBody')?.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-payout-id]');
+            if (button) startPayoutAction(button.dataset.payoutId, button.dataset.payoutStatus);
+        });
+        document.getElementById('btnSavePayout')?.addEventListener('click', savePayoutAction);
+        
+        // Audit log
+        const debouncedAuditSearch = AdminCore.debounce(renderAuditLog, 300);
+        document.getElementById('auditSearch')?.addEventListener('input', (e) => { auditFilters.search = e.target.value; debouncedAuditSearch(); });
+        document.getElementById('filterAuditAction')?.addEventListener('change', (e) => { auditFilters.action = e.target.value; renderAuditLog(); });
+        document.getElementById('btnVerifyAudit')?.addEventListener('click', verifyAuditLog);
+        document.getElementById('btnExportAudit')?.addEventListener('click', exportAuditLog);
+        
+        // Offline file import
+        bindImportEvents();
+        
+        // Reports
+        document.getElementById('reportBtn')?.addEventListener('click', () => {
+            reportManifest = null;
+            showReportModal();
+        });
+        document.getElementById('btnGenerateReport')?.addEventListener('click', generateReport);
+        
+        // Export column chooser
+        document.getElementById('btnRunExport')?.addEventListener('click', runExport);
         
         // Clear cache button
         document.getElementById('clearCacheBtn')?.addEventListener('click', () => {
@@ -1721,6 +3876,8 @@ window.UnifiedPage = (function() {
         
         // Always load fresh data on init
         loadAllData(true);
+        AuditLog.whenReady().then(renderAuditLog);
+        PayoutLedger.whenReady().then(renderPayouts);
         
         isInitialized = true;
     }
@@ -1733,17 +3890,126 @@ window.UnifiedPage = (function() {
         });
         
         AdminCore.on('dataStoreReady', ({ fromCache }) => {
+            // Stored snapshot - show it while the network load runs
+            if (fromCache) {
+                renderSnapshot();
+                return;
+            }
             // Only reload if data came from network (not cache)
-            if (!fromCache && isInitialized) {
+            if (isInitialized) {
                 console.log('UnifiedPage: Fresh data ready, re-rendering');
                 loadAllData(false); // Don't force refresh again, just re-render
             }
         });
         
+        AdminCore.on('dataChanged', (changes) => {
+            // Remember what the refresh brought in; the re-render triggered by
+            // dataStoreReady picks the badges and the "new" filter up
+            const arrived = [...changes.entries.added, ...changes.entries.changed.map(c => c.after)];
+            newTicketKeys = new Set(arrived.map(e => MatchingEngine.getTicketKey(e)));
+            newTicketsAt = new Date(changes.detectedAt);
+            
+            const addedTickets = changes.entries.added.length;
+            const addedRecharges = changes.recharges.added.length;
+            if (addedTickets > 0 || addedRecharges > 0) {
+                AdminCore.showToast(`${addedTickets} new ticket(s), ${addedRecharges} new recharge(s) since last refresh`);
+            }
+        });
+        
         AdminCore.on('platformChange', ({ platform }) => {
             console.log('UnifiedPage: Platform changed to', platform);
             loadAllData(false); // Re-render with new platform filter
         });
+        
+        AdminCore.on('computeProgress', ({ active, text }) => {
+            const el = document.getElementById('computeStatus');
+            if (!el) return;
+            el.style.display = active ? 'flex' : 'none';
+            el.textContent = active ? `⚙️ ${text}` : '';
+        });
+        
+        AdminCore.on('roleChange', () => {
+            // Masking depends on the role - redraw what shows contact data
+            if (isInitialized) {
+                renderEntriesTable();
+                renderAuditLog();
+                renderPayouts();
+                renderPendingResults();
+                renderRiskQueue();
+            }
+        });
+        
+        AdminCore.on('auditRecorded', () => {
+            if (isInitialized) renderAuditLog();
+        });
+        
+        AdminCore.on('payoutChange', () => {
+            if (isInitialized) renderPayouts();
+        });
+        
+        AdminCore.on('riskAnalysisChange', () => {
+            // The entries table is redrawn by the render that follows the analysis
+            if (isInitialized) renderRiskQueue();
+        });
+        
+        AdminCore.on('riskReviewChange', () => {
+            if (isInitialized) renderRiskQueue();
+        });
+        
+        ['resultVerificationChange', 'resultDiscrepancyResolved'].forEach(event => AdminCore.on(event, () => {
+            // Flags on results, winner cards and rows follow the cross-check
+            if (!isInitialized) return;
+            renderVerification();
+            renderResultsTable();
+            renderWinnersCards();
+            renderWinnersTable();
+        }));
+        
+        AdminCore.on('resultEntryChange', ({ type }) => {
+            if (!isInitialized) return;
+            // Only a confirmed result reaches the results list (merged by DataStore) and the winners
+            if (type === 'confirmed') loadAllData(false);
+            else renderPendingResults();
+        });
+        
+        AdminCore.on('statusOverrideChange', ({ key }) => {
+            if (!isInitialized) return;
+            // Statuses, counts and winners all follow overrides
+            loadAllData(false).then(() => {
+                const modal = document.getElementById('ticketModal');
+                if (modal && modal.style.display !== 'none' && detailsEntry && MatchingEngine.getTicketKey(detailsEntry) === key) {
+                    showTicketDetails(key, { audit: false });
+                }
+            });
+        });
+        
+        AdminCore.on('prizePoolChange', () => {
+            // Prize split changed - winners are recalculated (cache dropped by DataStore)
+            if (isInitialized) {
+                renderWinners();
+                updateJackpots();
+                renderAnalytics();
+                syncPayouts();
+            }
+        });
+        
+        AdminCore.on('prizeRulesChange', () => {
+            // Winners and amounts follow the new rules (cache dropped by DataStore)
+            if (isInitialized) {
+                renderWinners();
+                updateJackpots();
+                renderAnalytics();
+                syncPayouts();
+            }
+        });
+        
+        AdminCore.on('drawCalendarChange', () => {
+            // Windows and cutoffs moved - re-validate with the new table
+            if (isInitialized) {
+                console.log('UnifiedPage: Draw calendar changed, re-validating');
+                loadAllData(false);
+            }
+        });
     }
 
     // Auto-init when DOM is ready
@@ -1762,8 +4028,13 @@ window.UnifiedPage = (function() {
         loadAllData,
         goToEntriesPage,
         showTicketDetails,
-        exportEntriesCSV,
-        exportWinnersCSV
+        showPlayerProfile,
+        exportTicketTrace,
+        exportEntries,
+        exportWinners,
+        showMatchingDiff,
+        applyFileImport,
+        exitFileImport
     };
 })();
 
@@ -5,15 +5,25 @@
  * - Matching entries against winning numbers
  * - Filtering for valid entries only
  * - Counting matches (1-5)
- * - Prize calculation: R$1000 split among highest tier per contest
+ * - Prize calculation from the prize rule in force on each draw date
+ *   (prize-rules.js); by default the highest tier with 3+ matches splits
+ *   the platform prize pool
  * 
- * Prize Tiers:
- * - 5 matches: Grand Prize
- * - 4 matches: 2nd Prize (only if no 5-match winners)
- * - 3 matches: 3rd Prize (only if no 4+ match winners)
- * - 2 matches: Consolation (only if no 3+ match winners)
+ * Contests are evaluated oldest first so money a rollover rule carries
+ * (no winner, empty tier, caps) reaches the next contest's pool on the same
+ * platform. Each winner records prize and prizeFromRollover (the part of the
+ * prize that came from carried money); getJackpotHistory() lists the
+ * accumulated pool per contest.
  * 
- * Dependencies: admin-core.js (AdminCore), data-fetcher.js (DataFetcher), results-fetcher.js (ResultsFetcher)
+ * Contests without a result whose draw date is a no-draw day in DrawCalendar
+ * are flagged noDrawDay so views can tell "no draw" from "result missing".
+ * 
+ * A manual status override (status-overrides.js) decides validity before
+ * the source status does.
+ * 
+ * Dependencies: admin-core.js (AdminCore), draw-calendar.js (DrawCalendar),
+ *               prize-rules.js (PrizeRules), data-fetcher.js (DataFetcher),
+ *               results-fetcher.js (ResultsFetcher), status-overrides.js (StatusOverrides)
  */
 
 // ============================================
@@ -33,7 +43,8 @@ window.WinnerCalculator = (function() {
     const DEFAULT_PRIZE_POOL = 1000;
     
     /**
-     * Minimum matches to qualify as a winner (3+ matches = winner)
+     * Minimum matches to qualify as a winner under the built-in prize rule
+     * (each contest uses the minMatches of its own rule, see prize-rules.js)
      */
     const MIN_MATCHES_TO_WIN = 3;
 
@@ -57,14 +68,14 @@ window.WinnerCalculator = (function() {
     const INVALID_STATUSES = ['INVALID', 'INVÁLIDO', 'REJECTED', 'CANCELLED'];
     
     /**
-     * Prize tier names (3+ matches = winner)
+     * Prize tier names (whether a tier wins is decided by the prize rule)
      */
     const PRIZE_TIERS = {
-        5: { name: 'Jackpot', emoji: '🏆', label: '5 matches', isWinner: true },
-        4: { name: '2nd Prize', emoji: '🥈', label: '4 matches', isWinner: true },
-        3: { name: '3rd Prize', emoji: '🥉', label: '3 matches', isWinner: true },
-        2: { name: 'No Prize', emoji: '❌', label: '2 matches', isWinner: false },
-        1: { name: 'No Prize', emoji: '❌', label: '1 match', isWinner: false }
+        5: { name: 'Jackpot', emoji: '🏆', label: '5 matches' },
+        4: { name: '2nd Prize', emoji: '🥈', label: '4 matches' },
+        3: { name: '3rd Prize', emoji: '🥉', label: '3 matches' },
+        2: { name: 'Consolation', emoji: '🎗️', label: '2 matches' },
+        1: { name: 'Consolation', emoji: '🎗️', label: '1 match' }
     };
 
     // ============================================
@@ -87,11 +98,13 @@ window.WinnerCalculator = (function() {
 
     /**
      * Check if an entry has a valid status for winner consideration
-     * An entry is valid unless explicitly marked as invalid
+     * A manual override wins; otherwise an entry is valid unless explicitly marked as invalid
      * @param {Object} entry - Entry object
      * @returns {boolean} True if valid
      */
     function isValidEntry(entry) {
+        const override = typeof StatusOverrides !== 'undefined' ? StatusOverrides.get(entry) : null;
+        if (override) return override.status === 'VALID';
         const status = (entry.status || '').toUpperCase();
         // Entry is valid unless explicitly marked as invalid
         return !INVALID_STATUSES.includes(status);
@@ -107,12 +120,18 @@ window.WinnerCalculator = (function() {
      * @param {Object} result - Result object with winning numbers
      * @param {string} platform - Platform code for prize calculation
      * @param {string} contestId - Contest ID (fallback if result doesn't have it)
+     * @param {Object} options - { carryIn: R$ rolled over from the previous contest }
      * @returns {Object} Winners calculation result
      */
-    function calculateContestWinners(entries, result, platform = 'POPN1', contestId = null) {
+    function calculateContestWinners(entries, result, platform = 'POPN1', contestId = null, { carryIn = 0 } = {}) {
         // Get contest ID from result, entries, or parameter
         const contest = result?.contest || contestId || entries[0]?.contest || 'Unknown';
-        const drawDate = result?.drawDate || '';
+        const drawDate = result?.drawDate || entries[0]?.drawDate || '';
+        
+        // Rule in force on the draw date, so past contests keep their prizes
+        const rule = PrizeRules.getRule(platform, drawDate);
+        const prizePool = rule.pool === 'platform' ? getPrizePool(platform) : rule.pool;
+        const ruleInfo = { id: rule.id, label: rule.label, mode: rule.mode, minMatches: rule.minMatches, rollover: rule.rollover };
         
         if (!result || result.isNoDraw || result.numbers.length !== 5) {
             return {
@@ -120,12 +139,18 @@ window.WinnerCalculator = (function() {
                 drawDate: drawDate,
                 winningNumbers: [],
                 hasResult: false,
+                noDrawDay: !!drawDate && DrawCalendar.isNoDrawDay(drawDate),
                 totalEntries: entries.length,
                 winners: [],
                 byTier: {},
                 prizePerWinner: 0,
                 winningTier: 0,
-                prizePool: getPrizePool(platform),
+                prizePool: prizePool,
+                prizes: {},
+                totalPrizeAwarded: 0,
+                carryIn: carryIn,
+                rolloverOut: carryIn,  // nothing drawn - carried money waits for the next draw
+                rule: ruleInfo,
                 platform: platform
             };
         }
@@ -133,7 +158,6 @@ window.WinnerCalculator = (function() {
         const winningNumbers = result.numbers;
         const winners = [];
         const byTier = { 5: [], 4: [], 3: [], 2: [], 1: [] };
-        const prizePool = getPrizePool(platform);
         
         // Process each entry
         entries.forEach(entry => {
@@ -154,8 +178,8 @@ window.WinnerCalculator = (function() {
                     byTier[matchResult.count].push(winner);
                 }
                 
-                // Only add to winners list if valid and qualifies
-                if (winner.isValidEntry && matchResult.count >= MIN_MATCHES_TO_WIN) {
+                // Only add to winners list if valid and qualifies under the rule
+                if (winner.isValidEntry && PrizeRules.isWinningCount(rule, matchResult.count)) {
                     winners.push(winner);
                 }
             }
@@ -164,32 +188,24 @@ window.WinnerCalculator = (function() {
         // Sort winners by matches descending
         winners.sort((a, b) => b.matches - a.matches);
         
-        // Determine winning tier (highest tier with valid winners)
-        let winningTier = 0;
-        for (let tier = 5; tier >= MIN_MATCHES_TO_WIN; tier--) {
-            const validWinners = byTier[tier].filter(w => w.isValidEntry);
-            if (validWinners.length > 0) {
-                winningTier = tier;
-                break;
-            }
-        }
+        // Pay out by the rule (valid winners per tier)
+        const tierCounts = {};
+        winners.forEach(w => { tierCounts[w.matches] = (tierCounts[w.matches] || 0) + 1; });
+        const payout = PrizeRules.evaluate(rule, { pool: prizePool, carryIn, tierCounts });
+        winners.forEach(w => {
+            w.prize = payout.tiers[w.matches]?.perWinner || 0;
+            w.prizeFromRollover = payout.tiers[w.matches]?.fromRollover || 0;
+        });
         
-        // Calculate prize per winner (prize goes to highest tier only)
-        let prizePerWinner = 0;
-        let totalPrizeAwarded = 0;
-        if (winningTier > 0) {
-            const tierWinners = byTier[winningTier].filter(w => w.isValidEntry);
-            if (tierWinners.length > 0) {
-                prizePerWinner = prizePool / tierWinners.length;
-                totalPrizeAwarded = prizePool;
-            }
-        }
+        const winningTier = payout.winningTier;
+        const prizePerWinner = winningTier > 0 ? payout.tiers[winningTier].perWinner : 0;
         
         return {
             contest: contest,
             drawDate: drawDate,
             winningNumbers: winningNumbers,
             hasResult: true,
+            noDrawDay: false,
             totalEntries: entries.length,
             validEntries: entries.filter(isValidEntry).length,
             winners: winners,
@@ -197,14 +213,26 @@ window.WinnerCalculator = (function() {
             winningTier: winningTier,
             prizePerWinner: prizePerWinner,
             prizePool: prizePool,
-            totalPrizeAwarded: totalPrizeAwarded,
+            prizes: payout.tiers,
+            totalPrizeAwarded: payout.totalAwarded,
+            carryIn: carryIn,
+            rolloverOut: payout.rolloverOut,
+            capped: payout.capped,
+            rule: ruleInfo,
             tierInfo: PRIZE_TIERS[winningTier] || null,
             platform: platform
         };
     }
 
+    /**
+     * Calculations currently running, by cache key
+     * (dashboard stats and the winners section ask for the same one together)
+     */
+    const inFlight = new Map();
+
     /**
      * Calculate winners for all contests with caching
+     * The work runs in the compute worker when available (see compute-client.js).
      * @param {Object[]} entries - All entries
      * @param {Object[]} results - All results
      * @param {string} platform - Platform code for prize calculation
@@ -220,6 +248,9 @@ window.WinnerCalculator = (function() {
                 return cached;
             }
         }
+        if (inFlight.has(cacheKey)) {
+            return inFlight.get(cacheKey);
+        }
         
         console.log('Computing winner calculations for platform:', platform);
         
@@ -229,6 +260,38 @@ window.WinnerCalculator = (function() {
             filteredEntries = DataStore.filterByPlatform(entries, platform);
         }
         
+        const run = typeof ComputeClient !== 'undefined'
+            ? ComputeClient.computeWinners(filteredEntries, results, platform)
+            : computeAllWinners(filteredEntries, results, platform);
+        inFlight.set(cacheKey, run);
+        
+        let result;
+        try {
+            result = await run;
+        } finally {
+            inFlight.delete(cacheKey);
+        }
+        
+        // Cache the results
+        DataFetcher.setCachedWinners(
+            result,
+            DataFetcher.simpleHash(entries),
+            DataFetcher.simpleHash(results)
+        );
+        
+        return result;
+    }
+
+    /**
+     * Calculate winners for all contests (no caching, no platform filtering)
+     * Safe to run inside the compute worker.
+     * @param {Object[]} filteredEntries - Entries already scoped to the platform
+     * @param {Object[]} results - All results
+     * @param {string} platform - Platform code for prize calculation
+     * @param {Object} options - { onProgress(done, total) } called between batches
+     * @returns {Promise<Object>} { contestResults, allWinners, stats, platform }
+     */
+    async function computeAllWinners(filteredEntries, results, platform = 'ALL', { onProgress = null } = {}) {
         // Group entries by contest
         const entriesByContest = DataFetcher.groupEntriesByContest(filteredEntries);
         
@@ -258,13 +321,17 @@ window.WinnerCalculator = (function() {
             byTier: { 5: 0, 4: 0, 3: 0, 2: 0, 1: 0 },
             totalWinners: 0,
             totalPrizeAwarded: 0,
+            rolloverBalance: 0,
             platform: platform,
             prizePool: prizePool
         };
         
-        // Process all contests (both with entries and with results)
-        const contestKeys = Array.from(allContestIds);
+        // Process all contests (both with entries and with results), oldest
+        // first so rollovers flow forward
+        const contestKeys = Array.from(allContestIds)
+            .sort((a, b) => (parseInt(a, 10) || 0) - (parseInt(b, 10) || 0));
         const batchSize = 10;
+        let carry = 0;
         
         for (let i = 0; i < contestKeys.length; i += batchSize) {
             const batch = contestKeys.slice(i, i + batchSize);
@@ -272,7 +339,8 @@ window.WinnerCalculator = (function() {
             for (const contest of batch) {
                 const contestEntries = entriesByContest[contest] || []; // Empty array if no entries for this platform
                 const result = resultsMap.get(contest);
-                const contestWinners = calculateContestWinners(contestEntries, result, effectivePlatform, contest);
+                const contestWinners = calculateContestWinners(contestEntries, result, effectivePlatform, contest, { carryIn: carry });
+                carry = contestWinners.rolloverOut;
                 
                 contestResults.push(contestWinners);
                 
@@ -281,7 +349,7 @@ window.WinnerCalculator = (function() {
                     
                     if (contestWinners.winningTier > 0) {
                         stats.contestsWithWinners++;
-                        stats.totalPrizeAwarded += contestWinners.totalPrizeAwarded || prizePool;
+                        stats.totalPrizeAwarded += contestWinners.totalPrizeAwarded;
                     }
                     
                     // Count by tier (only valid entries)
@@ -297,11 +365,13 @@ window.WinnerCalculator = (function() {
             
             // Yield to main thread after each batch for UI responsiveness
             if (i + batchSize < contestKeys.length) {
+                if (onProgress) onProgress(i + batchSize, contestKeys.length);
                 await new Promise(resolve => setTimeout(resolve, 5));
             }
         }
         
         stats.totalWinners = allWinners.length;
+        stats.rolloverBalance = carry;  // waiting for the next contest
         
         // Sort contest results by contest number descending
         contestResults.sort((a, b) => {
@@ -310,21 +380,56 @@ window.WinnerCalculator = (function() {
             return numB - numA;
         });
         
-        const result = {
+        return {
             contestResults,
             allWinners,
             stats,
             platform
         };
-        
-        // Cache the results
-        DataFetcher.setCachedWinners(
-            result,
-            DataFetcher.simpleHash(entries),
-            DataFetcher.simpleHash(results)
-        );
-        
-        return result;
+    }
+
+    // ============================================
+    // Jackpot Rollover
+    // ============================================
+    
+    /**
+     * Accumulated prize pool per contest, oldest first
+     * @param {Object} calculation - Result of computeAllWinners/calculateAllWinners
+     * @returns {Object[]} [{ contest, drawDate, pool, carryIn, jackpot, awarded, rolloverOut }]
+     */
+    function getJackpotHistory(calculation) {
+        return calculation.contestResults
+            .filter(c => c.hasResult)
+            .map(c => ({
+                contest: c.contest,
+                drawDate: c.drawDate,
+                pool: c.prizePool,
+                carryIn: c.carryIn || 0,
+                jackpot: c.prizePool + (c.carryIn || 0),
+                awarded: c.totalPrizeAwarded || 0,
+                rolloverOut: c.rolloverOut || 0
+            }))
+            .reverse();
+    }
+    
+    /**
+     * Prize pool of the next contest (base pool of today's rule plus rollover)
+     * @param {Object} calculation - Result of computeAllWinners/calculateAllWinners
+     * @returns {Object} { platform, amount, pool, rollover, afterContest }
+     */
+    function getCurrentJackpot(calculation) {
+        const platform = calculation.platform === 'ALL' ? 'DEFAULT' : calculation.platform;
+        const rule = PrizeRules.getRule(platform, AdminCore.getBrazilDateString(new Date()));
+        const pool = rule.pool === 'platform' ? getPrizePool(platform) : rule.pool;
+        const rollover = calculation.stats.rolloverBalance || 0;
+        const last = calculation.contestResults.find(c => c.hasResult);
+        return {
+            platform: calculation.platform,
+            amount: pool + rollover,
+            pool,
+            rollover,
+            afterContest: last ? last.contest : null
+        };
     }
 
     // ============================================
@@ -555,8 +660,13 @@ window.WinnerCalculator = (function() {
         isValidEntry,
         calculateContestWinners,
         calculateAllWinners,
+        computeAllWinners,
         getPrizePool,
         
+        // Jackpot rollover
+        getJackpotHistory,
+        getCurrentJackpot,
+        
         // Statistics
         getWinnerStats,
         getContestWinners,
@@ -5,10 +5,6 @@ const API_BASE_URL = 'https://popsorte-api.danilla-vargas1923.workers.dev';
 // Changes: WhatsApp instead of Pedido, UNLIMITED registrations per Game ID, proper Concurso system, no SN
 let selectedNumbers = []; // Array to preserve order
 let selectedPlatform = null;
-const CONCURSO_REFERENCE = {
-    number: 6903,
-    date: new Date('2025-12-15T00:00:00-03:00') // Explicit Brazil time
-};
 
 // Helper to get current time in Brazil timezone
 function getBrazilTime() {
@@ -60,113 +56,39 @@ function getBrazilDateString(date) {
     return `${year}-${month}-${day}`;
 }
 
-// Draw calendar helpers (BRT)
+// Draw calendar helpers (BRT) - rules live in js/draw-calendar.js
+// Holiday closures only (Sundays are covered by isValidDrawDay)
 function isNoDrawDay(date) {
-    const month = date.getMonth(); // 0-indexed
-    const day = date.getDate();
-    const isChristmas = month === 11 && day === 25;
-    const isNewYear = month === 0 && day === 1;
-    return isChristmas || isNewYear;
+    return DrawCalendar.getRule(date).source !== 'weekly' && DrawCalendar.isNoDrawDay(date);
 }
 
 function isEarlyDrawDay(date) {
-    const month = date.getMonth();
-    const day = date.getDate();
-    return (month === 11 && (day === 24 || day === 31));
+    return DrawCalendar.isEarlyDrawDay(date);
 }
 
 function getDrawTimeHour(date) {
-    return isEarlyDrawDay(date) ? 17 : 20;
+    return DrawCalendar.getDrawHour(date);
 }
 
 function isValidDrawDay(date) {
-    const isSunday = date.getDay() === 0;
-    return !isSunday && !isNoDrawDay(date);
+    return DrawCalendar.isDrawDay(date);
 }
 
 function buildScheduleForDate(dateInput) {
-    const dateStr = typeof dateInput === 'string'
-        ? dateInput.split('T')[0]
-        : getBrazilDateString(dateInput);
-
-    const drawDate = new Date(`${dateStr}T00:00:00-03:00`);
-    const drawHour = getDrawTimeHour(drawDate);
-
-    const cutoff = new Date(`${dateStr}T${drawHour.toString().padStart(2, '0')}:00:00-03:00`);
-    cutoff.setSeconds(cutoff.getSeconds() - 1); // 19:59:59 or 16:59:59
-
-    const regStartDate = new Date(drawDate);
-    regStartDate.setDate(regStartDate.getDate() - 1);
-    const regStartStr = getBrazilDateString(regStartDate);
-    const regStart = new Date(`${regStartStr}T20:00:01-03:00`); // 20:00:01 of previous day
-
-    return { drawDate, drawHour, cutoff, regStart };
+    return DrawCalendar.getScheduleForDate(dateInput);
 }
 
 function getNextValidDrawDate(fromDate) {
-    const probe = new Date(fromDate);
-    probe.setHours(0, 0, 0, 0);
-
-    for (let i = 0; i < 14; i++) {
-        if (i > 0) probe.setDate(probe.getDate() + 1);
-        if (isValidDrawDay(probe)) {
-            return new Date(probe);
-        }
-    }
-    throw new Error('No valid draw date found in range');
+    return DrawCalendar.getNextDrawDate(fromDate);
 }
 
 function getCurrentDrawSchedule() {
-    const spNow = getBrazilTime(); // Use corrected Brazil time function
-    const todayStr = getBrazilDateString(spNow);
-    const today = new Date(`${todayStr}T00:00:00-03:00`);
-
-    const todayValid = isValidDrawDay(today);
-    if (todayValid) {
-        const schedule = buildScheduleForDate(todayStr);
-        if (spNow <= schedule.cutoff) {
-            return { ...schedule, now: spNow };
-        }
-    }
-
-    // After cutoff or today invalid: pick next valid draw day (skipping Sundays and blocked days)
-    let probe = new Date(today);
-    for (let i = 0; i < 14; i++) {
-        probe.setDate(probe.getDate() + 1);
-        const probeStr = getBrazilDateString(probe);
-        const probeDate = new Date(`${probeStr}T00:00:00-03:00`);
-        if (isValidDrawDay(probeDate)) {
-            const nextSchedule = buildScheduleForDate(probeStr);
-            return { ...nextSchedule, now: spNow };
-        }
-    }
-    throw new Error('No valid draw date found');
+    return DrawCalendar.getCurrentSchedule(getBrazilTime());
 }
 
-// Calculate concurso number based on draw date while skipping non-draw days (Sundays + holiday closures)
+// Calculate concurso number based on draw date while skipping non-draw days (see js/contest-numbering.js)
 function calculateConcurso(drawDate) {
-    const refDateStr = getBrazilDateString(CONCURSO_REFERENCE.date);
-    const targetDateStr = typeof drawDate === 'string'
-        ? drawDate.split('T')[0]
-        : getBrazilDateString(drawDate);
-
-    const refDate = new Date(`${refDateStr}T12:00:00Z`);      // use noon UTC to avoid DST issues
-    const targetDate = new Date(`${targetDateStr}T12:00:00Z`);
-
-    let daysDiff = 0;
-    let cursor = new Date(refDate);
-    const step = targetDate >= refDate ? 1 : -1;
-
-    while ((step === 1 && cursor < targetDate) || (step === -1 && cursor > targetDate)) {
-        cursor.setUTCDate(cursor.getUTCDate() + step);
-        const cursorStr = cursor.toISOString().split('T')[0];
-        const cursorBrazil = new Date(`${cursorStr}T12:00:00-03:00`);
-        if (isValidDrawDay(cursorBrazil)) {
-            daysDiff += 1;
-        }
-    }
-
-    return CONCURSO_REFERENCE.number + daysDiff * step;
+    return ContestNumbering.getContestForDate(drawDate);
 }
 
 // Get weekday name in Portuguese
@@ -189,11 +111,22 @@ fetchAndPopulateResults();
 bindUiEvents();
 initLatestFiveWidget();
 
+// Holiday/exception table may arrive after first render
+DrawCalendar.onChange(() => {
+    updateDrawDateDisplay();
+    updateConfirmationWarning();
+});
+
 // ✅ SECURE: Fetch latest results via Worker API (read-only data, no auth required)
 async function fetchAndPopulateResults() {
     // Note: Results are public data, fetched from public sheet via Worker for consistency
     const RESULTS_CSV_URL = `${API_BASE_URL}/api/admin/results`;
     const WINNERS_SHEET_CSV_URL = 'https://docs.google.com/spreadsheets/d/1OttNYHiecAuGG6IRX7lW6lkG5ciEcL8gp3g6lNrN9H8/export?format=csv&gid=2087629111';
+    // Accumulated prize per platform, published from the admin dashboard (📤 Publish)
+    // through the admin API; the local dev server answers the same route
+    const JACKPOT_URL = ['localhost', '127.0.0.1'].includes(location.hostname)
+        ? '/admin/jackpot'
+        : 'https://popsorte-admin.danilla-vargas1923.workers.dev/admin/jackpot';
     
     const marqueeBalls = document.getElementById('marqueeBalls');
     const marqueeContainer = document.querySelector('.results-marquee');
@@ -218,7 +151,7 @@ async function fetchAndPopulateResults() {
         return true;
     };
 
-    const updateAndAnimate = (latestResult, winners = []) => {
+    const updateAndAnimate = (latestResult, winners = [], jackpot = null) => {
         if (!marqueeBalls || !marqueeContent) return;
         
         marqueeBalls.innerHTML = '';
@@ -284,6 +217,21 @@ async function fetchAndPopulateResults() {
             marqueeBalls.appendChild(suffixInside);
         }
 
+        // Current jackpot per platform (includes rolled-over prizes); updatedAt
+        // stays null until the dashboard publishes one
+        const jackpotPlatforms = Object.entries((jackpot && jackpot.updatedAt && jackpot.platforms) || {})
+            .filter(([, info]) => info && Number(info.amount) > 0);
+        if (jackpotPlatforms.length > 0) {
+            const jackpotTag = document.createElement('span');
+            jackpotTag.style.margin = '0 10px';
+            jackpotTag.style.fontWeight = '700';
+            jackpotTag.style.color = '#facc15';
+            jackpotTag.innerHTML = '💰 ACUMULADO ' + jackpotPlatforms.map(([platform, info]) =>
+                `${platform}: <b>${Number(info.amount).toLocaleString('pt-BR', { style: 'currency', currency: 'BRL' })}</b>`
+            ).join(' · ');
+            marqueeBalls.appendChild(jackpotTag);
+        }
+
         // Add winners directly into marqueeBalls to ensure they are visible and looped
         if (winners && winners.length > 0) {
             const sep = document.createElement('span');
@@ -498,6 +446,11 @@ async function fetchAndPopulateResults() {
 
         if (!latestResult) throw new Error('Could not fetch results');
 
+        // Latest official result re-anchors the concurso shown for upcoming draws
+        ContestNumbering.reanchorFromResults([{ contest: latestResult.drawNumber, drawDate: latestResult.date }]);
+        updateDrawDateDisplay();
+        updateConfirmationWarning();
+
         // 2. Fetch Winners from Winners Sheet
         let winners = [];
         try {
@@ -534,7 +487,14 @@ async function fetchAndPopulateResults() {
             }
         } catch (e) { console.warn('Winners fetch failed', e); }
 
-        updateAndAnimate(latestResult, winners);
+        // 3. Fetch the accumulated prize (optional - marquee works without it)
+        let jackpot = null;
+        try {
+            const res = await fetch(JACKPOT_URL, { cache: 'no-store' });
+            if (res.ok) jackpot = await res.json();
+        } catch (e) { console.warn('Jackpot fetch failed', e); }
+
+        updateAndAnimate(latestResult, winners, jackpot);
 
     } catch (error) {
         console.error('All results sources failed:', error);
@@ -0,0 +1,1414 @@
+/**
+ * POP-SORTE Admin API
+ *
+ * Server side of the admin dashboard. Whatever must be the same for every
+ * admin, or must not be decided by a browser, is kept and checked here:
+ * - logins: PBKDF2 password hashes, HMAC-signed expiring tokens, logout
+ *   revocation and failed-login limits (5 per username+IP and 20 per IP in
+ *   15 minutes). Failed logins reach the audit log once per IP and window
+ * - manual ticket status overrides (status-overrides.js)
+ * - the prize pool of each platform (AdminCore.setPlatformPrize) and the
+ *   jackpot published for the public site's marquee (pop-sorte.js): the
+ *   pool is the server's, the dashboard only adds the rolled-over balance
+ * - the payout ledger (payout-ledger.js): status changes follow the same
+ *   lifecycle as in the dashboard and are made by the signed-in user.
+ *   Winners sent by a dashboard are only taken for contests the server
+ *   knows (a confirmed result entry or an official check), and only up to
+ *   what the prize rules (data/prize-rules.json) pay from the platform's
+ *   pool plus the rollover of its earlier contests; other contests are
+ *   refused and left as they were. The admin whose sync set an item's
+ *   amount may not approve it, and neither they nor the approver may
+ *   record its payment
+ * - results typed in the dashboard (results-entry.js): the confirming admin
+ *   is taken from the token and must differ from the one who entered it
+ * - official result checks (result-verification.js): each contest's last
+ *   check and the resolutions of its discrepancies. A payout can only be
+ *   approved or paid once its contest matched the official source, or
+ *   its discrepancies were resolved
+ * - the audit log (audit-log.js): a SHA-256 hash chain. Logins and every
+ *   change above are recorded by the server itself; the dashboard posts
+ *   its other actions (exports, views...) and cannot post these
+ *
+ * The dashboard keeps local copies of these records as a cache only.
+ *
+ * Routes (under basePath, default /admin; JSON bodies; all but login and
+ * GET /jackpot need Authorization: Bearer <token>):
+ *   POST   /auth/login                  { username, password } -> { username, role, token, expiresAt }
+ *                                       401 { error } | 429 { error, retryAfter }
+ *   GET    /auth/session                -> { username, role, expiresAt }
+ *   POST   /auth/logout                 -> 204 (token revoked until it expires)
+ *   GET    /overrides                   -> { items }
+ *   PUT    /overrides/:key              { gameId, ticketNumber, status, reasonCode, note } -> override
+ *   DELETE /overrides/:key              -> 204
+ *   GET    /payouts                     -> { items, syncedAt }
+ *   GET    /prize-pools                 -> { pools: { POPN1, POPLUZ, DEFAULT } }
+ *   PUT    /prize-pools/:platform       { amount } -> { pools }
+ *   GET    /jackpot                     -> { updatedAt, platforms: { [platform]: { amount, pool, rollover, afterContest } } }
+ *                                       (public, any origin; updatedAt null until published)
+ *   PUT    /jackpot                     { platforms: { [platform]: { rollover, afterContest } } } -> jackpot
+ *   POST   /payouts/sync                { items: calculated items } -> { added, updated, items (changed), rejected, syncedAt }
+ *                                       (rejected: [{ platform, contest, reason }])
+ *   POST   /payouts/:id/status          { status, paymentRef, paidAt, note } -> item
+ *   GET    /result-entries              -> { items }
+ *   POST   /result-entries              { contest, drawDate (YYYY-MM-DD), numbers, isNoDraw, note, warnings } -> entry
+ *   POST   /result-entries/:id/confirm  { warnings } -> entry
+ *   DELETE /result-entries/:id          -> 204
+ *   GET    /resolutions                 -> { items }
+ *   PUT    /resolutions/:contest        { signature, issues, note } -> resolution
+ *   GET    /verifications               -> { items }
+ *   POST   /verifications               { source, contests: [{ contest, drawDate, numbers, status, signature, issues }] }
+ *                                       -> { updated }
+ *   POST   /audit                       { action, payload, timestamp } -> entry
+ *   GET    /audit?after=<seq>           -> { entries, more } (at most AUDIT_PAGE entries)
+ *
+ * Writes need the same permission as in the dashboard (js/permissions.js);
+ * roles are read from the user list on every request, so a role change
+ * applies to live sessions. Errors are { error } with 400, 401, 403, 404,
+ * 409 (conflict) or 413. Writes run one at a time.
+ *
+ * Only Web Crypto and the Fetch API are used, so the same code runs in the
+ * Cloudflare Worker (worker/index.mjs) and the Node dev server
+ * (dev/admin-server.js). Storage is passed in:
+ *   { get(key), put(key, value), delete(key), list(prefix, { start }) -> values in key order }
+ *
+ * Dependencies: js/permissions.js (AdminPermissions), js/prize-rules.js (PrizeRules),
+ *               data/prize-rules.json
+ */
+
+'use strict';
+
+const AdminPermissions = require('../js/permissions.js');
+const PrizeRules = require('../js/prize-rules.js');
+
+const { Permission } = AdminPermissions;
+
+PrizeRules.setTable(require('../data/prize-rules.json'));
+
+// ============================================
+// Constants
+// ============================================
+
+/**
+ * Session token lifetime (12 hours)
+ */
+const TOKEN_TTL = 12 * 60 * 60 * 1000;
+
+/**
+ * Failed-login rate limits (per username+IP, per IP)
+ */
+const MAX_FAILED_ATTEMPTS = 5;
+const MAX_FAILED_PER_IP = 20;
+const FAILED_WINDOW = 15 * 60 * 1000;
+
+/**
+ * PBKDF2 parameters for new hashes (100000 is the most Workers accept)
+ */
+const PBKDF2_ITERATIONS = 100000;
+const PBKDF2_KEYLEN = 32;
+
+/**
+ * Largest accepted request body (payout syncs carry every winner)
+ */
+const MAX_BODY = 1024 * 1024;
+
+/**
+ * Largest audit payload, as JSON
+ */
+const MAX_AUDIT_PAYLOAD = 16 * 1024;
+
+/**
+ * Audit entries returned per GET /audit
+ */
+const AUDIT_PAGE = 2000;
+
+/**
+ * prevHash of the first audit entry
+ */
+const GENESIS_HASH = '0'.repeat(64);
+
+/**
+ * Storage key prefixes and single keys
+ */
+const Keys = {
+    OVERRIDE: 'override:',
+    PAYOUT: 'payout:',
+    RESULT_ENTRY: 'result-entry:',
+    RESOLUTION: 'resolution:',
+    VERIFICATION: 'verification:',
+    PRIZE_POOL: 'prize-pool:',
+    AUDIT: 'audit:',
+    REVOKED: 'revoked:',
+    FAILURES: 'failures:',
+    AUDIT_HEAD: 'meta:audit-head',
+    JACKPOT: 'meta:jackpot',
+    PAYOUTS_SYNCED_AT: 'meta:payouts-synced-at'
+};
+
+/**
+ * Audit actions recorded by the server (same values as AuditLog.Action);
+ * the dashboard cannot post these
+ */
+const AuditAction = {
+    LOGIN: 'auth.login',
+    LOGIN_FAILED: 'auth.login_failed',
+    LOGOUT: 'auth.logout',
+    PRIZE_POOL_CHANGE: 'prize.change',
+    JACKPOT_PUBLISHED: 'jackpot.published',
+    STATUS_OVERRIDE: 'ticket.override',
+    STATUS_OVERRIDE_CLEARED: 'ticket.override_cleared',
+    PAYOUT_STATUS_CHANGE: 'payout.status',
+    RESULT_SUBMITTED: 'result.submitted',
+    RESULT_CONFIRMED: 'result.confirmed',
+    RESULT_DISCARDED: 'result.discarded',
+    RESULT_DISCREPANCY_RESOLVED: 'result.resolved',
+    RESULT_VERIFIED: 'result.verified'
+};
+
+const SERVER_ACTIONS = new Set(Object.values(AuditAction));
+
+/**
+ * Override statuses and reason codes (StatusOverrides.OverrideStatus / ReasonCode)
+ */
+const OVERRIDE_STATUSES = ['VALID', 'INVALID'];
+const REASON_CODES = ['DISPUTE_UPHELD', 'RECHARGE_VERIFIED', 'DUPLICATE_TICKET', 'SUSPECTED_FRAUD', 'SOURCE_DATA_ERROR', 'OTHER'];
+
+/**
+ * Prize pool per contest (R$) until changed (AdminCore.PLATFORM_PRIZES);
+ * DEFAULT is the "All" view's
+ */
+const DEFAULT_PRIZE_POOLS = {
+    POPN1: 1000,
+    POPLUZ: 1000,
+    DEFAULT: 1000
+};
+
+/**
+ * Platforms with their own payouts
+ */
+const PAYOUT_PLATFORMS = Object.keys(DEFAULT_PRIZE_POOLS).filter(p => p !== 'DEFAULT');
+
+/**
+ * Payout statuses and allowed changes (PayoutLedger.PayoutStatus / TRANSITIONS)
+ */
+const PayoutStatus = {
+    PENDING: 'pending',
+    APPROVED: 'approved',
+    PAID: 'paid',
+    REJECTED: 'rejected'
+};
+
+const TRANSITIONS = {
+    [PayoutStatus.PENDING]: [PayoutStatus.APPROVED, PayoutStatus.REJECTED],
+    [PayoutStatus.APPROVED]: [PayoutStatus.PAID, PayoutStatus.REJECTED, PayoutStatus.PENDING],
+    [PayoutStatus.REJECTED]: [PayoutStatus.PENDING],
+    [PayoutStatus.PAID]: []
+};
+
+/**
+ * Result entry statuses (ResultsEntry.EntryStatus)
+ */
+const EntryStatus = {
+    PENDING: 'pending',
+    CONFIRMED: 'confirmed'
+};
+
+/**
+ * Outcome of a contest's official check (ResultVerification.VerificationStatus)
+ * - verified:    matches the official source
+ * - flagged:     differs from it (see signature, issues)
+ * - not-covered: older than the first contest the source lists
+ */
+const VerificationStatus = {
+    VERIFIED: 'verified',
+    FLAGGED: 'flagged',
+    NOT_COVERED: 'not-covered'
+};
+
+/**
+ * Longest free-text note
+ */
+const MAX_NOTE = 1000;
+
+const encoder = new TextEncoder();
+const brazilDateFormatter = new Intl.DateTimeFormat('en-CA', {
+    timeZone: 'America/Sao_Paulo',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+});
+
+// ============================================
+// Encoding & Hashing
+// ============================================
+
+/**
+ * Bytes to lowercase hex
+ * @param {ArrayBuffer|Uint8Array} bytes - Bytes
+ * @returns {string} Hex
+ */
+function toHex(bytes) {
+    return Array.from(new Uint8Array(bytes), b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Hex to bytes
+ * @param {string} hex - Hex
+ * @returns {Uint8Array} Bytes
+ */
+function fromHex(hex) {
+    const pairs = String(hex || '').match(/[0-9a-f]{2}/gi) || [];
+    return Uint8Array.from(pairs, pair => parseInt(pair, 16));
+}
+
+/**
+ * Bytes to base64url
+ * @param {Uint8Array} bytes - Bytes
+ * @returns {string} base64url without padding
+ */
+function toBase64url(bytes) {
+    let binary = '';
+    bytes.forEach(b => { binary += String.fromCharCode(b); });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * base64url to bytes
+ * @param {string} text - base64url
+ * @returns {Uint8Array} Bytes (throws on invalid input)
+ */
+function fromBase64url(text) {
+    const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/') + '==='.slice((text.length + 3) % 4));
+    return Uint8Array.from(binary, c => c.charCodeAt(0));
+}
+
+/**
+ * Compare two byte arrays in constant time
+ * @param {Uint8Array} a - Bytes
+ * @param {Uint8Array} b - Bytes
+ * @returns {boolean} True if equal
+ */
+function timingSafeEqual(a, b) {
+    if (a.length !== b.length) return false;
+    let diff = 0;
+    for (let i = 0; i < a.length; i++) diff |= a[i] ^ b[i];
+    return diff === 0;
+}
+
+/**
+ * SHA-256 of a string
+ * @param {string} text - Input
+ * @returns {Promise<string>} Lowercase hex digest
+ */
+async function sha256(text) {
+    return toHex(await crypto.subtle.digest('SHA-256', encoder.encode(text)));
+}
+
+/**
+ * Serialize a value with sorted object keys (stable hash input, as audit-log.js)
+ * @param {*} value - JSON-safe value
+ * @returns {string} Canonical JSON
+ */
+function canonicalJSON(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(canonicalJSON).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map(k => `${JSON.stringify(k)}:${canonicalJSON(value[k])}`).join(',')}}`;
+    }
+    return JSON.stringify(value === undefined ? null : value);
+}
+
+/**
+ * Hash input of an audit entry (everything except the hash itself, as audit-log.js)
+ * @param {Object} entry - Audit entry
+ * @returns {string} Chain input
+ */
+function chainInput(entry) {
+    return [entry.prevHash, entry.seq, entry.action, entry.user, entry.role, entry.timestamp, entry.recordedAt, entry.payloadHash].join('|');
+}
+
+// ============================================
+// Passwords
+// ============================================
+
+/**
+ * PBKDF2-SHA256
+ * @param {string} password - Plaintext password
+ * @param {Uint8Array} salt - Salt
+ * @param {number} iterations - Iterations
+ * @param {number} length - Key length in bytes
+ * @returns {Promise<Uint8Array>} Derived key
+ */
+async function pbkdf2(password, salt, iterations, length) {
+    const key = await crypto.subtle.importKey('raw', encoder.encode(password), 'PBKDF2', false, ['deriveBits']);
+    const bits = await crypto.subtle.deriveBits({ name: 'PBKDF2', hash: 'SHA-256', salt, iterations }, key, length * 8);
+    return new Uint8Array(bits);
+}
+
+/**
+ * Hash a password
+ * @param {string} password - Plaintext password
+ * @returns {Promise<string>} pbkdf2$sha256$<iterations>$<salt hex>$<hash hex>
+ */
+async function hashPassword(password) {
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const hash = await pbkdf2(String(password), salt, PBKDF2_ITERATIONS, PBKDF2_KEYLEN);
+    return ['pbkdf2', 'sha256', PBKDF2_ITERATIONS, toHex(salt), toHex(hash)].join('$');
+}
+
+/**
+ * Check a password against a stored hash (constant time)
+ * @param {string} password - Plaintext password
+ * @param {string} stored - Hash from hashPassword
+ * @returns {Promise<boolean>} True if it matches
+ */
+async function verifyPassword(password, stored) {
+    const [scheme, digest, iterations, saltHex, hashHex] = String(stored).split('$');
+    if (scheme !== 'pbkdf2' || digest !== 'sha256' || !hashHex) return false;
+
+    const expected = fromHex(hashHex);
+    const actual = await pbkdf2(String(password), fromHex(saltHex), parseInt(iterations, 10), expected.length);
+    return timingSafeEqual(actual, expected);
+}
+
+// ============================================
+// Helpers
+// ============================================
+
+/**
+ * Error answered with an HTTP status
+ * @param {number} status - HTTP status
+ * @param {string} message - User-facing message
+ * @returns {Error} Error with a status property
+ */
+function httpError(status, message) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+/**
+ * Trimmed, length-capped text
+ * @param {*} value - Value
+ * @param {number} max - Longest length
+ * @returns {string} Text
+ */
+function cleanText(value, max = MAX_NOTE) {
+    return String(value ?? '').trim().substring(0, max);
+}
+
+/**
+ * Today in Brazil
+ * @returns {string} YYYY-MM-DD
+ */
+function getBrazilToday() {
+    return brazilDateFormatter.format(new Date());
+}
+
+/**
+ * Round to whole cents
+ * @param {number} value - Amount in R$
+ * @returns {number} Rounded amount
+ */
+function toCents(value) {
+    return Math.round(value * 100) / 100;
+}
+
+/**
+ * In-memory storage (dev server, tests)
+ * @param {Object} data - Initial key -> value
+ * @param {Function} onWrite - Called with the whole data object after every write
+ * @returns {Object} Storage (see module header)
+ */
+function createMemoryStore(data = {}, onWrite = () => {}) {
+    const map = new Map(Object.entries(data));
+    const snapshot = () => Object.fromEntries(map);
+    const copy = value => value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+    return {
+        get: async key => copy(map.get(key)),
+        put: async (key, value) => { map.set(key, copy(value)); onWrite(snapshot()); },
+        delete: async key => { const existed = map.delete(key); onWrite(snapshot()); return existed; },
+        list: async (prefix, { start = '' } = {}) => [...map.keys()]
+            .filter(key => key.startsWith(prefix) && key >= start)
+            .sort()
+            .map(key => copy(map.get(key)))
+    };
+}
+
+// ============================================
+// Admin API
+// ============================================
+
+/**
+ * Create the admin API
+ * @param {Object} options - { store, secret, loadUsers: async () => [{ username, role, passwordHash }],
+ *                             basePath (default /admin), allowedOrigin (default *) }
+ * @returns {Object} { handle(request, { ip }) -> Promise<Response|null> (null: not an API route) }
+ */
+function createAdminApi({ store, secret, loadUsers, basePath = '/admin', allowedOrigin = '*' }) {
+    if (!secret) {
+        throw new Error('AUTH_SECRET is not configured');
+    }
+
+    let signingKey = null;
+    let dummyHash = null;
+    let writeQueue = Promise.resolve();
+
+    // ============================================
+    // Responses
+    // ============================================
+
+    /**
+     * JSON response with CORS headers
+     * @param {number} status - HTTP status
+     * @param {Object} [body] - JSON body
+     * @returns {Response} Response
+     */
+    function json(status, body) {
+        return new Response(status === 204 || body === undefined ? null : JSON.stringify(body), {
+            status,
+            headers: {
+                'Content-Type': 'application/json; charset=utf-8',
+                'Cache-Control': 'no-store',
+                'Access-Control-Allow-Origin': allowedOrigin,
+                'Access-Control-Allow-Headers': 'Authorization, Content-Type',
+                'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS'
+            }
+        });
+    }
+
+    /**
+     * Run a write after the previous one finished
+     * @param {Function} task - Async task
+     * @returns {Promise<*>} Task result
+     */
+    function exclusive(task) {
+        const run = writeQueue.then(task);
+        writeQueue = run.catch(() => null);
+        return run;
+    }
+
+    // ============================================
+    // Tokens
+    // ============================================
+
+    /**
+     * HMAC key for tokens
+     * @returns {Promise<CryptoKey>} Key
+     */
+    async function getSigningKey() {
+        signingKey = signingKey || await crypto.subtle.importKey(
+            'raw', encoder.encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign', 'verify']
+        );
+        return signingKey;
+    }
+
+    /**
+     * Sign a token payload
+     * @param {Object} payload - { sub, role, jti, iat, exp }
+     * @returns {Promise<string>} base64url(payload).base64url(signature)
+     */
+    async function signToken(payload) {
+        const body = toBase64url(encoder.encode(JSON.stringify(payload)));
+        const signature = await crypto.subtle.sign('HMAC', await getSigningKey(), encoder.encode(body));
+        return `${body}.${toBase64url(new Uint8Array(signature))}`;
+    }
+
+    /**
+     * Verify a token's signature, expiry and revocation
+     * @param {string} token - Token from signToken
+     * @returns {Promise<Object|null>} Payload or null if invalid
+     */
+    async function verifyToken(token) {
+        const [body, signature] = String(token || '').split('.');
+        if (!body || !signature) return null;
+
+        try {
+            const valid = await crypto.subtle.verify('HMAC', await getSigningKey(), fromBase64url(signature), encoder.encode(body));
+            if (!valid) return null;
+            const payload = JSON.parse(new TextDecoder().decode(fromBase64url(body)));
+            if (!payload.exp || Date.now() >= payload.exp) return null;
+            if (await store.get(Keys.REVOKED + payload.jti)) return null;
+            return payload;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * Resolve the user of a request from its bearer token
+     * @param {Request} request - Request
+     * @returns {Promise<Object|null>} { username, role, token } or null
+     */
+    async function authenticate(request) {
+        const header = request.headers.get('Authorization') || '';
+        const payload = await verifyToken(header.startsWith('Bearer ') ? header.slice(7) : '');
+        if (!payload) return null;
+        // Role comes from the user list so changes apply to live sessions;
+        // removed users lose access at once
+        const user = (await loadUsers()).find(u => u.username === payload.sub);
+        return user ? { username: user.username, role: AdminPermissions.normalizeRole(user.role), token: payload } : null;
+    }
+
+    // ============================================
+    // Audit Log
+    // ============================================
+
+    /**
+     * Hash, chain and store one audit entry (call inside exclusive)
+     * @param {Object} base - { action, user, role, timestamp, payload }
+     * @returns {Promise<Object>} Stored entry
+     */
+    async function appendAudit({ action, user, role = null, timestamp = Date.now(), payload = {} }) {
+        const head = (await store.get(Keys.AUDIT_HEAD)) || { seq: 0, hash: GENESIS_HASH };
+        const entry = {
+            seq: head.seq + 1,
+            action,
+            user,
+            role,
+            timestamp,
+            recordedAt: Date.now(),
+            payload,
+            payloadHash: await sha256(canonicalJSON(payload)),
+            prevHash: head.hash
+        };
+        entry.hash = await sha256(chainInput(entry));
+
+        await store.put(Keys.AUDIT + String(entry.seq).padStart(12, '0'), entry);
+        await store.put(Keys.AUDIT_HEAD, { seq: entry.seq, hash: entry.hash });
+        return entry;
+    }
+
+    /**
+     * Record a change made by a signed-in user
+     * @param {Object} user - authenticate() result
+     * @param {string} action - AuditAction value
+     * @param {Object} payload - Details
+     * @returns {Promise<Object>} Stored entry
+     */
+    function audit(user, action, payload) {
+        return appendAudit({ action, user: user.username, role: user.role, payload });
+    }
+
+    // ============================================
+    // Failed Logins
+    // ============================================
+
+    /**
+     * Delete failure records whose attempts all left the window
+     * @param {number} cutoff - Oldest attempt time still counted
+     * @returns {Promise<void>}
+     */
+    async function forgetExpiredFailures(cutoff) {
+        for (const record of await store.list(Keys.FAILURES)) {
+            if (!record.times || !record.times.some(t => t > cutoff)) {
+                await store.delete(Keys.FAILURES + record.id);
+            }
+        }
+    }
+
+    /**
+     * Failed attempts still in the window
+     * @param {string} id - Record id (username|ip or ip:<ip>)
+     * @param {number} cutoff - Oldest attempt time still counted
+     * @returns {Promise<number[]>} Attempt times, oldest first
+     */
+    async function recentFailures(id, cutoff) {
+        const record = await store.get(Keys.FAILURES + id);
+        return ((record && record.times) || []).filter(t => t > cutoff);
+    }
+
+    // ============================================
+    // Auth Routes
+    // ============================================
+
+    /**
+     * POST /auth/login
+     */
+    async function login({ body, ip }) {
+        const { username = '', password = '' } = body;
+        const normalized = cleanText(username, 100).toLowerCase();
+        const userId = `${normalized}|${ip}`;
+        const ipId = `ip:${ip}`;
+
+        const cutoff = Date.now() - FAILED_WINDOW;
+        await forgetExpiredFailures(cutoff);
+        const userFailures = await recentFailures(userId, cutoff);
+        const ipFailures = await recentFailures(ipId, cutoff);
+        const blocking = [
+            userFailures.length >= MAX_FAILED_ATTEMPTS ? userFailures[userFailures.length - MAX_FAILED_ATTEMPTS] : null,
+            ipFailures.length >= MAX_FAILED_PER_IP ? ipFailures[ipFailures.length - MAX_FAILED_PER_IP] : null
+        ].filter(t => t !== null);
+        if (blocking.length > 0) {
+            const retryAfter = Math.ceil((Math.max(...blocking) + FAILED_WINDOW - Date.now()) / 1000);
+            return json(429, { error: 'Too many failed attempts', retryAfter });
+        }
+
+        const user = (await loadUsers()).find(u => u.username.toLowerCase() === normalized);
+        // Hash even for unknown users so timing does not reveal which names exist
+        dummyHash = dummyHash || await hashPassword(crypto.randomUUID());
+        const ok = await verifyPassword(String(password), user ? user.passwordHash : dummyHash) && !!user;
+        if (!ok) {
+            const now = Date.now();
+            await store.put(Keys.FAILURES + userId, { id: userId, times: [...userFailures, now] });
+            await store.put(Keys.FAILURES + ipId, { id: ipId, times: [...ipFailures, now] });
+            // Anyone can fail a login: one entry per IP and window keeps the chain from growing without limit
+            if (ipFailures.length === 0) {
+                await appendAudit({ action: AuditAction.LOGIN_FAILED, user: normalized || 'anonymous', payload: { ip } });
+            }
+            return json(401, { error: 'Invalid username or password' });
+        }
+
+        await store.delete(Keys.FAILURES + userId);
+        const role = AdminPermissions.normalizeRole(user.role);
+        const now = Date.now();
+        const payload = { sub: user.username, role, jti: crypto.randomUUID(), iat: now, exp: now + TOKEN_TTL };
+        await appendAudit({ action: AuditAction.LOGIN, user: user.username, role, payload: { ip } });
+        return json(200, { username: user.username, role, token: await signToken(payload), expiresAt: payload.exp });
+    }
+
+    /**
+     * GET /auth/session
+     */
+    async function session({ user }) {
+        return json(200, { username: user.username, role: user.role, expiresAt: user.token.exp });
+    }
+
+    /**
+     * POST /auth/logout
+     */
+    async function logout({ user }) {
+        const { jti, exp } = user.token;
+        await store.put(Keys.REVOKED + jti, { jti, exp });
+        await audit(user, AuditAction.LOGOUT, {});
+
+        // Forget revocations of tokens that expired anyway
+        const now = Date.now();
+        for (const revoked of await store.list(Keys.REVOKED)) {
+            if (revoked.exp <= now) await store.delete(Keys.REVOKED + revoked.jti);
+        }
+        return json(204);
+    }
+
+    // ============================================
+    // Status Overrides
+    // ============================================
+
+    /**
+     * PUT /overrides/:key
+     */
+    async function putOverride({ params: [key], body, user }) {
+        if (!OVERRIDE_STATUSES.includes(body.status)) throw httpError(400, 'Override status must be VALID or INVALID');
+        if (!REASON_CODES.includes(body.reasonCode)) throw httpError(400, 'Select a reason code');
+        const note = cleanText(body.note);
+        if (!note) throw httpError(400, 'Add a note explaining the override');
+
+        const override = {
+            key,
+            gameId: cleanText(body.gameId, 100),
+            ticketNumber: cleanText(body.ticketNumber, 100),
+            status: body.status,
+            reasonCode: body.reasonCode,
+            note,
+            author: user.username,
+            createdAt: Date.now()
+        };
+        await store.put(Keys.OVERRIDE + key, override);
+
+        const { gameId, ticketNumber, status, reasonCode } = override;
+        await audit(user, AuditAction.STATUS_OVERRIDE, { key, gameId, ticketNumber, status, reasonCode, note });
+        return json(200, override);
+    }
+
+    /**
+     * DELETE /overrides/:key
+     */
+    async function deleteOverride({ params: [key], user }) {
+        if (!(await store.get(Keys.OVERRIDE + key))) throw httpError(404, 'This ticket has no override');
+        await store.delete(Keys.OVERRIDE + key);
+        await audit(user, AuditAction.STATUS_OVERRIDE_CLEARED, { key });
+        return json(204);
+    }
+
+    // ============================================
+    // Prize Pools
+    // ============================================
+
+    /**
+     * Current prize pools (defaults plus changes)
+     * @returns {Promise<Object>} Platform code -> R$
+     */
+    async function getPrizePools() {
+        const pools = { ...DEFAULT_PRIZE_POOLS };
+        (await store.list(Keys.PRIZE_POOL)).forEach(p => { pools[p.platform] = p.amount; });
+        return pools;
+    }
+
+    /**
+     * GET /prize-pools
+     */
+    async function listPrizePools() {
+        return json(200, { pools: await getPrizePools() });
+    }
+
+    /**
+     * PUT /prize-pools/:platform
+     */
+    async function putPrizePool({ params: [platform], body, user }) {
+        const amount = Number(body.amount);
+        if (!(platform in DEFAULT_PRIZE_POOLS) || !isFinite(amount) || amount <= 0) {
+            throw httpError(400, `Invalid prize pool for ${platform}: ${body.amount}`);
+        }
+
+        const previous = (await getPrizePools())[platform];
+        const value = toCents(amount);
+        await store.put(Keys.PRIZE_POOL + platform, { platform, amount: value, changedBy: user.username, changedAt: Date.now() });
+        if (value !== previous) {
+            await audit(user, AuditAction.PRIZE_POOL_CHANGE, { platform, amount: value, previous });
+        }
+        return json(200, { pools: await getPrizePools() });
+    }
+
+    // ============================================
+    // Jackpot
+    // ============================================
+
+    /**
+     * GET /jackpot - read by the public site, so any origin may read it
+     */
+    async function getJackpot() {
+        const response = json(200, (await store.get(Keys.JACKPOT)) || { updatedAt: null, platforms: {} });
+        response.headers.set('Access-Control-Allow-Origin', '*');
+        return response;
+    }
+
+    /**
+     * PUT /jackpot - publish the next contest's prize per platform
+     * The pool comes from the server's prize pools and rules. A rolled-over
+     * balance is only taken once a rule with rollover has applied to a
+     * contest the server knows, and only after a known contest.
+     */
+    async function putJackpot({ body, user }) {
+        const sent = body.platforms && typeof body.platforms === 'object' ? body.platforms : {};
+        const pools = await getPrizePools();
+        const contests = await getKnownContests();
+        const today = getBrazilToday();
+
+        const platforms = {};
+        PAYOUT_PLATFORMS.filter(platform => sent[platform]).forEach(platform => {
+            const rollover = toCents(Number(sent[platform].rollover) || 0);
+            const afterContest = sent[platform].afterContest == null ? null : cleanText(sent[platform].afterContest, 20);
+            if (!isFinite(rollover) || rollover < 0) throw httpError(400, `Invalid rollover for ${platform}`);
+            if (afterContest !== null && !contests.has(afterContest)) {
+                throw httpError(409, `Contest #${afterContest} has no confirmed or officially checked result`);
+            }
+            if (rollover > 0 && ![...contests.values()].some(drawDate => PrizeRules.getRule(platform, drawDate).rollover)) {
+                throw httpError(409, `No rollover rule has applied to ${platform} yet`);
+            }
+
+            const rule = PrizeRules.getRule(platform, today);
+            const pool = rule.pool === 'platform' ? pools[platform] : rule.pool;
+            platforms[platform] = { amount: toCents(pool + rollover), pool, rollover, afterContest };
+        });
+        if (Object.keys(platforms).length === 0) throw httpError(400, 'No platform to publish');
+
+        const jackpot = { updatedAt: new Date().toISOString(), platforms };
+        await store.put(Keys.JACKPOT, jackpot);
+        await audit(user, AuditAction.JACKPOT_PUBLISHED, { platforms });
+        return json(200, jackpot);
+    }
+
+    // ============================================
+    // Payout Ledger
+    // ============================================
+
+    /**
+     * GET /payouts
+     */
+    async function listPayouts() {
+        return json(200, {
+            items: await store.list(Keys.PAYOUT),
+            syncedAt: (await store.get(Keys.PAYOUTS_SYNCED_AT)) || null
+        });
+    }
+
+    /**
+     * Contests with a result the server knows: confirmed result entries
+     * and contests sent with an official check
+     * @returns {Promise<Map>} Contest -> draw date, lowest contest first
+     */
+    async function getKnownContests() {
+        const contests = new Map();
+        (await store.list(Keys.VERIFICATION)).forEach(c => contests.set(c.contest, c.drawDate));
+        (await store.list(Keys.RESULT_ENTRY)).forEach(e => {
+            if (e.status === EntryStatus.CONFIRMED && !e.isNoDraw) contests.set(e.contest, e.drawDate);
+        });
+        return new Map([...contests].sort((a, b) => Number(a[0]) - Number(b[0])));
+    }
+
+    /**
+     * Check one contest's winners against what its rule pays
+     * Tier totals are split in whole cents by the dashboard, so a winner may
+     * get one cent more than an even share.
+     * @param {Object[]} winners - Sent items of the contest
+     * @param {Object} rule - Prize rule in force
+     * @param {Object} payout - PrizeRules.evaluate() result
+     * @returns {string|null} Why the winners are refused, or null
+     */
+    function findOverpayment(winners, rule, payout) {
+        for (const [tier, prize] of Object.entries(payout.tiers)) {
+            const paid = winners.filter(e => e.matches === Number(tier)).map(e => Math.round(e.amount * 100));
+            const total = Math.round(prize.total * 100);
+            const share = Math.ceil(total / paid.length);
+            if (paid.some(cents => cents > share) || paid.reduce((sum, cents) => sum + cents, 0) > total) {
+                return `${tier} matches are paid more than rule ${rule.id} allows (R$ ${(total / 100).toFixed(2)} in total)`;
+            }
+        }
+        const unpaid = winners.find(e => !(payout.tiers[e.matches]?.perWinner > 0));
+        return unpaid ? `${unpaid.matches} matches win nothing under rule ${rule.id}` : null;
+    }
+
+    /**
+     * Check sent winners against the prize rules, the prize pools and the
+     * known results. Each platform's known contests are replayed in order,
+     * so a contest's pool includes what rolled over from earlier ones.
+     * Accepted items get the server's draw date, prize total and rollover share.
+     * @param {Map} expected - Item ID -> sent item
+     * @returns {Promise<Map>} 'platform|contest' -> reason, for refused contests
+     */
+    async function checkPayouts(expected) {
+        const pools = await getPrizePools();
+        const contests = await getKnownContests();
+        const groups = new Map();
+        expected.forEach(e => {
+            const key = `${e.platform}|${e.contest}`;
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(e);
+        });
+
+        const refused = new Map();
+        groups.forEach((winners, key) => {
+            const [platform, contest] = key.split('|');
+            if (!PAYOUT_PLATFORMS.includes(platform)) {
+                refused.set(key, `Unknown platform ${platform}`);
+            } else if (!contests.has(contest)) {
+                refused.set(key, `Contest #${contest} has no confirmed or officially checked result`);
+            }
+        });
+
+        PAYOUT_PLATFORMS.forEach(platform => {
+            let carry = 0;
+            contests.forEach((drawDate, contest) => {
+                const winners = groups.get(`${platform}|${contest}`) || [];
+                const rule = PrizeRules.getRule(platform, drawDate);
+                const tierCounts = {};
+                winners.forEach(e => { tierCounts[e.matches] = (tierCounts[e.matches] || 0) + 1; });
+                const payout = PrizeRules.evaluate(rule, {
+                    pool: rule.pool === 'platform' ? pools[platform] : rule.pool,
+                    carryIn: carry,
+                    tierCounts
+                });
+                carry = payout.rolloverOut;
+                if (winners.length === 0) return;
+
+                const reason = findOverpayment(winners, rule, payout);
+                if (reason) {
+                    refused.set(`${platform}|${contest}`, reason);
+                    return;
+                }
+                winners.forEach(e => {
+                    e.drawDate = drawDate;
+                    e.prizePool = toCents(payout.totalAwarded);
+                    e.fromRollover = toCents(payout.tiers[e.matches].fromRollover);
+                });
+            });
+        });
+        return refused;
+    }
+
+    /**
+     * POST /payouts/sync
+     * Same merge as the dashboard always did: new winners become pending
+     * items, unapproved items follow the recalculated amount, approved and
+     * paid ones stay locked, and items missing from the calculation are
+     * kept but flagged (isWinner false). Contests refused by checkPayouts
+     * are left untouched.
+     */
+    async function syncPayouts({ body, user }) {
+        if (!Array.isArray(body.items)) throw httpError(400, 'items must be a list');
+
+        const expected = new Map();
+        body.items.forEach(e => {
+            const amount = Number(e && e.amount);
+            const matches = Number(e && e.matches);
+            if (!e || typeof e.id !== 'string' || !isFinite(amount) || amount < 0 ||
+                !Number.isInteger(matches) || matches < 1 || matches > 5 ||
+                e.id !== `${e.platform}|${e.contest}|${e.ticketKey}`) {
+                throw httpError(400, 'Invalid payout item');
+            }
+            expected.set(e.id, {
+                platform: cleanText(e.platform, 20),
+                contest: cleanText(e.contest, 20),
+                drawDate: '',
+                ticketKey: cleanText(e.ticketKey, 200),
+                gameId: cleanText(e.gameId, 100),
+                ticketNumber: cleanText(e.ticketNumber, 100),
+                matches,
+                prizePool: 0,
+                amount: toCents(amount),
+                fromRollover: 0
+            });
+        });
+
+        const refused = await checkPayouts(expected);
+        const isRefused = item => refused.has(`${item.platform}|${item.contest}`);
+        expected.forEach((e, id) => {
+            if (isRefused(e)) expected.delete(id);
+        });
+
+        const now = Date.now();
+        const items = new Map((await store.list(Keys.PAYOUT)).map(item => [item.id, item]));
+        const changed = [];
+        let added = 0;
+        let updated = 0;
+
+        expected.forEach((e, id) => {
+            const item = items.get(id);
+            if (!item) {
+                changed.push({
+                    id,
+                    ...e,
+                    expectedAmount: e.amount,
+                    isWinner: true,
+                    status: PayoutStatus.PENDING,
+                    paymentRef: null,
+                    paidAt: null,
+                    note: '',
+                    calculatedBy: user.username,
+                    approvedBy: null,
+                    createdAt: now,
+                    updatedAt: now,
+                    history: [{ status: PayoutStatus.PENDING, at: now, by: 'system', note: 'Created from winners' }]
+                });
+                added++;
+                return;
+            }
+
+            const amountChanged = item.expectedAmount !== e.amount || item.fromRollover !== e.fromRollover;
+            if (!amountChanged && item.isWinner && item.prizePool === e.prizePool) return;
+
+            item.expectedAmount = e.amount;
+            item.fromRollover = e.fromRollover;
+            item.prizePool = e.prizePool;
+            item.isWinner = true;
+            // Unapproved items follow the recalculation; approved/paid ones stay locked
+            if ((item.status === PayoutStatus.PENDING || item.status === PayoutStatus.REJECTED) && item.amount !== e.amount) {
+                item.amount = e.amount;
+                item.calculatedBy = user.username;
+            }
+            item.updatedAt = now;
+            changed.push(item);
+            updated++;
+        });
+
+        // Tickets that stopped winning keep their item, flagged for review
+        items.forEach((item, id) => {
+            if (expected.has(id) || !item.isWinner || isRefused(item)) return;
+            item.isWinner = false;
+            item.expectedAmount = 0;
+            item.updatedAt = now;
+            changed.push(item);
+            updated++;
+        });
+
+        for (const item of changed) {
+            await store.put(Keys.PAYOUT + item.id, item);
+        }
+        await store.put(Keys.PAYOUTS_SYNCED_AT, now);
+
+        const rejected = [...refused].map(([key, reason]) => {
+            const [platform, contest] = key.split('|');
+            return { platform, contest, reason };
+        });
+        return json(200, { added, updated, items: changed, rejected, syncedAt: now });
+    }
+
+    /**
+     * POST /payouts/:id/status
+     */
+    async function setPayoutStatus({ params: [id], body, user }) {
+        const item = await store.get(Keys.PAYOUT + id);
+        if (!item) throw httpError(404, 'Payout item not found');
+
+        const status = body.status;
+        if (!TRANSITIONS[item.status].includes(status)) {
+            throw httpError(409, `A ${item.status} payout cannot become ${status}`);
+        }
+        if (status === PayoutStatus.APPROVED || status === PayoutStatus.PAID) {
+            const hold = await getPayoutHold(item.contest);
+            if (hold) throw httpError(409, `Contest #${item.contest} is on hold: ${hold}`);
+        }
+        const isUser = name => !!name && name.toLowerCase() === user.username.toLowerCase();
+        if (status === PayoutStatus.APPROVED && isUser(item.calculatedBy)) {
+            throw httpError(403, 'A second admin must approve this payout (you calculated its amount)');
+        }
+        if (status === PayoutStatus.PAID && (isUser(item.calculatedBy) || isUser(item.approvedBy))) {
+            throw httpError(403, 'The payment must be recorded by an admin who neither calculated nor approved it');
+        }
+        const paymentRef = cleanText(body.paymentRef, 200);
+        const paidAt = String(body.paidAt || '');
+        const note = cleanText(body.note);
+        if (status === PayoutStatus.PAID) {
+            if (!paymentRef) throw httpError(400, 'Payment reference is required');
+            if (!/^\d{4}-\d{2}-\d{2}$/.test(paidAt)) throw httpError(400, 'Payment date is required (YYYY-MM-DD)');
+        }
+        if (status === PayoutStatus.REJECTED && !note) {
+            throw httpError(400, 'Add a note explaining the rejection');
+        }
+
+        const from = item.status;
+        const now = Date.now();
+        item.status = status;
+        item.note = note || item.note;
+        if (status === PayoutStatus.PAID) {
+            item.paymentRef = paymentRef;
+            item.paidAt = paidAt;
+        }
+        if (status === PayoutStatus.APPROVED) {
+            item.approvedBy = user.username;
+        } else if (status !== PayoutStatus.PAID) {
+            item.approvedBy = null;
+        }
+        // Approval locks the amount; back to pending it follows recalculations again
+        if (status === PayoutStatus.PENDING) {
+            item.amount = item.expectedAmount;
+        }
+        item.updatedAt = now;
+        item.history = [...item.history, { status, at: now, by: user.username, note, paymentRef: paymentRef || null }];
+
+        await store.put(Keys.PAYOUT + id, item);
+        await audit(user, AuditAction.PAYOUT_STATUS_CHANGE, { id, from, to: status, paymentRef: item.paymentRef, amount: item.amount });
+        return json(200, item);
+    }
+
+    // ============================================
+    // Result Entries
+    // ============================================
+
+    /**
+     * POST /result-entries
+     * Checks the shape and who enters; the checks against the known results
+     * (sequence, draw calendar) are made by the dashboard, which has them.
+     */
+    async function submitResult({ body, user }) {
+        const isNoDraw = !!body.isNoDraw;
+        const dateKey = String(body.drawDate || '');
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(dateKey)) throw httpError(400, 'Enter a valid draw date');
+
+        const contest = isNoDraw ? '' : String(body.contest ?? '').trim();
+        const numbers = isNoDraw ? [] : (Array.isArray(body.numbers) ? body.numbers.map(Number) : []);
+        if (!isNoDraw) {
+            // An announced suspension may be recorded ahead; a result may not
+            if (dateKey > getBrazilToday()) throw httpError(400, 'The draw date is in the future');
+            if (!/^\d+$/.test(contest)) throw httpError(400, 'Enter the contest number');
+            if (numbers.length !== 5 || numbers.some(n => !Number.isInteger(n) || n < 1 || n > 80) || new Set(numbers).size !== 5) {
+                throw httpError(400, 'Enter five distinct numbers between 1 and 80');
+            }
+        }
+
+        const existing = await store.get(Keys.RESULT_ENTRY + dateKey);
+        if (existing) {
+            throw httpError(409, existing.status === EntryStatus.PENDING
+                ? 'This date already has an entry waiting for confirmation'
+                : 'This date already has a confirmed entry');
+        }
+        if (!isNoDraw && (await store.list(Keys.RESULT_ENTRY)).some(e => !e.isNoDraw && e.contest === contest)) {
+            throw httpError(409, `Contest #${contest} was already entered`);
+        }
+
+        const entry = {
+            id: dateKey,
+            contest,
+            drawDate: dateKey.split('-').reverse().join('/'),
+            numbers: [...numbers].sort((a, b) => a - b),
+            isNoDraw,
+            note: cleanText(body.note),
+            warnings: (Array.isArray(body.warnings) ? body.warnings : []).slice(0, 20).map(w => cleanText(w, 300)),
+            status: EntryStatus.PENDING,
+            enteredBy: user.username,
+            enteredAt: Date.now(),
+            confirmedBy: null,
+            confirmedAt: null
+        };
+        await store.put(Keys.RESULT_ENTRY + dateKey, entry);
+
+        const { drawDate, note } = entry;
+        await audit(user, AuditAction.RESULT_SUBMITTED, { contest, drawDate, numbers: entry.numbers, isNoDraw, enteredBy: user.username, note });
+        return json(200, entry);
+    }
+
+    /**
+     * POST /result-entries/:id/confirm
+     */
+    async function confirmResult({ params: [id], body, user }) {
+        const entry = await store.get(Keys.RESULT_ENTRY + id);
+        if (!entry || entry.status !== EntryStatus.PENDING) {
+            throw httpError(409, 'This entry is no longer waiting for confirmation');
+        }
+        if (entry.enteredBy.toLowerCase() === user.username.toLowerCase()) {
+            throw httpError(403, 'A second admin must confirm this result');
+        }
+
+        entry.status = EntryStatus.CONFIRMED;
+        if (Array.isArray(body.warnings)) {
+            entry.warnings = body.warnings.slice(0, 20).map(w => cleanText(w, 300));
+        }
+        entry.confirmedBy = user.username;
+        entry.confirmedAt = Date.now();
+        await store.put(Keys.RESULT_ENTRY + id, entry);
+
+        const { contest, drawDate, numbers, isNoDraw, enteredBy, note } = entry;
+        await audit(user, AuditAction.RESULT_CONFIRMED, { contest, drawDate, numbers, isNoDraw, enteredBy, note });
+        return json(200, entry);
+    }
+
+    /**
+     * DELETE /result-entries/:id
+     */
+    async function discardResult({ params: [id], user }) {
+        const entry = await store.get(Keys.RESULT_ENTRY + id);
+        if (!entry || entry.status !== EntryStatus.PENDING) {
+            throw httpError(404, 'This entry is no longer waiting for confirmation');
+        }
+        await store.delete(Keys.RESULT_ENTRY + id);
+
+        const { contest, drawDate, numbers, isNoDraw, enteredBy, note } = entry;
+        await audit(user, AuditAction.RESULT_DISCARDED, { contest, drawDate, numbers, isNoDraw, enteredBy, note });
+        return json(204);
+    }
+
+    // ============================================
+    // Discrepancy Resolutions
+    // ============================================
+
+    /**
+     * PUT /resolutions/:contest
+     */
+    async function putResolution({ params: [contest], body, user }) {
+        if (!/^\d+$/.test(contest)) throw httpError(400, 'Invalid contest number');
+        const signature = String(body.signature || '');
+        if (!signature) throw httpError(400, 'Missing discrepancy signature');
+        const note = cleanText(body.note);
+        if (!note) throw httpError(400, 'Add a note explaining the resolution');
+
+        const resolution = {
+            contest,
+            signature,
+            issues: (Array.isArray(body.issues) ? body.issues : []).slice(0, 20).map(i => cleanText(i, 300)),
+            note,
+            author: user.username,
+            resolvedAt: Date.now()
+        };
+        await store.put(Keys.RESOLUTION + contest, resolution);
+        await audit(user, AuditAction.RESULT_DISCREPANCY_RESOLVED, { contest, issues: resolution.issues, note });
+        return json(200, resolution);
+    }
+
+    // ============================================
+    // Result Verification
+    // ============================================
+
+    /**
+     * Why a contest's payouts are on hold
+     * @param {string} contest - Contest number
+     * @returns {Promise<string|null>} Reason, or null if they may be approved and paid
+     */
+    async function getPayoutHold(contest) {
+        const check = await store.get(Keys.VERIFICATION + contest);
+        if (!check) return 'not checked against the official source yet';
+        if (check.status === VerificationStatus.VERIFIED) return null;
+        if (check.status === VerificationStatus.NOT_COVERED) return 'the official source does not cover it';
+
+        const resolution = await store.get(Keys.RESOLUTION + contest);
+        return resolution && resolution.signature === check.signature
+            ? null
+            : 'its result differs from the official source and is not resolved';
+    }
+
+    /**
+     * POST /verifications - outcome of a check run in the dashboard
+     * Stores what changed since the last check.
+     */
+    async function postVerifications({ body, user }) {
+        if (!Array.isArray(body.contests)) throw httpError(400, 'contests must be a list');
+        const source = cleanText(body.source, 200);
+        const statuses = Object.values(VerificationStatus);
+
+        const checks = body.contests.map(c => {
+            const contest = String((c && c.contest) ?? '').trim();
+            if (!/^\d+$/.test(contest) || !statuses.includes(c.status)) throw httpError(400, 'Invalid contest check');
+            return {
+                contest,
+                drawDate: cleanText(c.drawDate, 20),
+                numbers: (Array.isArray(c.numbers) ? c.numbers : []).slice(0, 5).map(Number),
+                status: c.status,
+                signature: c.status === VerificationStatus.FLAGGED ? String(c.signature || '') : '',
+                issues: (Array.isArray(c.issues) ? c.issues : []).slice(0, 20).map(i => cleanText(i, 300))
+            };
+        });
+
+        const now = Date.now();
+        const changed = [];
+        for (const check of checks) {
+            const previous = await store.get(Keys.VERIFICATION + check.contest);
+            const same = previous && ['drawDate', 'status', 'signature'].every(k => previous[k] === check[k]) &&
+                previous.numbers.join(',') === check.numbers.join(',');
+            if (same) continue;
+            await store.put(Keys.VERIFICATION + check.contest, { ...check, source, checkedBy: user.username, checkedAt: now });
+            changed.push({ contest: check.contest, status: check.status });
+        }
+
+        if (changed.length > 0) {
+            await audit(user, AuditAction.RESULT_VERIFIED, { source, contests: changed.slice(0, 200), count: changed.length });
+        }
+        return json(200, { updated: changed.length });
+    }
+
+    // ============================================
+    // Audit Routes
+    // ============================================
+
+    /**
+     * POST /audit - actions only the dashboard sees (exports, views...)
+     */
+    async function postAudit({ body, user }) {
+        const action = String(body.action || '');
+        if (!/^[a-z_]+\.[a-z_]+$/.test(action) || action.length > 64) throw httpError(400, 'Invalid action');
+        if (SERVER_ACTIONS.has(action)) throw httpError(400, `${action} is recorded by the server`);
+
+        const payload = body.payload && typeof body.payload === 'object' && !Array.isArray(body.payload) ? body.payload : {};
+        if (JSON.stringify(payload).length > MAX_AUDIT_PAYLOAD) throw httpError(413, 'Audit details too large');
+
+        // When it happened (queued offline entries arrive later), never in the future
+        const now = Date.now();
+        const timestamp = Number(body.timestamp);
+        const entry = await appendAudit({
+            action,
+            user: user.username,
+            role: user.role,
+            timestamp: isFinite(timestamp) && timestamp > 0 && timestamp <= now ? timestamp : now,
+            payload
+        });
+        return json(200, entry);
+    }
+
+    /**
+     * GET /audit?after=<seq>
+     */
+    async function listAudit({ url }) {
+        const after = Math.max(0, parseInt(url.searchParams.get('after'), 10) || 0);
+        const entries = await store.list(Keys.AUDIT, { start: Keys.AUDIT + String(after + 1).padStart(12, '0') });
+        return json(200, { entries: entries.slice(0, AUDIT_PAGE), more: entries.length > AUDIT_PAGE });
+    }
+
+    // ============================================
+    // Routing
+    // ============================================
+
+    const list = prefix => async () => json(200, { items: await store.list(prefix) });
+
+    /**
+     * [method, path pattern, handler, options { auth (default true), permission }]
+     */
+    const routes = [
+        ['POST', /^\/auth\/login$/, login, { auth: false }],
+        ['GET', /^\/auth\/session$/, session],
+        ['POST', /^\/auth\/logout$/, logout],
+        ['GET', /^\/overrides$/, list(Keys.OVERRIDE)],
+        ['PUT', /^\/overrides\/([^/]+)$/, putOverride, { permission: Permission.OVERRIDE_STATUS }],
+        ['DELETE', /^\/overrides\/([^/]+)$/, deleteOverride, { permission: Permission.OVERRIDE_STATUS }],
+        ['GET', /^\/prize-pools$/, listPrizePools],
+        ['PUT', /^\/prize-pools\/([^/]+)$/, putPrizePool, { permission: Permission.CHANGE_PRIZE_POOL }],
+        ['GET', /^\/jackpot$/, getJackpot, { auth: false }],
+        ['PUT', /^\/jackpot$/, putJackpot, { permission: Permission.CHANGE_PRIZE_POOL }],
+        ['GET', /^\/payouts$/, listPayouts],
+        ['POST', /^\/payouts\/sync$/, syncPayouts, { permission: Permission.MANAGE_PAYOUTS }],
+        ['POST', /^\/payouts\/([^/]+)\/status$/, setPayoutStatus, { permission: Permission.MANAGE_PAYOUTS }],
+        ['GET', /^\/result-entries$/, list(Keys.RESULT_ENTRY)],
+        ['POST', /^\/result-entries$/, submitResult, { permission: Permission.ENTER_RESULTS }],
+        ['POST', /^\/result-entries\/([^/]+)\/confirm$/, confirmResult, { permission: Permission.ENTER_RESULTS }],
+        ['DELETE', /^\/result-entries\/([^/]+)$/, discardResult, { permission: Permission.ENTER_RESULTS }],
+        ['GET', /^\/resolutions$/, list(Keys.RESOLUTION)],
+        ['PUT', /^\/resolutions\/([^/]+)$/, putResolution, { permission: Permission.ENTER_RESULTS }],
+        ['GET', /^\/verifications$/, list(Keys.VERIFICATION)],
+        ['POST', /^\/verifications$/, postVerifications, { permission: Permission.ENTER_RESULTS }],
+        ['POST', /^\/audit$/, postAudit],
+        ['GET', /^\/audit$/, listAudit, { permission: Permission.VIEW_AUDIT_LOG }]
+    ];
+
+    /**
+     * Answer a request
+     * @param {Request} request - Fetch API request
+     * @param {Object} context - { ip: client address (rate limiting) }
+     * @returns {Promise<Response|null>} Response, or null if the path is not an API route
+     */
+    async function handle(request, { ip = '' } = {}) {
+        const url = new URL(request.url);
+        if (!url.pathname.startsWith(`${basePath}/`)) return null;
+        const path = url.pathname.slice(basePath.length);
+
+        const matching = routes.filter(([, pattern]) => pattern.test(path));
+        if (matching.length === 0) return null;
+        if (request.method === 'OPTIONS') return json(204);
+
+        const route = matching.find(([method]) => method === request.method);
+        if (!route) return json(405, { error: 'Method not allowed' });
+        const [method, pattern, handler, { auth = true, permission = null } = {}] = route;
+
+        try {
+            const params = pattern.exec(path).slice(1).map(decodeURIComponent);
+
+            let body = {};
+            if (method === 'POST' || method === 'PUT') {
+                const text = await request.text();
+                if (text.length > MAX_BODY) return json(413, { error: 'Request too large' });
+                try {
+                    body = text ? JSON.parse(text) : {};
+                } catch (e) {
+                    return json(400, { error: 'Invalid JSON' });
+                }
+                if (!body || typeof body !== 'object' || Array.isArray(body)) body = {};
+            }
+
+            let user = null;
+            if (auth) {
+                user = await authenticate(request);
+                if (!user) return json(401, { error: 'Session expired or revoked' });
+                if (permission && !AdminPermissions.can(user.role, permission)) {
+                    return json(403, { error: 'Your role cannot do this' });
+                }
+            }
+
+            const run = () => handler({ request, url, params, body, user, ip });
+            return await (method === 'GET' ? run() : exclusive(run));
+        } catch (error) {
+            if (error.status) return json(error.status, { error: error.message });
+            if (error instanceof URIError) return json(400, { error: 'Invalid path' });
+            console.error('Admin API error:', error);
+            return json(500, { error: 'Internal error' });
+        }
+    }
+
+    return { handle };
+}
+
+module.exports = {
+    createAdminApi,
+    createMemoryStore,
+    hashPassword,
+    verifyPassword,
+
+    // Constants
+    AuditAction,
+    PBKDF2_ITERATIONS
+};
@@ -0,0 +1,48 @@
+/**
+ * POP-SORTE Admin API - Cloudflare Worker
+ *
+ * Production host of worker/admin-api.js. All requests go to one Durable
+ * Object (AdminState) so writes are serialized and every admin reads the same
+ * overrides, payouts, result entries, resolutions and audit chain.
+ *
+ * Configuration (wrangler secret put ...):
+ *   AUTH_SECRET    token signing key
+ *   ADMIN_USERS    JSON [{ username, role, passwordHash }]; hashes from
+ *                  `node dev/admin-server.js --hash <password>`
+ *   ALLOWED_ORIGIN optional, default https://popsorte.vip
+ *
+ * Deploy: cd worker && npx wrangler deploy
+ */
+
+import AdminApi from './admin-api.js';
+
+/**
+ * Durable Object holding the admin state
+ */
+export class AdminState {
+    constructor(state, env) {
+        const storage = state.storage;
+        this.api = AdminApi.createAdminApi({
+            store: {
+                get: key => storage.get(key),
+                put: (key, value) => storage.put(key, value),
+                delete: key => storage.delete(key),
+                list: async (prefix, { start } = {}) => [...(await storage.list({ prefix, start })).values()]
+            },
+            secret: env.AUTH_SECRET,
+            loadUsers: async () => JSON.parse(env.ADMIN_USERS || '[]'),
+            allowedOrigin: env.ALLOWED_ORIGIN || 'https://popsorte.vip'
+        });
+    }
+
+    async fetch(request) {
+        const ip = request.headers.get('CF-Connecting-IP') || '';
+        return (await this.api.handle(request, { ip })) || new Response('Not found', { status: 404 });
+    }
+}
+
+export default {
+    fetch(request, env) {
+        return env.ADMIN_STATE.get(env.ADMIN_STATE.idFromName('admin')).fetch(request);
+    }
+};